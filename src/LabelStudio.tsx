@@ -12,6 +12,11 @@ import defaultOptions from './defaultOptions';
 import { destroy as destroySharedStore } from './mixins/SharedChoiceStore/mixin';
 import { EventInvoker } from './utils/events';
 import { FF_LSDV_4620_3_ML, isFF } from './utils/feature-flags';
+import { LabelSourceOption } from './utils/label-source';
+import { ConfigMigration } from './utils/config-migration';
+import { OfflineStorage } from './utils/offline-queue';
+import { Exporter } from './utils/exporters';
+import { ImportOptions } from './utils/importers';
 import { cleanDomAfterReact, findReactKey } from './utils/reactCleaner';
 import { isDefined } from './utils/utilities';
 
@@ -37,6 +42,11 @@ type LSFOptions = Record<string, any> & {
   user: LSFUser,
   users: LSFUser[],
   task: LSFTask,
+  labelSource: LabelSourceOption,
+  configMigration: ConfigMigration | null,
+  offline: boolean | { storage: OfflineStorage },
+  exporters: Exporter[],
+  importFields: (string | ImportOptions & { field: string, format?: string })[],
 }
 
 export class LabelStudio {
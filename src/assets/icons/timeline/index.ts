@@ -6,6 +6,7 @@ export { ReactComponent as IconFastForward } from './fastforward.svg';
 export { ReactComponent as IconInterpolationDisabled } from './interpolation_disabled.svg';
 export { ReactComponent as IconInterpolationAdd } from './interpolation_add.svg';
 export { ReactComponent as IconInterpolationRemove } from './interpolation_remove.svg';
+export { ReactComponent as IconInterpolationMode } from './interpolation_mode.svg';
 export { ReactComponent as IconKeypointAdd } from './keypoint_add.svg';
 export { ReactComponent as IconKeypointDelete } from './keypoint_delete.svg';
 export { ReactComponent as IconKeypointDisabled } from './keypoint_disabled.svg';
@@ -52,6 +52,7 @@ export const AnnotationButton = observer(({ entity, capabilities, annotationStor
   const [isContextMenuOpen, setIsContextMenuOpen] = useState<boolean>(false);
 
   const CommentIcon = renderCommentIcon(entity);
+  const isCompared = [annotationStore?.diffEntities?.left, annotationStore?.diffEntities?.right].includes(entity);
   // need to find a more reliable way to grab this value
   // const historyActionType = annotationStore.history.toJSON()?.[0]?.actionType;
 
@@ -105,6 +106,11 @@ export const AnnotationButton = observer(({ entity, capabilities, annotationStor
         },
       });
     }, [entity]);
+    const compareWithCurrent = useCallback(() => {
+      if (isCompared) annotationStore.stopDiff();
+      else annotationStore.startDiff(entity, annotationStore.selected);
+      clickHandler();
+    }, [entity, isCompared]);
     const isPrediction = entity.type === 'prediction';
     const isDraft = !isDefined(entity.pk);
     const showGroundTruth = capabilities.groundTruthEnabled && !isPrediction && !isDraft;
@@ -126,6 +132,11 @@ export const AnnotationButton = observer(({ entity, capabilities, annotationStor
             as Ground Truth
           </Elem>
         )}
+        {(isCompared || !entity.selected) && (
+          <Elem name="option" mod={{ compare: true }} onClick={compareWithCurrent}>
+            {isCompared ? 'Stop comparing' : 'Compare with current'}
+          </Elem>
+        )}
         {showDuplicateAnnotation && (
           <Elem name="option" mod={{ duplicate: true }} onClick={duplicateAnnotation}>
             <Elem name="icon">
@@ -41,6 +41,7 @@ import { BottomBar } from '../BottomBar/BottomBar';
 import Debug from '../Debug';
 import Grid from './Grid';
 import { InstructionsModal } from '../InstructionsModal/InstructionsModal';
+import { MergeView } from '../MergeView/MergeView';
 import { RelationsOverlay } from '../RelationsOverlay/RelationsOverlay';
 import Segment from '../Segment/Segment';
 import Settings from '../Settings/Settings';
@@ -48,6 +49,7 @@ import { SidebarTabs } from '../SidebarTabs/SidebarTabs';
 import { SidePanels } from '../SidePanels/SidePanels';
 import { SideTabsPanels } from '../SidePanels/TabPanels/SideTabsPanels';
 import { TopBar } from '../TopBar/TopBar';
+import { UnmappedResults } from '../UnmappedResults/UnmappedResults';
 import { onSnapshot } from "mobx-state-tree"
 
 /**
@@ -282,6 +284,9 @@ class App extends Component {
             </>
           )}
 
+          <UnmappedResults entity={as.selected} />
+          <MergeView entity={as.selected} />
+
           {isDefined(store) && store.hasInterface('topbar') && <TopBar store={store} />}
           <Block
             name="wrapper"
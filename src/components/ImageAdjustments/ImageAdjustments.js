@@ -0,0 +1,109 @@
+import { observer } from 'mobx-react';
+import { Button } from '../../common/Button/Button';
+import { Range } from '../../common/Range/Range';
+import Toggle from '../../common/Toggle/Toggle';
+import { Block, Elem } from '../../utils/bem';
+import { COLORMAP_NAMES } from '../../utils/image-adjustments';
+import './ImageAdjustments.styl';
+
+const COLORMAP_LABELS = {
+  none: 'None',
+  jet: 'Jet',
+  hot: 'Hot',
+  viridis: 'Viridis',
+};
+
+const SliderRow = ({ name, value, min, max, onChange }) => (
+  <Elem name="row">
+    <Elem name="name">{name}</Elem>
+    <Range
+      continuous
+      value={value}
+      min={min}
+      max={max}
+      step={0.05}
+      size={100}
+      resetValue={1}
+      onChange={onChange}
+    />
+    <Elem name="value">{value.toFixed(2)}</Elem>
+  </Elem>
+);
+
+/**
+ * Controls of image adjustments
+ * @param {{ item: object }} props Image tag
+ */
+export const ImageAdjustments = observer(({ item }) => {
+  const { adjustments, channelNames } = item;
+
+  return (
+    <Block name="image-adjustments">
+      <SliderRow
+        name="Gamma"
+        value={adjustments.gamma}
+        min={0.2}
+        max={3}
+        onChange={gamma => item.setAdjustments({ gamma })}
+      />
+      <SliderRow
+        name="Saturation"
+        value={adjustments.saturation}
+        min={0}
+        max={3}
+        onChange={saturation => item.setAdjustments({ saturation })}
+      />
+      <Toggle
+        label="Invert"
+        checked={adjustments.invert}
+        onChange={e => item.setAdjustments({ invert: e.target.checked })}
+      />
+      <Toggle
+        label="Equalize histogram"
+        checked={adjustments.equalize}
+        onChange={e => item.setAdjustments({ equalize: e.target.checked })}
+      />
+      <Elem name="row">
+        <Elem name="name">Colors</Elem>
+        <Elem
+          tag="select"
+          name="select"
+          aria-label="color map"
+          value={adjustments.colormap}
+          onChange={e => item.setAdjustments({ colormap: e.target.value })}
+        >
+          {COLORMAP_NAMES.map(name => (
+            <option key={name} value={name}>{COLORMAP_LABELS[name]}</option>
+          ))}
+        </Elem>
+      </Elem>
+      {channelNames.length > 0 && (
+        <Elem name="row">
+          <Elem name="name">Channel</Elem>
+          <Elem
+            tag="select"
+            name="select"
+            aria-label="channel"
+            value={adjustments.channel ?? ''}
+            onChange={e => item.setAdjustments({ channel: e.target.value === '' ? null : Number(e.target.value) })}
+          >
+            <option value="">All</option>
+            {channelNames.map((name, index) => (
+              <option key={name} value={index}>{name}</option>
+            ))}
+          </Elem>
+        </Elem>
+      )}
+      <Button
+        size="small"
+        // controls stop click events, so the button reacts on mouse down
+        onMouseDown={(e) => {
+          e.stopPropagation();
+          item.resetAdjustments();
+        }}
+      >
+        Reset
+      </Button>
+    </Block>
+  );
+});
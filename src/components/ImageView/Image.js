@@ -51,6 +51,7 @@ export const Image = observer(forwardRef(({
         downloading={imageEntity.downloading}
         progress={imageEntity.progress}
         error={imageEntity.error}
+        errorMessage={imageEntity.decodeError}
         src={imageEntity.src}
         usedValue={usedValue}
       />
@@ -72,6 +73,7 @@ const ImageProgress = observer(({
   downloading,
   progress,
   error,
+  errorMessage,
   src,
   usedValue,
 }) => {
@@ -81,7 +83,7 @@ const ImageProgress = observer(({
       <Elem tag="progress" name="bar" value={progress} min="0" max={1} step={0.0001} />
     </Block>
   ) : error ? (
-    <ImageLoadingError src={src} value={usedValue} />
+    <ImageLoadingError src={src} value={usedValue} message={errorMessage} />
   ) : null;
 });
 
@@ -113,14 +115,14 @@ const ImageRenderer = observer(forwardRef(({
   );
 }));
 
-const ImageLoadingError = ({ src, value }) => {
+const ImageLoadingError = ({ src, value, message = '' }) => {
   const error = useMemo(() => {
     return messages.ERR_LOADING_HTTP({
       url: src,
-      error: '',
+      error: message,
       attr: value,
     });
-  }, [src]);
+  }, [src, message]);
 
   return (
     <ErrorMessage error={error} />
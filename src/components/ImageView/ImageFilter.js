@@ -0,0 +1,77 @@
+import { observer } from 'mobx-react';
+import { useEffect, useMemo, useState } from 'react';
+import { filterPrimitives, histogramsOf, isAdjusted } from '../../utils/image-adjustments';
+
+// histograms don't need every pixel of large images
+const HISTOGRAM_SIZE = 512;
+
+/**
+ * @param {HTMLImageElement} image
+ * @returns {import('../../utils/image-adjustments').Histograms|null} null if pixels of the image can't be read
+ */
+const readHistograms = (image) => {
+  const scale = Math.min(1, HISTOGRAM_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  try {
+    const context = canvas.getContext('2d');
+
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return histogramsOf(context.getImageData(0, 0, canvas.width, canvas.height).data);
+  } catch (e) {
+    // images from other origins without CORS can't be read
+    console.warn('Histogram equalization is not available for this image', e);
+    return null;
+  }
+};
+
+/**
+ * SVG filter with image adjustments, referenced by `filter` style of the image
+ */
+export const ImageFilter = observer(({ item }) => {
+  const { adjustments } = item;
+  // image element is not observable, but it changes only with the source
+  const image = item.imageRef;
+  const src = item.currentSrc;
+  const [histograms, setHistograms] = useState(null);
+
+  useEffect(() => {
+    if (!adjustments.equalize || !image) {
+      setHistograms(null);
+      return;
+    }
+
+    // decoded images change their source on every rendering
+    const read = () => setHistograms(readHistograms(image));
+
+    if (image.complete && image.naturalWidth) read();
+    image.addEventListener('load', read);
+
+    return () => image.removeEventListener('load', read);
+  }, [adjustments.equalize, image, src]);
+
+  const primitives = useMemo(() => filterPrimitives(adjustments, {
+    histograms,
+    filterChannel: !item.currentImageEntity?.raster,
+  }), [adjustments, histograms, item.currentImageEntity?.raster]);
+
+  if (!isAdjusted(adjustments)) return null;
+
+  return (
+    <svg width="0" height="0" style={{ position: 'absolute' }} aria-hidden="true">
+      <filter id={item.adjustmentsFilterId} colorInterpolationFilters="sRGB">
+        {primitives.map(({ type: Primitive, attrs, funcs }, index) => (
+          <Primitive key={index} {...attrs}>
+            {funcs && Object.entries(funcs).map(([Func, func]) => (
+              <Func key={Func} {...func} />
+            ))}
+          </Primitive>
+        ))}
+      </filter>
+    </svg>
+  );
+});
@@ -8,7 +8,7 @@ import React, {
   useRef,
   useState
 } from 'react';
-import { Group, Layer, Line, Rect, Stage } from 'react-konva';
+import { Circle, Group, Layer, Line, Rect, Stage } from 'react-konva';
 import { observer } from 'mobx-react';
 import { getEnv, getRoot, isAlive } from 'mobx-state-tree';
 
@@ -43,6 +43,8 @@ import {
 } from '../../utils/feature-flags';
 import { Pagination } from '../../common/Pagination/Pagination';
 import { Image } from './Image';
+import { ImageFilter } from './ImageFilter';
+import { TiledImage } from './TiledImage';
 
 Konva.showWarnings = false;
 
@@ -125,6 +127,41 @@ const DrawingRegion = observer(({ item }) => {
   );
 });
 
+const SNAP_INDICATOR_COLOR = '#FF4DFF';
+const SNAP_INDICATOR_SIZE = 6;
+
+/**
+ * Point where the cursor is snapped to: circle for vertices, square for borders of regions, cross for image edges
+ */
+const SnapIndicator = observer(({ item }) => {
+  const { snapIndicator } = item;
+
+  if (!snapIndicator) return null;
+
+  const { x, y, target } = snapIndicator;
+  // the same size on any zoom
+  const size = SNAP_INDICATOR_SIZE / item.zoomScale;
+  const shapeProps = {
+    stroke: SNAP_INDICATOR_COLOR,
+    strokeWidth: 2,
+    strokeScaleEnabled: false,
+  };
+
+  return (
+    <Layer listening={false}>
+      {target === 'vertex' && (
+        <Circle x={x} y={y} radius={size} {...shapeProps} />
+      )}
+      {target === 'edge' && (
+        <Rect x={x - size} y={y - size} width={size * 2} height={size * 2} {...shapeProps} />
+      )}
+      {target === 'gradient' && (
+        <Line points={[x - size, y - size, x + size, y + size, x, y, x + size, y - size, x - size, y + size]} {...shapeProps} />
+      )}
+    </Layer>
+  );
+});
+
 const SELECTION_COLOR = '#40A9FF';
 const SELECTION_SECOND_COLOR = 'white';
 const SELECTION_DASH = [3, 3];
@@ -1001,7 +1038,7 @@ export default observer(
                   next: 'image:next',
                 }}
                 currentPage={item.currentImage + 1}
-                totalPages={item.parsedValueList.length}
+                totalPages={item.imageEntities.length}
                 onChange={n => item.setCurrentImage(n - 1)}
                 pageSizeSelectable={false}
               />
@@ -1024,7 +1061,27 @@ export default observer(
               style={{ width: '100%', marginTop: item.fillerHeight }}
             />
 
-            {isFF(FF_LSDV_4583_6) ? (
+            <ImageFilter item={item} />
+
+            {item.currentImageEntity.tiled ? (
+              <div
+                className={[
+                  styles.frame,
+                  ...imagePositionClassnames,
+                ].join(' ')}
+                style={item.canvasSize}
+              >
+                <TiledImage
+                  ref={ref => {
+                    // there is no single image with all the pixels
+                    item.setImageRef(null);
+                    this.imageRef.current = ref;
+                  }}
+                  item={item}
+                  overlay={<CanvasOverlay item={item} />}
+                />
+              </div>
+            ) : isFF(FF_LSDV_4583_6) ? (
               <Image
                 ref={ref => {
                   item.setImageRef(ref);
@@ -1083,6 +1140,7 @@ export default observer(
                   if (this.crosshairRef.current) {
                     this.crosshairRef.current.updateVisibility(false);
                   }
+                  item.setSnapIndicator(null);
                   const { width: stageWidth, height: stageHeight } = item.canvasSize;
                   const { offsetX: mouseposX, offsetY: mouseposY } = e.evt;
                   const newEvent = { ...e };
@@ -1272,6 +1330,7 @@ const StageContent = observer(({
         isPanning={state.isPanning}
       />
       <DrawingRegion item={item} />
+      <SnapIndicator item={item} />
 
       {item.crosshair && (
         <Crosshair
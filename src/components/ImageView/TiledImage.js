@@ -0,0 +1,55 @@
+import { observer } from 'mobx-react';
+import { forwardRef, useCallback, useMemo } from 'react';
+import { Block, Elem } from '../../utils/bem';
+import { overviewTiles } from '../../utils/tile-sources';
+import './TiledImage.styl';
+
+/**
+ * Image too large to be loaded at once; only tiles visible at the current zoom are loaded.
+ * Overview image stays under the tiles, so there are no blank areas while tiles are loading.
+ */
+export const TiledImage = observer(forwardRef(({
+  item,
+  overlay,
+}, ref) => {
+  const imageEntity = item.currentImageEntity;
+  const source = imageEntity.tileSource;
+  const overview = useMemo(() => source ? overviewTiles(source) : [], [source]);
+
+  const onLoad = useCallback(() => {
+    // tiles are positioned in percents, so the whole image is laid out by its original size
+    item.updateImageSize({ target: { naturalWidth: source.width, naturalHeight: source.height } });
+    imageEntity.setImageLoaded(true);
+  }, [item, imageEntity, source]);
+
+  if (!source) return null;
+
+  const renderTile = (tile, key, props = {}) => (
+    <Elem
+      key={key}
+      tag="img"
+      name="tile"
+      alt=""
+      src={tile.url}
+      draggable={false}
+      crossOrigin={item.imageCrossOrigin}
+      style={{
+        left: `${tile.x / source.width * 100}%`,
+        top: `${tile.y / source.height * 100}%`,
+        width: `${tile.width / source.width * 100}%`,
+        height: `${tile.height / source.height * 100}%`,
+      }}
+      {...props}
+    />
+  );
+
+  return (
+    <Block name="tiled-image">
+      <Elem name="canvas" style={{ ...item.imageTransform, visibility: imageEntity.imageLoaded ? 'visible' : 'hidden' }}>
+        {overview.map((tile, index) => renderTile(tile, `overview-${tile.key}`, index === 0 ? { ref, onLoad } : {}))}
+        {item.visibleTiles.map(tile => renderTile(tile, tile.key))}
+      </Elem>
+      {overlay}
+    </Block>
+  );
+}));
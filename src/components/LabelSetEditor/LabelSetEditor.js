@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { inject, observer } from 'mobx-react';
+import { Button, Input } from 'antd';
+import { ArrowDownOutlined, ArrowUpOutlined } from '@ant-design/icons';
+import { LsPlus, LsRedo, LsTrash, LsUndo } from '../../assets/icons';
+import { Block, Elem } from '../../utils/bem';
+import './LabelSetEditor.styl';
+
+const LabelSetItem = observer(({ item, index, total, onEdit }) => {
+  const colorAttr = item.parent.labelSetColorAttr;
+  const [value, setValue] = useState(item.value ?? '');
+  // labels without color are shown with the default one, it's not a change until another color is picked
+  const initialColor = item[colorAttr] ?? '#000000';
+  const [color, setColor] = useState(initialColor);
+
+  // color picker fires change on every move, so commit only the final color
+  const recolor = () => {
+    if (color !== initialColor) onEdit({ action: 'recolor', value: item.value, color });
+  };
+
+  const rename = () => {
+    if (value === item.value) return;
+    if (!value.trim() || onEdit({ action: 'rename', value: item.value, newValue: value.trim() }) === null) {
+      setValue(item.value ?? '');
+    }
+  };
+
+  return (
+    <Elem name="item">
+      <Elem
+        tag="input"
+        type="color"
+        name="color"
+        aria-label="Label color"
+        value={color}
+        onChange={e => setColor(e.target.value)}
+        onBlur={recolor}
+      />
+      <Elem
+        tag={Input}
+        name="value"
+        size="small"
+        value={value}
+        onChange={e => setValue(e.target.value)}
+        onBlur={rename}
+        onPressEnter={rename}
+      />
+      <Button
+        size="small"
+        type="text"
+        aria-label="Move up"
+        disabled={index === 0}
+        icon={<ArrowUpOutlined />}
+        onClick={() => onEdit({ action: 'move', value: item.value, index: index - 1 })}
+      />
+      <Button
+        size="small"
+        type="text"
+        aria-label="Move down"
+        disabled={index === total - 1}
+        icon={<ArrowDownOutlined />}
+        onClick={() => onEdit({ action: 'move', value: item.value, index: index + 1 })}
+      />
+      <Button
+        size="small"
+        type="text"
+        danger
+        aria-label="Remove"
+        icon={<LsTrash />}
+        onClick={() => onEdit({ action: 'remove', value: item.value })}
+      />
+    </Elem>
+  );
+});
+
+/**
+ * Editor for Labels/Choices of a single control tag; every change is applied immediately
+ * and can be undone, regions keep their labels.
+ */
+export const LabelSetEditor = inject('store')(observer(({ store, control }) => {
+  const annotationStore = store.annotationStore;
+  const items = control.labelSetItems;
+  const [newValue, setNewValue] = useState('');
+
+  const onEdit = (op) => annotationStore.editLabelSet(control.name, op);
+
+  const add = () => {
+    const value = newValue.trim();
+
+    if (!value) return;
+    if (onEdit({ action: 'add', value }) !== null) setNewValue('');
+  };
+
+  return (
+    <Block name="label-set-editor">
+      <Elem name="history">
+        <Button
+          size="small"
+          type="text"
+          aria-label="Undo"
+          disabled={!annotationStore.canUndoLabelSet}
+          icon={<LsUndo />}
+          onClick={() => annotationStore.undoLabelSetEdit()}
+        />
+        <Button
+          size="small"
+          type="text"
+          aria-label="Redo"
+          disabled={!annotationStore.canRedoLabelSet}
+          icon={<LsRedo />}
+          onClick={() => annotationStore.redoLabelSetEdit()}
+        />
+      </Elem>
+      {items.map((item, index) => (
+        // value and color are used in a key to reset inner state after undo/redo
+        <LabelSetItem key={`${item.id ?? index}-${item.value}-${item[item.parent.labelSetColorAttr]}`} item={item} index={index} total={items.length} onEdit={onEdit} />
+      ))}
+      <Elem name="item">
+        <Elem
+          tag={Input}
+          name="value"
+          size="small"
+          placeholder="New label"
+          value={newValue}
+          onChange={e => setNewValue(e.target.value)}
+          onPressEnter={add}
+        />
+        <Button size="small" type="primary" ghost icon={<LsPlus />} disabled={!newValue.trim()} onClick={add}>
+          Add
+        </Button>
+      </Elem>
+    </Block>
+  );
+}));
@@ -0,0 +1,115 @@
+import { useMemo } from 'react';
+import { observer } from 'mobx-react';
+import { Button, Checkbox, Modal } from 'antd';
+import { Block, Elem } from '../../utils/bem';
+import './MergeView.styl';
+
+const CHANGES = {
+  added: 'Added',
+  removed: 'Removed',
+  modified: 'Modified',
+};
+
+/**
+ * Short human readable value of serialized result
+ */
+const summary = (result) => {
+  if (!result) return '—';
+  if (result.type === 'relation') return [result.direction, ...(result.labels ?? [])].filter(Boolean).join(', ') || 'relation';
+
+  const value = result.value ?? {};
+  const own = value[result.type];
+
+  if (Array.isArray(own) && own.length) return own.join(', ');
+  if (value.text) return [].concat(value.text).join(' ');
+  if (value.rating !== undefined) return String(value.rating);
+  if (value.number !== undefined) return String(value.number);
+  return result.type;
+};
+
+const groupByRegion = (items) => {
+  const regions = new Map();
+
+  items.forEach(item => {
+    if (!regions.has(item.regionKey)) regions.set(item.regionKey, []);
+    regions.get(item.regionKey).push(item);
+  });
+
+  // main component goes first, per-region classifications are shown under it
+  return [...regions.entries()]
+    .filter(([, components]) => components.some(item => item.change))
+    .map(([key, components]) => ({
+      key,
+      main: components.find(item => item.main) ?? components[0],
+      components: [...components].sort((a, b) => b.main - a.main),
+    }));
+};
+
+const MergeItem = observer(({ entity, item }) => {
+  const accepted = entity.merge.accepted.includes(item.key);
+
+  return (
+    <Elem name="item" mod={{ main: item.main, conflict: item.conflict }}>
+      <Elem name="component">{item.component}</Elem>
+      {item.change ? (
+        <>
+          <Elem name="change" mod={{ type: item.change }}>
+            {CHANGES[item.change]}{item.conflict && ', conflict'}
+          </Elem>
+          <Elem name="values">
+            <Elem name="value" mod={{ selected: !accepted }}>Local: {summary(item.ours)}</Elem>
+            <Elem name="value" mod={{ selected: accepted }}>Incoming: {summary(item.theirs)}</Elem>
+          </Elem>
+          <Checkbox checked={accepted} onChange={e => entity.setMergeAccepted(item.key, e.target.checked)}>
+            Accept
+          </Checkbox>
+        </>
+      ) : (
+        <Elem name="values">
+          <Elem name="value">{summary(item.ours ?? item.base)}</Elem>
+        </Elem>
+      )}
+    </Elem>
+  );
+});
+
+/**
+ * Region level review of changes between the local version and the incoming one.
+ * Every change can be accepted or rejected, conflicting changes are rejected by default.
+ */
+export const MergeView = observer(({ entity }) => {
+  const merge = entity?.merge;
+  const regions = useMemo(() => groupByRegion(merge?.items ?? []), [merge?.items]);
+
+  if (!merge) return null;
+
+  return (
+    <Modal
+      title="Merge incoming changes"
+      visible
+      width={640}
+      onCancel={() => entity.cancelMerge()}
+      footer={[
+        <Button key="cancel" onClick={() => entity.cancelMerge()}>Keep local version</Button>,
+        <Button key="apply" type="primary" onClick={() => entity.applyMerge()}>Apply</Button>,
+      ]}
+    >
+      <Block name="merge-view">
+        <Elem name="hint">
+          This annotation was changed by someone else while you were editing it.
+          Choose the incoming changes to apply on top of your version.
+        </Elem>
+        {regions.map(region => (
+          <Elem name="region" key={region.key}>
+            <Elem name="title">
+              {region.main.component === 'relation' ? 'Relation' : `Region ${summary(region.main.ours ?? region.main.theirs)}`}
+            </Elem>
+            {region.components.map(item => (
+              <MergeItem key={item.key} entity={entity} item={item} />
+            ))}
+          </Elem>
+        ))}
+      </Block>
+    </Modal>
+  );
+});
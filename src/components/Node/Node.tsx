@@ -4,8 +4,12 @@ import { observer } from 'mobx-react';
 import {
   ApartmentOutlined,
   AudioOutlined,
+  CodeSandboxOutlined,
+  FieldTimeOutlined,
   LineChartOutlined,
-  MessageOutlined
+  MessageOutlined,
+  NodeIndexOutlined,
+  StockOutlined
 } from '@ant-design/icons';
 
 import './Node.styl';
@@ -14,6 +18,13 @@ import { IconBrushTool, IconBrushToolSmart, IconCircleTool, IconCircleToolSmart,
 import { NodeView } from './NodeView';
 import { Tooltip } from '../../common/Tooltip/Tooltip';
 
+// regions linked across synced videos show the short form of their track id
+const videoRegionContent = (node: any) => (
+  <span style={{ color: '#5a5a5a' }}>
+    from {node.sequence[0]?.frame} frame{node.trackId ? `, track ${node.trackId.slice(0, 5)}` : ''}
+  </span>
+);
+
 const NodeViews = {
   RichTextRegionModel: {
     name: 'HTML',
@@ -67,7 +78,34 @@ const NodeViews = {
     name: 'Video Rect',
     icon: IconRectangleTool,
     altIcon: IconRectangleToolSmart,
-    getContent: node => <span style={{ color: '#5a5a5a' }}>from {node.sequence[0]?.frame} frame</span>,
+    getContent: videoRegionContent,
+  }),
+
+  VideoPolygonRegionModel: NodeView({
+    name: 'Video Polygon',
+    icon: IconPolygonTool,
+    altIcon: IconPolygonToolSmart,
+    getContent: videoRegionContent,
+  }),
+
+  VideoKeyPointRegionModel: NodeView({
+    name: 'Video KeyPoint',
+    icon: IconKeypointsTool,
+    altIcon: IconKeypointsToolSmart,
+    getContent: videoRegionContent,
+  }),
+
+  VideoEllipseRegionModel: NodeView({
+    name: 'Video Ellipse',
+    icon: IconCircleTool,
+    altIcon: IconCircleToolSmart,
+    getContent: videoRegionContent,
+  }),
+
+  VideoTimelineRegionModel: NodeView({
+    name: 'Video Segment',
+    icon: FieldTimeOutlined,
+    getContent: node => <span style={{ color: '#5a5a5a' }}>frames {node.start}-{node.end}</span>,
   }),
 
   PolygonRegionModel: NodeView({
@@ -76,6 +114,11 @@ const NodeViews = {
     altIcon: IconPolygonToolSmart,
   }),
 
+  PolylineRegionModel: NodeView({
+    name: 'Polyline',
+    icon: StockOutlined,
+  }),
+
   EllipseRegionModel: NodeView({
     name: 'Ellipse',
     icon: IconCircleTool,
@@ -89,6 +132,19 @@ const NodeViews = {
     altIcon: IconKeypointsToolSmart,
   }),
 
+  SkeletonRegionModel: NodeView({
+    name: 'Skeleton',
+    icon: NodeIndexOutlined,
+    getContent: node => (
+      <span style={{ color: '#5a5a5a' }}>{node.labeledPoints.length} of {node.joints.length} joints</span>
+    ),
+  }),
+
+  CuboidRegionModel: NodeView({
+    name: 'Cuboid',
+    icon: CodeSandboxOutlined,
+  }),
+
   BrushRegionModel: NodeView({
     name: 'Brush',
     icon: IconBrushTool,
@@ -99,7 +99,10 @@ const _detect = region => {
     case 'rectangleregion':
     case 'ellipseregion':
     case 'polygonregion':
+    case 'polylineregion':
     case 'keypointregion':
+    case 'skeletonregion':
+    case 'cuboidregion':
     case 'brushregion': {
       const bbox = region.bboxCoordsCanvas;
 
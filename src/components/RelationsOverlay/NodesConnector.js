@@ -19,9 +19,14 @@ const obtainWatcher = node => {
     case 'ellipseregion':
       return createPropertyWatcher(['x', 'y', 'radiusX', 'radiusY', 'rotation', 'hidden', parentImagePropsWatch]);
     case 'polygonregion':
+    case 'polylineregion':
       return createPropertyWatcher(['hidden', { points: ['x', 'y'] }, parentImagePropsWatch]);
     case 'keypointregion':
       return createPropertyWatcher(['x', 'y', 'hidden', parentImagePropsWatch]);
+    case 'skeletonregion':
+      return createPropertyWatcher(['keypoints', 'hidden', parentImagePropsWatch]);
+    case 'cuboidregion':
+      return createPropertyWatcher(['front', 'back', 'hidden', parentImagePropsWatch]);
     case 'brushregion':
       return createPropertyWatcher(['needsUpdate', 'hidden', 'touchesLength', parentImagePropsWatch]);
     case 'timeseriesregion':
@@ -0,0 +1,84 @@
+import { SwapOutlined } from '@ant-design/icons';
+import { observer } from 'mobx-react';
+import { FC, useRef, useState } from 'react';
+import { Button, ButtonProps } from '../../../common/Button/Button';
+import { Dropdown } from '../../../common/Dropdown/Dropdown';
+import { DropdownRef } from '../../../common/Dropdown/DropdownComponent';
+import { Block, Elem } from '../../../utils/bem';
+import './RegionConversion.styl';
+
+const TITLES: Record<string, string> = {
+  brushregion: 'Convert to polygons',
+  polygonregion: 'Convert to brush',
+};
+
+const ConversionForm: FC<{ region: any, onDone: () => void }> = ({ region, onDone }) => {
+  const [tolerance, setTolerance] = useState(1);
+  const isBrush = region.type === 'brushregion';
+
+  return (
+    <Block name="region-conversion" onClick={(e: any) => e.stopPropagation()}>
+      <Elem name="title">{TITLES[region.type]}</Elem>
+      {isBrush && (
+        <Elem name="field" tag="label">
+          Tolerance, px
+          <Elem
+            name="input"
+            tag="input"
+            type="number"
+            min={0}
+            step={0.5}
+            value={tolerance}
+            onChange={(e: any) => setTolerance(Math.max(0, Number(e.target.value) || 0))}
+          />
+        </Elem>
+      )}
+      <Elem name="hint">
+        {isBrush
+          ? 'Every separate part becomes a polygon, holes are filled'
+          : 'Polygon is replaced with a brush mask'}
+      </Elem>
+      <Button
+        size="small"
+        look="primary"
+        onClick={() => {
+          region.annotation.convertRegion(region, { tolerance });
+          onDone();
+        }}
+      >
+        Convert
+      </Button>
+    </Block>
+  );
+};
+
+/**
+ * Conversion of brush region to polygons and back, available when the config has a control tag
+ * of the other type with the same labels
+ */
+export const RegionConversion: FC<{ region: any, look?: ButtonProps['look'], style?: ButtonProps['style'] }> = observer(({
+  region,
+  look,
+  style,
+}) => {
+  const dropdown = useRef<DropdownRef>(null);
+
+  if (!region?.annotation || region.isReadOnly() || !region.annotation.conversionTargetOf(region)) return null;
+
+  return (
+    <Dropdown.Trigger
+      ref={dropdown}
+      content={<ConversionForm region={region} onDone={() => dropdown.current?.close()} />}
+    >
+      <Button
+        type="text"
+        look={look}
+        icon={<SwapOutlined />}
+        aria-label={TITLES[region.type]}
+        title={TITLES[region.type]}
+        onClick={(e: any) => e.stopPropagation()}
+        style={{ padding: 0, width: 24, height: 24, ...style }}
+      />
+    </Dropdown.Trigger>
+  );
+});
@@ -0,0 +1,59 @@
+import { observer } from 'mobx-react';
+import { FC } from 'react';
+import { Block, Elem } from '../../../utils/bem';
+import { AgreementMetric, AgreementMetricType } from '../../../utils/agreement';
+import './Agreement.styl';
+
+const METRIC_TITLES: Record<AgreementMetricType, string> = {
+  cohen_kappa: 'Cohen\'s kappa',
+  fleiss_kappa: 'Fleiss\' kappa',
+  f1: 'F1, IoU ≥ 0.5',
+  span_f1: 'Span F1',
+  kendall_tau: 'Kendall tau',
+};
+
+const formatValue = (value: number | null) => (value === null ? '—' : value.toFixed(2));
+
+// kappa and tau can be negative, F1 is always positive
+const levelOf = (value: number | null) => {
+  if (value === null) return 'none';
+  if (value >= 0.8) return 'high';
+  if (value >= 0.5) return 'medium';
+  return 'low';
+};
+
+const AgreementComponent: FC<{ annotationStore: any }> = ({ annotationStore }) => {
+  const metrics: AgreementMetric[] = annotationStore.agreement;
+
+  if (annotationStore.annotations.length < 2) {
+    return (
+      <Block name="agreement">
+        <Elem name="empty">Agreement is calculated when the task has at least two annotations</Elem>
+      </Block>
+    );
+  }
+
+  return (
+    <Block name="agreement">
+      {metrics.length ? metrics.map(metric => (
+        <Elem name="metric" key={metric.control}>
+          <Elem name="header">
+            <Elem name="control">{metric.control}</Elem>
+            <Elem name="type">{METRIC_TITLES[metric.metric]}</Elem>
+            <Elem name="value" mod={{ level: levelOf(metric.value) }}>{formatValue(metric.value)}</Elem>
+          </Elem>
+          {metric.pairs && metric.pairs.length > 1 && metric.pairs.map(pair => (
+            <Elem name="pair" key={`${pair.a}-${pair.b}`}>
+              #{pair.a} ↔ #{pair.b}
+              <Elem tag="span" name="pair-value">{formatValue(pair.value)}</Elem>
+            </Elem>
+          ))}
+        </Elem>
+      )) : (
+        <Elem name="empty">There are no control tags agreement can be calculated for</Elem>
+      )}
+    </Block>
+  );
+};
+
+export const Agreement = observer(AgreementComponent);
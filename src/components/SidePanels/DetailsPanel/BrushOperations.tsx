@@ -0,0 +1,40 @@
+import { BlockOutlined, MergeOutlined, MinusSquareOutlined } from '@ant-design/icons';
+import { observer } from 'mobx-react';
+import { FC } from 'react';
+import { Button } from '../../../common/Button/Button';
+import { Block, Elem } from '../../../utils/bem';
+import './BrushOperations.styl';
+
+const OPERATIONS = [
+  { operation: 'union', title: 'Union', hint: 'Merge all selected masks into the first one', icon: <MergeOutlined /> },
+  { operation: 'subtract', title: 'Subtract', hint: 'Remove other selected masks from the first one', icon: <MinusSquareOutlined /> },
+  { operation: 'intersect', title: 'Intersect', hint: 'Keep only the area covered by all selected masks', icon: <BlockOutlined /> },
+];
+
+/**
+ * Boolean operations on selected brush regions; the first selected region keeps the result and its labels
+ */
+export const BrushOperations: FC<{ regions: any[] }> = observer(({ regions }) => {
+  const annotation = regions[0]?.annotation;
+
+  if (!annotation?.canCombineBrushRegions(regions)) return null;
+
+  return (
+    <Block name="brush-operations">
+      <Elem name="title">Combine {regions.length} masks</Elem>
+      <Elem name="buttons">
+        {OPERATIONS.map(({ operation, title, hint, icon }) => (
+          <Button
+            key={operation}
+            size="small"
+            icon={icon}
+            title={hint}
+            onClick={() => annotation.combineBrushRegions(regions, operation)}
+          >
+            {title}
+          </Button>
+        ))}
+      </Elem>
+    </Block>
+  );
+});
@@ -0,0 +1,52 @@
+import { observer } from 'mobx-react';
+import { FC } from 'react';
+import { Button } from '../../../common/Button/Button';
+import { CUBOID_FACES } from '../../../core/Constants';
+import { Block, Elem } from '../../../utils/bem';
+import './CuboidFaces.styl';
+
+const FACE_TITLES: Record<string, string> = {
+  front: 'Front',
+  back: 'Back',
+  top: 'Top',
+  bottom: 'Bottom',
+  left: 'Left',
+  right: 'Right',
+};
+
+/**
+ * Faces of cuboid region; hovered face is highlighted on the image
+ */
+export const CuboidFaces: FC<{ region: any }> = observer(({ region }) => {
+  const { naturalWidth = 100, naturalHeight = 100 } = region.parent ?? {};
+  const vertices = region.vertices as { index: number, x: number, y: number }[];
+  const faces = Object.keys(CUBOID_FACES).reverse() as (keyof typeof CUBOID_FACES)[];
+
+  return (
+    <Block name="cuboid-faces">
+      {faces.map(face => (
+        <Elem
+          key={face}
+          name="face"
+          mod={{ highlighted: region.highlightedFace === face }}
+          onMouseEnter={() => region.setHighlightedFace(face)}
+          onMouseLeave={() => region.setHighlightedFace(null)}
+        >
+          <Elem name="name">{FACE_TITLES[face]}</Elem>
+          {['front', 'back'].includes(face) && (
+            <Elem name="vertices">
+              {CUBOID_FACES[face].map(index => vertices[index]).filter(Boolean).map(vertex => (
+                <Elem key={vertex.index} name="vertex">
+                  {Math.round(vertex.x / 100 * naturalWidth)}, {Math.round(vertex.y / 100 * naturalHeight)}
+                </Elem>
+              ))}
+            </Elem>
+          )}
+        </Elem>
+      ))}
+      <Button size="small" disabled={region.isReadOnly()} onClick={() => region.swapFaces()}>
+        Swap front and back
+      </Button>
+    </Block>
+  );
+});
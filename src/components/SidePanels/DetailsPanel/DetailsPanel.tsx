@@ -5,6 +5,9 @@ import { FF_DEV_2290, isFF } from '../../../utils/feature-flags';
 import { Comments as CommentsComponent } from '../../Comments/Comments';
 import { AnnotationHistory } from '../../CurrentEntity/AnnotationHistory';
 import { PanelBase, PanelProps } from '../PanelBase';
+import { Agreement as AgreementComponent } from './Agreement';
+import { BrushOperations } from './BrushOperations';
+import { PolygonOperations } from './PolygonTools';
 import './DetailsPanel.styl';
 import { RegionDetailsMain, RegionDetailsMeta } from './RegionDetails';
 import { RegionItem } from './RegionItem';
@@ -162,6 +165,16 @@ const GeneralPanel: FC<any> = inject('store')(observer(({ store, currentEntity }
           />
         </Elem>
       </Elem>
+      {store.annotationStore.annotations.length > 1 && (
+        <Elem name="section">
+          <Elem name="section-head">
+            Agreement
+          </Elem>
+          <Elem name="section-content">
+            <AgreementComponent annotationStore={store.annotationStore} />
+          </Elem>
+        </Elem>
+      )}
       {store.hasInterface('annotations:comments') && store.commentStore.isCommentable && (
         <Elem name="section">
           <Elem name="section-head">
@@ -187,6 +200,8 @@ const RegionsPanel: FC<{regions: any}> = observer(({
 }) => {
   return (
     <div>
+      <BrushOperations regions={regions.list}/>
+      <PolygonOperations regions={regions.list}/>
       {regions.list.map((reg: any) => {
         return (
           <SelectedRegion key={reg.id} region={reg}/>
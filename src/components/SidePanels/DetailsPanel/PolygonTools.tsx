@@ -0,0 +1,89 @@
+import { BlockOutlined, MergeOutlined, ScissorOutlined } from '@ant-design/icons';
+import { observer } from 'mobx-react';
+import { FC, useState } from 'react';
+import { Button } from '../../../common/Button/Button';
+import { Hotkey } from '../../../core/Hotkey';
+import { Block, Elem } from '../../../utils/bem';
+import './PolygonTools.styl';
+
+/**
+ * Operations on the whole shape of selected polygon
+ */
+export const PolygonTools: FC<{ region: any }> = observer(({ region }) => {
+  const [tolerance, setTolerance] = useState(1);
+
+  if (!region.closed || region.isReadOnly()) return null;
+
+  return (
+    <Block name="polygon-tools">
+      <Elem name="info">
+        {region.points.length} points{region.holes.length ? `, ${region.holes.length} holes` : ''}
+      </Elem>
+      <Elem name="row">
+        <Elem name="field" tag="label">
+          Tolerance, px
+          <Elem
+            name="input"
+            tag="input"
+            type="number"
+            min={0}
+            step={0.5}
+            value={tolerance}
+            onChange={(e: any) => setTolerance(Math.max(0, Number(e.target.value) || 0))}
+          />
+        </Elem>
+        <Hotkey.Tooltip name="polygon:simplify" title="Remove points closer to the contour than tolerance">
+          <Button size="small" onClick={() => region.simplify(tolerance)}>Simplify</Button>
+        </Hotkey.Tooltip>
+      </Elem>
+      <Elem name="row">
+        <Hotkey.Tooltip name="polygon:smooth" title="Round the corners">
+          <Button size="small" onClick={() => region.smooth()}>Smooth</Button>
+        </Hotkey.Tooltip>
+        <Hotkey.Tooltip name="polygon:split" title="Draw a line across the polygon to split it">
+          <Button
+            size="small"
+            look={region.splitting ? 'active' : undefined}
+            icon={<ScissorOutlined />}
+            onClick={() => region.setSplitting(!region.splitting)}
+          >
+            Split
+          </Button>
+        </Hotkey.Tooltip>
+      </Elem>
+    </Block>
+  );
+});
+
+/**
+ * Operations on several selected polygons
+ */
+export const PolygonOperations: FC<{ regions: any[] }> = observer(({ regions }) => {
+  const annotation = regions[0]?.annotation;
+  const canMerge = annotation?.canMergePolygons(regions);
+  const canCutHole = annotation?.canCutHole(regions);
+
+  if (!canMerge && !canCutHole) return null;
+
+  return (
+    <Block name="polygon-tools" mod={{ selection: true }}>
+      <Elem name="info">{regions.length} polygons</Elem>
+      <Elem name="row">
+        {canMerge && (
+          <Hotkey.Tooltip name="polygon:merge" title="Merge overlapping polygons into the first one">
+            <Button size="small" icon={<MergeOutlined />} onClick={() => annotation.mergePolygons(regions)}>
+              Merge
+            </Button>
+          </Hotkey.Tooltip>
+        )}
+        {canCutHole && (
+          <Hotkey.Tooltip name="polygon:hole" title="Cut the inner polygon out of the outer one">
+            <Button size="small" icon={<BlockOutlined />} onClick={() => annotation.cutHole(regions)}>
+              Cut hole
+            </Button>
+          </Hotkey.Tooltip>
+        )}
+      </Elem>
+    </Block>
+  );
+});
@@ -2,7 +2,10 @@ import { Typography } from 'antd';
 import { observer } from 'mobx-react';
 import { FC, useEffect, useMemo, useRef } from 'react';
 import { Block, Elem, useBEM } from '../../../utils/bem';
+import { CuboidFaces } from './CuboidFaces';
+import { PolygonTools } from './PolygonTools';
 import { RegionEditor } from './RegionEditor';
+import { SkeletonJoints } from './SkeletonJoints';
 import './RegionDetails.styl';
 
 const { Text } = Typography;
@@ -98,6 +101,9 @@ export const RegionDetailsMain: FC<{region: any}> = observer(({
           </Block>
         ) : null}
       </Elem>
+      {region?.type === 'skeletonregion' && <SkeletonJoints region={region}/>}
+      {region?.type === 'cuboidregion' && <CuboidFaces region={region}/>}
+      {region?.type === 'polygonregion' && <PolygonTools region={region}/>}
       <RegionEditor region={region}/>
     </>
   );
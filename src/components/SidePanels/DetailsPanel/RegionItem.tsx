@@ -7,6 +7,7 @@ import { Button, ButtonProps } from '../../../common/Button/Button';
 import { Block, Elem } from '../../../utils/bem';
 import { NodeIcon } from '../../Node/Node';
 import { LockButton } from '../Components/LockButton';
+import { RegionConversion } from '../Components/RegionConversion';
 import { RegionLabels } from './RegionLabels';
 
 interface RegionItemProps {
@@ -121,6 +122,7 @@ const RegionAction: FC<any> = observer(({
     <Block name="region-actions">
       <Elem name="group" mod={{ align: 'left' }}>
         {!region.isReadOnly() && entityButtons}
+        <RegionConversion region={region} look="alt" style={{ width: 36, height: 32 }} />
       </Elem>
       <Elem name="group" mod={{ align: 'right' }}>
         <LockButton
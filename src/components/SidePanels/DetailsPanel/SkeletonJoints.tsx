@@ -0,0 +1,42 @@
+import { observer } from 'mobx-react';
+import { FC } from 'react';
+import { RadioGroup } from '../../../common/RadioGroup/RadioGroup';
+import { JOINT_VISIBILITY } from '../../../core/Constants';
+import { Block, Elem } from '../../../utils/bem';
+import './SkeletonJoints.styl';
+
+const VISIBILITY_OPTIONS = [
+  { value: JOINT_VISIBILITY.VISIBLE, title: 'Visible' },
+  { value: JOINT_VISIBILITY.OCCLUDED, title: 'Occluded' },
+  { value: JOINT_VISIBILITY.NOT_LABELED, title: 'None' },
+];
+
+/**
+ * Joints of skeleton region with their visibility flags
+ */
+export const SkeletonJoints: FC<{ region: any }> = observer(({ region }) => {
+  const readonly = region.isReadOnly();
+
+  return (
+    <Block name="skeleton-joints">
+      {(region.points as any[]).map(point => (
+        <Elem key={point.name} name="joint">
+          <Elem name="name" mod={{ empty: point.visibility === JOINT_VISIBILITY.NOT_LABELED }}>
+            {point.name}
+          </Elem>
+          <RadioGroup
+            size="small"
+            value={point.visibility}
+            onChange={(e: any) => region.setJointVisibility(point.index, Number(e.target.value))}
+          >
+            {VISIBILITY_OPTIONS.map(option => (
+              <RadioGroup.Button key={option.value} value={option.value} disabled={readonly}>
+                {option.title}
+              </RadioGroup.Button>
+            ))}
+          </RadioGroup>
+        </Elem>
+      ))}
+    </Block>
+  );
+});
@@ -0,0 +1,67 @@
+import { observer } from 'mobx-react';
+import { FC } from 'react';
+import { Block, Elem } from '../../../utils/bem';
+import { DIFF_TITLES, DiffItem } from '../../../utils/annotation-diff';
+import './DiffSummary.styl';
+
+interface DiffSummaryProps {
+  regions: any;
+}
+
+const entityTitle = (entity: any) => {
+  const type = entity.type === 'prediction' ? 'prediction' : 'annotation';
+
+  return `${type} #${entity.pk ?? entity.id}`;
+};
+
+const regionTitle = (item: DiffItem) => {
+  const results = item.left ?? item.right ?? [];
+  const labeling = results.find(result => result.type.endsWith('labels')) ?? results[0];
+
+  return labeling?.value?.[labeling.type]?.join?.(', ') || labeling?.type;
+};
+
+/**
+ * Summary of diff mode: amount of regions of every status and regions missing in the current entity
+ */
+export const DiffSummary: FC<DiffSummaryProps> = observer(({ regions }) => {
+  const annotationStore = regions?.annotation?.list;
+  const entities = annotationStore?.diffEntities;
+
+  const current = regions.annotation;
+
+  if (!entities || ![entities.left, entities.right].includes(current)) return null;
+
+  const items: DiffItem[] = annotationStore.diff;
+  const isLeft = current === entities.left;
+  const other = isLeft ? entities.right : entities.left;
+  // regions of other entity which are not on the canvas
+  const missing = items.filter(item => (isLeft ? !item.leftId : !item.rightId));
+  const counts = Object.keys(DIFF_TITLES)
+    .map(status => [status, items.filter(item => item.status === status).length] as const)
+    .filter(([, count]) => count > 0);
+
+  return (
+    <Block name="diff-summary">
+      <Elem name="header">
+        <Elem name="title">Compared with {entityTitle(other)}</Elem>
+        <Elem tag="button" name="stop" onClick={() => annotationStore.stopDiff()}>Stop</Elem>
+      </Elem>
+      <Elem name="counts">
+        {counts.length ? counts.map(([status, count]) => (
+          <Elem key={status} tag="span" name="count" mod={{ status }}>
+            {DIFF_TITLES[status as DiffItem['status']]}: {count}
+          </Elem>
+        )) : 'No differences'}
+      </Elem>
+      {missing.length > 0 && (
+        <Elem name="missing">
+          <Elem name="subtitle">Only in {entityTitle(other)}</Elem>
+          {missing.map(item => (
+            <Elem key={item.key} name="region" mod={{ status: item.status }}>{regionTitle(item)}</Elem>
+          ))}
+        </Elem>
+      )}
+    </Block>
+  );
+});
@@ -2,6 +2,7 @@ import { observer } from 'mobx-react';
 import { FC, useCallback, useEffect, useMemo, useState } from 'react';
 import { Block, Elem } from '../../../utils/bem';
 import { PanelBase, PanelProps } from '../PanelBase';
+import { DiffSummary } from './DiffSummary';
 import { OutlinerTree } from './OutlinerTree';
 import { ViewControls } from './ViewControls';
 import './OutlinerPanel.styl';
@@ -56,6 +57,7 @@ const OutlinerPanelComponent: FC<OutlinerPanelProps> = ({ regions, ...props }) =
         onGroupingChange={onGroupingChange}
         onFilterChange={onFilterChange}
       />
+      <DiffSummary regions={regions} />
       <OutlinerTreeComponent regions={regions} />
     </PanelBase>
   );
@@ -84,6 +86,7 @@ const OutlinerStandAlone: FC<OutlinerPanelProps> = ({ regions }) => {
         onGroupingChange={onGroupingChange}
         onFilterChange={onFilterChange}
       />
+      <DiffSummary regions={regions} />
       <OutlinerTreeComponent regions={regions} />
     </Block>
   );
@@ -19,11 +19,13 @@ import { IconArrow } from '../../../assets/icons/tree';
 import { Tooltip } from '../../../common/Tooltip/Tooltip';
 import Registry from '../../../core/Registry';
 import { PER_REGION_MODES } from '../../../mixins/PerRegionModes';
+import { DIFF_TITLES, DiffStatus } from '../../../utils/annotation-diff';
 import { Block, cn, Elem } from '../../../utils/bem';
 import { FF_DEV_2755, FF_DEV_3873, FF_OUTLINER_OPTIM, isFF } from '../../../utils/feature-flags';
 import { flatten, isDefined, isMacOS } from '../../../utils/utilities';
 import { NodeIcon } from '../../Node/Node';
 import { LockButton } from '../Components/LockButton';
+import { RegionConversion } from '../Components/RegionConversion';
 import { RegionControlButton } from '../Components/RegionControlButton';
 import './TreeView.styl';
 import ResizeObserver from '../../../utils/resize-observer';
@@ -431,6 +433,8 @@ const RootTitle: FC<any> = observer(({
     setCollapsed(!collapsed);
   }, [collapsed]);
 
+  const diffStatus: DiffStatus | undefined = isArea ? item?.diffItem?.status : undefined;
+
   return (
     <Block name="outliner-item">
       <Elem name="content">
@@ -438,6 +442,11 @@ const RootTitle: FC<any> = observer(({
         <Elem name="title">
           {label}
           {item?.text && <Elem name="text">{item.text.replace(/\\n/g, '\n')}</Elem>}
+          {diffStatus && DIFF_TITLES[diffStatus] && (
+            <Elem tag="span" name="diff" mod={{ status: diffStatus }}>
+              {DIFF_TITLES[diffStatus]}
+            </Elem>
+          )}
           {item?.isDrawing && (
             <Elem tag="span" name="incomplete">
               <Tooltip title={`Incomplete ${item.type?.replace('region', '') ?? 'region'}`}>
@@ -553,6 +562,11 @@ const RegionControls: FC<RegionControlsProps> = observer(({
         </>
       )}
       <Elem name={'wrapper'}>
+        {hovered && type?.includes('region') && (
+          <Elem name="control" mod={{ type: 'convert' }}>
+            <RegionConversion region={entity} />
+          </Elem>
+        )}
         <Elem name="control" mod={{ type: 'lock' }}>
           <LockButton
             item={item}
@@ -48,6 +48,7 @@ export const Controls: FC<TimelineControlsProps> = memo(({
   length = 1000,
   position,
   frameRate = 1024,
+  frameTimestamps,
   playing,
   collapsed,
   duration,
@@ -80,12 +81,12 @@ export const Controls: FC<TimelineControlsProps> = memo(({
   const [startReached, endReached] = [position === 1, position === length];
 
   const durationFormatted = useMemo(() => {
-    return Math.max((length - 1) / frameRate, 0);
-  }, [length, frameRate]);
+    return frameTimestamps?.[length - 1] ?? Math.max((length - 1) / frameRate, 0);
+  }, [length, frameRate, frameTimestamps]);
 
   const currentTime = useMemo(() => {
-    return (position - 1) / frameRate;
-  }, [position, frameRate]);
+    return frameTimestamps?.[position - 1] ?? (position - 1) / frameRate;
+  }, [position, frameRate, frameTimestamps]);
 
   const customControls = useCustomControls(props.customControls);
   const stepHandlerWrapper = (handler: TimelineControlsStepHandler, stepSize?: TimelineStepFunction) => (e: MouseEvent<HTMLButtonElement>) => {
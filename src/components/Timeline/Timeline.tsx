@@ -58,6 +58,7 @@ const TimelineComponent: FC<TimelineProps> = ({
     onAddRegion: props.onAddRegion,
     onDeleteRegion: props.onDeleteRegion,
     onSelectRegion: props.onSelectRegion,
+    onChangeRegion: props.onChangeRegion,
     onAction: props.onAction,
     onFullscreenToggle: props.onFullscreenToggle,
     onSpeedChange: props.onSpeedChange,
@@ -126,6 +127,7 @@ const TimelineComponent: FC<TimelineProps> = ({
         length={length}
         position={currentPosition}
         frameRate={framerate}
+        frameTimestamps={props.frameTimestamps}
         playing={playing}
         volume={props.volume}
         controls={props.controls}
@@ -200,6 +202,7 @@ const TimelineComponent: FC<TimelineProps> = ({
         onAddRegion={(reg) => handlers.onAddRegion?.(reg)}
         onDeleteRegion={(id) => handlers.onDeleteRegion?.(id)}
         onSelectRegion={(e, id, select) => handlers.onSelectRegion?.(e, id, select)}
+        onChangeRegion={(id, range) => handlers.onChangeRegion?.(id, range)}
         onSpeedChange={(speed) => handlers.onSpeedChange?.(speed)}
         onZoom={props.onZoom}
       />
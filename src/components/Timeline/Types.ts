@@ -1,6 +1,7 @@
 import { FC, MouseEvent } from 'react';
 import { ViewTypes } from './Views';
 import * as Controls from './SideControls';
+import { InterpolationMode } from '../../utils/props';
 
 export type TimelineControls = Partial<Record<keyof typeof Controls, boolean>> & {
   ZoomControl: boolean,
@@ -13,6 +14,8 @@ export interface TimelineProps<D extends ViewTypes = 'frames'> {
   position: number;
   mode: D;
   framerate: number;
+  // true presentation times of frames in seconds, when they differ from ones calculated with framerate
+  frameTimestamps?: number[] | null;
   playing: boolean;
   zoom?: number;
   volume?: number;
@@ -41,6 +44,7 @@ export interface TimelineProps<D extends ViewTypes = 'frames'> {
   onDeleteRegion?: (id: string) => void;
   onZoom?: (zoom: number) => void;
   onSelectRegion?: (event: MouseEvent<HTMLDivElement>, id: string, select?: boolean) => void;
+  onChangeRegion?: (id: string, range: TimelineRegionRange) => void;
   onAction?: (event: MouseEvent, action: string, data?: any) => void;
   onVolumeChange?: (volume: number) => void;
   onFullscreenToggle?: (fullscreen: boolean) => void;
@@ -73,6 +77,7 @@ export interface TimelineViewProps {
   onAddRegion?: TimelineProps['onAddRegion'];
   onDeleteRegion?: TimelineProps['onDeleteRegion'];
   onSelectRegion?: TimelineProps['onSelectRegion'];
+  onChangeRegion?: TimelineProps['onChangeRegion'];
   onVolumeChange?: TimelineProps['onVolumeChange'];
   onSpeedChange?: TimelineProps['onSpeedChange'];
 }
@@ -84,11 +89,22 @@ export interface TimelineRegion {
   visible: boolean;
   selected: boolean;
   sequence: TimelineRegionKeyframe[];
+  // default interpolation between keyframes
+  interpolation?: InterpolationMode;
+  // segment from the first keyframe to the last one, resizable by its ends
+  timeline?: boolean;
+}
+
+export interface TimelineRegionRange {
+  start: number;
+  end: number;
 }
 
 export interface TimelineRegionKeyframe {
   frame: number;
   enabled: boolean;
+  // interpolation of the segment started by this keyframe, if it differs from the region's one
+  interpolation?: InterpolationMode;
 }
 
 export interface TimelineContextValue {
@@ -146,6 +162,7 @@ export interface TimelineControlsProps {
   length: number;
   position: number;
   frameRate: number;
+  frameTimestamps?: TimelineProps['frameTimestamps'];
   playing: boolean;
   collapsed: boolean;
   fullscreen: boolean;
@@ -1,24 +1,38 @@
 import { FC, MouseEvent, useCallback, useContext, useMemo } from 'react';
-import { IconInterpolationAdd, IconInterpolationRemove, IconKeypointAdd, IconKeypointDelete } from '../../../../assets/icons/timeline';
+import { IconInterpolationAdd, IconInterpolationMode, IconInterpolationRemove, IconKeypointAdd, IconKeypointDelete } from '../../../../assets/icons/timeline';
+import { Dropdown } from '../../../../common/Dropdown/Dropdown';
+import { Menu } from '../../../../common/Menu/Menu';
+import { INTERPOLATION_MODES, InterpolationMode } from '../../../../utils/props';
 import { TimelineContext } from '../../Context';
 import { ControlButton } from '../../Controls';
 import { TimelineExtraControls } from '../../Types';
 
 type Actions = 'keypoint_add' | 'keypoint_remove' | 'lifespan_add' | 'lifespan_remove'
+  | 'interpolation_segment' | 'interpolation_region' | 'interpolation_bake'
 type DataType = {
-  frame: number,
+  frame?: number,
+  mode?: InterpolationMode | null,
 }
 
+const INTERPOLATION_TITLES: Record<InterpolationMode, string> = {
+  'linear': 'Linear',
+  'hold': 'Hold',
+  'ease-in': 'Ease in',
+  'ease-out': 'Ease out',
+  'ease-in-out': 'Ease in and out',
+  'spline': 'Spline',
+};
+
 export const Controls: FC<TimelineExtraControls<Actions, DataType>> = ({
   onAction,
 }) => {
   const { position, regions } = useContext(TimelineContext);
-  const hasSelectedRegion = regions.some(({ selected }) => selected);
+  // segments have no keypoints to edit, they are resized on the timeline
+  const hasSelectedRegion = regions.some(({ selected, timeline }) => selected && !timeline);
+  const selectedRegion = useMemo(() => regions.find(r => r.selected && !r.timeline), [regions]);
   const closestKeypoint = useMemo(() => {
-    const region = regions.find(r => r.selected);
-
-    return region?.sequence.filter(({ frame }) => frame <= position).slice(-1)[0];
-  }, [regions, position]);
+    return selectedRegion?.sequence.filter(({ frame }) => frame <= position).slice(-1)[0];
+  }, [selectedRegion, position]);
 
   const canAddKeypoint = closestKeypoint?.frame !== position;
   const canAddLifespan = closestKeypoint?.enabled === false;
@@ -47,6 +61,54 @@ export const Controls: FC<TimelineExtraControls<Actions, DataType>> = ({
     }
   }, [onAction, canAddLifespan, closestKeypoint?.frame]);
 
+  const onInterpolationAction = useCallback((e: MouseEvent, action: Actions, data?: DataType) => {
+    onAction?.(e, action, data);
+  }, [onAction]);
+
+  const interpolationMenu = useMemo(() => {
+    const regionMode = selectedRegion?.interpolation ?? 'linear';
+    const segmentMode = closestKeypoint?.interpolation;
+
+    return (
+      <Menu size="auto">
+        {closestKeypoint?.enabled && (
+          <Menu.Group title="Segment">
+            <Menu.Item
+              active={!segmentMode}
+              onClick={(e: MouseEvent) => onInterpolationAction(e, 'interpolation_segment', { frame: closestKeypoint.frame, mode: null })}
+            >
+              As region ({INTERPOLATION_TITLES[regionMode]})
+            </Menu.Item>
+            {INTERPOLATION_MODES.map(mode => (
+              <Menu.Item
+                key={mode}
+                active={segmentMode === mode}
+                onClick={(e: MouseEvent) => onInterpolationAction(e, 'interpolation_segment', { frame: closestKeypoint.frame, mode })}
+              >
+                {INTERPOLATION_TITLES[mode]}
+              </Menu.Item>
+            ))}
+          </Menu.Group>
+        )}
+        <Menu.Group title="Region">
+          {INTERPOLATION_MODES.map(mode => (
+            <Menu.Item
+              key={mode}
+              active={regionMode === mode}
+              onClick={(e: MouseEvent) => onInterpolationAction(e, 'interpolation_region', { mode })}
+            >
+              {INTERPOLATION_TITLES[mode]}
+            </Menu.Item>
+          ))}
+        </Menu.Group>
+        <Menu.Divider />
+        <Menu.Item onClick={(e: MouseEvent) => onInterpolationAction(e, 'interpolation_bake')}>
+          Bake interpolated frames into keyframes
+        </Menu.Item>
+      </Menu>
+    );
+  }, [selectedRegion?.interpolation, closestKeypoint, onInterpolationAction]);
+
   const keypointIcon = useMemo(() => {
     if (canAddKeypoint) {
       return <IconKeypointAdd/>;
@@ -80,6 +142,14 @@ export const Controls: FC<TimelineExtraControls<Actions, DataType>> = ({
       >
         {interpolationIcon}
       </ControlButton>
+
+      <Dropdown.Trigger content={interpolationMenu} disabled={!hasSelectedRegion}>
+        <div>
+          <ControlButton disabled={!hasSelectedRegion} tooltip="Interpolation">
+            <IconInterpolationMode/>
+          </ControlButton>
+        </div>
+      </Dropdown.Trigger>
     </>
   );
 };
@@ -27,6 +27,7 @@ export const Frames: FC<TimelineViewProps> = ({
   onPositionChange,
   onResize,
   onSelectRegion,
+  onChangeRegion,
   ...props
 }) => {
   const scrollMultiplier = 1.25;
@@ -348,6 +349,7 @@ export const Frames: FC<TimelineViewProps> = ({
             scrollTop={currentOffsetY}
             startOffset={timelineStartOffset}
             onSelectRegion={onSelectRegion}
+            onChangeRegion={onChangeRegion}
             disabled={regionSelectionDisabled}
           />
         </Elem>
@@ -364,6 +366,7 @@ interface KeypointsVirtualProps {
   scrollTop: number;
   disabled?: boolean;
   onSelectRegion: TimelineViewProps['onSelectRegion'];
+  onChangeRegion: TimelineViewProps['onChangeRegion'];
 }
 
 const KeypointsVirtual: FC<KeypointsVirtualProps> = ({
@@ -372,6 +375,7 @@ const KeypointsVirtual: FC<KeypointsVirtualProps> = ({
   scrollTop,
   disabled,
   onSelectRegion,
+  onChangeRegion,
 }) => {
   const extra = 5;
   const height = 24;
@@ -395,6 +399,7 @@ const KeypointsVirtual: FC<KeypointsVirtualProps> = ({
             region={region}
             startOffset={startOffset}
             onSelectRegion={disabled ? undefined : onSelectRegion}
+            onChangeRegion={disabled ? undefined : onChangeRegion}
             renderable={bounds[0] <= i && i <= bounds[1]}
           />
         ) : null;
@@ -3,7 +3,7 @@ import { CSSProperties, FC, memo, MouseEvent, useCallback, useContext, useMemo }
 import { Block, Elem } from '../../../../utils/bem';
 import { clamp } from '../../../../utils/utilities';
 import { TimelineContext } from '../../Context';
-import { TimelineRegion } from '../../Types';
+import { TimelineRegion, TimelineRegionRange } from '../../Types';
 import './Keypoints.styl';
 import { Lifespan, visualizeLifespans } from './Utils';
 
@@ -13,6 +13,7 @@ export interface KeypointsProps {
   startOffset: number;
   renderable: boolean;
   onSelectRegion?: (e: MouseEvent<HTMLDivElement>, id: string, select?: boolean) => void;
+  onChangeRegion?: (id: string, range: TimelineRegionRange) => void;
 }
 
 export const Keypoints: FC<KeypointsProps> = ({
@@ -21,9 +22,10 @@ export const Keypoints: FC<KeypointsProps> = ({
   startOffset,
   renderable,
   onSelectRegion,
+  onChangeRegion,
 }) => {
   const { step, seekOffset, visibleWidth, length } = useContext(TimelineContext);
-  const { label, color, visible, sequence, selected } = region;
+  const { label, color, visible, sequence, selected, timeline } = region;
 
   const extraSteps = useMemo(() => {
     return Math.round(visibleWidth / 2);
@@ -49,7 +51,7 @@ export const Keypoints: FC<KeypointsProps> = ({
   }), [startOffset, color, visible]);
 
   const lifespans = useMemo(() => {
-    if (!renderable) return [];
+    if (!renderable || timeline) return [];
 
     return visualizeLifespans(sequence, step).map((span) => {
       span.points = span.points.filter(({ frame }) => {
@@ -58,13 +60,17 @@ export const Keypoints: FC<KeypointsProps> = ({
 
       return span;
     });
-  }, [sequence, start, step, renderable, minVisibleKeypointPosition, maxVisibleKeypointPosition]);
+  }, [sequence, start, step, renderable, timeline, minVisibleKeypointPosition, maxVisibleKeypointPosition]);
 
   const onSelectRegionHandler = useCallback((e: MouseEvent<HTMLDivElement>, select?: boolean) => {
     e.stopPropagation();
     onSelectRegion?.(e, region.id, select);
   }, [region.id, onSelectRegion]);
 
+  const onChangeRegionHandler = useCallback((range: TimelineRegionRange) => {
+    onChangeRegion?.(region.id, range);
+  }, [region.id, onChangeRegion]);
+
   return (
     <Block
       name="keypoints"
@@ -80,12 +86,23 @@ export const Keypoints: FC<KeypointsProps> = ({
         </Elem>
       </Elem>
       <Elem name="keypoints" onClick={(e: any) => onSelectRegionHandler(e, true)}>
-        <LifespansList
-          lifespans={lifespans}
-          step={step}
-          visible={visible}
-          offset={offset}
-        />
+        {timeline ? (renderable && (
+          <SegmentItem
+            start={firtsPoint.frame}
+            end={sequence[sequence.length - 1].frame}
+            step={step}
+            length={length}
+            visible={visible}
+            onChange={onChangeRegion ? onChangeRegionHandler : undefined}
+          />
+        )) : (
+          <LifespansList
+            lifespans={lifespans}
+            step={step}
+            visible={visible}
+            offset={offset}
+          />
+        )}
       </Elem>
     </Block>
   );
@@ -175,3 +192,65 @@ const LifespanItem: FC<LifespanItemProps> = memo(({
     </Elem>
   );
 });
+
+interface SegmentItemProps {
+  start: number;
+  end: number;
+  step: number;
+  length: number;
+  visible: boolean;
+  onChange?: (range: TimelineRegionRange) => void;
+}
+
+/**
+ * Segment covers frames from the start to the end inclusive; its ends can be dragged to resize it
+ */
+const SegmentItem: FC<SegmentItemProps> = ({
+  start,
+  end,
+  step,
+  length,
+  visible,
+  onChange,
+}) => {
+  const style = useMemo(() => {
+    return { left: (start - 1) * step, width: (end - start + 1) * step };
+  }, [start, end, step]);
+
+  const onResizeStart = useCallback((e: MouseEvent<HTMLDivElement>, edge: 'start' | 'end') => {
+    // don't scrub the timeline
+    e.stopPropagation();
+    e.preventDefault();
+
+    const startX = e.pageX;
+
+    const onMouseMove = (e: globalThis.MouseEvent) => {
+      const delta = Math.round((e.pageX - startX) / step);
+
+      if (edge === 'start') {
+        onChange?.({ start: clamp(start + delta, 1, end), end });
+      } else {
+        onChange?.({ start, end: clamp(end + delta, start, length) });
+      }
+    };
+
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    };
+
+    document.addEventListener('mousemove', onMouseMove);
+    document.addEventListener('mouseup', onMouseUp);
+  }, [start, end, step, length, onChange]);
+
+  return (
+    <Elem name="segment" mod={{ hidden: !visible }} style={style}>
+      {onChange && (
+        <>
+          <Elem name="handle" mod={{ start: true }} onMouseDown={(e: MouseEvent<HTMLDivElement>) => onResizeStart(e, 'start')} />
+          <Elem name="handle" mod={{ end: true }} onMouseDown={(e: MouseEvent<HTMLDivElement>) => onResizeStart(e, 'end')} />
+        </>
+      )}
+    </Elem>
+  );
+};
@@ -4,6 +4,7 @@ import { Tooltip } from '../../common/Tooltip/Tooltip';
 import { Elem } from '../../utils/bem';
 import { GroundTruth } from '../CurrentEntity/GroundTruth';
 import { EditingHistory } from './HistoryActions';
+import { ExportButton } from './ExportButton';
 import { confirm } from '../../common/Modal/Modal';
 import { useCallback } from 'react';
 
@@ -94,6 +95,8 @@ export const Actions = ({ store }) => {
         </Tooltip>
       )}
 
+      {!isViewAll && store.hasInterface('annotations:export') && <ExportButton store={store} entity={entity} />}
+
       <Button
         icon={<LsSettings/>}
         type="text"
@@ -0,0 +1,68 @@
+import { DownloadOutlined } from '@ant-design/icons';
+import { useMemo, useRef, useState } from 'react';
+import { Button } from '../../common/Button/Button';
+import { Dropdown } from '../../common/Dropdown/DropdownComponent';
+import { Menu } from '../../common/Menu/Menu';
+import { Block } from '../../utils/bem';
+import { createExportContext } from '../../utils/exporters';
+import './ExportButton.styl';
+
+const ExportMenu = ({ store, entity, onExport }) => {
+  // results are serialized only once the menu is opened
+  const exporters = useMemo(() => {
+    const context = createExportContext(entity);
+
+    return store.exporters.filter(exporter => exporter.supports(context));
+  }, [store, entity]);
+
+  if (!exporters.length) {
+    return <Block name="export-menu" mod={{ empty: true }}>Nothing to export in supported formats</Block>;
+  }
+
+  return (
+    <Menu size="auto">
+      {exporters.map(exporter => (
+        <Menu.Item key={exporter.id} onClick={() => onExport(exporter.id)}>
+          {exporter.title}
+        </Menu.Item>
+      ))}
+    </Menu>
+  );
+};
+
+/**
+ * Download the current annotation in one of the formats of registered exporters
+ */
+export const ExportButton = ({ store, entity }) => {
+  const dropdown = useRef();
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Dropdown.Trigger
+      ref={dropdown}
+      content={open ? (
+        <ExportMenu
+          store={store}
+          entity={entity}
+          onExport={id => {
+            store.exportAnnotation(id, entity);
+            dropdown.current?.close();
+          }}
+        />
+      ) : <Block name="export-menu" />}
+      onToggle={setOpen}
+    >
+      <Button
+        icon={<DownloadOutlined />}
+        type="text"
+        aria-label="Download"
+        title="Download annotation"
+        style={{
+          height: 36,
+          width: 36,
+          padding: 0,
+        }}
+      />
+    </Dropdown.Trigger>
+  );
+};
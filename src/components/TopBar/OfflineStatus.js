@@ -0,0 +1,60 @@
+import { observer } from 'mobx-react';
+import { Button } from '../../common/Button/Button';
+import { Dropdown } from '../../common/Dropdown/DropdownComponent';
+import { Tooltip } from '../../common/Tooltip/Tooltip';
+import { Block, Elem } from '../../utils/bem';
+import './OfflineStatus.styl';
+
+const EVENT_TITLES = {
+  submitAnnotation: 'Submit',
+  updateAnnotation: 'Update',
+  submitDraft: 'Draft',
+};
+
+const ConflictList = observer(({ store }) => {
+  return (
+    <Block name="offline-conflicts">
+      {store.offlineConflicts.map(item => (
+        <Elem name="item" key={item.id}>
+          <Elem name="title">
+            {EVENT_TITLES[item.event] ?? item.event} of task #{item.taskId}
+            <Elem name="error">{item.error}</Elem>
+          </Elem>
+          <Button size="small" onClick={() => store.retryOfflineItem(item.id)}>Retry</Button>
+          <Button size="small" look="danger" onClick={() => store.discardOfflineItem(item.id)}>Discard</Button>
+        </Elem>
+      ))}
+    </Block>
+  );
+});
+
+/**
+ * Connectivity, amount of not delivered changes and conflicts of offline queue
+ */
+export const OfflineStatus = observer(({ store }) => {
+  if (!store.offlineEnabled) return null;
+
+  const pending = store.offlinePending.length;
+  const conflicts = store.offlineConflicts.length;
+  const status = store.isSyncing ? 'syncing' : store.isOnline ? 'online' : 'offline';
+
+  if (status === 'online' && !pending && !conflicts) return null;
+
+  return (
+    <Elem name="section">
+      <Block name="offline-status" mod={{ status }}>
+        <Tooltip title={pending ? `${pending} change(s) are stored locally and will be sent when connection is back` : 'All changes are sent'}>
+          <Elem name="state">
+            {status === 'syncing' ? 'Syncing…' : status === 'offline' ? 'Offline' : 'Online'}
+            {pending > 0 && <Elem name="counter">{pending} pending</Elem>}
+          </Elem>
+        </Tooltip>
+        {conflicts > 0 && (
+          <Dropdown.Trigger content={<ConflictList store={store} />}>
+            <Elem tag="button" name="conflicts">{conflicts} conflict(s)</Elem>
+          </Dropdown.Trigger>
+        )}
+      </Block>
+    </Elem>
+  );
+});
@@ -11,6 +11,7 @@ import { Actions } from './Actions';
 import { Annotations } from './Annotations';
 import { Controls } from './Controls';
 import { CurrentTask } from './CurrentTask';
+import { OfflineStatus } from './OfflineStatus';
 
 import './TopBar.styl';
 
@@ -26,6 +27,7 @@ export const TopBar = observer(({ store }) => {
       {isFF(FF_DEV_3873) ? (
         <Elem name="group">
           <CurrentTask store={store}/>
+          <OfflineStatus store={store}/>
           {store.hasInterface('annotations:view-all') && (
             <Tooltip title="View all annotations">
               <Button
@@ -79,6 +81,7 @@ export const TopBar = observer(({ store }) => {
         <>
           <Elem name="group">
             <CurrentTask store={store}/>
+            <OfflineStatus store={store}/>
             {!isViewAll && (
               <Annotations
                 store={store}
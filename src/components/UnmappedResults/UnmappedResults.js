@@ -0,0 +1,128 @@
+import { useMemo, useState } from 'react';
+import { observer } from 'mobx-react';
+import { Button, Modal, Select } from 'antd';
+import { Block, Elem } from '../../utils/bem';
+import { unmappedResultKey } from '../../utils/config-migration';
+import './UnmappedResults.styl';
+
+const KEEP = '';
+const DISCARD = '__discard__';
+
+const REASONS = {
+  tag: (group) => `Tag "${group.missing}" is not in the config anymore`,
+  label: (group) => `Label "${group.missing}" is not in "${group.control}" anymore`,
+  relation: () => 'Relations to the regions above',
+};
+
+/**
+ * Results with the same missing tag or label are resolved together
+ */
+const groupUnmappedResults = (items) => {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const control = item.reason === 'label' ? item.result.from_name : null;
+    const key = item.reason === 'relation' ? 'relation' : [item.reason, control, item.missing].join(':');
+
+    if (!groups.has(key)) groups.set(key, { key, reason: item.reason, missing: item.missing, control, items: [] });
+    groups.get(key).items.push(item);
+  });
+
+  return [...groups.values()];
+};
+
+const targetsFor = (entity, group) => {
+  if (group.reason === 'label') {
+    const control = entity.names.get(group.control);
+    const items = control?.labelSetItems ?? control?.children ?? [];
+
+    return items.map(item => item.value).filter(Boolean);
+  }
+
+  if (group.reason === 'tag') {
+    const result = group.items[0].result;
+    const isObject = result.to_name === group.missing;
+
+    return Array.from(entity.names.entries())
+      .filter(([, tag]) => (isObject ? entity.objects.includes(tag) : tag.type === result.type))
+      .map(([name]) => name);
+  }
+
+  return [];
+};
+
+/**
+ * Review of results which can't be matched with the current config after it was changed.
+ * User can map them to existing tags and labels, discard them or keep them for later.
+ */
+export const UnmappedResults = observer(({ entity }) => {
+  const [targets, setTargets] = useState({});
+  const items = entity?.unmappedResults ?? [];
+  const groups = useMemo(() => groupUnmappedResults(items), [items]);
+
+  if (!entity || !items.length) return null;
+
+  const close = () => {
+    setTargets({});
+    entity.setUnmappedResultsReviewed(true);
+  };
+
+  const apply = () => {
+    const resolution = { tags: {}, labels: {}, discard: [] };
+
+    groups.forEach(group => {
+      const target = targets[group.key] ?? KEEP;
+
+      if (target === DISCARD) {
+        resolution.discard.push(...group.items.map(unmappedResultKey));
+      } else if (target && group.reason === 'tag') {
+        resolution.tags[group.missing] = target;
+      } else if (target && group.reason === 'label') {
+        resolution.labels[group.control] = { ...resolution.labels[group.control], [group.missing]: target };
+      }
+    });
+
+    setTargets({});
+    entity.resolveUnmappedResults(resolution);
+  };
+
+  return (
+    <Modal
+      title="Review results after config change"
+      visible={!entity.unmappedResultsReviewed}
+      onCancel={close}
+      footer={[
+        <Button key="later" onClick={close}>Keep for later</Button>,
+        <Button key="apply" type="primary" onClick={apply}>Apply</Button>,
+      ]}
+    >
+      <Block name="unmapped-results">
+        <Elem name="hint">
+          These results reference tags or labels removed from the config.
+          Map them to the current ones or discard them; results kept for later are saved as is.
+        </Elem>
+        {groups.map(group => (
+          <Elem name="group" key={group.key}>
+            <Elem name="reason">
+              {REASONS[group.reason](group)}
+              <Elem name="count">{group.items.length} result(s)</Elem>
+            </Elem>
+            <Elem
+              tag={Select}
+              name="target"
+              size="small"
+              value={targets[group.key] ?? KEEP}
+              onChange={value => setTargets({ ...targets, [group.key]: value })}
+            >
+              <Select.Option value={KEEP}>Keep for later</Select.Option>
+              <Select.Option value={DISCARD}>Discard</Select.Option>
+              {targetsFor(entity, group).map(target => (
+                <Select.Option key={target} value={target}>Map to "{target}"</Select.Option>
+              ))}
+            </Elem>
+          </Elem>
+        ))}
+      </Block>
+    </Modal>
+  );
+});
@@ -0,0 +1,251 @@
+import { demuxVideo, frameAtTime, frameTimestamps, VideoTrack } from '../../utils/video-demuxers';
+
+// decoded frames kept around the current one; every frame is a full size bitmap, so it's limited
+const CACHE_SIZE = 32;
+
+// the whole file is kept in memory in addition to the one loaded by <video>, bigger files are played natively
+const MAX_FILE_SIZE = 256 * 1024 * 1024;
+
+export const supportsWebCodecs = () => {
+  return typeof window !== 'undefined' && 'VideoDecoder' in window && 'EncodedVideoChunk' in window;
+};
+
+const microseconds = (seconds: number) => Math.round(seconds * 1e6);
+
+/**
+ * Reads the response body until it's bigger than the limit, then the download is aborted
+ * @returns null for too big files
+ */
+const readLimited = async (response: Response, limit: number, controller: AbortController) => {
+  if (Number(response.headers.get('Content-Length')) > limit) {
+    controller.abort();
+    return null;
+  }
+  if (!response.body) return response.arrayBuffer();
+
+  const reader = response.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+
+  for (let chunk = await reader.read(); !chunk.done; chunk = await reader.read()) {
+    size += chunk.value.length;
+    if (size > limit) {
+      controller.abort();
+      return null;
+    }
+    chunks.push(chunk.value);
+  }
+
+  const bytes = new Uint8Array(size);
+
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  return bytes.buffer;
+};
+
+/**
+ * @class FrameDecoder
+ * @description Decodes exact frames of the video with WebCodecs.
+ * To get a frame it's decoded with all frames from the previous keyframe, so neighbours are cached for stepping.
+ */
+export class FrameDecoder {
+  readonly timestamps: number[];
+
+  private decoder: VideoDecoder | null = null;
+  private cache: Map<number, VideoFrame> = new Map();
+  // frame numbers by timestamps of chunks in microseconds
+  private frames: Map<number, number> = new Map();
+  // decode order index of every frame
+  private samples: number[] = [];
+  // the last returned frame is drawn, so it's never closed
+  private pinned: number | null = null;
+  // window of frames to keep from the current decoding
+  private window: [number, number] = [0, 0];
+  private queue: Promise<unknown> = Promise.resolve();
+  private error: Error | null = null;
+
+  /**
+   * @param credentials the same as the <video> element uses, so protected files are available
+   * @returns null if the file can't be decoded with WebCodecs or it's too big
+   */
+  static async load(url: string, { credentials = 'same-origin' }: { credentials?: RequestCredentials } = {}) {
+    const controller = new AbortController();
+    const response = await fetch(url, { credentials, signal: controller.signal });
+
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const buffer = await readLimited(response, MAX_FILE_SIZE, controller);
+
+    return buffer ? FrameDecoder.create(buffer) : null;
+  }
+
+  static async create(buffer: ArrayBuffer) {
+    if (!supportsWebCodecs()) return null;
+
+    const track = demuxVideo(buffer);
+
+    if (!track || !track.samples.length) return null;
+
+    const { supported } = await VideoDecoder.isConfigSupported(FrameDecoder.configOf(track));
+
+    return supported ? new FrameDecoder(buffer, track) : null;
+  }
+
+  private static configOf(track: VideoTrack): VideoDecoderConfig {
+    return {
+      codec: track.codec,
+      description: track.description,
+      codedWidth: track.width || undefined,
+      codedHeight: track.height || undefined,
+      optimizeForLatency: true,
+    };
+  }
+
+  constructor(private buffer: ArrayBuffer, private track: VideoTrack) {
+    this.timestamps = frameTimestamps(track);
+    this.timestamps.forEach((timestamp, index) => this.frames.set(microseconds(timestamp), index + 1));
+    track.samples.forEach((sample, index) => {
+      this.samples[this.frames.get(microseconds(sample.timestamp))! - 1] = index;
+    });
+  }
+
+  get length() {
+    return this.timestamps.length;
+  }
+
+  /**
+   * Number of the frame shown at the given time, starting from 1
+   */
+  frameAt(time: number) {
+    return frameAtTime(this.timestamps, time);
+  }
+
+  /**
+   * Time to seek <video> to in order to show the frame: the middle of the frame, so rounding can't switch frames
+   */
+  seekTime(frame: number) {
+    const index = Math.min(Math.max(frame, 1), this.length) - 1;
+    const start = this.timestamps[index];
+    const end = this.timestamps[index + 1] ?? start + (this.track.samples[this.samples[index]]?.duration ?? 0);
+
+    return (start + end) / 2;
+  }
+
+  /**
+   * Decodes the frame, requests are processed one by one
+   * @param frame number of the frame starting from 1
+   */
+  getFrame(frame: number): Promise<VideoFrame | null> {
+    const result = this.queue.then(() => this.decodeFrame(frame));
+
+    this.queue = result.catch(() => null);
+
+    return result;
+  }
+
+  destroy() {
+    this.cache.forEach(frame => frame.close());
+    this.cache.clear();
+    if (this.decoder && this.decoder.state !== 'closed') this.decoder.close();
+    this.decoder = null;
+    this.pinned = null;
+  }
+
+  private async decodeFrame(frame: number) {
+    if (frame < 1 || frame > this.length) return null;
+
+    if (!this.cache.has(frame)) {
+      const target = this.samples[frame - 1];
+      const { samples } = this.track;
+      let start = target;
+
+      while (start > 0 && !samples[start].keyframe) start--;
+
+      // the whole group of pictures after the target is decoded too, but only the window around it is cached
+      let end = target + 1;
+
+      while (end < samples.length && !samples[end].keyframe && end - target < CACHE_SIZE / 2) end++;
+
+      this.window = [frame - CACHE_SIZE / 2, frame + CACHE_SIZE / 2];
+      await this.decode(start, end);
+    }
+
+    const result = this.cache.get(frame) ?? null;
+
+    this.pinned = result ? frame : this.pinned;
+    this.evict(frame);
+
+    return result;
+  }
+
+  private async decode(start: number, end: number) {
+    const decoder = this.getDecoder();
+
+    for (let index = start; index < end; index++) {
+      const sample = this.track.samples[index];
+
+      decoder.decode(new EncodedVideoChunk({
+        type: sample.keyframe ? 'key' : 'delta',
+        timestamp: microseconds(sample.timestamp),
+        duration: microseconds(sample.duration),
+        data: new Uint8Array(this.buffer, sample.offset, sample.size),
+      }));
+    }
+
+    await decoder.flush();
+
+    if (this.error) {
+      const error = this.error;
+
+      this.error = null;
+      throw error;
+    }
+  }
+
+  private getDecoder() {
+    if (this.decoder && this.decoder.state === 'configured') return this.decoder;
+
+    this.decoder = new VideoDecoder({
+      output: decoded => this.receive(decoded),
+      error: error => {
+        // decoder is closed after an error, the next request creates a new one
+        this.error = error;
+        this.decoder = null;
+      },
+    });
+    this.decoder.configure(FrameDecoder.configOf(this.track));
+
+    return this.decoder;
+  }
+
+  private receive(decoded: VideoFrame) {
+    const frame = this.frames.get(decoded.timestamp);
+    const [from, to] = this.window;
+
+    if (!frame || frame < from || frame > to || this.cache.has(frame)) {
+      decoded.close();
+      return;
+    }
+
+    this.cache.set(frame, decoded);
+  }
+
+  /**
+   * Closes frames farthest from the current one to keep the cache size limited
+   */
+  private evict(current: number) {
+    if (this.cache.size <= CACHE_SIZE) return;
+
+    const candidates = [...this.cache.keys()]
+      .filter(frame => frame !== this.pinned)
+      .sort((a, b) => Math.abs(b - current) - Math.abs(a - current));
+
+    candidates.slice(0, this.cache.size - CACHE_SIZE).forEach(frame => {
+      this.cache.get(frame)!.close();
+      this.cache.delete(frame);
+    });
+  }
+}
@@ -2,6 +2,7 @@ import { forwardRef, memo, MutableRefObject, useCallback, useEffect, useMemo, us
 import { Block, Elem } from '../../utils/bem';
 import { FF_LSDV_4711, isFF } from '../../utils/feature-flags';
 import { clamp, isDefined } from '../../utils/utilities';
+import { FrameDecoder, supportsWebCodecs } from './FrameDecoder';
 import './VideoCanvas.styl';
 import { MAX_ZOOM, MIN_ZOOM } from './VideoConstants';
 import { VirtualCanvas } from './VirtualCanvas';
@@ -20,6 +21,8 @@ type VideoProps = {
   pan?: PanOptions,
   allowInteractions?: boolean,
   speed: number,
+  // webcodecs decodes exact frames when the browser supports it, native is the <video> element only
+  decoder?: 'native' | 'webcodecs',
 
   allowPanOffscreen?: boolean,
 
@@ -69,6 +72,8 @@ export interface VideoRef {
   pan: PanOptions;
   volume: number;
   currentTime: number;
+  // presentation times of frames from WebCodecs decoder, frame number is index + 1
+  frameTimestamps: number[] | null;
   videoDimensions: {
     width: number,
     height: number,
@@ -95,6 +100,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
   const videoRef = useRef<HTMLVideoElement>();
   const supportedFileTypeRef = useRef<boolean|null>(null);
   const hasLoadedRef = useRef<boolean>(false);
+  const decoderRef = useRef<FrameDecoder | null>(null);
 
   const canvasWidth = useMemo(() => props.width ?? 600, [props.width]);
   const canvasHeight = useMemo(() => props.height ?? 600, [props.height]);
@@ -107,6 +113,8 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
   const [buffering, setBuffering] = useState(false);
   const [zoom, setZoom] = useState(props.zoom ?? 1);
   const [pan, setPan] = useState<PanOptions>(props.pan ?? { x: 0, y: 0 });
+  // exact frame from WebCodecs shown while paused instead of approximately seeked video
+  const [decodedFrame, setDecodedFrame] = useState<VideoFrame | null>(null);
 
   const [videoDimensions, setVideoDimensions] = useState<VideoDimentions>({ width: 0, height: 0, ratio: 1 });
 
@@ -154,8 +162,10 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
 
         context.clearRect(0, 0, canvasWidth, canvasHeight);
 
+        const source = !playing && decodedFrame ? decodedFrame as unknown as CanvasImageSource : videoRef.current;
+
         context.filter = filters;
-        context.drawImage(videoRef.current,
+        context.drawImage(source,
           0, 0, width, height,
           offsetLeft, offsetTop, resultWidth, resultHeight,
         );
@@ -163,13 +173,13 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
     } catch (e) {
       console.log('Error rendering video', e);
     }
-  }, [videoDimensions, zoom, pan, filters, canvasWidth, canvasHeight]);
+  }, [videoDimensions, zoom, pan, filters, canvasWidth, canvasHeight, playing, decodedFrame]);
 
   const updateFrame = useCallback((force = false) => {
     if (!contextRef.current) return;
 
     const currentTime = videoRef.current?.currentTime ?? 0;
-    const frameNumber = Math.round(currentTime * framerate);
+    const frameNumber = decoderRef.current?.frameAt(currentTime) ?? Math.round(currentTime * framerate);
     const frame = clamp(frameNumber, 1, length || 1);
     const onChange = props.onFrameChange ?? (() => {});
 
@@ -278,7 +288,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
   // Handle extrnal state change [position]
   useEffect(() => {
     if (videoRef.current && props.position) {
-      videoRef.current.currentTime = props.position / framerate;
+      videoRef.current.currentTime = decoderRef.current?.seekTime(props.position) ?? props.position / framerate;
     }
   }, [framerate, props.position]);
 
@@ -360,6 +370,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
     videoDimensions,
     width: canvasWidth,
     height: canvasHeight,
+    frameTimestamps: decoderRef.current?.timestamps ?? null,
     set currentTime(time: number) {
       const video = videoRef.current;
 
@@ -416,7 +427,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
     goToFrame(frame: number) {
       const frameClamped = clamp(frame, 1, length);
 
-      this.currentTime = frameClamped / framerate;
+      this.currentTime = decoderRef.current?.seekTime(frameClamped) ?? frameClamped / framerate;
       requestAnimationFrame(() => drawVideo());
     },
   };
@@ -442,10 +453,41 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
     }
   }, [zoom, canvasWidth, canvasHeight, videoDimensions]);
 
+  // Decoded frames follow the current frame while paused
+  useEffect(() => {
+    const decoder = decoderRef.current;
+    let cancelled = false;
+
+    if (!decoder || playing) {
+      setDecodedFrame(null);
+      return;
+    }
+
+    decoder.getFrame(currentFrame).then(frame => {
+      if (!cancelled) setDecodedFrame(frame);
+    }).catch(error => {
+      console.warn('Error decoding video frame', error);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [currentFrame, playing, length]);
+
   useEffect(() => {
     let isLoaded = false;
+    let isDisposed = false;
     let loadTimeout: NodeJS.Timeout | undefined = undefined;
     let timeout: NodeJS.Timeout | undefined = undefined;
+    // the same as for <video>: with `crossOrigin` cookies are sent only to the same origin, without it always
+    const credentials = isFF(FF_LSDV_4711) ? 'same-origin' : 'include';
+    // <video> is still used for playback and sound, decoder only gives exact frames
+    const decoding = props.decoder === 'webcodecs' && supportsWebCodecs()
+      ? FrameDecoder.load(props.src, { credentials }).catch(error => {
+        console.warn('Video can\'t be decoded with WebCodecs, native playback is used', error);
+        return null;
+      })
+      : Promise.resolve(null);
 
     const checkVideoLoaded = () => {
       if (isLoaded) return;
@@ -459,8 +501,17 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
         isLoaded = true;
         const video = videoRef.current;
 
-        loadTimeout = setTimeout(() => {
-          const length = Math.ceil(video.duration * framerate);
+        loadTimeout = setTimeout(async () => {
+          const decoder = await decoding;
+
+          if (isDisposed) {
+            decoder?.destroy();
+            return;
+          }
+
+          decoderRef.current = decoder;
+
+          const length = decoder?.length ?? Math.ceil(video.duration * framerate);
           const [width, height] = [video.videoWidth, video.videoHeight];
 
           const dimensions = {
@@ -477,6 +528,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
           props.onLoad?.({
             ...refSource,
             videoDimensions: dimensions,
+            frameTimestamps: decoder?.timestamps ?? null,
             length,
           });
         }, 200);
@@ -489,6 +541,7 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
     checkVideoLoaded();
 
     return () => {
+      isDisposed = true;
       if (timeout) {
         clearTimeout(timeout);
       }
@@ -509,6 +562,8 @@ export const VideoCanvas = memo(forwardRef<VideoRef, VideoProps>((props, ref) =>
         context.clearRect(0, 0, context.canvas.width, context.canvas.height);
       }
 
+      decoderRef.current?.destroy();
+      decoderRef.current = null;
       contextRef.current = undefined;
       canvasRef.current = undefined;
       videoRef.current = undefined;
@@ -0,0 +1,15 @@
+import fetchMock from 'jest-fetch-mock';
+import { FrameDecoder } from '../FrameDecoder';
+
+describe('FrameDecoder', () => {
+  it('should not read too big files', async () => {
+    fetchMock.mockResponseOnce('', {
+      headers: {
+        'content-length': String(1024 * 1024 * 1024),
+      },
+    });
+
+    expect(await FrameDecoder.load('https://example.com/video.mp4', { credentials: 'include' })).toBeNull();
+    expect(fetchMock.mock.calls[0][1]).toMatchObject({ credentials: 'include' });
+  });
+});
@@ -0,0 +1,40 @@
+// WebCodecs API used by FrameDecoder; it's not a part of DOM types of TypeScript 4.9 yet
+
+interface VideoDecoderConfig {
+  codec: string;
+  description?: BufferSource;
+  codedWidth?: number;
+  codedHeight?: number;
+  optimizeForLatency?: boolean;
+}
+
+interface VideoFrame {
+  readonly timestamp: number;
+  readonly duration: number | null;
+  readonly displayWidth: number;
+  readonly displayHeight: number;
+  close(): void;
+}
+
+interface EncodedVideoChunkInit {
+  type: 'key' | 'delta';
+  timestamp: number;
+  duration?: number;
+  data: BufferSource;
+}
+
+declare class EncodedVideoChunk {
+  constructor(init: EncodedVideoChunkInit);
+}
+
+declare class VideoDecoder {
+  static isConfigSupported(config: VideoDecoderConfig): Promise<{ supported: boolean, config: VideoDecoderConfig }>;
+
+  constructor(init: { output: (frame: VideoFrame) => void, error: (error: DOMException) => void });
+
+  readonly state: 'unconfigured' | 'configured' | 'closed';
+  configure(config: VideoDecoderConfig): void;
+  decode(chunk: EncodedVideoChunk): void;
+  flush(): Promise<void>;
+  close(): void;
+}
@@ -5,6 +5,24 @@ export const defaultStyle = {
   strokewidth: 1,
 };
 
+// visibility flags of skeleton joints, the same as in COCO keypoints
+export const JOINT_VISIBILITY = {
+  NOT_LABELED: 0,
+  OCCLUDED: 1,
+  VISIBLE: 2,
+};
+
+// faces of cuboid as indexes of its vertices: 0-3 are front face, 4-7 are back face, both clockwise from top left;
+// listed in the order of drawing, so the front face is on top
+export const CUBOID_FACES = {
+  back: [4, 5, 6, 7],
+  top: [0, 1, 5, 4],
+  bottom: [3, 2, 6, 7],
+  left: [0, 3, 7, 4],
+  right: [1, 2, 6, 5],
+  front: [0, 1, 2, 3],
+};
+
 export default {
   FILL_COLOR: '',
   STROKE_COLOR: '',
@@ -81,6 +81,12 @@ function onNextTask(nextTaskId) {}
 
 function onPrevTask(prevTaskId) {}
 
+/**
+ * Called when agreement between annotations of the current task changes
+ * @param {import('../utils/agreement').AgreementMetric[]} metrics per control tag
+ */
+function onAgreementUpdate(metrics, store) {}
+
 export default {
   onUpdateProject,
   onDeleteAnnotation,
@@ -100,4 +106,5 @@ export default {
   onStorageInitialized,
   onNextTask,
   onPrevTask,
+  onAgreementUpdate,
 };
@@ -105,6 +105,14 @@ const TimeTraveller = types
         self.lastAdditionTime = new Date();
       },
 
+      /**
+       * Rewrite every recorded state, e.g. when something referenced from the whole history was renamed
+       * @param {(snapshot: object) => object} fn
+       */
+      transformHistory(fn) {
+        self.history = self.history.map(fn);
+      },
+
       reinit(force = true) {
         self.history = [getSnapshot(targetStore)];
         self.undoIdx = 0;
@@ -16,6 +16,7 @@ export default {
     'annotations:add-new',
     'annotations:delete',
     'annotations:view-all',
+    'annotations:export',
     'predictions:tabs',
     'predictions:menu',
     'auto-annotation',
@@ -78,6 +78,22 @@ function configureApplication(params) {
     onStorageInitialized: params.onStorageInitialized || External.onStorageInitialized,
     onNextTask: params.onNextTask || External.onNextTask,
     onPrevTask: params.onPrevTask || External.onPrevTask,
+    onAgreementUpdate: params.onAgreementUpdate,
+
+    // provider of label options for the labels editor
+    labelSource: params.labelSource ?? null,
+
+    // mapping of tags and labels from the config results were made with, see `updateProject` event
+    configMigration: params.configMigration ?? null,
+
+    // store drafts and submissions locally when the host is unreachable: `true` or `{ storage }`
+    offline: params.offline ?? false,
+
+    // additional exporters for the Download menu, see `src/utils/exporters`
+    exporters: params.exporters ?? [],
+
+    // task data fields with pre-annotations in COCO, YOLO or Pascal VOC formats, see `src/utils/importers`
+    importFields: params.importFields ?? [],
 
     // other settings aka flags
     forceAutoAnnotation: params.forceAutoAnnotation ?? false,
@@ -5,6 +5,7 @@ import Result from '../regions/Result';
 import { PER_REGION_MODES } from './PerRegion';
 import { ReadOnlyRegionMixin } from './ReadOnlyMixin';
 import { FF_LSDV_4930, FF_TAXONOMY_LABELING, isFF } from '../utils/feature-flags';
+import { DIFF_COLORS } from '../utils/annotation-diff';
 
 let ouid = 1;
 
@@ -110,11 +111,33 @@ export const AreaMixinBase = types
       return self.object;
     },
 
+    /**
+     * Status of the region in diff mode
+     * @type {import('../utils/annotation-diff').DiffItem | null}
+     */
+    get diffItem() {
+      if (!isAlive(self)) return null;
+      return self.annotation?.list?.diffItemFor?.(self) ?? null;
+    },
+
     get style() {
       if (!isAlive(self)) {
         return void 0;
       }
 
+      const diffColor = DIFF_COLORS[self.diffItem?.status];
+
+      if (diffColor) {
+        return { ...defaultStyle, ...self.labelStyle, strokecolor: diffColor, fillcolor: diffColor };
+      }
+      return self.labelStyle;
+    },
+
+    get labelStyle() {
+      if (!isAlive(self)) {
+        return void 0;
+      }
+
       const styled = self.results.find(r => r.style);
 
       if (styled && styled.style) {
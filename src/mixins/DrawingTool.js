@@ -1,4 +1,4 @@
-import { types } from 'mobx-state-tree';
+import { addDisposer, isAlive, types } from 'mobx-state-tree';
 
 import Utils from '../utils';
 import throttle from 'lodash.throttle';
@@ -224,6 +224,9 @@ const TwoPointsDrawingTool = DrawingTool.named('TwoPointsDrawingTool')
       finishDrawing: self.finishDrawing,
     };
 
+    // corners are snapped according to `snap` attribute of the control
+    const snapped = (x, y) => self.control?.getSnappedPoint?.({ x, y }) ?? { x, y };
+
     return {
       updateDraw: throttle(function(x, y) {
         if (currentMode === DEFAULT_MODE) return;
@@ -234,6 +237,7 @@ const TwoPointsDrawingTool = DrawingTool.named('TwoPointsDrawingTool')
         const shape = self.getCurrentArea();
 
         if (!shape) return;
+        ({ x, y } = snapped(x, y));
         const isEllipse = shape.type.includes('ellipse');
         const maxStageWidth = isFF(FF_DEV_3793) ? RELATIVE_STAGE_WIDTH : self.obj.stageWidth;
         const maxStageHeight = isFF(FF_DEV_3793) ? RELATIVE_STAGE_HEIGHT : self.obj.stageHeight;
@@ -280,7 +284,9 @@ const TwoPointsDrawingTool = DrawingTool.named('TwoPointsDrawingTool')
           if (!self.comparePointsWithThreshold(startPoint, { x, y })) {
             currentMode = modeAfterMouseMove;
             if ([DRAG_MODE, TWO_CLICKS_MODE].includes(currentMode)) {
-              self.startDrawing(startPoint.x, startPoint.y);
+              const start = snapped(startPoint.x, startPoint.y);
+
+              self.startDrawing(start.x, start.y);
               if (!self.isDrawing) {
                 currentMode = DEFAULT_MODE;
                 return;
@@ -328,6 +334,7 @@ const TwoPointsDrawingTool = DrawingTool.named('TwoPointsDrawingTool')
         }
 
         if (currentMode === DEFAULT_MODE) {
+          ({ x, y } = snapped(x, y));
           self.startDrawing(x, y);
           if (!self.isDrawing) return;
           x += dX;
@@ -602,4 +609,95 @@ const ThreePointsDrawingTool = DrawingTool.named('ThreePointsDrawingTool')
     };
   });
 
-export { DrawingTool, TwoPointsDrawingTool, MultipleClicksDrawingTool, ThreePointsDrawingTool };
+/**
+ * Tool drawing a region in several actions which is undone at once: history is frozen with `historyKey`
+ * from the start of drawing until the region is finished, or removed unfinished (deleted or undone).
+ * Tool implements `resetDrawingState()` to clear its own state
+ * and `isRegionComplete(area)` to tell if the finished region should be kept.
+ * @param {string} historyKey
+ */
+const SingleStepDrawingTool = (historyKey) => DrawingTool.named('SingleStepDrawingTool')
+  .views(self => ({
+    current() {
+      const area = self.currentArea;
+
+      return area && isAlive(area) && area.isDrawing ? area : null;
+    },
+  }))
+  .actions(self => {
+    const unfreezeHistory = () => {
+      const { history } = self.annotation;
+
+      // snapshot of the last changes is taken after the current action, it should be recorded as a part of the region
+      setTimeout(() => isAlive(history) && history.unfreeze(historyKey));
+    };
+
+    return {
+      resetDrawingState() {},
+
+      isRegionComplete() {
+        return true;
+      },
+
+      startDrawingRegion(opts) {
+        self.annotation.history.freeze(historyKey);
+        self.mode = 'drawing';
+        self.createRegion(opts, true);
+        self.currentArea.setDrawing(true);
+        self.annotation.setIsDrawing(true);
+
+        const area = self.currentArea;
+
+        addDisposer(area, () => {
+          if (isAlive(self) && self.currentArea === area) self.cancelDrawing();
+        });
+        return area;
+      },
+
+      /**
+       * Stops drawing without finishing the region, it's already removed
+       */
+      cancelDrawing() {
+        self.currentArea = null;
+        self.mode = 'viewing';
+        self.resetDrawingState();
+        unfreezeHistory();
+      },
+
+      finishDrawing() {
+        const area = self.current();
+        const { control } = self;
+
+        self.currentArea = null;
+        self.mode = 'viewing';
+        self.annotation.setIsDrawing(false);
+
+        if (area) {
+          area.setDrawing(false);
+          // checked before the state of the tool is reset
+          if (self.isRegionComplete(area)) {
+            area.notifyDrawingFinished();
+            self.annotation.afterCreateResult(area, control);
+          } else {
+            area.deleteRegion();
+          }
+        }
+
+        self.resetDrawingState();
+        unfreezeHistory();
+      },
+
+      handleToolSwitch() {
+        if (self.current()) self.finishDrawing();
+      },
+
+      beforeDestroy() {
+        // tools are recreated with the annotation, unfinished region should not keep history frozen
+        const history = self.annotation?.history;
+
+        if (self.currentArea && history && isAlive(history)) history.unfreeze(historyKey);
+      },
+    };
+  });
+
+export { DrawingTool, TwoPointsDrawingTool, MultipleClicksDrawingTool, ThreePointsDrawingTool, SingleStepDrawingTool };
@@ -0,0 +1,101 @@
+import { destroy, getRoot, getSnapshot, types } from 'mobx-state-tree';
+import { guidGenerator } from '../core/Helpers';
+import { FF_DEV_3391, isFF } from '../utils/feature-flags';
+import { childIndexFor, labelSetAttrs } from '../utils/label-set';
+
+/**
+ * Runtime editing of direct Label/Choice children of control tags.
+ * Every operation returns the operation to revert it, so they can be undone.
+ * Results are not touched here, that's a job of AnnotationStore.
+ */
+const LabelSetMixin = types
+  .model('LabelSetMixin')
+  .views(self => ({
+    get labelSetItems() {
+      return self.children?.filter(child => child.type === self.defaultChildType) ?? [];
+    },
+
+    get labelSetColorAttr() {
+      return self.defaultChildType === 'choice' ? 'color' : 'background';
+    },
+
+    findLabelSetItem(value) {
+      return self.labelSetItems.find(child => child.value === value);
+    },
+  }))
+  .actions(self => {
+    const updateItem = (item) => {
+      item.updateValue?.(getRoot(self));
+    };
+
+    const insertItem = (snapshot, index) => {
+      self.children = self.children ?? [];
+
+      const position = childIndexFor(self.children, self.labelSetItems, index);
+
+      self.children.splice(position, 0, snapshot);
+      updateItem(self.children[position]);
+    };
+
+    return {
+      /**
+       * @param {import('../utils/label-set').LabelSetOperation} op
+       * @returns {import('../utils/label-set').LabelSetOperation | null} reverting operation
+       */
+      applyLabelSetOperation(op) {
+        if (op.action === 'add') {
+          if (self.findLabelSetItem(op.value)) throw new Error(`Label "${op.value}" already exists in ${self.name}`);
+
+          insertItem({
+            ...op.attrs,
+            ...(isFF(FF_DEV_3391) ? { id: guidGenerator() } : {}),
+            type: self.defaultChildType,
+            value: op.value,
+            ...(op.color ? { [self.labelSetColorAttr]: op.color } : {}),
+          }, op.index);
+
+          return { action: 'remove', value: op.value };
+        }
+
+        const item = self.findLabelSetItem(op.value);
+
+        if (!item) throw new Error(`Label "${op.value}" not found in ${self.name}`);
+
+        switch (op.action) {
+          case 'rename': {
+            if (self.findLabelSetItem(op.newValue)) throw new Error(`Label "${op.newValue}" already exists in ${self.name}`);
+
+            item.value = op.newValue;
+            updateItem(item);
+            return { action: 'rename', value: op.newValue, newValue: op.value };
+          }
+          case 'recolor': {
+            const attr = self.labelSetColorAttr;
+            const color = item[attr];
+
+            item[attr] = op.color ?? undefined;
+            return { action: 'recolor', value: op.value, color };
+          }
+          case 'move': {
+            const index = self.labelSetItems.indexOf(item);
+            const snapshot = getSnapshot(item);
+
+            destroy(item);
+            insertItem(snapshot, op.index);
+            return { action: 'move', value: op.value, index };
+          }
+          case 'remove': {
+            const index = self.labelSetItems.indexOf(item);
+            const attrs = labelSetAttrs(getSnapshot(item));
+
+            destroy(item);
+            return { action: 'add', value: op.value, index, attrs };
+          }
+        }
+
+        return null;
+      },
+    };
+  });
+
+export default LabelSetMixin;
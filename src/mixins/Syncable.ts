@@ -21,6 +21,7 @@ export interface SyncTarget {
 }
 
 export interface SyncDataFull {
+  // time of the sync group; videos with `syncOffset` convert it into their own time
   time: number;
   playing: boolean;
   speed: number;
@@ -6,14 +6,21 @@ import NormalizationMixin from '../mixins/Normalization';
 import RegionsMixin from '../mixins/Regions';
 import { RectRegionModel } from './RectRegion';
 import { KeyPointRegionModel } from './KeyPointRegion';
+import { SkeletonRegionModel } from './SkeletonRegion';
+import { CuboidRegionModel } from './CuboidRegion';
 import { AudioRegionModel } from './AudioRegion';
 import { PolygonRegionModel } from './PolygonRegion';
+import { PolylineRegionModel } from './PolylineRegion';
 import { EllipseRegionModel } from './EllipseRegion';
 import { RichTextRegionModel } from './RichTextRegion';
 import { BrushRegionModel } from './BrushRegion';
 import { TimeSeriesRegionModel } from './TimeSeriesRegion';
 import { ParagraphsRegionModel } from './ParagraphsRegion';
 import { VideoRectangleRegionModel } from './VideoRectangleRegion';
+import { VideoPolygonRegionModel } from './VideoPolygonRegion';
+import { VideoKeyPointRegionModel } from './VideoKeyPointRegion';
+import { VideoEllipseRegionModel } from './VideoEllipseRegion';
+import { VideoTimelineRegionModel } from './VideoTimelineRegion';
 
 // general Area type for classification Results which doesn't belong to any real Area
 const ClassificationArea = types.compose(
@@ -67,10 +74,17 @@ const Area = types.union(
   RectRegionModel,
   RichTextRegionModel,
   KeyPointRegionModel,
+  SkeletonRegionModel,
+  CuboidRegionModel,
   EllipseRegionModel,
   PolygonRegionModel,
+  PolylineRegionModel,
   BrushRegionModel,
   VideoRectangleRegionModel,
+  VideoPolygonRegionModel,
+  VideoKeyPointRegionModel,
+  VideoEllipseRegionModel,
+  VideoTimelineRegionModel,
   ClassificationArea,
 );
 
@@ -19,6 +19,7 @@ import { KonvaRegionMixin } from '../mixins/KonvaRegion';
 import { ImageModel } from '../tags/object/Image';
 import { colorToRGBAArray, rgbArrayToHex } from '../utils/colors';
 import { FF_DEV_3793, FF_DEV_4081, FF_ZOOM_OPTIM, isFF } from '../utils/feature-flags';
+import { maskFromRLE } from '../utils/mask-vector';
 import { AliveRegion } from './AliveRegion';
 import { RegionWrapper } from './RegionWrapper';
 
@@ -364,6 +365,34 @@ const Model = types
 
       convertPointsToMask() { },
 
+      /**
+       * Binary mask of the region in image pixels
+       * @return {{ mask: Uint8Array, width: number, height: number } | null} null for empty region
+       */
+      getMask() {
+        // drawn strokes have to be rendered into RLE, loaded masks can be used as is
+        const options = self.touches.length || self.maskDataURL ? undefined : { fast: true };
+        const result = self.serialize(options);
+        const { original_width: width, original_height: height } = result ?? {};
+
+        if (!result?.value.rle?.length || !width || !height) return null;
+
+        return { mask: maskFromRLE(result.value.rle, width, height), width, height };
+      },
+
+      /**
+       * Replaces the whole content of the region (strokes and masks) with RLE
+       * @param {number[]} rle
+       */
+      setMask(rle) {
+        self.currentTouch = null;
+        self.touches = [];
+        self.maskDataURL = undefined;
+        maskImage = undefined;
+        self.rle = rle;
+        self.notifyDrawingFinished();
+      },
+
       setScale(x, y) {
         self.scaleX = x;
         self.scaleY = y;
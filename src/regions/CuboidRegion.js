@@ -0,0 +1,430 @@
+import React, { useContext, useMemo } from 'react';
+import { Circle, Group, Line } from 'react-konva';
+import { getRoot, getSnapshot, types } from 'mobx-state-tree';
+import chroma from 'chroma-js';
+
+import Registry from '../core/Registry';
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+
+import { ImageViewContext } from '../components/ImageView/ImageViewContext';
+import { LabelOnPolygon } from '../components/ImageView/LabelOnRegion';
+import { guidGenerator } from '../core/Helpers';
+import { useRegionStyles } from '../hooks/useRegionColor';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { KonvaRegionMixin } from '../mixins/KonvaRegion';
+import { ImageModel } from '../tags/object/Image';
+import { clamp } from '../utils/utilities';
+import { AliveRegion } from './AliveRegion';
+import { EditableRegion } from './EditableRegion';
+import Constants, { CUBOID_FACES } from '../core/Constants';
+
+const Model = types
+  .model({
+    id: types.optional(types.identifier, guidGenerator),
+    pid: types.optional(types.string, guidGenerator),
+    type: 'cuboidregion',
+    object: types.late(() => types.reference(ImageModel)),
+
+    // `[x, y]` of four vertices of every face, clockwise from top left; coordinates are in percents of the image size
+    front: types.array(types.array(types.number)),
+    back: types.array(types.array(types.number)),
+  })
+  .volatile(() => ({
+    hideable: true,
+    _supportsTransform: false,
+    useTransformer: false,
+    supportsRotate: false,
+    supportsScale: false,
+    editableFields: [],
+    // face under the cursor or hovered in the region details
+    highlightedFace: null,
+  }))
+  .views(self => ({
+    get store() {
+      return getRoot(self);
+    },
+
+    /**
+     * All eight vertices, front face first
+     * @type {{ index: number, x: number, y: number }[]}
+     */
+    get vertices() {
+      return [...self.front, ...self.back].map(([x, y], index) => ({ index, x, y }));
+    },
+
+    percToCanvasX(x) {
+      return x / 100 * (self.parent?.stageWidth ?? 0);
+    },
+
+    percToCanvasY(y) {
+      return y / 100 * (self.parent?.stageHeight ?? 0);
+    },
+
+    /**
+     * Flat list of canvas coordinates of the face for Konva
+     * @param {string} face one of CUBOID_FACES
+     * @return {number[]}
+     */
+    faceCanvasPoints(face) {
+      const vertices = self.vertices;
+
+      return CUBOID_FACES[face].flatMap(index => {
+        const vertex = vertices[index];
+
+        return vertex ? [self.percToCanvasX(vertex.x), self.percToCanvasY(vertex.y)] : [];
+      });
+    },
+
+    get bboxCoords() {
+      const vertices = self.vertices;
+
+      if (!vertices.length || !self.parent) return { left: 0, top: 0, right: 0, bottom: 0 };
+
+      const xs = vertices.map(vertex => self.parent.canvasToInternalX(self.percToCanvasX(vertex.x)));
+      const ys = vertices.map(vertex => self.parent.canvasToInternalY(self.percToCanvasY(vertex.y)));
+
+      return {
+        left: Math.min(...xs),
+        top: Math.min(...ys),
+        right: Math.max(...xs),
+        bottom: Math.max(...ys),
+      };
+    },
+  }))
+  .actions(self => ({
+    /**
+     * @param {number[][]} front `[x, y]` of four vertices in percents
+     * @param {number[][]} back `[x, y]` of four vertices in percents
+     */
+    setFaces(front, back) {
+      const fit = points => points.map(([x, y]) => [clamp(x, 0, 100), clamp(y, 0, 100)]);
+      // faces can be given as nodes of this region, so both are copied before replacing
+      const faces = [fit(front), fit(back)];
+
+      [self.front, self.back] = faces;
+    },
+
+    /**
+     * @param {number} index vertex index, 0-3 for front face and 4-7 for back face
+     * @param {number} x in percents
+     * @param {number} y in percents
+     */
+    setVertex(index, x, y) {
+      const vertices = self.vertices.map(vertex => [vertex.x, vertex.y]);
+
+      vertices[index] = [x, y];
+      self.setFaces(vertices.slice(0, 4), vertices.slice(4));
+    },
+
+    /**
+     * Moves the vertex by its position on the canvas
+     */
+    setVertexPosition(index, canvasX, canvasY) {
+      self.setVertex(index, canvasX / self.parent.stageWidth * 100, canvasY / self.parent.stageHeight * 100);
+    },
+
+    /**
+     * Moves given vertices together; the shift is limited to keep all of them inside of the image
+     * @param {number[]} indexes vertex indexes
+     * @param {number} dx in percents
+     * @param {number} dy in percents
+     */
+    moveVertices(indexes, dx, dy) {
+      const vertices = self.vertices.map(vertex => [vertex.x, vertex.y]);
+      const xs = indexes.map(index => vertices[index][0]);
+      const ys = indexes.map(index => vertices[index][1]);
+
+      dx = clamp(dx, -Math.min(...xs), 100 - Math.max(...xs));
+      dy = clamp(dy, -Math.min(...ys), 100 - Math.max(...ys));
+      indexes.forEach(index => {
+        vertices[index] = [vertices[index][0] + dx, vertices[index][1] + dy];
+      });
+      self.setFaces(vertices.slice(0, 4), vertices.slice(4));
+    },
+
+    /**
+     * Moves the whole cuboid or only one of its faces by the shift on the canvas
+     * @param {number} canvasDX
+     * @param {number} canvasDY
+     * @param {string} [face] one of CUBOID_FACES
+     */
+    moveByCanvas(canvasDX, canvasDY, face) {
+      const indexes = face ? CUBOID_FACES[face] : self.vertices.map(vertex => vertex.index);
+
+      self.moveVertices(indexes, canvasDX / self.parent.stageWidth * 100, canvasDY / self.parent.stageHeight * 100);
+    },
+
+    /**
+     * Front and back faces are swapped when the cuboid was drawn from its back side
+     */
+    swapFaces() {
+      self.setFaces(getSnapshot(self.back), getSnapshot(self.front));
+    },
+
+    setHighlightedFace(face) {
+      self.highlightedFace = face;
+    },
+
+    updateImageSize() {},
+
+    /**
+     * @example
+     * {
+     *   "original_width": 1920,
+     *   "original_height": 1280,
+     *   "image_rotation": 0,
+     *   "value": {
+     *     "front": [[10, 40], [30, 40], [30, 70], [10, 70]],
+     *     "back": [[18, 32], [38, 32], [38, 62], [18, 62]],
+     *     "cuboidlabels": ["Car"]
+     *   }
+     * }
+     * @typedef {Object} CuboidRegionResult
+     * @property {number} original_width width of the original image (px)
+     * @property {number} original_height height of the original image (px)
+     * @property {number} image_rotation rotation degree of the image (deg)
+     * @property {Object} value
+     * @property {number[][]} value.front `[x, y]` of four vertices of the front face, clockwise from top left:
+     * coordinates by percentage of the image size (0-100)
+     * @property {number[][]} value.back `[x, y]` of four vertices of the back face in the same order,
+     * vertices with the same index are connected
+     */
+
+    /**
+     * @return {CuboidRegionResult}
+     */
+    serialize() {
+      const value = {
+        front: getSnapshot(self.front),
+        back: getSnapshot(self.back),
+      };
+
+      return self.parent.createSerializedResult(self, value);
+    },
+  }));
+
+const CuboidRegionModel = types.compose(
+  'CuboidRegionModel',
+  RegionsMixin,
+  AreaMixin,
+  NormalizationMixin,
+  KonvaRegionMixin,
+  EditableRegion,
+  Model,
+);
+
+const HtxCuboidView = ({ item, setShapeRef }) => {
+  const { store } = item;
+  const { suggestion } = useContext(ImageViewContext) ?? {};
+
+  const regionStyles = useRegionStyles(item, {
+    includeFill: true,
+    defaultFillColor: '#f48a42',
+    defaultStrokeColor: '#f48a42',
+  });
+
+  // faces are dragged separately from the whole cuboid, so only drag events of the group itself are handled here
+  const dragProps = useMemo(() => {
+    let isDragging = false;
+
+    return {
+      onDragStart: e => {
+        if (e.target !== e.currentTarget) return;
+        if (item.parent.getSkipInteractions()) {
+          e.currentTarget.stopDrag(e.evt);
+          return;
+        }
+        isDragging = true;
+        item.annotation.setDragMode(true);
+        item.annotation.history.freeze(item.id);
+      },
+      dragBoundFunc: pos => item.parent.fixForZoomWrapper(pos, ({ x, y }) => {
+        const bbox = item.bboxCoordsCanvas;
+
+        return {
+          x: clamp(x, -bbox.left, item.parent.stageWidth - bbox.right),
+          y: clamp(y, -bbox.top, item.parent.stageHeight - bbox.bottom),
+        };
+      }),
+      onDragEnd: e => {
+        if (!isDragging || e.target !== e.currentTarget) return;
+
+        const t = e.target;
+
+        item.annotation.setDragMode(false);
+        item.moveByCanvas(t.getAttr('x'), t.getAttr('y'));
+        t.setAttr('x', 0);
+        t.setAttr('y', 0);
+        item.annotation.history.unfreeze(item.id);
+        item.notifyDrawingFinished();
+        isDragging = false;
+      },
+    };
+  }, [item]);
+
+  if (!item.parent) return null;
+  if (!item.inViewPort) return null;
+
+  const stage = item.parent.stageRef;
+  const editable = !item.isReadOnly() && !item.isDrawing;
+  const color = regionStyles.strokeColor;
+  const strokeWidth = regionStyles.strokeWidth;
+  const highlightFill = chroma(color).alpha(0.4).css();
+  const vertices = item.vertices;
+
+  return (
+    <Group
+      ref={el => setShapeRef(el)}
+      name={item.id}
+      listening={!suggestion}
+      onMouseOver={() => {
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(true);
+          stage.container().style.cursor = Constants.RELATION_MODE_CURSOR;
+        } else {
+          stage.container().style.cursor = Constants.POINTER_CURSOR;
+        }
+      }}
+      onMouseOut={() => {
+        stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(false);
+        }
+      }}
+      onClick={e => {
+        if (item.parent.getSkipInteractions()) return;
+        if (item.isDrawing) return;
+
+        e.cancelBubble = true;
+
+        if (store.annotationStore.selected.relationMode) {
+          stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+        }
+
+        item.setHighlight(false);
+        item.onClickRegion(e);
+      }}
+      {...dragProps}
+      draggable={editable && (!item.inSelection || item.parent?.selectedRegions?.length === 1)}
+    >
+      {Object.keys(CUBOID_FACES).map(face => {
+        const highlighted = item.highlightedFace === face;
+        // back face can be moved alone to change the depth of the cuboid
+        const draggable = editable && face === 'back' && item.selected;
+
+        return (
+          <Line
+            key={face}
+            name={`face-${face}`}
+            points={item.faceCanvasPoints(face)}
+            closed
+            // side faces only catch the cursor, their edges are drawn by front and back faces and connectors
+            fill={highlighted ? highlightFill : (face === 'front' ? regionStyles.fillColor : 'transparent')}
+            stroke={['front', 'back'].includes(face) ? color : undefined}
+            strokeWidth={strokeWidth}
+            strokeScaleEnabled={false}
+            // hidden edges of the back face are dashed
+            dash={face === 'back' ? [6, 4] : undefined}
+            perfectDrawEnabled={false}
+            onMouseEnter={() => item.setHighlightedFace(face)}
+            onMouseLeave={() => item.setHighlightedFace(null)}
+            draggable={draggable}
+            dragBoundFunc={draggable ? pos => item.parent.fixForZoomWrapper(pos, ({ x, y }) => {
+              const xs = CUBOID_FACES.back.map(index => item.percToCanvasX(vertices[index].x));
+              const ys = CUBOID_FACES.back.map(index => item.percToCanvasY(vertices[index].y));
+
+              return {
+                x: clamp(x, -Math.min(...xs), item.parent.stageWidth - Math.max(...xs)),
+                y: clamp(y, -Math.min(...ys), item.parent.stageHeight - Math.max(...ys)),
+              };
+            }) : undefined}
+            onDragStart={e => {
+              if (item.parent.getSkipInteractions()) {
+                e.currentTarget.stopDrag(e.evt);
+                return;
+              }
+              item.annotation.history.freeze(item.id);
+            }}
+            onDragEnd={e => {
+              const t = e.target;
+
+              item.moveByCanvas(t.getAttr('x'), t.getAttr('y'), face);
+              t.setAttr('x', 0);
+              t.setAttr('y', 0);
+              item.annotation.history.unfreeze(item.id);
+              item.notifyDrawingFinished();
+            }}
+          />
+        );
+      })}
+      {CUBOID_FACES.front.map((from, i) => {
+        const a = vertices[from];
+        const b = vertices[CUBOID_FACES.back[i]];
+
+        if (!a || !b) return null;
+
+        return (
+          <Line
+            key={`edge-${from}`}
+            points={[item.percToCanvasX(a.x), item.percToCanvasY(a.y), item.percToCanvasX(b.x), item.percToCanvasY(b.y)]}
+            stroke={color}
+            strokeWidth={strokeWidth}
+            strokeScaleEnabled={false}
+            listening={false}
+            perfectDrawEnabled={false}
+          />
+        );
+      })}
+      {editable && item.selected && vertices.map(vertex => (
+        <Circle
+          key={vertex.index}
+          x={item.percToCanvasX(vertex.x)}
+          y={item.percToCanvasY(vertex.y)}
+          radius={4 / item.parent.zoomScale}
+          fill={vertex.index < 4 ? color : '#fff'}
+          stroke={color}
+          strokeWidth={1}
+          strokeScaleEnabled={false}
+          perfectDrawEnabled={false}
+          draggable
+          dragBoundFunc={pos => item.parent.fixForZoomWrapper(pos, ({ x, y }) => ({
+            x: clamp(x, 0, item.parent.stageWidth),
+            y: clamp(y, 0, item.parent.stageHeight),
+          }))}
+          onDragStart={e => {
+            if (item.parent.getSkipInteractions()) {
+              e.currentTarget.stopDrag(e.evt);
+              return;
+            }
+            item.annotation.history.freeze(item.id);
+          }}
+          onDragMove={e => {
+            item.setVertexPosition(vertex.index, e.target.getAttr('x'), e.target.getAttr('y'));
+          }}
+          onDragEnd={e => {
+            const t = e.target;
+
+            item.setVertexPosition(vertex.index, t.getAttr('x'), t.getAttr('y'));
+            t.setAttr('x', item.percToCanvasX(item.vertices[vertex.index].x));
+            t.setAttr('y', item.percToCanvasY(item.vertices[vertex.index].y));
+            item.annotation.history.unfreeze(item.id);
+            item.notifyDrawingFinished();
+          }}
+          onMouseEnter={() => {
+            stage.container().style.cursor = Constants.POINTER_CURSOR;
+          }}
+        />
+      ))}
+      <LabelOnPolygon item={item} color={color}/>
+    </Group>
+  );
+};
+
+const HtxCuboid = AliveRegion(HtxCuboidView);
+
+Registry.addTag('cuboidregion', CuboidRegionModel, HtxCuboid);
+Registry.addRegionType(CuboidRegionModel, 'image', value => Array.isArray(value.front) && Array.isArray(value.back));
+
+export { CuboidRegionModel, HtxCuboid };
@@ -20,6 +20,7 @@ import { createDragBoundFunc } from '../utils/image';
 import { AliveRegion } from './AliveRegion';
 import { EditableRegion } from './EditableRegion';
 import { RELATIVE_STAGE_HEIGHT, RELATIVE_STAGE_WIDTH } from '../components/ImageView/Image';
+import { ellipseGeometry } from '../utils/snapping';
 
 const EllipseRegionAbsoluteCoordsDEV3793 = types
   .model({
@@ -154,6 +155,12 @@ const Model = types
     get store() {
       return getRoot(self);
     },
+    /**
+     * Ends of axes, center and border to snap other regions to, in canvas pixels
+     */
+    get snapGeometry() {
+      return ellipseGeometry(self.canvasX, self.canvasY, self.canvasRadiusX, self.canvasRadiusY, self.rotation);
+    },
     get bboxCoords() {
       const bboxCoords = {
         left: self.x - self.radiusX,
@@ -50,7 +50,7 @@ const KeyPointRegionAbsoluteCoordsDEV3793 = types
       const point = self.control?.getSnappedPoint({
         x: self.parent.canvasToInternalX(x),
         y: self.parent.canvasToInternalY(y),
-      });
+      }, { exclude: self });
 
       self.x = point.x;
       self.y = point.y;
@@ -102,6 +102,12 @@ const Model = types
     get store() {
       return getRoot(self);
     },
+    /**
+     * Point to snap other regions to, in canvas pixels
+     */
+    get snapGeometry() {
+      return { vertices: [{ x: self.canvasX, y: self.canvasY }], edges: [] };
+    },
     get bboxCoords() {
       return {
         left: self.x - self.width,
@@ -125,7 +131,7 @@ const Model = types
       const point = self.control?.getSnappedPoint({
         x: self.parent.canvasToInternalX(x),
         y: self.parent.canvasToInternalY(y),
-      });
+      }, { exclude: self });
 
       self.x = point.x;
       self.y = point.y;
@@ -51,7 +51,7 @@ const PolygonPointAbsoluteCoordsDEV3793 = types.model()
       const point = self.parent.control?.getSnappedPoint({
         x: self.stage.canvasToInternalX(x),
         y: self.stage.canvasToInternalY(y),
-      });
+      }, { exclude: self.parent });
 
       self._setPos(point.x, point.y);
     },
@@ -115,7 +115,7 @@ const PolygonPointRelativeCoords = types
       const point = self.parent.control?.getSnappedPoint({
         x: self.stage.canvasToInternalX(canvasX),
         y: self.stage.canvasToInternalY(canvasY),
-      });
+      }, { exclude: self.parent });
 
       self._setPos(point.x, point.y);
     },
@@ -218,8 +218,9 @@ const PolygonPointView = observer(({ item, name }) => {
 
   const w = sizes[item.size];
 
+  // start point closes polygons, open paths have no such point
   const startPointAttr =
-    item.index === 0
+    item.index === 0 && !item.parent.openPath
       ? {
         hitStrokeWidth: 12,
         fill: regionStyles.strokeColor || item.primary,
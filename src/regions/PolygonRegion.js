@@ -1,6 +1,6 @@
 import Konva from 'konva';
 import React, { memo, useContext, useEffect, useMemo } from 'react';
-import { Group, Line } from 'react-konva';
+import { Group, Line, Rect } from 'react-konva';
 import { destroy, detach, getRoot, isAlive, types } from 'mobx-state-tree';
 
 import Constants from '../core/Constants';
@@ -22,6 +22,8 @@ import { ImageViewContext } from '../components/ImageView/ImageViewContext';
 import { FF_DEV_2432, FF_DEV_3793, isFF } from '../utils/feature-flags';
 import { fixMobxObserve } from '../utils/utilities';
 import { RELATIVE_STAGE_HEIGHT, RELATIVE_STAGE_WIDTH } from '../components/ImageView/Image';
+import { simplifyShape, smoothShape } from '../utils/polygon-tools';
+import { pathGeometry } from '../utils/snapping';
 
 const PolygonRegionAbsoluteCoordsDEV3793 = types
   .model({
@@ -59,6 +61,8 @@ const Model = types
 
     points: types.array(types.union(PolygonPoint, types.array(types.number)), []),
     closed: true,
+    // inner contours in percents of the image size, like in results; they are edited only as a part of the whole shape
+    holes: types.optional(types.frozen(), []),
   })
   .volatile(() => ({
     mouseOverStartPoint: false,
@@ -69,11 +73,23 @@ const Model = types
     preferTransformer: false,
     supportsRotate: false,
     supportsScale: true,
+    // contour is traced by intelligent scissors, points are replaced while the cursor moves
+    tracing: false,
+    // a line drawn over the image splits the polygon
+    splitting: false,
+    // [x1, y1, x2, y2] of the split line in canvas coords
+    splitLine: null,
   }))
   .views(self => ({
     get store() {
       return getRoot(self);
     },
+    /**
+     * Vertices and borders to snap other regions to, in canvas pixels
+     */
+    get snapGeometry() {
+      return pathGeometry(self.points.map(point => ({ x: point.canvasX, y: point.canvasY })), self.closed);
+    },
     get bboxCoords() {
       if (!self.points?.length || !isAlive(self)) return {};
 
@@ -99,6 +115,32 @@ const Model = types
     get flattenedPoints() {
       return getFlattenedPoints(this.points);
     },
+    get percentPoints() {
+      return isFF(FF_DEV_3793)
+        ? self.points.map(p => [p.x, p.y])
+        : self.points.map(p => [self.convertXToPerc(p.x), self.convertYToPerc(p.y)]);
+    },
+    /**
+     * Holes as flat lists of canvas coords for rendering
+     */
+    get canvasHoles() {
+      const { stageWidth, stageHeight } = self.parent;
+
+      return self.holes.map(hole => hole.flatMap(([x, y]) => [
+        x / RELATIVE_STAGE_WIDTH * stageWidth,
+        y / RELATIVE_STAGE_HEIGHT * stageHeight,
+      ]));
+    },
+    /**
+     * Outer contour and holes in pixels of the image, used by operations on the whole shape
+     * @return {import('../utils/polygon-tools').Shape}
+     */
+    get shape() {
+      const { naturalWidth: width, naturalHeight: height } = self.currentImageEntity;
+      const toPixels = ([x, y]) => [x / RELATIVE_STAGE_WIDTH * width, y / RELATIVE_STAGE_HEIGHT * height];
+
+      return { points: self.percentPoints.map(toPixels), holes: self.holes.map(hole => hole.map(toPixels)) };
+    },
   }))
   .actions(self => {
     return {
@@ -181,23 +223,131 @@ const Model = types
       addPoint(x, y) {
         if (self.closed) return;
 
-        const point = self.control?.getSnappedPoint({ x, y });
+        const point = self.control?.getSnappedPoint({ x, y }, { exclude: self });
 
         self._addPoint(point.x, point.y);
       },
 
       setPoints(points) {
+        const before = self.holes.length ? getBBox(self.percentPoints) : null;
+
         self.points.forEach((p, idx) => {
           p.x = points[idx * 2];
           p.y = points[idx * 2 + 1];
         });
+
+        // holes are scaled and moved together with the outer contour
+        if (before) {
+          const after = getBBox(self.percentPoints);
+          const scaleX = before.width ? after.width / before.width : 1;
+          const scaleY = before.height ? after.height / before.height : 1;
+
+          self.holes = self.holes.map(hole => hole.map(([x, y]) => [
+            after.left + (x - before.left) * scaleX,
+            after.top + (y - before.top) * scaleY,
+          ]));
+        }
+      },
+
+      /**
+       * Moves holes together with dragged outer contour
+       * @param {number} dx offset in canvas coords
+       * @param {number} dy offset in canvas coords
+       */
+      moveHoles(dx, dy) {
+        if (!self.holes.length) return;
+
+        const offsetX = dx / self.parent.stageWidth * RELATIVE_STAGE_WIDTH;
+        const offsetY = dy / self.parent.stageHeight * RELATIVE_STAGE_HEIGHT;
+
+        self.holes = self.holes.map(hole => hole.map(([x, y]) => [x + offsetX, y + offsetY]));
+      },
+
+      /**
+       * Replaces the whole shape, all points are recreated
+       * @param {import('../utils/polygon-tools').Shape} shape outer contour and holes in pixels of the image
+       */
+      setShape({ points, holes }) {
+        const { naturalWidth: width, naturalHeight: height } = self.currentImageEntity;
+        const { stageWidth, stageHeight } = self.parent;
+        const toPercents = ([x, y]) => [x / width * RELATIVE_STAGE_WIDTH, y / height * RELATIVE_STAGE_HEIGHT];
+
+        self.replacePointsFrom(0, points.map(toPercents).map(([x, y]) => [
+          self.parent.canvasToInternalX(x / RELATIVE_STAGE_WIDTH * stageWidth),
+          self.parent.canvasToInternalY(y / RELATIVE_STAGE_HEIGHT * stageHeight),
+        ]));
+        self.holes = holes.map(hole => hole.map(toPercents));
+        self.selectedPoint = null;
+        self.notifyDrawingFinished();
+      },
+
+      /**
+       * Removes vertices deviating less than tolerance from the contour (Douglas–Peucker)
+       * @param {number} [tolerance] in pixels of the image
+       */
+      simplify(tolerance = 1) {
+        if (self.isReadOnly()) return;
+
+        self.setShape(simplifyShape(self.shape, tolerance));
+      },
+
+      /**
+       * Rounds corners; every iteration doubles the number of vertices
+       * @param {number} [iterations]
+       */
+      smooth(iterations = 1) {
+        if (self.isReadOnly()) return;
+
+        self.setShape(smoothShape(self.shape, iterations));
+      },
+
+      setSplitting(splitting) {
+        self.splitting = splitting && !self.isReadOnly();
+        self.splitLine = null;
+      },
+
+      setSplitLine(line) {
+        self.splitLine = line;
+      },
+
+      /**
+       * Splits the polygon with the drawn line and leaves split mode
+       * @param {number[]} line [x1, y1, x2, y2] in canvas coords
+       */
+      finishSplit([x1, y1, x2, y2]) {
+        const { naturalWidth: width, naturalHeight: height } = self.currentImageEntity;
+        const { stageWidth, stageHeight } = self.parent;
+        const toPixels = (x, y) => [x / stageWidth * width, y / stageHeight * height];
+
+        self.setSplitting(false);
+        self.annotation.splitPolygon(self, [toPixels(x1, y1), toPixels(x2, y2)]);
+      },
+
+      setTracing(tracing) {
+        self.tracing = tracing;
+      },
+
+      /**
+       * Replaces all points after the first `count` ones
+       * @param {number} count
+       * @param {number[][]} points list of [x, y] in internal coords
+       */
+      replacePointsFrom(count, points) {
+        self.points.splice(count, self.points.length - count, ...points.map(([x, y], index) => ({
+          id: guidGenerator(),
+          x,
+          y,
+          size: self.pointSize,
+          style: self.pointStyle,
+          index: count + index,
+        })));
       },
 
       insertPoint(insertIdx, x, y) {
         const pointCoords = self.control?.getSnappedPoint({
           x: self.parent.canvasToInternalX(x),
           y: self.parent.canvasToInternalY(y),
-        });
+        }, { exclude: self });
         const isMatchWithPrevPoint = self.points[insertIdx - 1] && self.parent.isSamePixel(pointCoords, self.points[insertIdx - 1]);
         const isMatchWithNextPoint = self.points[insertIdx] && self.parent.isSamePixel(pointCoords, self.points[insertIdx]);
 
@@ -270,6 +420,7 @@ const Model = types
         if (self.selectedPoint) {
           self.selectedPoint.selected = false;
         }
+        self.setSplitting(false);
 
         // self.points.forEach(p => p.computeOffset());
       },
@@ -298,6 +449,7 @@ const Model = types
        * @property {number} image_rotation rotation degree of the image (deg)
        * @property {Object} value
        * @property {number[][]} value.points list of (x, y) coordinates of the polygon by percentage of the image size (0-100)
+       * @property {number[][][]} [value.holes] list of inner contours in the same format, only for polygons with holes
        */
 
       /**
@@ -307,13 +459,12 @@ const Model = types
         if (!isFF(FF_DEV_2432) && self.points.length < 3) return null;
 
         const value = {
-          points: isFF(FF_DEV_3793)
-            ? self.points.map(p => [p.x, p.y])
-            : self.points.map(p => [self.convertXToPerc(p.x), self.convertYToPerc(p.y)]),
+          points: self.percentPoints,
           ...(isFF(FF_DEV_2432)
             ? { closed: self.closed }
             : {}
           ),
+          ...(self.holes.length ? { holes: self.holes } : {}),
         };
 
         return self.parent.createSerializedResult(self, value);
@@ -363,6 +514,37 @@ function getAnchorPoint({ flattenedPoints, cursorX, cursorY }) {
   return [x, y];
 }
 
+function getBBox(points) {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const [left, top] = [Math.min(...xs), Math.min(...ys)];
+
+  return { left, top, width: Math.max(...xs) - left, height: Math.max(...ys) - top };
+}
+
+/**
+ * Draws outer contour with holes; holes go in the opposite direction to be cut out by nonzero fill rule
+ */
+function drawPolygonWithHoles(context, shape, holes) {
+  const outer = shape.points();
+  const clockwise = ring => ring.reduce((sum, _, i) => {
+    if (i % 2) return sum;
+
+    const j = (i + 2) % ring.length;
+
+    return sum + ring[i] * ring[j + 1] - ring[j] * ring[i + 1];
+  }, 0) > 0;
+  const reversed = ring => ring.reduceRight((result, _, i) => (i % 2 ? result : result.concat(ring[i], ring[i + 1])), []);
+
+  context.beginPath();
+  [outer, ...holes.map(hole => (clockwise(hole) === clockwise(outer) ? reversed(hole) : hole))].forEach(ring => {
+    context.moveTo(ring[0], ring[1]);
+    for (let i = 2; i < ring.length; i += 2) context.lineTo(ring[i], ring[i + 1]);
+    context.closePath();
+  });
+  context.fillStrokeShape(shape);
+}
+
 function getFlattenedPoints(points) {
   const p = points.map(p => [p.canvasX, p.canvasY]);
 
@@ -429,6 +611,7 @@ const Poly = memo(observer(({ item, colors, dragProps, draggable }) => {
         points={flattenedPoints}
         fill={colors.fillColor}
         closed={true}
+        sceneFunc={item.holes.length ? (context, shape) => drawPolygonWithHoles(context, shape, item.canvasHoles) : undefined}
         {...dragProps}
         onTransformEnd={e => {
           if (e.target !== e.currentTarget) return;
@@ -447,7 +630,7 @@ const Poly = memo(observer(({ item, colors, dragProps, draggable }) => {
                 const point = item.control?.getSnappedPoint({
                   x: item.parent.canvasToInternalX(coord * scale[0] + d[0]),
                   y: item.parent.canvasToInternalY(points[idx + 1] * scale[1] + d[1]),
-                });
+                }, { onlyPixel: true });
 
                 result.push(point.x, point.y);
               }
@@ -543,6 +726,53 @@ const Edges = memo(observer(({ item, regionStyles }) => {
   );
 }));
 
+/**
+ * Catches mouse over the whole image in split mode and draws the split line
+ */
+const SplitOverlay = observer(({ item, color }) => {
+  const { stageWidth, stageHeight } = item.parent;
+  const pointer = e => item.parent.fixZoomedCoords([e.evt.offsetX, e.evt.offsetY]);
+  // tools and region selection should not react while the line is drawn
+  const stop = e => {
+    e.cancelBubble = true;
+  };
+
+  return (
+    <Group name="split">
+      <Rect
+        x={0}
+        y={0}
+        width={stageWidth}
+        height={stageHeight}
+        fill="transparent"
+        onMouseDown={e => {
+          stop(e);
+          item.setSplitLine([...pointer(e), ...pointer(e)]);
+        }}
+        onMouseMove={e => {
+          stop(e);
+          if (item.splitLine) item.setSplitLine([...item.splitLine.slice(0, 2), ...pointer(e)]);
+        }}
+        onMouseUp={e => {
+          stop(e);
+          if (item.splitLine) item.finishSplit([...item.splitLine.slice(0, 2), ...pointer(e)]);
+        }}
+        onClick={stop}
+      />
+      {item.splitLine && (
+        <Line
+          points={item.splitLine}
+          stroke={color}
+          strokeWidth={2}
+          dash={[6, 4]}
+          strokeScaleEnabled={false}
+          listening={false}
+        />
+      )}
+    </Group>
+  );
+});
+
 const HtxPolygonView = ({ item, setShapeRef }) => {
   const { store } = item;
   const { suggestion } = useContext(ImageViewContext) ?? {};
@@ -601,12 +831,13 @@ const HtxPolygonView = ({ item, setShapeRef }) => {
           const point = item.control?.getSnappedPoint({
             x: item.parent?.canvasToInternalX(t.getAttr('x')),
             y: item.parent?.canvasToInternalY(t.getAttr('y')),
-          });
+          }, { onlyPixel: true });
 
           point.x = item.parent?.internalToCanvasX(point.x);
           point.y = item.parent?.internalToCanvasY(point.y);
 
           item.points.forEach(p => p.movePoint(point.x, point.y));
+          item.moveHoles(point.x, point.y);
           item.annotation.history.unfreeze(item.id);
         }
 
@@ -618,7 +849,7 @@ const HtxPolygonView = ({ item, setShapeRef }) => {
   }, [item.bboxCoords.left, item.bboxCoords.top]);
 
   useEffect(() => {
-    if (isFF(FF_DEV_2432) && !item.closed) item.control.tools.Polygon.resumeUnfinishedRegion(item);
+    if (isFF(FF_DEV_2432) && !item.closed && !item.tracing) item.control.tools.Polygon.resumeUnfinishedRegion(item);
   }, [item.closed]);
 
   if (!item.parent) return null;
@@ -663,8 +894,9 @@ const HtxPolygonView = ({ item, setShapeRef }) => {
         item.onClickRegion(e);
       }}
       {...dragProps}
-      draggable={!item.isReadOnly() && (!item.inSelection || item.parent?.selectedRegions?.length === 1)}
-      listening={!suggestion}
+      draggable={!item.isReadOnly() && !item.splitting && (!item.inSelection || item.parent?.selectedRegions?.length === 1)}
+      // traced contour is under the cursor all the time, so clicks should go to the tool
+      listening={!suggestion && !item.tracing}
     >
       <LabelOnPolygon item={item} color={regionStyles.strokeColor} />
 
@@ -673,6 +905,7 @@ const HtxPolygonView = ({ item, setShapeRef }) => {
       {item.points && item.closed ? <Poly item={item} colors={regionStyles} dragProps={dragProps} draggable={!item.isReadOnly() && item.inSelection && item.parent?.selectedRegions?.length > 1}/> : null}
       {(item.points && !item.isReadOnly()) ? <Edges item={item} regionStyles={regionStyles}/> : null}
       {(item.points && !item.isReadOnly()) ? renderCircles(item.points) : null}
+      {item.splitting ? <SplitOverlay item={item} color={regionStyles.strokeColor} /> : null}
     </Group>
   );
 };
@@ -680,6 +913,14 @@ const HtxPolygonView = ({ item, setShapeRef }) => {
 const HtxPolygon = AliveRegion(HtxPolygonView);
 
 Registry.addTag('polygonregion', PolygonRegionModel, HtxPolygon);
-Registry.addRegionType(PolygonRegionModel, 'image', value => !!value.points);
-
-export { PolygonRegionModel, HtxPolygon };
+// open paths are polylines
+Registry.addRegionType(PolygonRegionModel, 'image', value => !!value.points && !value.open);
+
+export {
+  PolygonRegionModel,
+  HtxPolygon,
+  PolygonRegionAbsoluteCoordsDEV3793,
+  getAnchorPoint,
+  moveHoverAnchor,
+  removeHoverAnchor
+};
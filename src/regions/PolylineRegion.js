@@ -0,0 +1,429 @@
+import React, { useContext, useMemo } from 'react';
+import { Group, Line } from 'react-konva';
+import { destroy, detach, getRoot, isAlive, types } from 'mobx-state-tree';
+import { observer } from 'mobx-react';
+
+import Constants from '../core/Constants';
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+import Registry from '../core/Registry';
+import { ImageModel } from '../tags/object/Image';
+import { LabelOnPolygon } from '../components/ImageView/LabelOnRegion';
+import { PolygonPoint, PolygonPointView } from './PolygonPoint';
+import {
+  getAnchorPoint,
+  moveHoverAnchor,
+  PolygonRegionAbsoluteCoordsDEV3793,
+  removeHoverAnchor
+} from './PolygonRegion';
+import { guidGenerator } from '../core/Helpers';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { useRegionStyles } from '../hooks/useRegionColor';
+import { AliveRegion } from './AliveRegion';
+import { KonvaRegionMixin } from '../mixins/KonvaRegion';
+import { createDragBoundFunc } from '../utils/image';
+import { ImageViewContext } from '../components/ImageView/ImageViewContext';
+import { FF_DEV_3793, isFF } from '../utils/feature-flags';
+import { fixMobxObserve } from '../utils/utilities';
+import { pathGeometry } from '../utils/snapping';
+
+const Model = types
+  .model({
+    id: types.optional(types.identifier, guidGenerator),
+    pid: types.optional(types.string, guidGenerator),
+    type: 'polylineregion',
+    object: types.late(() => types.reference(ImageModel)),
+
+    points: types.array(types.union(PolygonPoint, types.array(types.number)), []),
+  })
+  .volatile(() => ({
+    // points don't offer to close the shape by the start point
+    openPath: true,
+    mouseOverStartPoint: false,
+    selectedPoint: null,
+    hideable: true,
+    _supportsTransform: false,
+    useTransformer: false,
+    supportsRotate: false,
+    supportsScale: false,
+  }))
+  .views(self => ({
+    get store() {
+      return getRoot(self);
+    },
+    /**
+     * Vertices and borders to snap other regions to, in canvas pixels
+     */
+    get snapGeometry() {
+      return pathGeometry(self.points.map(point => ({ x: point.canvasX, y: point.canvasY })), false);
+    },
+    get bboxCoords() {
+      if (!self.points?.length || !isAlive(self)) return {};
+
+      const bbox = self.points.reduce((bboxCoords, point) => ({
+        left: Math.min(bboxCoords.left, point.x),
+        top: Math.min(bboxCoords.top, point.y),
+        right: Math.max(bboxCoords.right, point.x),
+        bottom: Math.max(bboxCoords.bottom, point.y),
+      }), {
+        left: self.points[0].x,
+        top: self.points[0].y,
+        right: self.points[0].x,
+        bottom: self.points[0].y,
+      });
+
+      if (!isFF(FF_DEV_3793)) {
+        // recalc on resize
+        fixMobxObserve(self.parent.stageWidth, self.parent.stageHeight);
+      }
+
+      return bbox;
+    },
+    get flattenedPoints() {
+      return self.points.flatMap(p => [p.canvasX, p.canvasY]);
+    },
+    get pointSize() {
+      return self.control?.pointsize ?? 'small';
+    },
+  }))
+  .actions(self => ({
+    afterCreate() {
+      if (!self.points.length) return;
+      if (!self.points[0].id) {
+        self.points = self.points.map(([x, y], index) => ({
+          id: guidGenerator(),
+          x,
+          y,
+          size: self.pointSize,
+          index,
+        }));
+      }
+      self.checkSizes();
+    },
+
+    // used by points of polygons, polyline has no start point to close it
+    setMouseOverStartPoint() {},
+
+    setSelectedPoint(point) {
+      if (self.selectedPoint) {
+        self.selectedPoint.selected = false;
+      }
+
+      point.selected = true;
+      self.selectedPoint = point;
+    },
+
+    handleMouseMove({ e, flattenedPoints }) {
+      const { offsetX, offsetY } = e.evt;
+      const [cursorX, cursorY] = self.parent.fixZoomedCoords([offsetX, offsetY]);
+      const [x, y] = getAnchorPoint({ flattenedPoints, cursorX, cursorY });
+
+      const group = e.currentTarget;
+      const layer = e.currentTarget.getLayer();
+      const zoom = self.parent.zoomScale;
+
+      moveHoverAnchor({ point: [x, y], group, layer, zoom });
+    },
+
+    handleMouseLeave({ e }) {
+      removeHoverAnchor({ layer: e.currentTarget.getLayer() });
+    },
+
+    handleLineClick({ e, flattenedPoints, insertIdx }) {
+      if (self.isDrawing || !self.selected) return;
+
+      e.cancelBubble = true;
+
+      removeHoverAnchor({ layer: e.currentTarget.getLayer() });
+
+      const { offsetX, offsetY } = e.evt;
+
+      const [cursorX, cursorY] = self.parent.fixZoomedCoords([offsetX, offsetY]);
+      const point = getAnchorPoint({ flattenedPoints, cursorX, cursorY });
+
+      self.insertPoint(insertIdx, point[0], point[1]);
+    },
+
+    deletePoint(point) {
+      // finished polyline should keep at least one segment
+      const willEliminateLine = self.points.length <= 2 && !self.isDrawing;
+      const isLastPoint = self.points.length === 1;
+      const isSelected = self.selectedPoint === point;
+
+      if (willEliminateLine || isLastPoint) return;
+      if (isSelected) self.selectedPoint = null;
+      destroy(point);
+    },
+
+    addPoint(x, y) {
+      const point = self.control?.getSnappedPoint({ x, y }, { exclude: self });
+      const lastPoint = self.points[self.points.length - 1];
+
+      if (lastPoint && self.parent.isSamePixel(lastPoint, point)) return;
+
+      self.points.push({
+        id: guidGenerator(),
+        x: point.x,
+        y: point.y,
+        size: self.pointSize,
+        index: self.points.length,
+      });
+    },
+
+    setPoints(points) {
+      self.points.forEach((p, idx) => {
+        p.x = points[idx * 2];
+        p.y = points[idx * 2 + 1];
+      });
+    },
+
+    insertPoint(insertIdx, x, y) {
+      const pointCoords = self.control?.getSnappedPoint({
+        x: self.parent.canvasToInternalX(x),
+        y: self.parent.canvasToInternalY(y),
+      }, { exclude: self });
+      const isMatchWithPrevPoint = self.points[insertIdx - 1] && self.parent.isSamePixel(pointCoords, self.points[insertIdx - 1]);
+      const isMatchWithNextPoint = self.points[insertIdx] && self.parent.isSamePixel(pointCoords, self.points[insertIdx]);
+
+      if (isMatchWithPrevPoint || isMatchWithNextPoint) {
+        return;
+      }
+
+      self.points.splice(insertIdx, 0, {
+        id: guidGenerator(),
+        x: pointCoords.x,
+        y: pointCoords.y,
+        size: self.pointSize,
+        index: self.points.length,
+      });
+
+      return self.points[insertIdx];
+    },
+
+    destroyRegion() {
+      detach(self.points);
+      destroy(self.points);
+    },
+
+    afterUnselectRegion() {
+      if (self.selectedPoint) {
+        self.selectedPoint.selected = false;
+      }
+    },
+
+    updateImageSize() {},
+
+    /**
+     * @example
+     * {
+     *   "original_width": 1920,
+     *   "original_height": 1280,
+     *   "image_rotation": 0,
+     *   "value": {
+     *     "points": [[2, 2], [3.5, 8.1], [3.5, 12.6]],
+     *     "open": true,
+     *     "polylinelabels": ["Lane"]
+     *   }
+     * }
+     * @typedef {Object} PolylineRegionResult
+     * @property {number} original_width width of the original image (px)
+     * @property {number} original_height height of the original image (px)
+     * @property {number} image_rotation rotation degree of the image (deg)
+     * @property {Object} value
+     * @property {number[][]} value.points ordered list of (x, y) coordinates of the polyline by percentage of the image size (0-100)
+     * @property {boolean} value.open always true, distinguishes polylines from polygons
+     */
+
+    /**
+     * @return {PolylineRegionResult}
+     */
+    serialize() {
+      if (self.points.length < 2) return null;
+
+      const value = {
+        points: isFF(FF_DEV_3793)
+          ? self.points.map(p => [p.x, p.y])
+          : self.points.map(p => [self.convertXToPerc(p.x), self.convertYToPerc(p.y)]),
+        open: true,
+      };
+
+      return self.parent.createSerializedResult(self, value);
+    },
+  }));
+
+const PolylineRegionModel = types.compose(
+  'PolylineRegionModel',
+  RegionsMixin,
+  AreaMixin,
+  NormalizationMixin,
+  KonvaRegionMixin,
+  Model,
+  ...(isFF(FF_DEV_3793) ? [] : [PolygonRegionAbsoluteCoordsDEV3793]),
+);
+
+/**
+ * Invisible segments of selected polyline to insert new points
+ */
+const Segments = observer(({ item, regionStyles }) => {
+  const { points } = item;
+
+  return (
+    <Group name="segments">
+      {points.slice(1).map((p2, idx) => {
+        const p1 = points[idx];
+        const flattenedPoints = [p1.canvasX, p1.canvasY, p2.canvasX, p2.canvasY];
+
+        return (
+          <Group
+            key={`segment_${p1.id}_${p2.id}`}
+            name={`segment_${idx}`}
+            onClick={e => item.handleLineClick({ e, flattenedPoints, insertIdx: idx + 1 })}
+            onMouseMove={e => {
+              if (!item.selected || item.isReadOnly()) return;
+
+              item.handleMouseMove({ e, flattenedPoints });
+            }}
+            onMouseLeave={e => item.handleMouseLeave({ e })}
+          >
+            <Line
+              points={flattenedPoints}
+              stroke="transparent"
+              strokeWidth={regionStyles.strokeWidth}
+              hitStrokeWidth={20}
+              strokeScaleEnabled={false}
+              perfectDrawEnabled={false}
+              shadowForStrokeEnabled={false}
+            />
+          </Group>
+        );
+      })}
+    </Group>
+  );
+});
+
+const HtxPolylineView = ({ item, setShapeRef }) => {
+  const { store } = item;
+  const { suggestion } = useContext(ImageViewContext) ?? {};
+
+  const regionStyles = useRegionStyles(item);
+
+  const dragProps = useMemo(() => {
+    let isDragging = false;
+
+    return {
+      onDragStart: e => {
+        if (e.target !== e.currentTarget) return;
+        if (item.parent.getSkipInteractions()) {
+          e.currentTarget.stopDrag(e.evt);
+          return;
+        }
+        isDragging = true;
+        item.annotation.setDragMode(true);
+
+        item.annotation.history.freeze(item.id);
+      },
+      dragBoundFunc: createDragBoundFunc(item, { x: -item.bboxCoords.left, y: -item.bboxCoords.top }),
+      onDragEnd: e => {
+        if (!isDragging) return;
+        const t = e.target;
+
+        if (e.target === e.currentTarget) {
+          item.annotation.setDragMode(false);
+
+          const point = item.control?.getSnappedPoint({
+            x: item.parent?.canvasToInternalX(t.getAttr('x')),
+            y: item.parent?.canvasToInternalY(t.getAttr('y')),
+          }, { onlyPixel: true });
+
+          point.x = item.parent?.internalToCanvasX(point.x);
+          point.y = item.parent?.internalToCanvasY(point.y);
+
+          item.points.forEach(p => p.movePoint(point.x, point.y));
+          item.annotation.history.unfreeze(item.id);
+        }
+
+        t.setAttr('x', 0);
+        t.setAttr('y', 0);
+        isDragging = false;
+      },
+    };
+  }, [item.bboxCoords.left, item.bboxCoords.top]);
+
+  if (!item.parent) return null;
+  if (!item.inViewPort) return null;
+
+  const stage = item.parent?.stageRef;
+  const editable = !item.isReadOnly() && !item.isDrawing;
+
+  return (
+    <Group
+      name={item.id}
+      ref={el => setShapeRef(el)}
+      onMouseOver={() => {
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(true);
+          stage.container().style.cursor = Constants.RELATION_MODE_CURSOR;
+        } else {
+          stage.container().style.cursor = Constants.POINTER_CURSOR;
+        }
+      }}
+      onMouseOut={() => {
+        stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(false);
+        }
+      }}
+      onClick={e => {
+        if (item.parent.getSkipInteractions()) return;
+        if (item.isDrawing) return;
+
+        e.cancelBubble = true;
+
+        if (store.annotationStore.selected.relationMode) {
+          stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+        }
+
+        item.setHighlight(false);
+        item.onClickRegion(e);
+      }}
+      {...dragProps}
+      draggable={editable && (!item.inSelection || item.parent?.selectedRegions?.length === 1)}
+      // clicks on the polyline being drawn go to the image to add points
+      listening={!suggestion && !item.isDrawing}
+    >
+      <LabelOnPolygon item={item} color={regionStyles.strokeColor} />
+
+      <Line
+        name="polyline"
+        lineJoin="round"
+        lineCap="round"
+        stroke={regionStyles.strokeColor}
+        strokeWidth={regionStyles.strokeWidth}
+        hitStrokeWidth={Math.max(regionStyles.strokeWidth, 10)}
+        strokeScaleEnabled={false}
+        perfectDrawEnabled={false}
+        shadowForStrokeEnabled={false}
+        points={item.flattenedPoints}
+      />
+
+      {editable && item.selected ? <Segments item={item} regionStyles={regionStyles}/> : null}
+      {!item.isReadOnly() && (item.isDrawing || item.selected) ? (
+        <Group name="anchors">
+          {item.points.map((point, idx) => {
+            const name = `anchor_${item.points.length}_${idx}`;
+
+            return <PolygonPointView item={point} name={name} key={name} />;
+          })}
+        </Group>
+      ) : null}
+    </Group>
+  );
+};
+
+const HtxPolyline = AliveRegion(HtxPolylineView);
+
+Registry.addTag('polylineregion', PolylineRegionModel, HtxPolyline);
+Registry.addRegionType(PolylineRegionModel, 'image', value => !!value.points && value.open === true);
+
+export { PolylineRegionModel, HtxPolyline };
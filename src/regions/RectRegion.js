@@ -19,6 +19,7 @@ import { AliveRegion } from './AliveRegion';
 import { EditableRegion } from './EditableRegion';
 import { RegionWrapper } from './RegionWrapper';
 import { RELATIVE_STAGE_HEIGHT, RELATIVE_STAGE_WIDTH } from '../components/ImageView/Image';
+import { rectGeometry } from '../utils/snapping';
 
 const RectRegionAbsoluteCoordsDEV3793 = types
   .model({
@@ -198,6 +199,12 @@ const Model = types
     get parent() {
       return isAlive(self) ? self.object : null;
     },
+    /**
+     * Corners and borders to snap other regions to, in canvas pixels
+     */
+    get snapGeometry() {
+      return rectGeometry(self.canvasX, self.canvasY, self.canvasWidth, self.canvasHeight, self.rotation);
+    },
     get bboxCoords() {
       const bboxCoords = {
         left: self.x,
@@ -39,12 +39,16 @@ const Result = types
       'rectangle',
       'keypoint',
       'polygon',
+      'polyline',
       'brush',
       'ellipse',
       'magicwand',
       'rectanglelabels',
       'keypointlabels',
+      'skeletonlabels',
+      'cuboidlabels',
       'polygonlabels',
+      'polylinelabels',
       'brushlabels',
       'ellipselabels',
       'timeserieslabels',
@@ -56,6 +60,10 @@ const Result = types
       'rating',
       'pairwise',
       'videorectangle',
+      'videopolygon',
+      'videokeypoint',
+      'videoellipse',
+      'videotimelinelabels',
       'ranker',
     ]),
     // @todo much better to have just a value, not a hash with empty fields
@@ -76,10 +84,14 @@ const Result = types
       paragraphlabels: types.maybe(types.array(types.string)),
       rectanglelabels: types.maybe(types.array(types.string)),
       keypointlabels: types.maybe(types.array(types.string)),
+      skeletonlabels: types.maybe(types.array(types.string)),
+      cuboidlabels: types.maybe(types.array(types.string)),
       polygonlabels: types.maybe(types.array(types.string)),
+      polylinelabels: types.maybe(types.array(types.string)),
       ellipselabels: types.maybe(types.array(types.string)),
       brushlabels: types.maybe(types.array(types.string)),
       timeserieslabels: types.maybe(types.array(types.string)),
+      videotimelinelabels: types.maybe(types.array(types.string)),
       taxonomy: types.frozen(), // array of arrays of strings
       sequence: types.frozen(),
     }),
@@ -287,8 +299,8 @@ const Result = types
       // with `mergeLabelsAndResults` control uses only one result even with external `Labels`
       if (self.to_name.mergeLabelsAndResults) {
         if (type === 'labels') return null;
-        // add labels to the main region, not nested ones
-        if (self.area?.labels?.length && !self.from_name.perregion) data.value.labels = self.area.labels;
+        // add labels to the main region, not nested ones; *labels results already have them under their own type
+        if (self.area?.labels?.length && !self.from_name.perregion && !type.endsWith('labels')) data.value.labels = self.area.labels;
       }
 
       const contolMeta = self.from_name.metaValue;
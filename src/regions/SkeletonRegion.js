@@ -0,0 +1,331 @@
+import React, { useContext } from 'react';
+import { Circle, Group, Line } from 'react-konva';
+import { getRoot, types } from 'mobx-state-tree';
+
+import Registry from '../core/Registry';
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+
+import { ImageViewContext } from '../components/ImageView/ImageViewContext';
+import { LabelOnKP } from '../components/ImageView/LabelOnRegion';
+import { guidGenerator } from '../core/Helpers';
+import { useRegionStyles } from '../hooks/useRegionColor';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { KonvaRegionMixin } from '../mixins/KonvaRegion';
+import { ImageModel } from '../tags/object/Image';
+import { clamp } from '../utils/utilities';
+import { AliveRegion } from './AliveRegion';
+import { EditableRegion } from './EditableRegion';
+import Constants, { JOINT_VISIBILITY } from '../core/Constants';
+
+const Model = types
+  .model({
+    id: types.optional(types.identifier, guidGenerator),
+    pid: types.optional(types.string, guidGenerator),
+    type: 'skeletonregion',
+    object: types.late(() => types.reference(ImageModel)),
+
+    // names of joints, stored in the region to keep results readable without the config
+    joints: types.array(types.string),
+    // `x, y, visibility` for every joint; coordinates are in percents of the image size
+    keypoints: types.array(types.number),
+  })
+  .volatile(() => ({
+    hideable: true,
+    _supportsTransform: false,
+    useTransformer: false,
+    supportsRotate: false,
+    supportsScale: false,
+    editableFields: [],
+  }))
+  .views(self => ({
+    get store() {
+      return getRoot(self);
+    },
+
+    /**
+     * @type {{ name: string, index: number, x: number, y: number, visibility: number }[]}
+     */
+    get points() {
+      return self.joints.map((name, index) => ({
+        name,
+        index,
+        x: self.keypoints[index * 3] ?? 0,
+        y: self.keypoints[index * 3 + 1] ?? 0,
+        visibility: self.keypoints[index * 3 + 2] ?? JOINT_VISIBILITY.NOT_LABELED,
+      }));
+    },
+
+    get labeledPoints() {
+      return self.points.filter(point => point.visibility !== JOINT_VISIBILITY.NOT_LABELED);
+    },
+
+    /**
+     * Edges from the config as pairs of joint indexes
+     */
+    get edges() {
+      return (self.control?.edges ?? [])
+        .map(([from, to]) => [self.joints.indexOf(from), self.joints.indexOf(to)])
+        .filter(([from, to]) => from >= 0 && to >= 0);
+    },
+
+    percToCanvasX(x) {
+      return x / 100 * (self.parent?.stageWidth ?? 0);
+    },
+
+    percToCanvasY(y) {
+      return y / 100 * (self.parent?.stageHeight ?? 0);
+    },
+
+    get bboxCoords() {
+      const points = self.labeledPoints;
+
+      if (!points.length || !self.parent) return { left: 0, top: 0, right: 0, bottom: 0 };
+
+      const xs = points.map(point => self.parent.canvasToInternalX(self.percToCanvasX(point.x)));
+      const ys = points.map(point => self.parent.canvasToInternalY(self.percToCanvasY(point.y)));
+
+      return {
+        left: Math.min(...xs),
+        top: Math.min(...ys),
+        right: Math.max(...xs),
+        bottom: Math.max(...ys),
+      };
+    },
+
+    // position of the label, it's attached to the first placed joint
+    get canvasX() {
+      return self.percToCanvasX(self.labeledPoints[0]?.x ?? 0);
+    },
+    get canvasY() {
+      return self.percToCanvasY(self.labeledPoints[0]?.y ?? 0);
+    },
+    get canvasWidth() {
+      return Number(self.control?.pointsize ?? 4);
+    },
+  }))
+  .actions(self => ({
+    /**
+     * @param {number} index joint index
+     * @param {number} x in percents
+     * @param {number} y in percents
+     * @param {number} visibility one of JOINT_VISIBILITY values
+     */
+    setJoint(index, x, y, visibility = JOINT_VISIBILITY.VISIBLE) {
+      const keypoints = [...self.keypoints];
+
+      while (keypoints.length < self.joints.length * 3) keypoints.push(0);
+      keypoints.splice(index * 3, 3, clamp(x, 0, 100), clamp(y, 0, 100), visibility);
+      self.keypoints = keypoints;
+    },
+
+    /**
+     * Not labeled joints have no position, so they are placed in the center of the skeleton to be dragged later
+     */
+    setJointVisibility(index, visibility) {
+      const point = self.points[index];
+      const placed = self.labeledPoints;
+
+      if (visibility === JOINT_VISIBILITY.NOT_LABELED) {
+        self.setJoint(index, 0, 0, visibility);
+      } else if (point.visibility !== JOINT_VISIBILITY.NOT_LABELED) {
+        self.setJoint(index, point.x, point.y, visibility);
+      } else if (placed.length) {
+        const center = axis => placed.reduce((sum, p) => sum + p[axis], 0) / placed.length;
+
+        self.setJoint(index, center('x'), center('y'), visibility);
+      } else {
+        self.setJoint(index, 50, 50, visibility);
+      }
+    },
+
+    /**
+     * Moves the joint by its position on the canvas
+     */
+    setJointPosition(index, canvasX, canvasY) {
+      const { visibility } = self.points[index];
+
+      self.setJoint(index, canvasX / self.parent.stageWidth * 100, canvasY / self.parent.stageHeight * 100, visibility);
+    },
+
+    updateImageSize() {},
+
+    /**
+     * @example
+     * {
+     *   "original_width": 1920,
+     *   "original_height": 1280,
+     *   "image_rotation": 0,
+     *   "value": {
+     *     "joints": ["nose", "left_eye", "right_eye"],
+     *     "keypoints": [50.1, 20.5, 2, 48.2, 18.1, 1, 0, 0, 0],
+     *     "num_keypoints": 2,
+     *     "skeletonlabels": ["Person"]
+     *   }
+     * }
+     * @typedef {Object} SkeletonRegionResult
+     * @property {number} original_width width of the original image (px)
+     * @property {number} original_height height of the original image (px)
+     * @property {number} image_rotation rotation degree of the image (deg)
+     * @property {Object} value
+     * @property {string[]} value.joints names of joints
+     * @property {number[]} value.keypoints `x, y, v` for every joint: coordinates by percentage of the image size (0-100)
+     * and visibility (0 — not labeled, 1 — occluded, 2 — visible)
+     * @property {number} value.num_keypoints number of labeled joints
+     */
+
+    /**
+     * @return {SkeletonRegionResult}
+     */
+    serialize() {
+      const value = {
+        joints: [...self.joints],
+        keypoints: self.points.flatMap(({ x, y, visibility }) => [x, y, visibility]),
+        num_keypoints: self.labeledPoints.length,
+      };
+
+      return self.parent.createSerializedResult(self, value);
+    },
+  }));
+
+const SkeletonRegionModel = types.compose(
+  'SkeletonRegionModel',
+  RegionsMixin,
+  AreaMixin,
+  NormalizationMixin,
+  KonvaRegionMixin,
+  EditableRegion,
+  Model,
+);
+
+const HtxSkeletonView = ({ item, setShapeRef }) => {
+  const { store } = item;
+  const { suggestion } = useContext(ImageViewContext) ?? {};
+
+  const regionStyles = useRegionStyles(item, {
+    includeFill: true,
+    useStrokeAsFill: true,
+    defaultFillColor: '#000',
+    defaultStrokeColor: '#fff',
+    sameStrokeWidthForSelected: true,
+  });
+
+  if (!item.parent) return null;
+  if (!item.inViewPort) return null;
+
+  const stage = item.parent.stageRef;
+  const zoomScale = item.parent.zoomScale;
+  const radius = item.canvasWidth / zoomScale;
+  const strokeWidth = Number(item.control?.strokewidth ?? 2);
+  const points = item.points;
+  const color = regionStyles.strokeColor;
+
+  return (
+    <Group
+      ref={el => setShapeRef(el)}
+      name={item.id}
+      opacity={Number(item.control?.opacity ?? 1)}
+      listening={!suggestion}
+      onMouseOver={() => {
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(true);
+          stage.container().style.cursor = 'crosshair';
+        } else {
+          stage.container().style.cursor = 'pointer';
+        }
+      }}
+      onMouseOut={() => {
+        stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+
+        if (store.annotationStore.selected.relationMode) {
+          item.setHighlight(false);
+        }
+      }}
+      onClick={e => {
+        if (item.parent.getSkipInteractions()) return;
+        // placing joints of the skeleton being drawn
+        if (item.isDrawing) return;
+
+        if (store.annotationStore.selected.relationMode) {
+          stage.container().style.cursor = Constants.DEFAULT_CURSOR;
+        }
+
+        item.setHighlight(false);
+        item.onClickRegion(e);
+      }}
+    >
+      {item.edges.map(([from, to]) => {
+        const a = points[from];
+        const b = points[to];
+        const visible = a.visibility === JOINT_VISIBILITY.VISIBLE && b.visibility === JOINT_VISIBILITY.VISIBLE;
+
+        if (!a.visibility || !b.visibility) return null;
+
+        return (
+          <Line
+            key={`${from}-${to}`}
+            points={[item.percToCanvasX(a.x), item.percToCanvasY(a.y), item.percToCanvasX(b.x), item.percToCanvasY(b.y)]}
+            stroke={color}
+            strokeWidth={strokeWidth}
+            strokeScaleEnabled={false}
+            // edges to occluded joints are dashed
+            dash={visible ? undefined : [4, 4]}
+            perfectDrawEnabled={false}
+          />
+        );
+      })}
+      {item.labeledPoints.map(point => (
+        <Circle
+          key={point.name}
+          x={item.percToCanvasX(point.x)}
+          y={item.percToCanvasY(point.y)}
+          radius={radius}
+          fill={point.visibility === JOINT_VISIBILITY.VISIBLE ? regionStyles.fillColor : '#fff'}
+          stroke={color}
+          strokeWidth={1}
+          strokeScaleEnabled={false}
+          perfectDrawEnabled={false}
+          draggable={!item.isReadOnly() && !item.isDrawing}
+          dragBoundFunc={pos => item.parent.fixForZoomWrapper(pos, ({ x, y }) => ({
+            x: clamp(x, 0, item.parent.stageWidth),
+            y: clamp(y, 0, item.parent.stageHeight),
+          }))}
+          onDragStart={e => {
+            if (item.parent.getSkipInteractions()) {
+              e.currentTarget.stopDrag(e.evt);
+              return;
+            }
+            item.annotation.history.freeze(item.id);
+          }}
+          onDragEnd={e => {
+            const t = e.target;
+
+            item.setJointPosition(point.index, t.getAttr('x'), t.getAttr('y'));
+            t.setAttr('x', item.percToCanvasX(item.points[point.index].x));
+            t.setAttr('y', item.percToCanvasY(item.points[point.index].y));
+            item.annotation.history.unfreeze(item.id);
+            item.notifyDrawingFinished();
+          }}
+          onClick={e => {
+            // Alt+click switches the joint between visible and occluded
+            if (!e.evt.altKey || item.isReadOnly() || item.isDrawing) return;
+
+            e.cancelBubble = true;
+            item.setJointVisibility(
+              point.index,
+              point.visibility === JOINT_VISIBILITY.VISIBLE ? JOINT_VISIBILITY.OCCLUDED : JOINT_VISIBILITY.VISIBLE,
+            );
+          }}
+        />
+      ))}
+      <LabelOnKP item={item} color={color}/>
+    </Group>
+  );
+};
+
+const HtxSkeleton = AliveRegion(HtxSkeletonView);
+
+Registry.addTag('skeletonregion', SkeletonRegionModel, HtxSkeleton);
+Registry.addRegionType(SkeletonRegionModel, 'image', value => Array.isArray(value.keypoints));
+
+export { SkeletonRegionModel, HtxSkeleton };
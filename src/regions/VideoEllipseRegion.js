@@ -0,0 +1,37 @@
+import { types } from 'mobx-state-tree';
+
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+import Registry from '../core/Registry';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { firstKeyframe, VideoRegion } from './VideoRegion';
+
+const Model = types
+  .model('VideoEllipseRegionModel', {
+    type: 'videoellipseregion',
+  })
+  .volatile(() => ({
+    props: ['x', 'y', 'radiusX', 'radiusY', 'rotation'],
+  }))
+  .views(() => ({
+    getVisibility() {
+      return true;
+    },
+  }));
+
+const VideoEllipseRegionModel = types.compose(
+  'VideoEllipseRegionModel',
+  RegionsMixin,
+  VideoRegion,
+  AreaMixin,
+  NormalizationMixin,
+  Model,
+);
+
+Registry.addRegionType(VideoEllipseRegionModel, 'video', value => {
+  const keyframe = firstKeyframe(value);
+
+  return !!keyframe && 'radiusX' in keyframe;
+});
+
+export { VideoEllipseRegionModel };
@@ -0,0 +1,38 @@
+import { types } from 'mobx-state-tree';
+
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+import Registry from '../core/Registry';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { firstKeyframe, VideoRegion } from './VideoRegion';
+
+const Model = types
+  .model('VideoKeyPointRegionModel', {
+    type: 'videokeypointregion',
+  })
+  .volatile(() => ({
+    props: ['x', 'y'],
+  }))
+  .views(() => ({
+    getVisibility() {
+      return true;
+    },
+  }));
+
+const VideoKeyPointRegionModel = types.compose(
+  'VideoKeyPointRegionModel',
+  RegionsMixin,
+  VideoRegion,
+  AreaMixin,
+  NormalizationMixin,
+  Model,
+);
+
+// keypoints have only coordinates
+Registry.addRegionType(VideoKeyPointRegionModel, 'video', value => {
+  const keyframe = firstKeyframe(value);
+
+  return !!keyframe && 'x' in keyframe && !('width' in keyframe) && !('radiusX' in keyframe);
+});
+
+export { VideoKeyPointRegionModel };
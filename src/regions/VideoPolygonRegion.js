@@ -0,0 +1,44 @@
+import { types } from 'mobx-state-tree';
+
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+import Registry from '../core/Registry';
+import { AreaMixin } from '../mixins/AreaMixin';
+import { firstKeyframe, VideoRegion } from './VideoRegion';
+import { interpolatePoints } from '../utils/props';
+
+const Model = types
+  .model('VideoPolygonRegionModel', {
+    type: 'videopolygonregion',
+  })
+  .volatile(() => ({
+    props: ['points'],
+  }))
+  .views(self => ({
+    /**
+     * Keyframes may have different number of points, so points are matched before interpolation.
+     * Matched points differ from keyframe to keyframe, so spline falls back to linear interpolation.
+     */
+    interpolateShape(prev, next, frame) {
+      const mode = self.interpolationOf(prev);
+
+      return { points: interpolatePoints(prev, next, frame, mode === 'spline' ? 'linear' : mode) };
+    },
+
+    getVisibility() {
+      return true;
+    },
+  }));
+
+const VideoPolygonRegionModel = types.compose(
+  'VideoPolygonRegionModel',
+  RegionsMixin,
+  VideoRegion,
+  AreaMixin,
+  NormalizationMixin,
+  Model,
+);
+
+Registry.addRegionType(VideoPolygonRegionModel, 'video', value => Array.isArray(firstKeyframe(value)?.points));
+
+export { VideoPolygonRegionModel };
@@ -6,6 +6,7 @@ import NormalizationMixin from '../mixins/Normalization';
 import RegionsMixin from '../mixins/Regions';
 import { VideoModel } from '../tags/object/Video';
 import { FF_LEAP_187, isFF } from '../utils/feature-flags';
+import { INTERPOLATION_MODES, interpolateProp, interpolateSplineProp } from '../utils/props';
 
 export const onlyProps = (props, obj) => {
   return Object.fromEntries(props.map(prop => [
@@ -14,6 +15,14 @@ export const onlyProps = (props, obj) => {
   ]));
 };
 
+/**
+ * Shapes of video regions are detected by their first keyframe
+ * @param {object} snapshot area snapshot
+ */
+export const firstKeyframe = (snapshot) => {
+  return (snapshot.sequence ?? snapshot.value?.sequence)?.[0];
+};
+
 const Model = types
   .model('VideoRegionModel', {
     id: types.optional(types.identifier, guidGenerator),
@@ -21,12 +30,18 @@ const Model = types
     object: types.late(() => types.reference(VideoModel)),
 
     sequence: types.frozen([]),
+    // default interpolation between keyframes; keyframes can override it for the segment they start
+    interpolation: types.optional(types.enumeration(INTERPOLATION_MODES), 'linear'),
+    // identity of the tracked object shared by regions in different synced videos
+    trackId: types.maybeNull(types.string),
   })
   .preProcessSnapshot((snapshot) => {
     return { ...snapshot, sequence: snapshot.sequence || snapshot.value.sequence };
   })
   .volatile(() => ({
     hideable: true,
+    // keyframed props of the shape
+    props: [],
   }))
   .views(self => ({
     get parent() {
@@ -37,8 +52,65 @@ const Model = types
       return getRoot(self)?.annotationStore?.selected;
     },
 
-    getShape() {
-      throw new Error('Method getShape be implemented on a shape level');
+    getShape(frame) {
+      let prev, next;
+
+      for (const item of self.sequence) {
+        if (item.frame === frame) {
+          return onlyProps(self.props, item);
+        }
+
+        if (item.frame > frame) {
+          next = item;
+          break;
+        }
+        prev = item;
+      }
+
+      if (!prev) return null;
+      if (!next) return onlyProps(self.props, prev);
+
+      return self.interpolateShape(prev, next, frame);
+    },
+
+    /**
+     * @param {object} keyframe first keyframe of the segment
+     * @return {import('../utils/props').InterpolationMode}
+     */
+    interpolationOf(keyframe) {
+      return keyframe.interpolation ?? self.interpolation;
+    },
+
+    /**
+     * Keyframes around the segment from the same lifespan, they define the curve of spline interpolation
+     */
+    splineNeighbours(prev, next) {
+      const index = self.sequence.indexOf(prev);
+      const before = self.sequence[index - 1];
+      const after = self.sequence[index + 2];
+
+      return [before?.enabled ? before : undefined, next.enabled ? after : undefined];
+    },
+
+    /**
+     * Shape between two keyframes; every prop is interpolated by the mode of the segment
+     */
+    interpolateShape(prev, next, frame) {
+      const mode = self.interpolationOf(prev);
+
+      if (mode === 'spline') {
+        const [before, after] = self.splineNeighbours(prev, next);
+
+        return Object.fromEntries(self.props.map(prop => [
+          prop,
+          interpolateSplineProp([before, prev, next, after], frame, prop),
+        ]));
+      }
+
+      return Object.fromEntries(self.props.map(prop => [
+        prop,
+        interpolateProp(prev, next, frame, prop, mode),
+      ]));
     },
 
     getVisibility() {
@@ -46,8 +118,38 @@ const Model = types
     },
   }))
   .actions(self => ({
-    updateShape() {
-      throw new Error('Method updateShape must be implemented on a shape level');
+    updateShape(data, frame) {
+      const newItem = {
+        ...data,
+        frame,
+        enabled: true,
+      };
+
+      const kp = self.closestKeypoint(frame);
+      const index = self.sequence.findIndex(item => item.frame >= frame);
+
+      if (index < 0) {
+        self.sequence = [...self.sequence, newItem];
+      } else {
+        const keypoint = {
+          ...(self.sequence[index] ?? {}),
+          ...data,
+          enabled: kp?.enabled ?? true,
+          frame,
+        };
+
+        // new keyframe splits the segment, so both parts keep its interpolation
+        if (self.sequence[index].frame !== frame) {
+          keypoint.interpolation = self.sequence[index - 1]?.interpolation;
+          if (!keypoint.interpolation) delete keypoint.interpolation;
+        }
+
+        self.sequence = [
+          ...self.sequence.slice(0, index),
+          keypoint,
+          ...self.sequence.slice(index + (self.sequence[index].frame === frame)),
+        ];
+      }
     },
 
     onSelectInOutliner() {
@@ -59,7 +161,7 @@ const Model = types
     },
 
     serialize() {
-      const { framerate, length: framesCount } = self.object;
+      const { length: framesCount } = self.object;
 
       const duration = self.object?.ref?.current?.duration ?? 0;
 
@@ -67,13 +169,67 @@ const Model = types
         framesCount,
         duration,
         sequence: self.sequence.map((keyframe) => {
-          return { ...keyframe, time: keyframe.frame / framerate };
+          return { ...keyframe, time: self.object.frameToTime(keyframe.frame) };
         }),
       };
 
+      if (self.interpolation !== 'linear') value.interpolation = self.interpolation;
+      if (self.trackId) value.trackId = self.trackId;
+
       return { value };
     },
 
+    setInterpolation(mode) {
+      self.interpolation = mode;
+    },
+
+    setTrackId(trackId) {
+      self.trackId = trackId;
+    },
+
+    /**
+     * Changes interpolation of the segment with the frame
+     * @param {number} frame
+     * @param {import('../utils/props').InterpolationMode|null} mode null to use interpolation of the region
+     */
+    setSegmentInterpolation(frame, mode) {
+      const keypoint = self.closestKeypoint(frame, true);
+
+      if (!keypoint) return;
+
+      const index = self.sequence.indexOf(keypoint);
+      const updated = { ...keypoint, interpolation: mode };
+
+      if (!mode) delete updated.interpolation;
+
+      self.sequence = [
+        ...self.sequence.slice(0, index),
+        updated,
+        ...self.sequence.slice(index + 1),
+      ];
+    },
+
+    /**
+     * Turns every interpolated frame into a keyframe with the same shape,
+     * so the shape doesn't depend on interpolation anymore and can be fixed frame by frame
+     */
+    bakeInterpolation() {
+      const sequence = [];
+
+      self.sequence.forEach((keyframe, index) => {
+        const next = self.sequence[index + 1];
+
+        sequence.push(keyframe);
+        if (!keyframe.enabled || !next) return;
+
+        for (let frame = keyframe.frame + 1; frame < next.frame; frame++) {
+          sequence.push({ ...self.getShape(frame), frame, enabled: true });
+        }
+      });
+
+      self.sequence = sequence;
+    },
+
     toggleLifespan(frame) {
       const keypoint = self.closestKeypoint(frame, true);
 
@@ -100,6 +256,9 @@ const Model = types
         frame,
       };
 
+      // new keyframe splits the segment, so both parts keep its interpolation
+      if (closestKeypoint?.interpolation) newKeypoint.interpolation = closestKeypoint.interpolation;
+
       sequence.push(newKeypoint);
 
       sequence.sort((a, b) => a.frame - b.frame);
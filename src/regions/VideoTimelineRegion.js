@@ -0,0 +1,101 @@
+import { getRoot, types } from 'mobx-state-tree';
+
+import { guidGenerator } from '../core/Helpers';
+import Registry from '../core/Registry';
+import { AreaMixin } from '../mixins/AreaMixin';
+import NormalizationMixin from '../mixins/Normalization';
+import RegionsMixin from '../mixins/Regions';
+import { VideoModel } from '../tags/object/Video';
+import { FF_LEAP_187, isFF } from '../utils/feature-flags';
+import { isDefined } from '../utils/utilities';
+import { firstKeyframe } from './VideoRegion';
+
+/**
+ * Time segment of the video, from the `start` to the `end` frame inclusive.
+ * It's not drawn over the video, only on the timeline.
+ */
+const Model = types
+  .model('VideoTimelineRegionModel', {
+    id: types.optional(types.identifier, guidGenerator),
+    pid: types.optional(types.string, guidGenerator),
+    type: 'videotimelineregion',
+    object: types.late(() => types.reference(VideoModel)),
+
+    start: types.number,
+    end: types.number,
+  })
+  .volatile(() => ({
+    hideable: true,
+  }))
+  .views(self => ({
+    get parent() {
+      return self.object;
+    },
+
+    get annotation() {
+      return getRoot(self)?.annotationStore?.selected;
+    },
+
+    /**
+     * Segment as keyframes of the timeline: the lifespan is enabled on the first frame and ends on the last one
+     */
+    get sequence() {
+      return [
+        { frame: self.start, enabled: true },
+        { frame: self.end, enabled: false },
+      ];
+    },
+
+    isInLifespan(frame) {
+      return self.start <= frame && frame <= self.end;
+    },
+  }))
+  .actions(self => ({
+    /**
+     * @param {{ start?: number, end?: number }} range frames; the segment is at least one frame long
+     */
+    updateRange({ start = self.start, end = self.end }) {
+      const length = self.object.length;
+
+      self.start = Math.max(1, Math.min(start, end, length));
+      self.end = Math.min(length, Math.max(end, self.start));
+      self.notifyDrawingFinished();
+    },
+
+    onSelectInOutliner() {
+      if (isFF(FF_LEAP_187)) {
+        self.object.setFrame(self.start);
+      }
+    },
+
+    serialize() {
+      const { length: framesCount } = self.object;
+      const duration = self.object?.ref?.current?.duration ?? 0;
+
+      return {
+        value: {
+          framesCount,
+          duration,
+          start: self.start,
+          end: self.end,
+          startTime: self.object.frameToTime(self.start),
+          endTime: self.object.frameToTime(self.end),
+        },
+      };
+    },
+  }));
+
+const VideoTimelineRegionModel = types.compose(
+  'VideoTimelineRegionModel',
+  RegionsMixin,
+  AreaMixin,
+  NormalizationMixin,
+  Model,
+);
+
+// segments have frame range instead of keyframes
+Registry.addRegionType(VideoTimelineRegionModel, 'video', value => {
+  return !firstKeyframe(value) && isDefined(value.start) && isDefined(value.end);
+});
+
+export { VideoTimelineRegionModel };
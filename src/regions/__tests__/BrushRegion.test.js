@@ -0,0 +1,128 @@
+import { mockFF } from '../../../__mocks__/global';
+import { FF_LSDV_4583 } from '../../utils/feature-flags';
+import { maskToRLE } from '../../utils/mask-vector';
+import { createAnnotation, loadImage, nextTick } from './helpers';
+
+const ff = mockFF();
+
+const config = `
+<View>
+  <BrushLabels name="mask" toName="img">
+    <Label value="Car" />
+    <Label value="Road" />
+  </BrushLabels>
+  <Image name="img" value="$image" />
+</View>`;
+const data = { image: 'https://example.com/street.jpg' };
+const SIZE = 4;
+
+// 4x4 masks are given as rows of 0 and 1
+const rle = (...rows) => maskToRLE(Uint8Array.from(rows.join('').split('').map(Number)), SIZE, SIZE);
+const brush = (id, label, rows, size = SIZE) => ({
+  id,
+  from_name: 'mask',
+  to_name: 'img',
+  type: 'brushlabels',
+  original_width: size,
+  original_height: size,
+  value: { format: 'rle', rle: rle(...rows), brushlabels: [label] },
+});
+const rowsOf = region => {
+  const { mask } = region.getMask();
+
+  return Array.from({ length: SIZE }, (_, y) => Array.from(mask.slice(y * SIZE, (y + 1) * SIZE)).join(''));
+};
+
+const left = ['1100', '1100', '1100', '1100'];
+const top = ['1111', '1111', '0000', '0000'];
+const right = ['0011', '0011', '0011', '0011'];
+
+const setup = async (results) => {
+  const annotation = createAnnotation(config, data, results);
+
+  loadImage(annotation.names.get('img'), SIZE, SIZE);
+  // history is frozen while the image is loading
+  await nextTick();
+  return { annotation, regions: annotation.regions };
+};
+
+describe('BrushRegion', () => {
+  test('combines masks into the first region in a single undo step', async () => {
+    const { annotation, regions: [car, road] } = await setup([brush('car', 'Car', left), brush('road', 'Road', top)]);
+
+    expect(annotation.combineBrushRegions([car, road], 'union')).toBe(car);
+    expect(annotation.regions).toEqual([car]);
+    expect(rowsOf(car)).toEqual(['1111', '1111', '1100', '1100']);
+    expect(car.labels).toEqual(['Car']);
+
+    annotation.undo();
+
+    expect(annotation.regions).toHaveLength(2);
+    expect(rowsOf(annotation.regions[0])).toEqual(left);
+  });
+
+  test('subtracts and intersects masks', async () => {
+    const { annotation, regions } = await setup([brush('car', 'Car', left), brush('road', 'Road', top)]);
+
+    annotation.combineBrushRegions(regions, 'subtract');
+    expect(rowsOf(annotation.regions[0])).toEqual(['0000', '0000', '1100', '1100']);
+
+    const next = await setup([brush('car', 'Car', left), brush('road', 'Road', top)]);
+
+    next.annotation.combineBrushRegions(next.regions, 'intersect');
+    expect(rowsOf(next.annotation.regions[0])).toEqual(['1100', '1100', '0000', '0000']);
+  });
+
+  test('does nothing with empty result or masks of different sizes', async () => {
+    const { annotation, regions } = await setup([brush('car', 'Car', left), brush('road', 'Road', right)]);
+
+    expect(annotation.combineBrushRegions(regions, 'intersect')).toBeNull();
+    expect(annotation.regions).toHaveLength(2);
+
+    // before the image is loaded masks keep sizes of their results
+    ff.setup();
+    ff.set({ [FF_LSDV_4583]: true });
+
+    try {
+      const mismatched = createAnnotation(config, data, [
+        brush('car', 'Car', left),
+        { ...brush('road', 'Road', top), original_width: 2, original_height: 8 },
+      ]);
+
+      expect(mismatched.regions.map(region => region.getMask().height)).toEqual([SIZE, 8]);
+      expect(mismatched.combineBrushRegions(mismatched.regions, 'union')).toBeNull();
+      expect(mismatched.regions).toHaveLength(2);
+    } finally {
+      ff.reset();
+    }
+  });
+
+  test('keeps strokes inside of the clip region', async () => {
+    const { annotation, regions: [road, car] } = await setup([brush('road', 'Road', top), brush('car', 'Car', left)]);
+    const tool = annotation.names.get('mask').tools.Brush;
+
+    annotation.selectArea(road);
+    tool.toggleClip();
+
+    expect(tool.clipArea).toBe(road);
+    expect(annotation.selectedRegions).toHaveLength(0);
+
+    tool.clipStroke(car);
+    expect(rowsOf(car)).toEqual(['1100', '1100', '0000', '0000']);
+
+    tool.toggleClip();
+    expect(tool.clipArea).toBeNull();
+  });
+
+  test('removes a stroke made completely outside of the clip region', async () => {
+    const { annotation, regions: [road, car] } = await setup([brush('road', 'Road', top), brush('car', 'Car', ['0000', '0000', '0011', '0011'])]);
+    const tool = annotation.names.get('mask').tools.Brush;
+
+    annotation.selectArea(road);
+    tool.toggleClip();
+    tool.clipStroke(car);
+
+    expect(annotation.regions).toEqual([road]);
+    expect(rowsOf(road)).toEqual(top);
+  });
+});
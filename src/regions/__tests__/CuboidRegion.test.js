@@ -0,0 +1,62 @@
+import { createAnnotation } from './helpers';
+
+const config = `
+<View>
+  <CuboidLabels name="box" toName="img">
+    <Label value="Car" />
+  </CuboidLabels>
+  <Image name="img" value="$image" />
+</View>`;
+const data = { image: 'https://example.com/street.jpg' };
+const front = [[10, 40], [30, 40], [30, 70], [10, 70]];
+const back = [[18, 32], [38, 32], [38, 62], [18, 62]];
+const result = (value, type = 'cuboidlabels') => ({
+  id: 'car1',
+  from_name: 'box',
+  to_name: 'img',
+  type,
+  original_width: 100,
+  original_height: 100,
+  value: { ...value, [type]: ['Car'] },
+});
+
+describe('CuboidRegion', () => {
+  test('is detected by both faces and restored as is', () => {
+    const annotation = createAnnotation(config, data, [result({ front, back })]);
+    const [region] = annotation.regions;
+
+    expect(region.type).toBe('cuboidregion');
+    expect(region.vertices).toHaveLength(8);
+    expect(annotation.serializeAnnotation()[0]).toMatchObject(result({ front, back }));
+  });
+
+  test('results with only one face or with points are not cuboids', () => {
+    const typesOf = value => createAnnotation(config, data, [result(value)]).regions.map(region => region.type);
+
+    expect(typesOf({ front })).not.toContain('cuboidregion');
+    expect(typesOf({ points: front })).toEqual(['polygonregion']);
+  });
+
+  test('moves vertices inside of the image', () => {
+    const annotation = createAnnotation(config, data, [result({ front, back })]);
+    const [region] = annotation.regions;
+
+    region.setVertex(5, 40, 30);
+    expect(region.back[1]).toEqual([40, 30]);
+    region.setVertex(0, -5, 120);
+    expect(region.front[0]).toEqual([0, 100]);
+
+    // the back face can't go further than the right edge
+    region.moveVertices([4, 5, 6, 7], 70, 0);
+    expect(region.back.map(([x]) => x)).toEqual([78, 100, 98, 78]);
+    expect(region.front[1]).toEqual([30, 40]);
+  });
+
+  test('swaps faces', () => {
+    const annotation = createAnnotation(config, data, [result({ front, back })]);
+    const [region] = annotation.regions;
+
+    region.swapFaces();
+    expect(region.serialize().value).toEqual({ front: back, back: front });
+  });
+});
@@ -0,0 +1,45 @@
+import { createAnnotation, loadImage } from './helpers';
+
+const config = `
+<View>
+  <PolylineLabels name="line" toName="img">
+    <Label value="Road" />
+  </PolylineLabels>
+  <PolygonLabels name="shape" toName="img">
+    <Label value="Road" />
+  </PolygonLabels>
+  <Image name="img" value="$image" />
+</View>`;
+const data = { image: 'https://example.com/road.jpg' };
+const points = [[10, 20], [30, 40], [50, 20]];
+const result = (type, value) => ({
+  id: 'road1',
+  from_name: type === 'polylinelabels' ? 'line' : 'shape',
+  to_name: 'img',
+  type,
+  original_width: 100,
+  original_height: 100,
+  value: { ...value, [type]: ['Road'] },
+});
+
+describe('PolylineRegion', () => {
+  test('open shapes are polylines, the rest are polygons', () => {
+    const typeOf = (type, value) => createAnnotation(config, data, [result(type, value)]).regions[0].type;
+
+    expect(typeOf('polylinelabels', { points, open: true })).toBe('polylineregion');
+    expect(typeOf('polygonlabels', { points })).toBe('polygonregion');
+    expect(typeOf('polygonlabels', { points, open: false })).toBe('polygonregion');
+  });
+
+  test('is serialized as open shape', () => {
+    const annotation = createAnnotation(config, data, [result('polylinelabels', { points, open: true })]);
+    const [region] = annotation.regions;
+
+    loadImage(annotation.names.get('img'));
+    expect(region.points).toHaveLength(3);
+    expect(annotation.serializeAnnotation()[0]).toMatchObject(result('polylinelabels', { points, open: true }));
+
+    region.deletePoint(region.points[2]);
+    expect(region.serialize().value.points).toEqual(points.slice(0, 2));
+  });
+});
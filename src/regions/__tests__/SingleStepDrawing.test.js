@@ -0,0 +1,55 @@
+import { createAnnotation, nextTick } from './helpers';
+
+const data = { image: 'https://example.com/image.jpg' };
+
+// tools drawing a region in several actions; `start` makes the first of them
+const tools = [
+  {
+    name: 'Skeleton',
+    config: `
+      <View>
+        <SkeletonLabels name="control" toName="img"><Joint value="nose" /><Joint value="eye" /></SkeletonLabels>
+        <Image name="img" value="$image" />
+      </View>`,
+    start: tool => tool.clickEv({ altKey: false }, null, [0.1, 0.2]),
+  },
+  {
+    name: 'Cuboid',
+    config: `
+      <View>
+        <CuboidLabels name="control" toName="img"><Label value="Car" /></CuboidLabels>
+        <Image name="img" value="$image" />
+      </View>`,
+    start: tool => tool.mousedownEv(null, null, [0.1, 0.1]),
+  },
+  {
+    name: 'Polyline',
+    config: `
+      <View>
+        <PolylineLabels name="control" toName="img"><Label value="Road" /></PolylineLabels>
+        <Image name="img" value="$image" />
+      </View>`,
+    start: tool => tool.clickEv(null, [10, 10]),
+  },
+];
+
+describe('Single step drawing', () => {
+  test.each(tools)('$name releases the history when the unfinished region is deleted', async ({ name, config, start }) => {
+    const annotation = createAnnotation(config, data);
+    const control = annotation.names.get('control');
+    const tool = control.tools[name];
+
+    control.children[0].setSelected?.(true);
+    start(tool);
+    expect(annotation.history.isFrozen).toBe(true);
+    expect(tool.current()).toBe(annotation.regions[0]);
+
+    annotation.regions[0].deleteRegion();
+    await nextTick();
+
+    expect(tool.current()).toBeNull();
+    expect(tool.isDrawing).toBe(false);
+    expect(annotation.isDrawing).toBe(false);
+    expect(annotation.history.isFrozen).toBe(false);
+  });
+});
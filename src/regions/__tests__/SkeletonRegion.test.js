@@ -0,0 +1,65 @@
+import { createAnnotation, nextTick } from './helpers';
+
+const config = `
+<View>
+  <SkeletonLabels name="pose" toName="img">
+    <Joint value="nose" />
+    <Joint value="left_eye" />
+    <Joint value="right_eye" />
+    <Edge from="nose" to="left_eye" />
+  </SkeletonLabels>
+  <Image name="img" value="$image" />
+</View>`;
+const data = { image: 'https://example.com/pose.jpg' };
+
+describe('SkeletonRegion', () => {
+  test('places joints in the order of declaration, skipped and occluded joints included', async () => {
+    const annotation = createAnnotation(config, data);
+    const tool = annotation.names.get('pose').tools.Skeleton;
+
+    // stage of the image is 1x1 in tests
+    tool.clickEv({ altKey: false }, null, [0.1, 0.2]);
+    expect(annotation.history.isFrozen).toBe(true);
+    expect(tool.nextJoint).toBe('left_eye');
+
+    tool.skipJoint();
+    tool.clickEv({ altKey: true }, null, [0.3, 0.4]);
+    await nextTick();
+
+    const [region] = annotation.regions;
+
+    expect(tool.current()).toBeNull();
+    expect(annotation.isDrawing).toBe(false);
+    expect(annotation.history.isFrozen).toBe(false);
+    expect(region.keypoints).toEqual([10, 20, 2, 0, 0, 0, 30, 40, 1]);
+    expect(region.edges).toEqual([[0, 1]]);
+    expect(region.serialize().value).toEqual({
+      joints: ['nose', 'left_eye', 'right_eye'],
+      keypoints: [10, 20, 2, 0, 0, 0, 30, 40, 1],
+      num_keypoints: 2,
+    });
+  });
+
+  test('is restored from results as is', () => {
+    const value = { joints: ['nose', 'left_eye', 'right_eye'], keypoints: [50, 20, 2, 48, 18, 1, 0, 0, 0], num_keypoints: 2 };
+    const annotation = createAnnotation(config, data, [
+      { id: 'pose1', from_name: 'pose', to_name: 'img', type: 'skeletonlabels', original_width: 100, original_height: 100, value },
+    ]);
+    const [region] = annotation.regions;
+
+    expect(region.type).toBe('skeletonregion');
+    expect(region.labeledPoints.map(point => point.name)).toEqual(['nose', 'left_eye']);
+    expect(annotation.serializeAnnotation()[0]).toMatchObject({ id: 'pose1', type: 'skeletonlabels', value });
+  });
+
+  test('starts the next instance from the first joint when the unfinished one is deleted', () => {
+    const annotation = createAnnotation(config, data);
+    const tool = annotation.names.get('pose').tools.Skeleton;
+
+    tool.clickEv({ altKey: false }, null, [0.1, 0.2]);
+    annotation.regions[0].deleteRegion();
+    tool.clickEv({ altKey: false }, null, [0.5, 0.5]);
+
+    expect(tool.nextJoint).toBe('left_eye');
+  });
+});
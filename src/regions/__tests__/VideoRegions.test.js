@@ -0,0 +1,91 @@
+import { createAnnotation } from './helpers';
+
+const config = `
+<View>
+  <Video name="video" value="$video" framerate="25"/>
+  <VideoRectangle name="box" toName="video"/>
+  <VideoPolygon name="polygon" toName="video"/>
+  <VideoKeyPoint name="point" toName="video"/>
+  <VideoEllipse name="ellipse" toName="video"/>
+  <Labels name="labels" toName="video">
+    <Label value="Player"/>
+    <Label value="Ball"/>
+  </Labels>
+</View>`;
+
+const types = { box: 'videorectangle', polygon: 'videopolygon', point: 'videokeypoint', ellipse: 'videoellipse' };
+const track = (id, from_name, sequence) => ({
+  id,
+  from_name,
+  to_name: 'video',
+  type: types[from_name],
+  value: { framesCount: 100, sequence },
+});
+
+const triangle = { frame: 1, enabled: true, points: [[10, 10], [30, 10], [20, 30]] };
+const square = { frame: 11, enabled: true, points: [[10, 10], [30, 10], [30, 30], [10, 30]] };
+
+describe('Video regions', () => {
+  test('are restored by the shape of the first keyframe', () => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' }, [
+      track('box', 'box', [{ frame: 1, enabled: true, x: 10, y: 10, width: 20, height: 20, rotation: 0 }]),
+      track('polygon', 'polygon', [triangle]),
+      track('point', 'point', [{ frame: 1, enabled: true, x: 50, y: 50 }]),
+      track('ellipse', 'ellipse', [{ frame: 1, enabled: true, x: 50, y: 50, radiusX: 10, radiusY: 5, rotation: 0 }]),
+    ]);
+
+    expect(annotation.regions.map(region => region.type)).toEqual([
+      'videorectangleregion',
+      'videopolygonregion',
+      'videokeypointregion',
+      'videoellipseregion',
+    ]);
+    expect(annotation.serializeAnnotation().map(result => result.type)).toEqual([
+      'videorectangle',
+      'videopolygon',
+      'videokeypoint',
+      'videoellipse',
+    ]);
+  });
+
+  test.each([
+    ['polygon', { points: [[10, 10], [30, 10], [20, 30]] }, 'videopolygonregion'],
+    ['point', { x: 50, y: 50 }, 'videokeypointregion'],
+    ['ellipse', { x: 50, y: 50, radiusX: 10, radiusY: 5 }, 'videoellipseregion'],
+  ])('are drawn with the chosen control: %s', (name, shape, type) => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' });
+    const video = annotation.names.get('video');
+
+    video.setLength(100);
+    video.setOnlyFrame(5);
+    video.setDrawingControl(name);
+
+    const region = video.addRegion(shape);
+
+    expect(region.type).toBe(type);
+    expect(region.results[0].from_name.name).toBe(name);
+    expect(region.getShape(5)).toEqual(expect.objectContaining(shape));
+  });
+
+  test('polygon keyframes may have different number of points', () => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' }, [track('polygon', 'polygon', [triangle, square])]);
+    const [region] = annotation.regions;
+
+    expect(region.getShape(1).points).toEqual(triangle.points);
+    expect(region.getShape(11).points).toEqual(square.points);
+    // points are matched, so every point of the bigger keyframe is interpolated
+    expect(region.getShape(6).points).toHaveLength(4);
+
+    region.toggleLifespan(1);
+
+    expect(region.isInLifespan(6)).toBe(false);
+    expect(region.isInLifespan(11)).toBe(true);
+    // hidden segment still interpolates matched points
+    expect(region.getShape(6).points).toHaveLength(4);
+
+    region.toggleLifespan(1);
+
+    expect(region.isInLifespan(6)).toBe(true);
+    expect(region.sequence.map(keyframe => keyframe.points.length)).toEqual([3, 4]);
+  });
+});
@@ -0,0 +1,90 @@
+import { createAnnotation } from './helpers';
+
+const config = `
+<View>
+  <Video name="video" value="$video" framerate="25"/>
+  <VideoTimelineLabels name="actions" toName="video">
+    <Label value="Goal" hotkey="g"/>
+    <Label value="Foul" hotkey="f"/>
+  </VideoTimelineLabels>
+</View>`;
+
+const segment = (start, end, label = 'Goal') => ({
+  id: `segment-${start}`,
+  from_name: 'actions',
+  to_name: 'video',
+  type: 'videotimelinelabels',
+  value: { start, end, videotimelinelabels: [label] },
+});
+
+describe('VideoTimelineRegion', () => {
+  test('is restored and serialized with frames and times', () => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' }, [segment(10, 20)]);
+    const video = annotation.names.get('video');
+
+    video.setLength(100);
+
+    const [region] = annotation.regions;
+
+    expect(region.type).toBe('videotimelineregion');
+    expect(region.isInLifespan(20)).toBe(true);
+    expect(region.isInLifespan(21)).toBe(false);
+
+    const [result] = annotation.serializeAnnotation();
+
+    expect(result.type).toBe('videotimelinelabels');
+    // labels are stored only under the type of the result
+    expect(result.value).toEqual({
+      start: 10,
+      end: 20,
+      startTime: 0.4,
+      endTime: 0.8,
+      framesCount: 100,
+      duration: 0,
+      videotimelinelabels: ['Goal'],
+    });
+  });
+
+  test('keeps the segment within the video', () => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' }, [segment(10, 20)]);
+
+    annotation.names.get('video').setLength(50);
+
+    const [region] = annotation.regions;
+
+    region.updateRange({ start: 30 });
+    expect([region.start, region.end]).toEqual([20, 20]);
+    region.updateRange({ start: -5, end: 80 });
+    expect([region.start, region.end]).toEqual([1, 50]);
+  });
+
+  test('label hotkeys start and end segments at the current frame', () => {
+    const annotation = createAnnotation(config, { video: 'video.mp4' });
+    const video = annotation.names.get('video');
+    const [goal, foul] = annotation.names.get('actions').children;
+
+    video.setLength(100);
+    video.setOnlyFrame(5);
+    goal.onHotKey();
+    video.setOnlyFrame(12);
+    goal.onHotKey();
+
+    expect(annotation.regions.map(region => [region.start, region.end, region.labels])).toEqual([
+      [5, 12, ['Goal']],
+    ]);
+
+    // another label ends the current segment and starts the next one
+    video.setOnlyFrame(20);
+    goal.onHotKey();
+    video.setOnlyFrame(30);
+    foul.onHotKey();
+    video.setOnlyFrame(40);
+    foul.onHotKey();
+
+    expect(annotation.regions.map(region => [region.start, region.end, region.labels])).toEqual([
+      [5, 12, ['Goal']],
+      [20, 30, ['Goal']],
+      [30, 40, ['Foul']],
+    ]);
+  });
+});
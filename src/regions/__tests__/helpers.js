@@ -0,0 +1,62 @@
+/**
+ * Store with real tags, regions and tools for tests of regions.
+ * Modules which can't run in jsdom (hotkeys and audio decoding in WebAssembly) are replaced.
+ */
+import '../../core/Registry';
+import '../../tags/object';
+import '../../tags/control';
+import '../../tags/visual';
+import AppStore from '../../stores/AppStore';
+import ToolsManager from '../../tools/Manager';
+
+jest.mock('keymaster', () => Object.assign(() => {}, {
+  unbind() {},
+  setScope() {},
+  getScope() {},
+  deleteScope() {},
+  filter() {},
+}));
+jest.mock('../../lib/AudioUltra/Media/SplitChannel', () => ({ SplitChannel: class {} }));
+jest.mock('@martel/audio-file-decoder', () => ({ AudioDecoderWorker: class {}, getAudioDecoderWorker: () => null }));
+jest.mock('@martel/audio-file-decoder/decode-audio.wasm', () => '');
+
+// jsdom doesn't have it
+global.structuredClone = global.structuredClone ?? (value => JSON.parse(JSON.stringify(value)));
+
+/**
+ * @param {string} config
+ * @param {object} data task data
+ * @param {object[]} [result] results of the only annotation
+ * @param {object} [env] additional environment of the store, e.g. `labelSource`
+ * @return annotation already selected
+ */
+export const createAnnotation = (config, data, result = [], env = {}) => {
+  // tools managers are shared by name of the object tag
+  ToolsManager.removeAllTools();
+
+  const store = AppStore.create(
+    { config, task: { id: 1, data: JSON.stringify(data) } },
+    { events: { invoke() {}, hasEvent: () => false }, messages: {}, settings: {}, ...env },
+  );
+  store.initializeStore({ annotations: [{ id: 1, result }] });
+
+  const annotation = store.annotationStore.annotations[0];
+
+  store.annotationStore.selectAnnotation(annotation.id);
+
+  return annotation;
+};
+
+/**
+ * Emulates loading of the image, so regions get their sizes on the canvas
+ * @param {object} image Image tag
+ */
+export const loadImage = (image, width = 100, height = 100) => {
+  image.setContainerRef({ offsetWidth: width, offsetHeight: height });
+  image.updateImageSize({ target: { naturalWidth: width, naturalHeight: height } });
+};
+
+/**
+ * Waits for actions postponed by tools, like unfreezing of the history
+ */
+export const nextTick = () => new Promise(resolve => setTimeout(resolve));
@@ -7,11 +7,18 @@ import { TimeSeriesRegionModel } from './TimeSeriesRegion';
 import { HtxKeyPoint, KeyPointRegionModel } from './KeyPointRegion';
 import { PolygonPoint, PolygonPointView } from './PolygonPoint';
 import { HtxPolygon, PolygonRegionModel } from './PolygonRegion';
+import { HtxPolyline, PolylineRegionModel } from './PolylineRegion';
 import { HtxRectangle, RectRegionModel } from './RectRegion';
 import { EllipseRegionModel, HtxEllipse } from './EllipseRegion';
 import { HtxTextAreaRegion, TextAreaRegionModel } from './TextAreaRegion';
 import { RichTextRegionModel } from './RichTextRegion';
+import { HtxSkeleton, SkeletonRegionModel } from './SkeletonRegion';
+import { CuboidRegionModel, HtxCuboid } from './CuboidRegion';
 import { VideoRectangleRegionModel } from './VideoRectangleRegion';
+import { VideoPolygonRegionModel } from './VideoPolygonRegion';
+import { VideoKeyPointRegionModel } from './VideoKeyPointRegion';
+import { VideoEllipseRegionModel } from './VideoEllipseRegion';
+import { VideoTimelineRegionModel } from './VideoTimelineRegion';
 
 const AllRegionsType = types.union(
   AudioRegionModel,
@@ -20,12 +27,19 @@ const AllRegionsType = types.union(
   TimeSeriesRegionModel,
   KeyPointRegionModel,
   PolygonRegionModel,
+  PolylineRegionModel,
   RectRegionModel,
   TextAreaRegionModel,
   RichTextRegionModel,
+  SkeletonRegionModel,
+  CuboidRegionModel,
   TimeSeriesRegionModel,
   ParagraphsRegionModel,
   VideoRectangleRegionModel,
+  VideoPolygonRegionModel,
+  VideoKeyPointRegionModel,
+  VideoEllipseRegionModel,
+  VideoTimelineRegionModel,
 );
 
 export {
@@ -37,7 +51,10 @@ export {
   HtxEllipse,
   HtxKeyPoint,
   HtxPolygon,
+  HtxPolyline,
   HtxRectangle,
+  HtxSkeleton,
+  HtxCuboid,
   HtxTextAreaRegion,
   RichTextRegionModel,
   ParagraphsRegionModel,
@@ -46,7 +63,14 @@ export {
   PolygonPoint,
   PolygonPointView,
   PolygonRegionModel,
+  PolylineRegionModel,
   RectRegionModel,
+  SkeletonRegionModel,
+  CuboidRegionModel,
   TextAreaRegionModel,
-  VideoRectangleRegionModel
+  VideoRectangleRegionModel,
+  VideoPolygonRegionModel,
+  VideoKeyPointRegionModel,
+  VideoEllipseRegionModel,
+  VideoTimelineRegionModel
 };
@@ -0,0 +1,59 @@
+import { comparer, reaction } from 'mobx';
+import { getEnv, types } from 'mobx-state-tree';
+
+import { computeAgreement } from '../../utils/agreement';
+
+const UPDATE_DELAY = 500;
+
+/**
+ * Agreement between annotations of the current task per control tag.
+ * It's calculated only while it's observed: by the Agreement panel when it's open
+ * or by the reaction reporting every change to the host with `agreementUpdate` event,
+ * which is created only if the host is subscribed to it.
+ */
+export const AgreementMetrics = types
+  .model('AgreementMetrics')
+  .views(self => ({
+    get agreementControls() {
+      return Array.from(self.names.values())
+        .filter(tag => tag.isControlTag)
+        .map(tag => ({
+          name: tag.name,
+          type: tag.type,
+          objectType: self.names.get(tag.toname)?.type,
+        }));
+    },
+
+    /**
+     * @type {import('../../utils/agreement').AgreementMetric[]}
+     */
+    get agreement() {
+      if (self.annotations.length < 2) return [];
+
+      const sources = self.annotations.map(annotation => ({
+        id: annotation.pk ?? annotation.id,
+        result: annotation.serialized,
+      }));
+
+      return computeAgreement(sources, self.agreementControls);
+    },
+  }))
+  .actions(self => {
+    let disposeAgreement = null;
+
+    return {
+      afterCreate() {
+        if (!getEnv(self).events?.hasEvent('agreementUpdate')) return;
+
+        disposeAgreement = reaction(
+          () => self.agreement,
+          metrics => getEnv(self).events?.invoke('agreementUpdate', metrics, self.store),
+          { delay: UPDATE_DELAY, equals: comparer.structural, fireImmediately: true },
+        );
+      },
+
+      beforeDestroy() {
+        disposeAgreement?.();
+      },
+    };
+  });
@@ -11,6 +11,11 @@ import Types from '../../core/Types';
 import Area from '../../regions/Area';
 import Result from '../../regions/Result';
 import Utils from '../../utils';
+import {
+  emptyConfigMigration,
+  migrateResults,
+  unmappedResultKey
+} from '../../utils/config-migration';
 import {
   FF_DEV_1284,
   FF_DEV_1598,
@@ -23,6 +28,9 @@ import {
   FF_LSDV_4988,
   isFF
 } from '../../utils/feature-flags';
+import { brushToPolygons, combineMasks, maskToRLE, polygonToBrush } from '../../utils/mask-vector';
+import { addHole, mergeShapes, splitShape } from '../../utils/polygon-tools';
+import { buildMergedResults, computeMerge } from '../../utils/merge-results';
 import { delay, isDefined } from '../../utils/utilities';
 import { CommentStore } from '../Comment/CommentStore';
 import RegionStore from '../RegionStore';
@@ -31,6 +39,12 @@ import { UserExtended } from '../UserStore';
 
 const hotkeys = Hotkey('Annotations', 'Annotations');
 
+// region type => type of control tag holding the region in the other representation
+const REGION_CONVERSIONS = {
+  brushregion: 'polygonlabels',
+  polygonregion: 'brushlabels',
+};
+
 const TrackedState = types
   .model('TrackedState', {
     areas: types.map(Area),
@@ -183,6 +197,78 @@ export const Annotation = types
       return Array.from(self.areas.values());
     },
 
+    /**
+     * Control tag the region can be converted to: brush to polygons and polygon to brush,
+     * connected to the same image and having all labels of the region
+     */
+    conversionTargetOf(region) {
+      const type = REGION_CONVERSIONS[region.type];
+      const labeling = region.results.find(result => result.type.endsWith('labels'));
+
+      if (!type || !labeling) return null;
+
+      const labels = labeling.mainValue ?? [];
+
+      return Array.from(self.names.values()).find(tag => {
+        return tag.type === type && tag.toname === region.object.name && labels.every(label => tag.findLabel?.(label));
+      }) ?? null;
+    },
+
+    /**
+     * Brush regions (including magic wand ones) can be combined when they are editable masks of the same image
+     */
+    canCombineBrushRegions(regions) {
+      if (regions.length < 2 || !self.editable) return false;
+
+      const [first] = regions;
+
+      return regions.every(region => {
+        return region.type === 'brushregion'
+          && region.object === first.object
+          && region.item_index === first.item_index
+          && !region.isReadOnly();
+      });
+    },
+
+    /**
+     * Closed polygons of the same image, all editable
+     */
+    arePolygonsEditable(regions) {
+      if (!self.editable || !regions.length) return false;
+
+      const [first] = regions;
+
+      return regions.every(region => {
+        return region.type === 'polygonregion'
+          && region.closed
+          && region.object === first.object
+          && region.item_index === first.item_index
+          && !region.isReadOnly();
+      });
+    },
+
+    /**
+     * Polygons can be merged when they have the same labels
+     */
+    canMergePolygons(regions) {
+      if (regions.length < 2 || !self.arePolygonsEditable(regions)) return false;
+
+      const labelsOf = region => {
+        const labeling = region.results.find(result => result.type.endsWith('labels'));
+
+        return [...(labeling?.mainValue ?? [])].sort().join('\n');
+      };
+
+      return regions.every(region => labelsOf(region) === labelsOf(regions[0]));
+    },
+
+    /**
+     * One polygon can become a hole in another one
+     */
+    canCutHole(regions) {
+      return regions.length === 2 && self.arePolygonsEditable(regions);
+    },
+
     get lastSelectedRegion() {
       return self.selectedRegions[self.selectedRegions.length - 1];
     },
@@ -270,6 +356,18 @@ export const Annotation = types
     submissionStarted: 0,
     versions: {},
     resultSnapshot: '',
+    /**
+     * Results which can't be deserialized after config change because they reference removed tags or labels;
+     * they are kept as is until user maps them to the current config or discards them
+     * @type {import('../../utils/config-migration').UnmappedResult[]}
+     */
+    unmappedResults: [],
+    unmappedResultsReviewed: false,
+    /**
+     * Merge of the current results with the incoming version which is in progress
+     * @type {(import('../../utils/merge-results').MergeState & { incoming: object[] }) | null}
+     */
+    merge: null,
   }))
   .volatile(() => isFF(FF_DEV_3391)
     ? {
@@ -429,20 +527,26 @@ export const Annotation = types
       self.regionStore.unhighlightAll();
     },
 
+    /**
+     * Remove all regions and relations without recording them as user's changes
+     */
+    clearAreas() {
+      self.unselectAll(true);
+      self.setIsDrawing(false);
+      self.relationStore.deleteAllRelations();
+
+      Array.from(self.areas.values()).forEach(r => {
+        r.destroyRegion?.();
+        destroy(r);
+      });
+    },
+
     deleteAllRegions({ deleteReadOnly = false } = {}) {
       let regions = Array.from(self.areas.values());
 
       // remove everything unconditionally
       if (deleteReadOnly && isFF(FF_LSDV_4832)) {
-        self.unselectAll(true);
-        self.setIsDrawing(false);
-        self.relationStore.deleteAllRelations();
-
-        regions.forEach(r => {
-          r.destroyRegion?.();
-          destroy(r);
-        });
-
+        self.clearAreas();
         self.updateObjects();
 
         return;
@@ -650,6 +754,72 @@ export const Annotation = types
       self.startAutosave();
     },
 
+    /**
+     * Replace current results with the draft which was saved locally but not delivered to the host
+     * @param {object[]} draft serialized results
+     */
+    restoreDraft(draft) {
+      self.autosave?.cancel();
+      self.versions = { ...self.versions, draft };
+      self.clearAreas();
+      self.deserializeResults(draft);
+      self.updateObjects();
+      self.setDraftSelected();
+      self.reinitHistory(false);
+    },
+
+    /**
+     * Start three-way merge of the current results with the incoming version of annotation,
+     * e.g. saved by another reviewer while this one was editing the draft
+     * @param {object[]} incoming serialized results of the incoming version
+     * @param {{ base?: object[] }} options `base` is a version both were started from,
+     *   the last known annotation result by default
+     * @returns merge state or `null` if there is nothing to merge
+     */
+    startMerge(incoming, { base = self.versions.result ?? [] } = {}) {
+      const state = computeMerge(base, self.serializeAnnotation({ fast: true }), incoming);
+
+      if (!state.items.some(item => item.change)) {
+        // incoming version has nothing new, it becomes the base for the next merge
+        self.versions = { ...self.versions, result: incoming };
+        self.merge = null;
+        return null;
+      }
+
+      self.merge = { ...state, incoming };
+      return self.merge;
+    },
+
+    setMergeAccepted(key, accepted = true) {
+      if (!self.merge) return;
+
+      const keys = self.merge.accepted.filter(item => item !== key);
+
+      self.merge = { ...self.merge, accepted: accepted ? [...keys, key] : keys };
+    },
+
+    cancelMerge() {
+      self.merge = null;
+    },
+
+    /**
+     * Replace current results with merged ones; they become a draft based on the incoming version
+     */
+    applyMerge() {
+      if (!self.merge) return;
+
+      const { incoming } = self.merge;
+      const merged = buildMergedResults(self.merge);
+
+      self.clearAreas();
+      self.deserializeResults(merged);
+      self.updateObjects();
+      self.versions = { ...self.versions, result: incoming, draft: merged };
+      self.setDraftSelected();
+      self.merge = null;
+      self.reinitHistory(false);
+    },
+
     startAutosave: flow(function *() {
       if (!getEnv(self).events.hasEvent('submitDraft')) return;
       // view all must never trigger autosave
@@ -698,6 +868,10 @@ export const Annotation = types
         self.onDraftSaved(res);
 
         return res;
+      }, (err) => {
+        // draft stays unsaved, so it will be sent with the next change
+        console.error(err);
+        self.setDraftSaving(false);
       });
     },
 
@@ -933,6 +1107,163 @@ export const Annotation = types
       return self.regionStore.regions.slice(prevSize);
     },
 
+    /**
+     * Converts brush region into polygons (one per outer contour, inner contours become holes)
+     * or polygon into brush with the same labels;
+     * per-region results are copied to every new region. Replacement is a single undo step.
+     * @param {object} region brush or polygon region
+     * @param {{ tolerance?: number }} [options] max deviation of simplified polygons in pixels
+     * @returns {object[]} created regions
+     */
+    convertRegion(region, { tolerance = 1 } = {}) {
+      const control = self.conversionTargetOf(region);
+
+      if (!control || region.isReadOnly() || !self.editable) return [];
+
+      // drawn strokes have to be rendered into RLE, loaded masks can be used as is
+      const options = region.touches?.length || region.maskDataURL ? undefined : { fast: true };
+      const results = region.results.map(result => result.serialize(options)).filter(Boolean);
+      const main = results.find(result => result.type.endsWith('labels'));
+      const { original_width: width, original_height: height } = main ?? {};
+
+      if (!width || !height) return [];
+
+      const shapes = region.type === 'brushregion'
+        ? brushToPolygons(main.value.rle, width, height, { tolerance })
+          .map(({ points, holes }) => ({ points, ...(holes.length ? { holes } : {}), closed: true }))
+        : [{ format: 'rle', rle: polygonToBrush(main.value.points, width, height, main.value.holes) }];
+
+      if (!shapes.length) return [];
+
+      const labels = main.value[main.type];
+      const converted = shapes.flatMap((shape, index) => results.map(result => {
+        // ids are regenerated by `appendResults()`, they only group results of the same region
+        const id = `${result.id}-${index}`;
+
+        if (result !== main) return { ...result, id, value: { ...result.value } };
+        return { ...result, id, from_name: control.name, type: control.type, value: { ...shape, [control.type]: labels } };
+      }));
+
+      self.history.freeze('region:convert');
+
+      const created = self.appendResults(converted);
+
+      self.deleteRegion(region);
+      self.history.unfreeze('region:convert');
+
+      return created;
+    },
+
+    /**
+     * Combines masks of brush regions into the first one, other regions are removed.
+     * Labels and per-region results of the first region are kept. Combination is a single undo step.
+     * @param {object[]} regions brush regions, the first one is the target
+     * @param {'union'|'subtract'|'intersect'} operation `subtract` removes all other masks from the first one
+     * @returns {object|null} resulting region or null if regions can't be combined or the result is empty
+     */
+    combineBrushRegions(regions, operation) {
+      if (!self.canCombineBrushRegions(regions)) return null;
+
+      const [target] = regions;
+      const masks = regions.map(region => region.getMask());
+
+      // empty masks change nothing in union and subtraction, but make intersection empty
+      if (!masks[0] || (operation === 'intersect' && masks.includes(null))) return null;
+
+      const { width, height } = masks[0];
+      const filled = masks.filter(Boolean);
+
+      if (filled.some(mask => mask.width !== width || mask.height !== height)) return null;
+
+      const result = combineMasks(filled.map(({ mask }) => mask), operation);
+
+      if (!result.some(Boolean)) return null;
+
+      self.history.freeze('region:combine');
+      target.setMask(maskToRLE(result, width, height));
+      regions.slice(1).forEach(region => self.deleteRegion(region));
+      self.history.unfreeze('region:combine');
+
+      return target;
+    },
+
+    /**
+     * Splits polygon with the line into two polygons with the same labels and per-region results;
+     * the original region keeps one of the parts. Split is a single undo step.
+     * @param {object} region polygon region
+     * @param {number[][]} line polyline in pixels of the image, it should cross the polygon through
+     * @returns {object[]} both parts or empty list if the line doesn't split the polygon
+     */
+    splitPolygon(region, line) {
+      if (!self.arePolygonsEditable([region])) return [];
+
+      const parts = splitShape(region.shape, line);
+
+      if (!parts) return [];
+
+      const results = region.results.map(result => result.serialize()).filter(Boolean);
+
+      self.history.freeze('region:split');
+
+      const [copy] = self.appendResults(results);
+
+      region.setShape(parts[0]);
+      copy.setShape(parts[1]);
+      self.history.unfreeze('region:split');
+
+      return [region, copy];
+    },
+
+    /**
+     * Merges overlapping polygons with the same labels into the first one, other regions are removed.
+     * Polygons are merged with the precision of the image pixels. Merge is a single undo step.
+     * @param {object[]} regions polygon regions, the first one is the target
+     * @param {{ tolerance?: number }} [options] max deviation of the merged contour in pixels
+     * @returns {object|null} merged region or null if polygons can't be merged
+     */
+    mergePolygons(regions, { tolerance = 1 } = {}) {
+      if (!self.canMergePolygons(regions)) return null;
+
+      const [target] = regions;
+      const { naturalWidth: width, naturalHeight: height } = target.currentImageEntity;
+      const shape = mergeShapes(regions.map(region => region.shape), width, height, { tolerance });
+
+      if (!shape) return null;
+
+      self.history.freeze('region:merge');
+      target.setShape(shape);
+      regions.slice(1).forEach(region => self.deleteRegion(region));
+      self.history.unfreeze('region:merge');
+
+      return target;
+    },
+
+    /**
+     * Turns one of two polygons into a hole of the other one, whichever is inside.
+     * The inner polygon is removed. Cutting is a single undo step.
+     * @param {object[]} regions two polygon regions
+     * @returns {object|null} polygon with the hole or null if none of polygons is inside the other one
+     */
+    cutHole(regions) {
+      if (!self.canCutHole(regions)) return null;
+
+      const [first, second] = regions;
+      // polygon with its own holes can't become a hole
+      const { target, hole, shape } = [[first, second], [second, first]]
+        .filter(([, inner]) => !inner.holes.length)
+        .map(([outer, inner]) => ({ target: outer, hole: inner, shape: addHole(outer.shape, inner.shape.points) }))
+        .find(option => option.shape) ?? {};
+
+      if (!shape) return null;
+
+      self.history.freeze('region:hole');
+      target.setShape(shape);
+      self.deleteRegion(hole);
+      self.history.unfreeze('region:hole');
+
+      return target;
+    },
+
     serializeAnnotation(options) {
       // return self.serialized;
 
@@ -941,7 +1272,9 @@ export const Annotation = types
       const result = self.results
         .map(r => r.serialize(options))
         .filter(Boolean)
-        .concat(self.relationStore.serialize(options));
+        .concat(self.relationStore.serialize(options))
+        // unresolved results should not be lost on submit
+        .concat(self.unmappedResults.map(item => item.result));
 
       document.body.style.cursor = 'default';
 
@@ -1122,12 +1455,14 @@ export const Annotation = types
      * Deserialize results
      * @param {string | Array<any>} json Input results
      * @param {{
-     * suggestions: boolean
-     * }} options Deserialization options
+     * suggestions: boolean,
+     * hidden: boolean,
+     * migrate: boolean
+     * }} options Deserialization options; `migrate` to apply config migration to results
      */
-    deserializeResults(json, { suggestions = false, hidden = false } = {}) {
+    deserializeResults(json, { suggestions = false, hidden = false, migrate = true } = {}) {
       try {
-        const objAnnotation = self.prepareAnnotation(json);
+        const objAnnotation = self.prepareAnnotation(json, { migrate, keepUnmapped: !suggestions });
         const areas = suggestions ? self.suggestions : self.areas;
 
         self._initialAnnotationObj = objAnnotation;
@@ -1167,18 +1502,86 @@ export const Annotation = types
       return self.deserializeResults(...args);
     },
 
-    prepareAnnotation(rawAnnotation) {
+    prepareAnnotation(rawAnnotation, { migrate = true, keepUnmapped = true } = {}) {
       let objAnnotation = rawAnnotation;
 
       if (typeof objAnnotation !== 'object') {
         objAnnotation = JSON.parse(objAnnotation);
       }
 
+      if (migrate) {
+        const { results, unmapped } = migrateResults(objAnnotation ?? [], self.store.configMigration);
+
+        objAnnotation = results;
+        if (keepUnmapped) self.addUnmappedResults(unmapped);
+      }
+
       objAnnotation = self.fixBrokenAnnotation(objAnnotation ?? []);
 
       return objAnnotation;
     },
 
+    addUnmappedResults(unmapped) {
+      if (!unmapped.length) return;
+
+      const keys = new Set(unmapped.map(unmappedResultKey));
+
+      self.unmappedResults = [
+        ...self.unmappedResults.filter(item => !keys.has(unmappedResultKey(item))),
+        ...unmapped,
+      ];
+      self.unmappedResultsReviewed = false;
+    },
+
+    setUnmappedResultsReviewed(value = true) {
+      self.unmappedResultsReviewed = value;
+    },
+
+    /**
+     * Map unmapped results to the current config or discard them
+     * @param {{
+     *   tags?: Record<string, string>,
+     *   labels?: Record<string, Record<string, string>>,
+     *   discard?: string[]
+     * }} resolution `tags` and `labels` map removed tags and labels to existing ones,
+     *   `discard` is a list of `unmappedResultKey` to drop
+     */
+    resolveUnmappedResults({ tags = {}, labels = {}, discard = [] }) {
+      const discarded = self.unmappedResults.filter(item => discard.includes(unmappedResultKey(item)));
+      const discardedIds = new Set(discarded.map(item => item.result.id).filter(Boolean));
+      const pending = self.unmappedResults.filter(item => {
+        if (discarded.includes(item)) return false;
+        // relations can't live without their regions
+        return !(item.reason === 'relation' && [item.result.from_id, item.result.to_id].some(id => discardedIds.has(id)));
+      });
+      const migration = { ...emptyConfigMigration(), tags, labels };
+
+      // everything not mapped by user is still unmapped
+      pending.forEach(({ reason, missing, result }) => {
+        if (reason === 'tag' && !tags[missing]) {
+          migration.removedTags = [...migration.removedTags, missing];
+        }
+        if (reason === 'label' && !labels[result.from_name]?.[missing]) {
+          migration.removedLabels = {
+            ...migration.removedLabels,
+            [result.from_name]: [...(migration.removedLabels[result.from_name] ?? []), missing],
+          };
+        }
+      });
+
+      const { results, unmapped } = migrateResults(pending.map(item => item.result), migration);
+      const initialResults = self._initialAnnotationObj ?? [];
+
+      self.unmappedResults = unmapped;
+      self.unmappedResultsReviewed = true;
+
+      if (results.length) {
+        self.deserializeResults(results, { migrate: false });
+        self._initialAnnotationObj = [...initialResults, ...self._initialAnnotationObj];
+        self.updateObjects();
+      }
+    },
+
     deserializeSingleResult(obj, getArea, createArea) {
       if (obj['type'] !== 'relation') {
         const { id, value: rawValue, type, ...data } = obj;
@@ -0,0 +1,99 @@
+import { types } from 'mobx-state-tree';
+
+import { diffResults } from '../../utils/annotation-diff';
+
+/**
+ * Diff mode: regions of two annotations or predictions are compared and colored by their status.
+ * Compared version is selected and can be edited, the difference is recalculated on every change.
+ */
+export const AnnotationDiff = types
+  .model('AnnotationDiff')
+  .volatile(() => ({
+    // { left, right, options } with ids of compared entities
+    diffPair: null,
+  }))
+  .views(self => {
+    const findEntity = (id) => [...self.annotations, ...self.predictions].find(entity => entity.id === id);
+
+    return {
+      get diffEntities() {
+        if (!self.diffPair) return null;
+
+        const left = findEntity(self.diffPair.left);
+        const right = findEntity(self.diffPair.right);
+
+        return left && right ? { left, right } : null;
+      },
+
+      /**
+       * @type {import('../../utils/annotation-diff').DiffItem[] | null}
+       */
+      get diff() {
+        const entities = self.diffEntities;
+
+        if (!entities) return null;
+        return diffResults(entities.left.serialized, entities.right.serialized, self.diffPair.options);
+      },
+
+      get diffByRegion() {
+        const entities = self.diffEntities;
+        const regions = new Map();
+
+        if (!entities) return regions;
+        self.diff.forEach(item => {
+          if (item.leftId) regions.set(`${entities.left.id}:${item.leftId}`, item);
+          if (item.rightId) regions.set(`${entities.right.id}:${item.rightId}`, item);
+        });
+        return regions;
+      },
+
+      diffItemFor(area) {
+        if (!self.diffPair || !area.annotation) return null;
+        return self.diffByRegion.get(`${area.annotation.id}:${area.cleanId}`) ?? null;
+      },
+    };
+  })
+  .actions(self => {
+    const refreshAppearance = ({ left, right } = self.diffEntities ?? {}) => {
+      [left, right].forEach(entity => {
+        entity?.areas.forEach(area => area.updateAppearenceFromState?.());
+      });
+    };
+
+    return {
+      /**
+       * Compare two annotations or predictions; compared one becomes selected
+       * @param {object|string} left entity or its id to compare with, e.g. a prediction
+       * @param {object|string} right entity or its id to compare, e.g. the current annotation
+       * @param {import('../../utils/annotation-diff').DiffOptions} options
+       */
+      startDiff(left, right, options = {}) {
+        const leftId = left?.id ?? left;
+        const rightId = right?.id ?? right;
+
+        if (!leftId || !rightId || leftId === rightId) return;
+
+        self.stopDiff();
+        self.diffPair = { left: leftId, right: rightId, options };
+
+        const { right: entity } = self.diffEntities ?? {};
+
+        if (!entity) {
+          self.diffPair = null;
+          return;
+        }
+        if (!entity.selected) {
+          if (entity.type === 'prediction') self.selectPrediction(entity.id);
+          else self.selectAnnotation(entity.id);
+        }
+        refreshAppearance();
+      },
+
+      stopDiff() {
+        const entities = self.diffEntities;
+
+        self.diffPair = null;
+        if (entities) refreshAppearance(entities);
+      },
+    };
+  });
@@ -0,0 +1,179 @@
+import { getEnv, types } from 'mobx-state-tree';
+
+import InfoModal from '../../components/Infomodal/Infomodal';
+import Tree from '../../core/Tree';
+import {
+  applyLabelSetToConfig,
+  renameLabelInResults,
+  renameLabelInSnapshot,
+  renameLabelInValue,
+  valueHasLabel
+} from '../../utils/label-set';
+import { FF_DEV_3391, isFF } from '../../utils/feature-flags';
+
+/**
+ * Live editing of Labels/Choices of control tags without rebuilding the whole store.
+ * Regions stay attached to their labels; renamed labels are remapped in all results,
+ * drafts and undo history of every annotation and prediction.
+ */
+export const LabelSetEditor = types
+  .model('LabelSetEditor')
+  .volatile(() => ({
+    // list of { controlName, operations, inverse }
+    labelSetHistory: [],
+    labelSetUndoIdx: 0,
+  }))
+  .views(self => ({
+    get canUndoLabelSet() {
+      return self.labelSetUndoIdx > 0;
+    },
+
+    get canRedoLabelSet() {
+      return self.labelSetUndoIdx < self.labelSetHistory.length;
+    },
+  }))
+  .actions(self => {
+    const entities = () => [...self.annotations, ...self.predictions];
+
+    /**
+     * Control tag is shared between annotations unless every annotation has its own tree
+     */
+    function labelSetControls(controlName) {
+      const controls = [self.names.get(controlName)];
+
+      if (isFF(FF_DEV_3391)) {
+        entities().forEach(entity => controls.push(entity.names.get(controlName)));
+      }
+
+      return controls.filter((control, index) => control?.applyLabelSetOperation && controls.indexOf(control) === index);
+    }
+
+    function remapResults(controlName, from, to) {
+      entities().forEach(entity => {
+        let changed = false;
+
+        entity.results.forEach(result => {
+          if (Tree.cleanUpId(result.from_name.name) !== controlName) return;
+
+          const value = result.mainValue?.toJSON?.() ?? result.mainValue;
+
+          if (!valueHasLabel(value, from)) return;
+
+          result.setValue(renameLabelInValue(value, from, to));
+          changed = true;
+        });
+
+        // renaming is not a user's change in the annotation, so history is rewritten instead
+        if (changed) entity.history.setSkipNextUndoState(true);
+        entity.history.transformHistory(snapshot => renameLabelInSnapshot(snapshot, controlName, from, to));
+
+        entity.versions = {
+          ...entity.versions,
+          result: renameLabelInResults(entity.versions.result, controlName, from, to),
+          draft: renameLabelInResults(entity.versions.draft, controlName, from, to),
+        };
+        if (entity._initialAnnotationObj) {
+          entity._initialAnnotationObj = renameLabelInResults(entity._initialAnnotationObj, controlName, from, to);
+        }
+      });
+    }
+
+    function applyOperations(controls, operations) {
+      const inverse = [];
+
+      try {
+        operations.forEach(op => {
+          const [main, ...copies] = controls;
+          const revert = main.applyLabelSetOperation(op);
+
+          copies.forEach(control => control.applyLabelSetOperation(op));
+          inverse.unshift(revert);
+        });
+      } catch (err) {
+        // rollback already applied operations to not leave label set half-changed
+        inverse.forEach(op => controls.forEach(control => control.applyLabelSetOperation(op)));
+        throw err;
+      }
+
+      return inverse;
+    }
+
+    return {
+      /**
+       * Add, rename, recolor, reorder or remove Label/Choice children of control tag.
+       * All operations are applied as one undoable step.
+       * @param {string} controlName name of Labels/Choices tag
+       * @param {import('../../utils/label-set').LabelSetOperation | import('../../utils/label-set').LabelSetOperation[]} operations
+       * @param {{ notify?: boolean, record?: boolean }} options `notify` to emit `updateProject` with new config,
+       *   `record` to add this change to label set history
+       * @returns {string | null} new XML config or null if operations can't be applied
+       */
+      editLabelSet(controlName, operations, { notify = true, record = true } = {}) {
+        const ops = Array.isArray(operations) ? operations : [operations];
+        const controls = labelSetControls(controlName);
+        let config;
+        let inverse;
+
+        if (!ops.length) return self.store.config;
+
+        try {
+          if (!controls.length) throw new Error(`There is no Labels or Choices with name "${controlName}"`);
+
+          config = applyLabelSetToConfig(self.store.config, controlName, ops);
+          inverse = applyOperations(controls, ops);
+        } catch (err) {
+          console.error(err);
+          InfoModal.warning(err.message);
+          return null;
+        }
+
+        const renamed = {};
+
+        ops.forEach(op => {
+          if (op.action !== 'rename') return;
+          remapResults(controlName, op.value, op.newValue);
+          // label renamed several times is mapped from its original name
+          const original = Object.keys(renamed).find(label => renamed[label] === op.value) ?? op.value;
+
+          renamed[original] = op.newValue;
+        });
+
+        self.store.setConfig(config, { labels: { [controlName]: renamed } });
+
+        if (record) {
+          self.labelSetHistory = [
+            ...self.labelSetHistory.slice(0, self.labelSetUndoIdx),
+            { controlName, operations: ops, inverse },
+          ];
+          self.labelSetUndoIdx = self.labelSetHistory.length;
+        }
+
+        entities().forEach(entity => entity.updateObjects(false));
+        self.selected?.setupHotKeys();
+
+        if (notify) getEnv(self).events.invoke('updateProject', config);
+
+        return config;
+      },
+
+      undoLabelSetEdit() {
+        if (!self.canUndoLabelSet) return;
+
+        const { controlName, inverse } = self.labelSetHistory[self.labelSetUndoIdx - 1];
+
+        if (self.editLabelSet(controlName, inverse, { record: false }) !== null) {
+          self.labelSetUndoIdx -= 1;
+        }
+      },
+
+      redoLabelSetEdit() {
+        if (!self.canRedoLabelSet) return;
+
+        const { controlName, operations } = self.labelSetHistory[self.labelSetUndoIdx];
+
+        if (self.editLabelSet(controlName, operations, { record: false }) !== null) {
+          self.labelSetUndoIdx += 1;
+        }
+      },
+    };
+  });
@@ -1,4 +1,4 @@
-import { destroy, detach, getEnv, getParent, getRoot, types, applySnapshot, getSnapshot } from 'mobx-state-tree';
+import { destroy, detach, getEnv, getParent, getRoot, types } from 'mobx-state-tree';
 
 import { errorBuilder } from '../../core/DataValidator/ConfigValidator';
 import { DataValidator, ValidationError, VALIDATORS } from '../../core/DataValidator';
@@ -11,8 +11,12 @@ import { ViewModel } from '../../tags/visual';
 import Utils from '../../utils';
 import { FF_DEV_1621, FF_DEV_3034, FF_DEV_3391, FF_DEV_3617, FF_SIMPLE_INIT, isFF } from '../../utils/feature-flags';
 import { emailFromCreatedBy } from '../../utils/utilities';
+import { diffLabelSet } from '../../utils/label-set';
+import { AgreementMetrics } from './AgreementMetrics';
 import { Annotation } from './Annotation';
+import { AnnotationDiff } from './AnnotationDiff';
 import { HistoryItem } from './HistoryItem';
+import { LabelSetEditor } from './LabelSetEditor';
 
 const SelectedItem = types.union(Annotation, HistoryItem);
 
@@ -277,6 +281,17 @@ const AnnotationStoreModel = types
       return self.root;
     }
 
+    /**
+     * Destroy the tree along with references to its tags, so it can be built again from the new config
+     */
+    function destroyRoot() {
+      if (!self.root) return;
+
+      self.names.clear();
+      self.toNames.clear();
+      destroy(self.root);
+    }
+
     function updateRoot(config){
       if (self.root) return;
       // convert config to mst model
@@ -346,58 +361,33 @@ const AnnotationStoreModel = types
       return self.root;
     }
 
-    function updateLabels(labelConfig){
-      // convert config to mst model
-      let rootModel;
-      try {
-        rootModel = Tree.treeToModel(labelConfig, self.store);
-      } catch (e) {
-        console.error(e);
-        return showError(e);
-      }
-      const modelClass = Registry.getModelByTag(rootModel.type);
-      // hacky way to get all the available object tag names
-      const objectTypes = Registry.objectTypes().map(type => type.name.replace('Model', '').toLowerCase());
-      const objects = [];
-      rootModel.children = rootModel.children?.map(child => ({ ...child, parent: rootModel.id}))
+    /**
+     * Replace labels of a control tag with the ones from given `<Labels>` config part.
+     * Regions are kept, only changed labels are added/removed/reordered.
+     * @param {string} labelConfig config of single control tag
+     */
+    function updateLabels(labelConfig) {
+      let labelsModel;
+
       try {
-        self.root.children[2] = getSnapshot(modelClass.create(rootModel));
+        labelsModel = Tree.treeToModel(labelConfig, self.store);
       } catch (e) {
         console.error(e);
-        err = showError(e);
-        return err;
+        return self.addErrors([errorBuilder.generalError(e)]);
       }
-      if (isFF(FF_DEV_3391)) {
-        // initialize toName bindings [DOCS] name & toName are used to
-        // connect different components to each other
-        const { names, toNames } = Tree.extractNames(self.root);
-        names.forEach(tag => self.names.put(tag));
-        toNames.forEach((tags, name) => self.toNames.set(name, tags));
-        Tree.traverseTree(self.root, node => {
-          if (self.store.task && node.updateValue) node.updateValue(self.store);
-        });
-        self.initialized = true;
-        return self.root;
+
+      const control = self.names.get(labelsModel.name);
+
+      if (!control?.labelSetItems) {
+        return self.addErrors([errorBuilder.generalError(`There is no Labels with name "${labelsModel.name}"`)]);
       }
-      // initialize toName bindings [DOCS] name & toName are used to
-      // connect different components to each other
-      Tree.traverseTree(self.root, node => {
-        if (node?.name) {
-          self.addName(node);
-          if (objectTypes.includes(node.type)) objects.push(node.name);
-        }
-        const isControlTag = node.name && !objectTypes.includes(node.type);
-        // auto-infer missed toName if there is only one object tag in the config
-        if (isControlTag && !node.toname && objects.length === 1) {
-          node.toname = objects[0];
-        }
-        if (node && node.toname) {
-          self.upsertToName(node);
-        }
-        if (self.store.task && node.updateValue) node.updateValue(self.store);
-      });
-      // self.initialized = true;
-      self.selected.setupHotKeys();
+
+      const values = (labelsModel.children ?? []).map(child => child.value);
+      const operations = diffLabelSet(control.labelSetItems.map(item => item.value), values);
+
+      // config is already saved by host, no need to notify about it
+      self.editLabelSet(labelsModel.name, operations, { notify: false });
+
       return self.root;
     }
 
@@ -658,6 +648,7 @@ const AnnotationStoreModel = types
       toggleViewingAllAnnotations,
 
       initRoot,
+      destroyRoot,
       addToName,
       addName,
       upsertToName,
@@ -689,5 +680,8 @@ const AnnotationStoreModel = types
 
 export default types.compose('AnnotationStore',
   AnnotationStoreModel,
+  LabelSetEditor,
+  AnnotationDiff,
+  AgreementMetrics,
   ...(isFF(FF_DEV_3617) ? [StoreExtender] : []),
 );
@@ -6,6 +6,7 @@ import {
   flow,
   getEnv, getParent,
   getSnapshot,
+  isAlive,
   isRoot,
   types,
   walk
@@ -14,9 +15,15 @@ import {
 import uniqBy from 'lodash/uniqBy';
 import InfoModal from '../components/Infomodal/Infomodal';
 import { Hotkey } from '../core/Hotkey';
+import Tree from '../core/Tree';
 import ToolsManager from '../tools/Manager';
 import Utils from '../utils';
 import { guidGenerator } from '../utils/unique';
+import { createLabelSource, LABEL_SOURCE_PAGE_SIZE } from '../utils/label-source';
+import { composeConfigMigrations, diffConfigModels, hasConfigMigration } from '../utils/config-migration';
+import { createIndexedDBStorage, createMemoryStorage, isNetworkError, OfflineQueue } from '../utils/offline-queue';
+import { createExportContext, downloadFiles, getExporters } from '../utils/exporters';
+import { createImportContext, importData } from '../utils/importers';
 import { clamp, delay, isDefined } from '../utils/utilities';
 import AnnotationStore from './Annotation/store';
 import Project from './ProjectStore';
@@ -31,8 +38,13 @@ import { destroy as destroySharedStore } from '../mixins/SharedChoiceStore/mixin
 const hotkeys = Hotkey('AppStore', 'Global Hotkeys');
 
 const tagsObj = types.model({
-  id: types.integer,
-  value: types.optional(types.string, '')
+  id: types.union(types.integer, types.string),
+  value: types.optional(types.string, ''),
+  /**
+   * Parent option id and values from the root for hierarchical labels
+   */
+  parent: types.maybeNull(types.union(types.integer, types.string)),
+  path: types.array(types.string),
 });
 
 export default types
@@ -49,6 +61,10 @@ export default types
     labelOptions: types.array(tagsObj),
     labelOptLoading: types.maybeNull(types.boolean),
     labelOptErrMsg: types.maybeNull(types.string),
+    labelOptQuery: types.optional(types.string, ''),
+    labelOptPage: types.optional(types.number, 0),
+    labelOptTotal: types.maybeNull(types.number),
+    labelOptHasMore: types.optional(types.boolean, false),
     /**
      * Task with data, id and project
      */
@@ -201,11 +217,42 @@ export default types
     suggestionsRequest: null,
     // @todo should be removed along with the FF; it's used to detect FF in other parts
     simpleInit: isFF(FF_SIMPLE_INIT),
+    /**
+     * Mapping of renamed/removed tags and labels between the config results were made with
+     * and the current one; applied to every deserialized annotation and prediction
+     * @type {import('../utils/config-migration').ConfigMigration | null}
+     */
+    configMigration: null,
+    /**
+     * Offline queue state; the queue itself is enabled with `offline` option
+     */
+    offlineEnabled: false,
+    isOnline: true,
+    isSyncing: false,
+    /** @type {import('../utils/offline-queue').OfflineItem[]} */
+    offlineItems: [],
   }))
   .views(self => ({
     get events() {
       return getEnv(self).events;
     },
+    get offlinePending() {
+      return self.offlineItems.filter(item => item.status === 'pending');
+    },
+    get offlineConflicts() {
+      return self.offlineItems.filter(item => item.status === 'conflict');
+    },
+    /**
+     * Built-in exporters and ones from `exporters` option; the latter override built-ins with the same id
+     */
+    get exporters() {
+      const custom = getEnv(self).exporters ?? [];
+
+      return [
+        ...getExporters().filter(exporter => !custom.some(item => item.id === exporter.id)),
+        ...custom,
+      ];
+    },
     get hasSegmentation() {
       // not an object and not a classification
       const isSegmentation = t => !t.getAvailableStates && !t.perRegionVisible;
@@ -252,23 +299,79 @@ export default types
       self.htkRegionStart = val;
     }
 
-    const fetchLabelOptions = flow(function* (){
-      self.labelOptions = [];
+    let labelSource;
+    let labelOptRequest = null;
+
+    function getLabelSource() {
+      if (labelSource === undefined) labelSource = createLabelSource(getEnv(self).labelSource);
+      return labelSource;
+    }
+
+    /**
+     * Load label options from the `labelSource` provided by host.
+     * First page replaces the options, next pages are appended.
+     * @param {{ query?: string, page?: number }} params
+     * @returns {number} amount of loaded options
+     */
+    function setLabelOptError(error) {
+      console.error('Failed to fetch labels', error);
+      self.labelOptErrMsg = `Unable to fetch Labels: ${error?.message ?? error}`;
+      self.labelOptHasMore = false;
+    }
+
+    const fetchLabelOptions = flow(function* ({ query = self.labelOptQuery, page = 1 } = {}) {
+      let source;
+
+      try {
+        source = getLabelSource();
+      } catch (error) {
+        // unsupported label source is reported as any other failure
+        setLabelOptError(error);
+        return self.labelOptions.length;
+      }
+
+      // labels from the config are used as is when there is no label source
+      if (!source) {
+        self.labelOptHasMore = false;
+        return self.labelOptions.length;
+      }
+
+      const requestId = guidGenerator();
+
+      labelOptRequest = requestId;
+      if (page === 1) self.labelOptions = [];
+      self.labelOptQuery = query;
       self.labelOptLoading = true;
-      self.labelOptErrMsg = "";
+      self.labelOptErrMsg = '';
+
       try {
-        // ... yield can be used in async/await style
-        const resp = yield fetch('https://l25miqojkb.execute-api.us-east-1.amazonaws.com/dev/get_labels')
-        const data = yield resp.json();
-        self.labelOptions = data.body;
-    } catch (error) {
-        // ... including try/catch error handling
-        console.error("Failed to fetch projects", error)
-        self.labelOptErrMsg = "Unable to fetch Labels"
-    }
-    self.labelOptLoading = false;
-    return self.labelOptions.length;
-    })
+        const { items, total, hasMore } = yield source.load({ query, page, pageSize: LABEL_SOURCE_PAGE_SIZE });
+
+        // results of outdated search requests are ignored
+        if (requestId !== labelOptRequest) return self.labelOptions.length;
+
+        const known = new Set(self.labelOptions.map(option => option.id));
+
+        self.labelOptions.push(...items.filter(item => !known.has(item.id)));
+        self.labelOptPage = page;
+        self.labelOptTotal = total;
+        self.labelOptHasMore = hasMore;
+      } catch (error) {
+        if (requestId !== labelOptRequest) return self.labelOptions.length;
+        setLabelOptError(error);
+      }
+      self.labelOptLoading = false;
+      return self.labelOptions.length;
+    });
+
+    function searchLabelOptions(query = '') {
+      return self.fetchLabelOptions({ query, page: 1 });
+    }
+
+    function fetchMoreLabelOptions() {
+      if (self.labelOptLoading || !self.labelOptHasMore) return;
+      return self.fetchLabelOptions({ page: self.labelOptPage + 1 });
+    }
 
     function addLabel(labels = []){
       if(labels.length > 0){
@@ -358,6 +461,9 @@ export default types
     function afterCreate() {
       ToolsManager.setRoot(self);
 
+      self.configMigration = getEnv(self).configMigration ?? null;
+      initOfflineQueue();
+
       // important thing to detect Area atomatically: it hasn't access to store, only via global
       window.Htx = self;
 
@@ -510,6 +616,44 @@ export default types
 
         selected.selectAreas(results);
       });
+
+      const selectedPolygons = () => {
+        const c = self.annotationStore.selected;
+        const polygons = c?.selectedRegions ?? [];
+
+        return c && !c.isDrawing && c.arePolygonsEditable(polygons) ? polygons : null;
+      };
+
+      // the whole selection is changed in a single undo step
+      ['simplify', 'smooth'].forEach(operation => {
+        hotkeys.addNamed(`polygon:${operation}`, () => {
+          const polygons = selectedPolygons();
+          const { history } = self.annotationStore.selected ?? {};
+
+          if (!polygons) return;
+          history.freeze(`polygon:${operation}`);
+          polygons.forEach(polygon => polygon[operation]());
+          history.unfreeze(`polygon:${operation}`);
+        });
+      });
+
+      hotkeys.addNamed('polygon:split', () => {
+        const polygons = selectedPolygons();
+
+        if (polygons?.length === 1) polygons[0].setSplitting(!polygons[0].splitting);
+      });
+
+      hotkeys.addNamed('polygon:merge', () => {
+        const polygons = selectedPolygons();
+
+        if (polygons) self.annotationStore.selected.mergePolygons(polygons);
+      });
+
+      hotkeys.addNamed('polygon:hole', () => {
+        const polygons = selectedPolygons();
+
+        if (polygons) self.annotationStore.selected.cutHole(polygons);
+      });
     }
 
     function setTaskHistory(taskHistory) {
@@ -538,19 +682,78 @@ export default types
       }
     }
 
+    /**
+     * Calculate mapping of renamed and removed tags and labels between two configs
+     * @param {import('../utils/config-migration').ConfigMapping} [mapping] explicitly renamed tags and labels
+     * @returns {import('../utils/config-migration').ConfigMigration | null}
+     */
+    function diffConfigs(prevConfig, nextConfig, mapping) {
+      if (!prevConfig || !nextConfig || prevConfig === nextConfig) return null;
+
+      try {
+        const migration = diffConfigModels(
+          Tree.treeToModel(prevConfig, self),
+          Tree.treeToModel(nextConfig, self),
+          mapping,
+        );
+
+        return hasConfigMigration(migration) ? migration : null;
+      } catch (e) {
+        console.error(e);
+        return null;
+      }
+    }
+
+    function migrateConfig(prevConfig, nextConfig, mapping) {
+      const migration = diffConfigs(prevConfig, nextConfig, mapping);
+
+      if (!migration) return;
+
+      self.configMigration = self.configMigration
+        ? composeConfigMigrations(self.configMigration, migration)
+        : migration;
+    }
+
     function assignConfig(config) {
       const cs = self.annotationStore;
 
+      migrateConfig(self.config, config);
       self.config = config;
       cs.initRoot(self.config);
     }
 
+    /**
+     * Replace XML config without rebuilding the tree;
+     * used when the tree was already updated in place
+     * @param {string} config
+     * @param {import('../utils/config-migration').ConfigMapping} [mapping] explicitly renamed tags and labels
+     */
+    function setConfig(config, mapping) {
+      migrateConfig(self.config, config, mapping);
+      self.config = config;
+    }
+
+    /**
+     * Rebuild the tree with the new config and migrate results of all loaded annotations and predictions
+     */
     function reAssignConfig(config){
-      destroy(self.annotationStore.root);
       const cs = self.annotationStore;
-      
+      const entities = [...cs.annotations, ...cs.predictions];
+      const results = entities.map(entity => entity.serializeAnnotation());
+
+      // regions are bound to the tags of the old tree, so they can't survive its destruction
+      entities.forEach(entity => entity.clearAreas());
+      cs.destroyRoot();
+
+      migrateConfig(self.config, config);
       self.config = config;
-      cs.initRoot(self.config)
+      cs.initRoot(self.config);
+
+      entities.forEach((entity, index) => {
+        entity.deserializeResults(results[index], { hidden: entity !== cs.selected });
+        entity.updateObjects();
+        entity.reinitHistory();
+      });
     }
 
     async function reAssignConfigLbl(config){
@@ -564,7 +767,7 @@ export default types
 
     async function saveNewConfig(rootConfig){
       if(rootConfig && rootConfig.trim() !== ""){
-        return await getEnv(self).events.invoke('updateProject',rootConfig);
+        return await getEnv(self).events.invoke('updateProject', rootConfig, diffConfigs(self.config, rootConfig));
         
       }
     }
@@ -577,16 +780,188 @@ export default types
     }
     /* eslint-enable no-unused-vars */
 
-    function submitDraft(c, params = {}) {
-      return new Promise(resolve => {
-        const events = getEnv(self).events;
+    /**
+     * Export the annotation with the given exporter and download resulting files
+     * @param {string} id exporter id
+     * @param {object} [entity] annotation or prediction, current one by default
+     */
+    function exportAnnotation(id, entity = self.annotationStore.selected) {
+      const exporter = self.exporters.find(item => item.id === id);
+
+      if (!exporter || !entity) return [];
+
+      const files = exporter.export(createExportContext(entity));
 
-        if (!events.hasEvent('submitDraft')) return resolve();
-        const res = events.invokeFirst('submitDraft', self, c, params);
+      downloadFiles(files);
+      return files;
+    }
+
+    let offlineQueue = null;
+
+    function initOfflineQueue() {
+      const offline = getEnv(self).offline;
 
-        if (res && res.then) res.then(resolve);
-        else resolve(res);
+      if (!offline) return;
+
+      const storage = offline.storage
+        ?? (typeof indexedDB !== 'undefined' ? createIndexedDBStorage() : createMemoryStorage());
+
+      offlineQueue = new OfflineQueue(storage);
+      self.offlineEnabled = true;
+      self.refreshOfflineState();
+    }
+
+    const refreshOfflineState = flow(function* () {
+      if (!offlineQueue) return;
+      self.offlineItems = yield offlineQueue.items();
+    });
+
+    /**
+     * Host signals connectivity changes; pending items are replayed as soon as it's online
+     * @param {boolean} online
+     */
+    function setOnline(online) {
+      self.isOnline = online;
+      if (online) self.syncOffline();
+    }
+
+    // annotation fields the host may need to send it; the annotation itself can be gone by the time of replay
+    function offlineEntitySnapshot(entity) {
+      return {
+        id: entity.id,
+        pk: entity.pk,
+        type: entity.type,
+        draftId: entity.draftId,
+        leadTime: entity.leadTime,
+        createdBy: entity.createdBy,
+        ground_truth: entity.ground_truth,
+        userGenerate: entity.userGenerate,
+        sentUserGenerate: entity.sentUserGenerate,
+      };
+    }
+
+    // replayed events receive a plain object with the same basic interface as annotation
+    function offlineEntity(item) {
+      const { entity, result } = item.payload;
+
+      return {
+        ...entity,
+        taskId: item.taskId,
+        offline: true,
+        versions: { draft: result },
+        serializeAnnotation: () => result,
+      };
+    }
+
+    function invokeEvent(event, entity, args) {
+      const events = getEnv(self).events;
+
+      // drafts are saved by the only handler and its result is used
+      if (event === 'submitDraft') return Promise.resolve(events.invokeFirst(event, self, entity, ...args));
+      return Promise.resolve(events.invoke(event, self, entity, ...args));
+    }
+
+    /**
+     * Send annotation to the host; if offline queue is enabled and the host is unreachable
+     * the annotation is stored locally to be sent later
+     */
+    async function sendToHost(event, entity, args = []) {
+      if (!offlineQueue) return invokeEvent(event, entity, args);
+
+      const annotationId = entity.pk ?? entity.id;
+      // items of the same annotation are delivered in order, so nothing goes directly while its previous ones are waiting
+      const isWaiting = self.offlineItems.some(item => item.annotationId === annotationId);
+
+      if (self.isOnline && !isWaiting) {
+        try {
+          return await invokeEvent(event, entity, args);
+        } catch (err) {
+          if (!isNetworkError(err)) throw err;
+          console.error(err);
+          self.setOnline(false);
+        }
+      }
+
+      await offlineQueue.enqueue({
+        taskId: self.task?.id ?? null,
+        annotationId,
+        event,
+        payload: {
+          entity: offlineEntitySnapshot(entity),
+          result: entity.serializeAnnotation(),
+          args,
+        },
       });
+      await self.refreshOfflineState();
+      if (self.isOnline) await self.syncOffline();
+    }
+
+    const syncOffline = flow(function* () {
+      if (!offlineQueue || !self.isOnline) return;
+
+      self.isSyncing = true;
+
+      try {
+        const result = yield offlineQueue.replay(item => invokeEvent(item.event, offlineEntity(item), item.payload.args));
+
+        if (result.interrupted) self.isOnline = false;
+      } catch (err) {
+        console.error(err);
+      }
+
+      self.isSyncing = false;
+      yield self.refreshOfflineState();
+    });
+
+    const retryOfflineItem = flow(function* (id) {
+      if (!offlineQueue) return;
+      yield offlineQueue.retry(id);
+      yield self.syncOffline();
+    });
+
+    const discardOfflineItem = flow(function* (id) {
+      if (!offlineQueue) return;
+      yield offlineQueue.remove(id);
+      yield self.refreshOfflineState();
+    });
+
+    /**
+     * Drafts which were not delivered to the host are restored on task load.
+     * Draft of annotation which was never saved can't be matched by id,
+     * so it goes to the empty new annotation if there is one.
+     */
+    const restoreOfflineDrafts = flow(function* () {
+      if (!offlineQueue) return;
+
+      const taskId = self.task?.id ?? null;
+      const items = yield offlineQueue.items(taskId);
+      // the latest drafts go first
+      const drafts = items.filter(item => item.event === 'submitDraft' && item.status === 'pending').reverse();
+
+      for (const annotation of self.annotationStore.annotations) {
+        if (!isAlive(annotation) || !annotation.editable) continue;
+
+        let draft = drafts.find(item => item.annotationId === (annotation.pk ?? annotation.id));
+
+        if (!draft && !annotation.pk && !annotation.results.length) {
+          draft = drafts.find(item => !item.payload.entity.pk);
+          // this annotation will save the draft under its own id
+          if (draft) yield offlineQueue.remove(draft.id);
+        }
+        if (!draft) continue;
+
+        drafts.splice(drafts.indexOf(draft), 1);
+        annotation.restoreDraft(draft.payload.result);
+      }
+
+      yield self.refreshOfflineState();
+    });
+
+    function submitDraft(c, params = {}) {
+      const events = getEnv(self).events;
+
+      if (!events.hasEvent('submitDraft')) return Promise.resolve();
+      return sendToHost('submitDraft', c, [params]);
     }
 
     // Set `isSubmitting` flag to block [Submit] and related buttons during request
@@ -624,7 +999,7 @@ export default types
 
       entity.sendUserGenerate();
       handleSubmittingFlag(async () => {
-        await getEnv(self).events.invoke(event, self, entity);
+        await sendToHost(event, entity);
         self.incrementQueuePosition();
       });
       entity.dropDraft();
@@ -640,7 +1015,7 @@ export default types
       if (!entity.validate()) return;
 
       handleSubmittingFlag(async () => {
-        await getEnv(self).events.invoke('updateAnnotation', self, entity, extraData);
+        await sendToHost('updateAnnotation', entity, [extraData]);
         self.incrementQueuePosition();
       });
       entity.dropDraft();
@@ -762,6 +1137,8 @@ export default types
         }
       }
 
+      predictions = [...predictions, ...importTaskData()];
+
       // goal here is to deserialize everything fast and select only first annotation
       // no extra processes during eserialization and further processes triggered during select
       if (self.simpleInit) {
@@ -835,6 +1212,87 @@ export default types
         self.initialized = true;
         getEnv(self).events.invoke('storageInitialized', self);
       }
+
+      self.restoreOfflineDrafts();
+    }
+
+    /**
+     * Converts data of supported format to a prediction;
+     * shapes of categories missing in the config are skipped, they and broken data are reported as warnings
+     * @param {string|object} data file content or parsed JSON
+     * @param {import('../utils/importers').ImportOptions & { format?: string }} options
+     * @param {string} source name of the file or task data field for warnings and model version
+     * @param {string[]} warnings list to add warnings to
+     */
+    function importedPrediction(data, options, source, warnings) {
+      const as = self.annotationStore;
+
+      try {
+        const context = createImportContext(as);
+        const { importer, results, unknown } = importData(data, context, options);
+
+        if (unknown.length) {
+          const controls = context.controls
+            .filter(control => ['rectanglelabels', 'polygonlabels', 'brushlabels'].includes(control.type))
+            .map(control => control.name);
+
+          warnings.push(
+            `Imported ${importer.title} "${source}" has categories missing in labels of ${controls.join(', ')}: `
+            + `${unknown.join(', ')}. Their shapes were skipped.`,
+          );
+        }
+
+        if (!results.length) return null;
+
+        return { model_version: `${source} (${importer.title})`, result: results };
+      } catch (e) {
+        console.error(e);
+        warnings.push(`Can't import ${source}: ${e.message}`);
+        return null;
+      }
+    }
+
+    // import problems don't block labeling, so they are shown apart from config errors
+    function showImportWarnings(warnings) {
+      if (warnings.length) InfoModal.warning(warnings.join(' '), 'Import warning');
+    }
+
+    /**
+     * Predictions from task data fields listed in `importFields` option
+     */
+    function importTaskData() {
+      const data = self.task?.dataObj ?? {};
+      const warnings = [];
+      const predictions = (getEnv(self).importFields ?? [])
+        .map(item => (typeof item === 'string' ? { field: item } : item))
+        .filter(({ field }) => isDefined(data[field]))
+        .map(({ field, ...options }) => importedPrediction(data[field], options, field, warnings))
+        .filter(Boolean);
+
+      showImportWarnings(warnings);
+      return predictions;
+    }
+
+    /**
+     * Adds a prediction converted from COCO, YOLO or Pascal VOC file
+     * @param {string|object} data file content or parsed JSON
+     * @param {import('../utils/importers').ImportOptions & { format?: string }} [options] format is detected if omitted
+     * @returns prediction or null if nothing was imported
+     */
+    function importPredictions(data, options = {}) {
+      const as = self.annotationStore;
+      const warnings = [];
+      const prediction = importedPrediction(data, options, options.fileName ?? 'file', warnings);
+
+      showImportWarnings(warnings);
+
+      if (!prediction) return null;
+
+      const obj = as.addPrediction(prediction);
+
+      as.selectPrediction(obj.id);
+      obj.deserializeResults(prediction.result.map(r => ({ ...r, origin: 'prediction' })));
+      return obj;
     }
 
     function setHistory(history = []) {
@@ -930,6 +1388,8 @@ export default types
 
     return {
       fetchLabelOptions,
+      searchLabelOptions,
+      fetchMoreLabelOptions,
       addLabel,
       changeHtkRegionStart,
       saveNewConfig,
@@ -942,11 +1402,13 @@ export default types
       afterCreate,
       assignTask,
       assignConfig,
+      setConfig,
       reAssignConfig,
       reAssignConfigLbl,
       resetState,
       resetAnnotationStore,
       initializeStore,
+      importPredictions,
       setHistory,
       attachHotkeys,
 
@@ -954,6 +1416,13 @@ export default types
       unskipTask,
       setTaskHistory,
       submitDraft,
+      setOnline,
+      refreshOfflineState,
+      syncOffline,
+      retryOfflineItem,
+      discardOfflineItem,
+      restoreOfflineDrafts,
+      exportAnnotation,
       submitAnnotation,
       updateAnnotation,
       acceptAnnotation,
@@ -63,6 +63,11 @@ const SettingsModel = types
 
     videoHopSize: types.optional(types.number, 10),
 
+    /**
+     * Image adjustments (gamma, saturation, color map, etc.) by project
+     */
+    imageAdjustments: types.optional(types.map(types.frozen()), {}),
+
     isDestroying: types.optional(types.boolean, false),
   })
   .views(self => ({
@@ -224,6 +229,10 @@ const SettingsModel = types
       self.videoHopSize = value;
     },
 
+    setImageAdjustments(project, adjustments) {
+      self.imageAdjustments.set(project, adjustments);
+    },
+
     setProperty(name, value) {
       self[name] = value;
     },
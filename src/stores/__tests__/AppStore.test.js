@@ -0,0 +1,112 @@
+import { getRoot } from 'mobx-state-tree';
+import InfoModal from '../../components/Infomodal/Infomodal';
+import { createAnnotation } from '../../regions/__tests__/helpers';
+import { createMemoryStorage, OfflineQueue } from '../../utils/offline-queue';
+
+const config = `
+<View>
+  <Text name="text" value="$text"/>
+  <Labels name="label" toName="text"><Label value="A"/></Labels>
+</View>`;
+
+const span = {
+  id: 'a',
+  from_name: 'label',
+  to_name: 'text',
+  type: 'labels',
+  value: { start: 0, end: 4, labels: ['A'] },
+};
+
+const createStore = (env) => getRoot(createAnnotation(config, { text: 'text' }, [], env));
+
+const createOfflineStore = (storage, invokeFirst) => {
+  const annotation = createAnnotation(config, { text: 'text' }, [span], {
+    offline: { storage },
+    events: { invoke() {}, invokeFirst, hasEvent: () => true },
+  });
+
+  return { annotation, store: getRoot(annotation) };
+};
+
+describe('AppStore', () => {
+  test('reports unsupported label source as fetching error', async () => {
+    const store = createStore({ labelSource: 42 });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(await store.fetchLabelOptions()).toBe(0);
+      expect(store.labelOptErrMsg).toBe('Unable to fetch Labels: Unsupported label source');
+      expect(store.labelOptHasMore).toBe(false);
+    } finally {
+      error.mockRestore();
+    }
+  });
+
+  test('sends draft directly while items of other annotations wait in offline queue', async () => {
+    const storage = createMemoryStorage();
+
+    await new OfflineQueue(storage).enqueue({
+      taskId: null,
+      annotationId: 'other',
+      event: 'submitAnnotation',
+      payload: { entity: {}, result: [], args: [] },
+    });
+
+    const invokeFirst = jest.fn(() => ({ id: 1 }));
+    const { annotation, store } = createOfflineStore(storage, invokeFirst);
+
+    await store.refreshOfflineState();
+    expect(store.offlineItems).toHaveLength(1);
+
+    await annotation.saveDraft();
+
+    expect(invokeFirst).toHaveBeenCalledWith('submitDraft', store, annotation, {});
+    expect(store.offlineItems).toHaveLength(1);
+  });
+
+  test('keeps draft unsaved when host rejects it', async () => {
+    const invokeFirst = jest.fn(() => Promise.reject(new Error('Server error')));
+    const { annotation } = createOfflineStore(createMemoryStorage(), invokeFirst);
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(await annotation.saveDraft()).toBeUndefined();
+      expect(annotation.isDraftSaving).toBe(false);
+      expect(annotation.draftSaved).toBeUndefined();
+      expect(error).toHaveBeenCalledWith(expect.objectContaining({ message: 'Server error' }));
+    } finally {
+      error.mockRestore();
+    }
+  });
+
+  test('imports known categories and reports unknown ones as warning', () => {
+    const imageConfig = `
+      <View>
+        <Image name="image" value="$image"/>
+        <RectangleLabels name="box" toName="image"><Label value="Car"/></RectangleLabels>
+      </View>`;
+    const store = getRoot(createAnnotation(imageConfig, { image: '/street.jpg' }));
+    const warning = jest.spyOn(InfoModal, 'warning').mockImplementation(() => {});
+    const coco = {
+      images: [{ id: 1, file_name: 'street.jpg', width: 200, height: 100 }],
+      categories: [{ id: 1, name: 'Car' }, { id: 2, name: 'Tree' }],
+      annotations: [
+        { id: 1, image_id: 1, category_id: 1, bbox: [20, 10, 40, 50], segmentation: [], iscrowd: 0 },
+        { id: 2, image_id: 1, category_id: 2, bbox: [0, 0, 10, 10], segmentation: [], iscrowd: 0 },
+      ],
+    };
+
+    try {
+      const prediction = store.importPredictions(coco, { fileName: 'street.json' });
+
+      expect(prediction.results.map(result => result.mainValue)).toEqual([['Car']]);
+      expect(store.annotationStore.validation).toBeNull();
+      expect(warning).toHaveBeenCalledWith(
+        'Imported COCO "street.json" has categories missing in labels of box: Tree. Their shapes were skipped.',
+        'Import warning',
+      );
+    } finally {
+      warning.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { getRoot } from 'mobx-state-tree';
+import { createAnnotation } from '../../regions/__tests__/helpers';
+
+const config = `
+<View>
+  <Text name="text" value="$text"/>
+  <Labels name="label" toName="text">
+    <Label value="Person" background="red"/>
+    <Label value="Place" background="blue"/>
+  </Labels>
+</View>`;
+
+const span = (id, label) => ({
+  id,
+  from_name: 'label',
+  to_name: 'text',
+  type: 'labels',
+  value: { start: 0, end: 4, labels: [label] },
+});
+
+const setup = () => {
+  const invoke = jest.fn();
+  const annotation = createAnnotation(config, { text: 'John lives in Paris' }, [span('a', 'Person'), span('b', 'Place')], {
+    events: { invoke, hasEvent: () => false },
+  });
+  const store = getRoot(annotation);
+  const labelsOf = () => annotation.serializeAnnotation().map(result => result.value.labels);
+  const values = () => store.annotationStore.names.get('label').children.map(label => label.value);
+
+  return { annotation, annotationStore: store.annotationStore, store, invoke, labelsOf, values };
+};
+
+describe('Label set editing', () => {
+  test('renames labels in config and results', () => {
+    const { annotationStore, store, invoke, labelsOf, values } = setup();
+    const config = annotationStore.editLabelSet('label', { action: 'rename', value: 'Person', newValue: 'Human' });
+
+    expect(config).toContain('value="Human"');
+    expect(store.config).toBe(config);
+    expect(invoke).toHaveBeenCalledWith('updateProject', config);
+    expect(values()).toEqual(['Human', 'Place']);
+    expect(labelsOf()).toEqual([['Human'], ['Place']]);
+    // annotations made with the old config are migrated as well
+    expect(store.configMigration).toMatchObject({ labels: { label: { Person: 'Human' } }, removedLabels: {} });
+  });
+
+  test('undoes and redoes several operations as one step', () => {
+    const { annotationStore, store, labelsOf, values } = setup();
+    const initialConfig = store.config;
+
+    annotationStore.editLabelSet('label', [
+      { action: 'add', value: 'Date', color: 'green' },
+      { action: 'rename', value: 'Place', newValue: 'Location' },
+      { action: 'move', value: 'Date', index: 0 },
+    ]);
+
+    expect(values()).toEqual(['Date', 'Person', 'Location']);
+    expect(labelsOf()).toEqual([['Person'], ['Location']]);
+
+    annotationStore.undoLabelSetEdit();
+
+    expect(values()).toEqual(['Person', 'Place']);
+    expect(labelsOf()).toEqual([['Person'], ['Place']]);
+    expect(store.config).not.toContain('Date');
+    expect(annotationStore.canUndoLabelSet).toBe(false);
+
+    annotationStore.redoLabelSetEdit();
+
+    expect(values()).toEqual(['Date', 'Person', 'Location']);
+    expect(labelsOf()).toEqual([['Person'], ['Location']]);
+    expect(annotationStore.canRedoLabelSet).toBe(false);
+    expect(store.config).not.toBe(initialConfig);
+  });
+
+  test('renaming is not an undo step of the annotation', () => {
+    const { annotation, annotationStore, labelsOf } = setup();
+
+    annotation.regions[1].deleteRegion();
+    annotationStore.editLabelSet('label', { action: 'rename', value: 'Person', newValue: 'Human' });
+
+    expect(labelsOf()).toEqual([['Human']]);
+
+    // the deletion is undone, the renamed label stays
+    annotation.history.undo();
+
+    expect(labelsOf()).toEqual([['Human'], ['Place']]);
+    expect(annotation.versions.result.map(result => result.value.labels)).toEqual([['Human'], ['Place']]);
+  });
+
+  test('rejects operations which can not be applied', () => {
+    const { annotationStore, store, invoke, values } = setup();
+    const initialConfig = store.config;
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(annotationStore.editLabelSet('label', { action: 'rename', value: 'Person', newValue: 'Place' })).toBeNull();
+    } finally {
+      error.mockRestore();
+    }
+
+    expect(store.config).toBe(initialConfig);
+    expect(values()).toEqual(['Person', 'Place']);
+    expect(invoke).not.toHaveBeenCalledWith('updateProject', expect.anything());
+  });
+});
@@ -0,0 +1,184 @@
+// helpers replace modules which can't run in jsdom, so they go first
+import { createAnnotation, loadImage, nextTick } from '../../regions/__tests__/helpers';
+import { Hotkey } from '../../core/Hotkey';
+import { signedArea } from '../../utils/mask-vector';
+
+const config = `
+<View>
+  <PolygonLabels name="label" toName="img">
+    <Label value="Car" />
+    <Label value="Road" />
+  </PolygonLabels>
+  <TextArea name="note" toName="img" perRegion="true" />
+  <Image name="img" value="$image" />
+</View>`;
+const data = { image: 'https://example.com/street.jpg' };
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+const polygon = (id, label, points) => ({
+  id,
+  from_name: 'label',
+  to_name: 'img',
+  type: 'polygonlabels',
+  original_width: 100,
+  original_height: 100,
+  value: { points, closed: true, polygonlabels: [label] },
+});
+const area = region => Math.abs(signedArea(region.shape.points));
+const labelsOf = region => region.labeling?.mainValue;
+
+// image of 100x100 pixels, so percents of results are pixels of shapes
+const setup = async (results) => {
+  const annotation = createAnnotation(config, data, results);
+
+  loadImage(annotation.names.get('img'));
+  // history is frozen while the image is loading
+  await nextTick();
+  return { annotation, regions: annotation.regions };
+};
+
+const press = (key) => {
+  Hotkey('AppStore').getNamespace().keys[key]({ preventDefault() {}, stopPropagation() {} });
+};
+
+describe('Polygon tools', () => {
+  test('splits polygon into two regions with the same labels in a single undo step', async () => {
+    const { annotation, regions: [car] } = await setup([polygon('car', 'Car', square(10, 10, 40))]);
+
+    const parts = annotation.splitPolygon(car, [[30, 0], [30, 60]]);
+
+    expect(parts).toHaveLength(2);
+    expect(parts[0]).toBe(car);
+    expect(annotation.regions).toHaveLength(2);
+    expect(parts.map(area)).toEqual([800, 800]);
+    expect(parts.map(labelsOf)).toEqual([['Car'], ['Car']]);
+
+    annotation.undo();
+
+    expect(annotation.regions).toHaveLength(1);
+    expect(area(annotation.regions[0])).toBe(1600);
+  });
+
+  test('line should cross the polygon through', async () => {
+    const { annotation, regions: [car] } = await setup([polygon('car', 'Car', square(10, 10, 40))]);
+
+    expect(annotation.splitPolygon(car, [[30, 0], [30, 30]])).toEqual([]);
+    expect(annotation.regions).toHaveLength(1);
+  });
+
+  test('merges overlapping polygons with the same labels in a single undo step', async () => {
+    const { annotation, regions: [first, second] } = await setup([
+      polygon('a', 'Car', square(10, 10, 20)),
+      polygon('b', 'Car', square(20, 20, 20)),
+    ]);
+
+    expect(annotation.mergePolygons([first, second])).toBe(first);
+    expect(annotation.regions).toEqual([first]);
+    expect(area(first)).toBe(700);
+
+    annotation.undo();
+
+    expect(annotation.regions).toHaveLength(2);
+    expect(area(annotation.regions[0])).toBe(400);
+  });
+
+  test('polygons with different labels or apart from each other are not merged', async () => {
+    const { annotation, regions } = await setup([
+      polygon('a', 'Car', square(10, 10, 20)),
+      polygon('b', 'Road', square(20, 20, 20)),
+      polygon('c', 'Car', square(60, 60, 20)),
+    ]);
+    const [car, road, other] = regions;
+
+    expect(annotation.canMergePolygons([car, road])).toBe(false);
+    expect(annotation.mergePolygons([car, road])).toBeNull();
+    expect(annotation.mergePolygons([car, other])).toBeNull();
+    expect(annotation.regions).toHaveLength(3);
+  });
+
+  test('cuts the inner polygon out of the outer one in a single undo step', async () => {
+    const { annotation, regions: [inner, outer] } = await setup([
+      polygon('inner', 'Road', square(20, 20, 10)),
+      polygon('outer', 'Car', square(10, 10, 40)),
+    ]);
+
+    expect(annotation.cutHole([inner, outer])).toBe(outer);
+    expect(annotation.regions).toEqual([outer]);
+    expect(outer.shape.holes).toEqual([square(20, 20, 10)]);
+
+    annotation.undo();
+
+    expect(annotation.regions).toHaveLength(2);
+    expect(annotation.regions[1].holes).toEqual([]);
+  });
+
+  test('crossing polygons can not be cut out', async () => {
+    const { annotation, regions } = await setup([
+      polygon('a', 'Car', square(10, 10, 20)),
+      polygon('b', 'Car', square(20, 20, 20)),
+    ]);
+
+    expect(annotation.cutHole(regions)).toBeNull();
+    expect(annotation.regions).toHaveLength(2);
+  });
+
+  describe('hotkeys', () => {
+    test('merge and cut selected polygons', async () => {
+      const { annotation, regions: [first, second, inner] } = await setup([
+        polygon('a', 'Car', square(10, 10, 20)),
+        polygon('b', 'Car', square(20, 20, 20)),
+        polygon('c', 'Car', square(15, 15, 5)),
+      ]);
+
+      annotation.selectAreas([first, second]);
+      press('alt+j');
+
+      expect(annotation.regions).toEqual([first, inner]);
+      expect(area(first)).toBe(700);
+
+      annotation.selectAreas([first, inner]);
+      press('alt+k');
+
+      expect(annotation.regions).toEqual([first]);
+      expect(first.shape.holes).toHaveLength(1);
+    });
+
+    test('toggle split mode of the only selected polygon', async () => {
+      const { annotation, regions: [first, second] } = await setup([
+        polygon('a', 'Car', square(10, 10, 20)),
+        polygon('b', 'Car', square(50, 50, 20)),
+      ]);
+
+      annotation.selectAreas([first, second]);
+      press('alt+x');
+      expect(first.splitting).toBe(false);
+
+      annotation.selectAreas([first]);
+      press('alt+x');
+      expect(first.splitting).toBe(true);
+
+      press('alt+x');
+      expect(first.splitting).toBe(false);
+    });
+
+    test('simplify and smooth all selected polygons in a single undo step', async () => {
+      const { annotation, regions } = await setup([
+        polygon('a', 'Car', [[10, 10], [20, 10.1], [30, 10], [30, 30], [10, 30]]),
+        polygon('b', 'Car', square(50, 50, 20)),
+      ]);
+
+      annotation.selectAreas(regions);
+      press('alt+s');
+
+      expect(regions[0].points).toHaveLength(4);
+
+      press('alt+o');
+
+      expect(regions.map(region => region.points.length)).toEqual([8, 8]);
+
+      annotation.undo();
+
+      expect(regions.map(region => region.points.length)).toEqual([4, 4]);
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { getRoot, types } from 'mobx-state-tree';
 import { FF_DEV_3391, FF_SNAP_TO_PIXEL, isFF } from '../../utils/feature-flags';
 import { BaseTag } from '../TagBase';
 import { SNAP_TO_PIXEL_MODE } from '../../components/ImageView/Image';
+import { parseSnapModes } from '../../utils/snapping';
 
 const ControlBase = types.model({
   ...(isFF(FF_DEV_3391)
@@ -47,10 +48,23 @@ const ControlBase = types.model({
     return self.annotation.results.find(r => r.from_name === self);
   },
 
-  getSnappedPoint(point) {
-    if (!isFF(FF_SNAP_TO_PIXEL)) return point;
+  /**
+   * Applies snapping modes from `snap` attribute to the point in internal coordinates
+   * @param {{ x: number, y: number }} point
+   * @param {object} [options]
+   * @param {object} [options.exclude] region being edited, it should not snap to itself
+   * @param {boolean} [options.onlyPixel] for moving of whole regions, snapping of one point to other regions makes no sense
+   */
+  getSnappedPoint(point, { exclude, onlyPixel = false } = {}) {
+    const modes = parseSnapModes(self.snap);
+    const regions = modes.includes('region');
+    const edges = modes.includes('edge');
 
-    if (self.snap === 'pixel') {
+    if (!onlyPixel && (regions || edges) && self.toNameTag?.snapPoint) {
+      point = self.toNameTag.snapPoint(point, { regions, edges, exclude });
+    }
+
+    if (isFF(FF_SNAP_TO_PIXEL) && modes.includes('pixel')) {
       return self.toNameTag.snapPointToPixel(point, self.snapMode);
     }
     return point;
@@ -19,6 +19,7 @@ import './Choices/Choises.styl';
 
 import './Choice';
 import DynamicChildrenMixin from '../../mixins/DynamicChildrenMixin';
+import LabelSetMixin from '../../mixins/LabelSetMixin';
 import { FF_LSDV_4583, isFF } from '../../utils/feature-flags';
 import { ReadOnlyControlMixin } from '../../mixins/ReadOnlyMixin';
 import SelectedChoiceMixin from '../../mixins/SelectedChoiceMixin';
@@ -246,6 +247,7 @@ const ChoicesModel = types.compose(
   SelectedChoiceMixin,
   VisibilityMixin,
   DynamicChildrenMixin,
+  LabelSetMixin,
   AnnotationMixin,
   TagAttrs,
   Model,
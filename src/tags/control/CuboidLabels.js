@@ -0,0 +1,87 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import LabelMixin from '../../mixins/LabelMixin';
+import Registry from '../../core/Registry';
+import SelectedModelMixin from '../../mixins/SelectedModel';
+import Types from '../../core/Types';
+import { customTypes } from '../../core/CustomTypes';
+import { ToolManagerMixin } from '../../mixins/ToolManagerMixin';
+import { HtxLabels, LabelsModel } from './Labels/Labels';
+import ControlBase from './Base';
+
+/**
+ * The `CuboidLabels` tag creates labeled cuboids: pseudo-3D bounding boxes projected onto the image, for example, for vehicles.
+ * Cuboid consists of front and back faces linked by four edges, eight vertices in total.
+ * Drag to draw the front face, then move the cursor to set the depth and click to finish the cuboid.
+ * Vertices of the selected cuboid can be dragged one by one, the back face can be dragged alone to change the depth.
+ *
+ * Use with the following data types: image.
+ * @example
+ * <!--Basic labeling configuration for applying labels to cuboids on an image -->
+ * <View>
+ *   <CuboidLabels name="cuboids" toName="image">
+ *     <Label value="Car" />
+ *     <Label value="Truck" />
+ *   </CuboidLabels>
+ *   <Image name="image" value="$image" />
+ * </View>
+ * @name CuboidLabels
+ * @regions CuboidRegion
+ * @meta_title Cuboid Label Tag to Label 3D Bounding Boxes in Images
+ * @meta_description Customize Label Studio with the CuboidLabels tag and add labeled pseudo-3D cuboids to images for object detection machine learning and data science projects.
+ * @param {string} name              - Name of the element
+ * @param {string} toName            - Name of the image to label
+ * @param {single|multiple=} [choice=single] - Configure whether you can select one or multiple labels
+ * @param {number} [maxUsages]               - Maximum number of times a label can be used per task
+ * @param {boolean} [showInline=true]        - Show labels in the same visual line
+ * @param {float} [opacity=0.2]      - Opacity of the front face
+ * @param {string} [fillColor]       - Front face fill color in hexadecimal
+ * @param {string} [strokeColor]     - Stroke color in hexadecimal
+ * @param {number} [strokeWidth=1]   - Width of stroke
+ */
+
+const Validation = types.model({
+  controlledTags: Types.unionTag(['Image']),
+});
+
+const TagAttrs = types.model({
+  opacity: types.optional(customTypes.range(), '0.2'),
+  fillcolor: types.optional(customTypes.color, '#f48a42'),
+
+  strokewidth: types.optional(types.string, '1'),
+  strokecolor: types.optional(customTypes.color, '#f48a42'),
+  fillopacity: types.maybeNull(customTypes.range()),
+});
+
+const ModelAttrs = types
+  .model('CuboidLabelsModel', {
+    type: 'cuboidlabels',
+    children: Types.unionArray(['label', 'header', 'view', 'hypertext']),
+  })
+  .volatile(() => ({
+    toolNames: ['Cuboid'],
+    isSeparated: true,
+  }));
+
+const Composition = types.compose(
+  ControlBase,
+  LabelsModel,
+  ModelAttrs,
+  TagAttrs,
+  Validation,
+  ToolManagerMixin,
+  LabelMixin,
+  SelectedModelMixin.props({ _child: 'LabelModel' }),
+);
+
+const CuboidLabelsModel = types.compose('CuboidLabelsModel', Composition);
+
+const HtxCuboidLabels = observer(({ item }) => {
+  return <HtxLabels item={item} />;
+});
+
+Registry.addTag('cuboidlabels', CuboidLabelsModel, HtxCuboidLabels);
+
+export { HtxCuboidLabels, CuboidLabelsModel };
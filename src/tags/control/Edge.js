@@ -0,0 +1,39 @@
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import { guidGenerator } from '../../core/Helpers';
+
+/**
+ * The `Edge` tag connects two joints of a skeleton. Use with the `SkeletonLabels` tag; edges are drawn between placed joints.
+ *
+ * @example
+ * <SkeletonLabels name="pose" toName="img">
+ *   <Joint value="left_shoulder" />
+ *   <Joint value="left_elbow" />
+ *   <Edge from="left_shoulder" to="left_elbow" />
+ * </SkeletonLabels>
+ * @name Edge
+ * @meta_title Edge Tag for Skeleton Edges
+ * @meta_description Customize Label Studio with the Edge tag to connect joints of skeletons for pose estimation projects.
+ * @param {string} from - Name of the first joint
+ * @param {string} to   - Name of the second joint
+ */
+const TagAttrs = types.model({
+  from: types.string,
+  to: types.string,
+});
+
+const Model = types.model({
+  id: types.optional(types.identifier, guidGenerator),
+  type: 'edge',
+});
+
+const EdgeModel = types.compose('EdgeModel', TagAttrs, Model);
+
+const HtxEdgeView = () => {
+  return null;
+};
+
+Registry.addTag('edge', EdgeModel, HtxEdgeView);
+
+export { HtxEdgeView, EdgeModel };
@@ -27,6 +27,7 @@ import { ToolManagerMixin } from '../../mixins/ToolManagerMixin';
  * @param {string} [strokeColor=#f48a42] - Stroke color in hexadecimal
  * @param {number} [strokeWidth=1]       - Width of the stroke
  * @param {boolean} [canRotate=true]     - Show or hide rotation control
+ * @param {string} [snap=none]          - Snap ellipse to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  * @param {boolean} [smart]              - Show smart tool for interactive pre-annotations
  * @param {boolean} [smartOnly]          - Only show smart tool for interactive pre-annotations
  */
@@ -41,6 +42,8 @@ const TagAttrs = types.model({
   fillopacity: types.maybeNull(customTypes.range()),
 
   canrotate: types.optional(types.boolean, true),
+
+  snap: types.optional(types.string, 'none'),
 });
 
 const Model = types
@@ -0,0 +1,37 @@
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import { guidGenerator } from '../../core/Helpers';
+
+/**
+ * The `Joint` tag represents a single named joint of a skeleton. Use with the `SkeletonLabels` tag; joints are placed in the order they are declared.
+ *
+ * @example
+ * <SkeletonLabels name="pose" toName="img">
+ *   <Joint value="nose" />
+ *   <Joint value="left_eye" />
+ *   <Edge from="nose" to="left_eye" />
+ * </SkeletonLabels>
+ * @name Joint
+ * @meta_title Joint Tag for Skeleton Joints
+ * @meta_description Customize Label Studio with the Joint tag to declare joints of skeletons for pose estimation projects.
+ * @param {string} value - Name of the joint, used in the results
+ */
+const TagAttrs = types.model({
+  value: types.string,
+});
+
+const Model = types.model({
+  id: types.optional(types.identifier, guidGenerator),
+  type: 'joint',
+});
+
+const JointModel = types.compose('JointModel', TagAttrs, Model);
+
+const HtxJointView = () => {
+  return null;
+};
+
+Registry.addTag('joint', JointModel, HtxJointView);
+
+export { HtxJointView, JointModel };
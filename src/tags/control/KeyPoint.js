@@ -29,7 +29,7 @@ import { SNAP_TO_PIXEL_MODE } from '../../components/ImageView/Image';
  * @param {string=} [strokeColor=#8bad00] - Keypoint stroke color in hexadecimal
  * @param {boolean} [smart]              - Show smart tool for interactive pre-annotations
  * @param {boolean} [smartOnly]          - Only show smart tool for interactive pre-annotations
- * @param {pixel|none} [snap=none]       - Snap keypoint to image pixels
+ * @param {string} [snap=none]           - Snap keypoint to image pixels (`pixel`), to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  */
 const TagAttrs = types.model({
   toname: types.maybeNull(types.string),
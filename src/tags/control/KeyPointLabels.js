@@ -34,7 +34,7 @@ import ControlBase from './Base';
  * @param {boolean} [showInline=true]    - Show labels in the same visual line
  * @param {float=} [opacity=0.9]         - Opacity of the keypoint
  * @param {number=} [strokeWidth=1]      - Width of the stroke
- * @param {pixel|none} [snap=none]       - Snap keypoint to image pixels
+ * @param {string} [snap=none]           - Snap keypoint to image pixels (`pixel`), to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  *
  */
 
@@ -82,6 +82,7 @@ const Model = types.model({
     'HyperTextLabels',
     'TimeSeriesLabels',
     'ParagraphLabels',
+    'VideoTimelineLabels',
   ]),
 }).volatile(self => {
   return {
@@ -196,8 +197,10 @@ const Model = types.model({
       const sameType = (tool && selectedTool) ? getType(selectedTool).name === getType(tool).name : false;
       const sameLabel = selectedTool ? tool?.control?.name === selectedTool?.control?.name : false;
       const isNotSameTool = selectedTool && (!sameType || !sameLabel);
+      // any other tool of the same control is fine, e.g. intelligent scissors for polygons
+      const isOwnTool = Object.values(self.parent?.tools || {}).includes(selectedTool);
 
-      if (tool && (isNotSameTool || !selectedTool)) {
+      if (tool && !isOwnTool && (isNotSameTool || !selectedTool)) {
         manager.selectTool(tool, true);
       }
     }
@@ -264,6 +267,9 @@ const Model = types.model({
   },
 
   onHotKey() {
+    // some labels controls create regions by hotkeys themselves
+    if (self.parent?.onLabelHotkey?.(self)) return;
+
     return self.onLabelInteract();
   },
 
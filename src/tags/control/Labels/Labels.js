@@ -1,6 +1,6 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { inject, observer } from 'mobx-react';
-import { applyAction, cast, onSnapshot, types } from 'mobx-state-tree';
+import { applyAction, cast, getSnapshot, onSnapshot, types } from 'mobx-state-tree';
 
 import { defaultStyle } from '../../../core/Constants';
 import { customTypes } from '../../../core/CustomTypes';
@@ -11,13 +11,16 @@ import Types from '../../../core/Types';
 import { AnnotationMixin } from '../../../mixins/AnnotationMixin';
 import DynamicChildrenMixin from '../../../mixins/DynamicChildrenMixin';
 import LabelMixin from '../../../mixins/LabelMixin';
+import LabelSetMixin from '../../../mixins/LabelSetMixin';
 import SelectedModelMixin from '../../../mixins/SelectedModel';
 import { Block } from '../../../utils/bem';
+import { debounce } from '../../../utils/debounce';
 import ControlBase from '../Base';
 import '../Label';
 import './Labels.styl';
 import { Button, Select } from 'antd';
 import { InstructionsModal } from '../../../components/InstructionsModal/InstructionsModal';
+import { LabelSetEditor } from '../../../components/LabelSetEditor/LabelSetEditor';
 
 /**
  * The `Labels` tag provides a set of labels for labeling regions in tasks for machine learning and data science projects. Use the `Labels` tag to create a set of labels that can be assigned to identified region and specify the values of labels to assign to regions.
@@ -143,6 +146,7 @@ const LabelsModel = types.compose(
   TagAttrs,
   AnnotationMixin,
   DynamicChildrenMixin,
+  LabelSetMixin,
   Model,
   SelectedModelMixin.props({ _child: 'LabelModel' }),
 );
@@ -186,15 +190,6 @@ const customStyles = {
   },
 }
 
-const dummyData = [
-    { id: 1, value: 'air_squat.down' },
-    { id: 2, value: 'air_squat.up' },
-    { id: 3, value: 'push_press.down' },
-    { id: 4, value: 'push_press.up' },
-    { id: 5, value: 'power_clean.up' },
-    { id: 6, value: 'power_clean.down' },
-];
-
 const getDefaultOptions = (config) => {
   const parser = new DOMParser();
   const xmlDoc = parser.parseFromString(config, 'application/xml');
@@ -214,9 +209,10 @@ const getDefaultOptions = (config) => {
     // Iterate over the children of 'Labels'
     for (let j = 0; j < labelsNode.childNodes.length; j++) {
       let childNode = labelsNode.childNodes[j];
-      const val = childNode?.attributes?.getNamedItem('value');
+      // options are selected by id, which is saved as `key`; labels without it have their value as id
+      const val = childNode?.attributes?.getNamedItem('key') ?? childNode?.attributes?.getNamedItem('value');
       if(val){
-        labelValues.push(val?.value?.toString()?.toLowerCase())
+        labelValues.push(val?.value?.toString())
       }
     }
     return labelValues;
@@ -234,13 +230,24 @@ const HtxLabels = inject(['store'])(observer(({ item, store}) => {
     reAssignConfigLbl,
     saveNewConfig,
     fetchLabelOptions,
+    searchLabelOptions,
+    fetchMoreLabelOptions,
     labelOptions,
     labelOptLoading,
     labelOptErrMsg,
   } = store;
 
   const [openLblSelection, setOpenLblSelection] = useState(false);
-  const [labelsSelection, setLabelsSelection] = useState([...(labelsData).map(i => (i.value.toLowerCase))]);
+  const [openLblEditor, setOpenLblEditor] = useState(false);
+  const [labelsSelection, setLabelsSelection] = useState([...(labelsData).map(i => String(i.id))]);
+  // options are reloaded on every search, so keep everything we've seen to apply selected ones;
+  // they are identified by id, hierarchical labels can have the same values in different branches
+  const knownOptions = useRef(new Map());
+  const handleSearch = useMemo(() => debounce(query => searchLabelOptions(query), 300), []);
+
+  [...labelsData, ...labelOptions].forEach(option => {
+    knownOptions.current.set(String(option.id), getSnapshot(option));
+  });
 
   const getUpdatedConfigLbl = (labels) => {
     // return `<Label key="${labels[labels.length -1].id}" value="${labels[labels.length -1].value}"/>`;
@@ -275,7 +282,16 @@ const HtxLabels = inject(['store'])(observer(({ item, store}) => {
   }, [labelsData.length]);
 
   const getLabelSelectOptions = (data) => {
-    return data.map(item => ({ key: item.id, value: item.value.toLowerCase(), label: item.value }));
+    return data.map(item => ({
+      key: item.id,
+      value: String(item.id),
+      label: item.path?.length > 1 ? item.path.join(' / ') : item.value,
+    }));
+  };
+  const handlePopupScroll = (e) => {
+    const { scrollTop, scrollHeight, clientHeight } = e.target;
+
+    if (scrollHeight - scrollTop - clientHeight < 32) fetchMoreLabelOptions();
   };
   const handleLabelSelectionChange = (value) => {
     setLabelsSelection([...value]);
@@ -287,9 +303,9 @@ const HtxLabels = inject(['store'])(observer(({ item, store}) => {
   const handleApplySelection = async() => {
     const labels = [];
     for(let i=0; i< labelsSelection.length; i++){
-      const item = dummyData.find(itm => itm.value.toLowerCase() === labelsSelection[i] );
-      if (item)
-      labels.push(item);
+      const item = knownOptions.current.get(labelsSelection[i]);
+
+      if (item) labels.push(item);
     }
     const newConfigLbl = getUpdatedConfigLbl(labels);
     const saved = await saveNewConfig(getUpdatedRootConfig(newConfigLbl));
@@ -308,7 +324,15 @@ const HtxLabels = inject(['store'])(observer(({ item, store}) => {
       </Block>
       <div style={customStyles.labelBtnContainer}>
         <Button type='primary' ghost onClick={handleAddLabel} disabled={labelOptLoading} loading={labelOptLoading | undefined}>{labelOptLoading ? "Fetching Labels" : "Add Label"}</Button>
+        <Button type='link' onClick={() => setOpenLblEditor(true)}>Edit Labels</Button>
       </div>
+      <InstructionsModal
+        visible={openLblEditor}
+        onCancel={() => setOpenLblEditor(false)}
+        title="Edit Labels"
+      >
+        <LabelSetEditor control={item} />
+      </InstructionsModal>
       <InstructionsModal
         visible={openLblSelection}
         onCancel={() => setOpenLblSelection(false)}
@@ -327,6 +351,10 @@ const HtxLabels = inject(['store'])(observer(({ item, store}) => {
               mode="multiple"
               size={'middle'}
               placeholder="Please select labels"
+              showSearch
+              filterOption={false}
+              onSearch={handleSearch}
+              onPopupScroll={handlePopupScroll}
               onChange={handleLabelSelectionChange}
               style={{
                 ...customStyles.formSelect,
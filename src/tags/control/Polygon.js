@@ -36,7 +36,7 @@ const hotkeys = Hotkey('Polygons');
  * @param {rectangle|circle} [pointStyle=circle]  - Style of points
  * @param {boolean} [smart]                       - Show smart tool for interactive pre-annotations
  * @param {boolean} [smartOnly]                   - Only show smart tool for interactive pre-annotations
- * @param {pixel|none} [snap=none]                - Snap polygon to image pixels
+ * @param {string} [snap=none]                    - Snap polygon to image pixels (`pixel`), to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  */
 const TagAttrs = types.model({
   toname: types.maybeNull(types.string),
@@ -65,7 +65,7 @@ const Model = types
     _value: types.optional(types.string, ''),
   })
   .volatile(() => ({
-    toolNames: ['Polygon'],
+    toolNames: ['Polygon', 'LiveWire'],
   }))
   .actions(self => {
     return {
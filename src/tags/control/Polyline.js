@@ -0,0 +1,70 @@
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import ControlBase from './Base';
+import { customTypes } from '../../core/CustomTypes';
+import Types from '../../core/Types';
+import { AnnotationMixin } from '../../mixins/AnnotationMixin';
+import SeparatedControlMixin from '../../mixins/SeparatedControlMixin';
+import { ToolManagerMixin } from '../../mixins/ToolManagerMixin';
+
+/**
+ * The `Polyline` tag is used to add polylines (open paths) to an image without selecting a label, for example, lane markings, road boundaries and contours.
+ * Click to add points; double-click or press `Enter` to finish the polyline.
+ *
+ * Use with the following data types: image.
+ * @example
+ * <!--Basic labeling configuration for adding polylines to an image -->
+ * <View>
+ *   <Polyline name="line-1" toName="img-1" />
+ *   <Image name="img-1" value="$img" />
+ * </View>
+ * @name Polyline
+ * @meta_title Polyline Tag for Adding Open Paths to Images
+ * @meta_description Customize Label Studio with the Polyline tag by adding polylines to images for lane and boundary annotation machine learning and data science projects.
+ * @param {string} name                           - Name of tag
+ * @param {string} toname                         - Name of image to label
+ * @param {string} [strokeColor=#f48a42]          - Stroke color in hexadecimal
+ * @param {number} [strokeWidth=2]                - Width of stroke
+ * @param {small|medium|large} [pointSize=small]  - Size of polyline handle points
+ * @param {string} [snap=none]                    - Snap polyline to image pixels (`pixel`), to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
+ */
+const TagAttrs = types.model({
+  toname: types.maybeNull(types.string),
+
+  strokewidth: types.optional(types.string, '2'),
+  strokecolor: types.optional(customTypes.color, '#f48a42'),
+
+  snap: types.optional(types.string, 'none'),
+
+  pointsize: types.optional(types.string, 'small'),
+});
+
+const Validation = types.model({
+  controlledTags: Types.unionTag(['Image']),
+});
+
+const Model = types
+  .model({
+    type: 'polyline',
+  })
+  .volatile(() => ({
+    toolNames: ['Polyline'],
+  }));
+
+const PolylineModel = types.compose(
+  'PolylineModel',
+  ControlBase,
+  AnnotationMixin,
+  SeparatedControlMixin,
+  TagAttrs,
+  Validation,
+  ToolManagerMixin,
+  Model,
+);
+
+const HtxView = () => null;
+
+Registry.addTag('polyline', PolylineModel, HtxView);
+
+export { HtxView, PolylineModel };
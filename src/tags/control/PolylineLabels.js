@@ -0,0 +1,70 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import LabelMixin from '../../mixins/LabelMixin';
+import Registry from '../../core/Registry';
+import SelectedModelMixin from '../../mixins/SelectedModel';
+import Types from '../../core/Types';
+import { HtxLabels, LabelsModel } from './Labels/Labels';
+import { PolylineModel } from './Polyline';
+import ControlBase from './Base';
+
+/**
+ * The `PolylineLabels` tag is used to create labeled polylines (open paths). Use to label lane markings, road boundaries, edges and contours.
+ * Click to add points; double-click or press `Enter` to finish the polyline.
+ * Points of the selected polyline can be dragged, inserted by clicking a segment and deleted by double-click.
+ *
+ * Use with the following data types: image.
+ * @example
+ * <!--Basic labeling configuration for lane marking -->
+ * <View>
+ *   <Image name="image" value="$image" />
+ *   <PolylineLabels name="lanes" toName="image">
+ *     <Label value="Solid" />
+ *     <Label value="Dashed" />
+ *   </PolylineLabels>
+ * </View>
+ * @name PolylineLabels
+ * @regions PolylineRegion
+ * @meta_title Polyline Label Tag for Labeling Open Paths in Images
+ * @meta_description Customize Label Studio with the PolylineLabels tag and add labeled polylines to images for lane and boundary annotation machine learning and data science projects.
+ * @param {string} name                             - Name of tag
+ * @param {string} toName                           - Name of image to label
+ * @param {single|multiple=} [choice=single]        - Configure whether you can select one or multiple labels
+ * @param {number} [maxUsages]                      - Maximum number of times a label can be used per task
+ * @param {boolean} [showInline=true]               - Show labels in the same visual line
+ * @param {string} [strokeColor]                    - Stroke color in hexadecimal
+ * @param {number} [strokeWidth=2]                  - Width of stroke
+ * @param {small|medium|large} [pointSize=small]    - Size of polyline handle points
+ * @param {string} [snap=none]                      - Snap polyline to image pixels (`pixel`), to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
+ */
+
+const Validation = types.model({
+  controlledTags: Types.unionTag(['Image']),
+});
+
+const ModelAttrs = types.model('PolylineLabelsModel', {
+  type: 'polylinelabels',
+  children: Types.unionArray(['label', 'header', 'view', 'hypertext']),
+});
+
+const Composition = types.compose(
+  ControlBase,
+  LabelsModel,
+  ModelAttrs,
+  PolylineModel,
+  Validation,
+  LabelMixin,
+  SelectedModelMixin.props({ _child: 'LabelModel' }),
+);
+
+const PolylineLabelsModel = types.compose('PolylineLabelsModel', Composition);
+
+const HtxPolylineLabels = observer(({ item }) => {
+  return <HtxLabels item={item} />;
+});
+
+Registry.addTag('polylinelabels', PolylineLabelsModel, HtxPolylineLabels);
+
+export { HtxPolylineLabels, PolylineLabelsModel };
@@ -28,6 +28,7 @@ import { FF_DEV_2132, FF_DEV_3793, FF_LSDV_4673, isFF } from '../../utils/featur
  * @param {string=} [strokeColor=#f48a42] - Stroke color in hexadecimal
  * @param {number=} [strokeWidth=1]       - Width of the stroke
  * @param {boolean=} [canRotate=true]     - Whether to show or hide rotation control
+ * @param {string} [snap=none]           - Snap corners of rectangle to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  * @param {boolean} [smart]               - Show smart tool for interactive pre-annotations
  * @param {boolean} [smartOnly]           - Only show smart tool for interactive pre-annotations
  */
@@ -42,6 +43,8 @@ const TagAttrs = types.model({
   fillopacity: types.maybeNull(customTypes.range()),
 
   canrotate: types.optional(types.boolean, true),
+
+  snap: types.optional(types.string, 'none'),
 });
 
 const Model = types
@@ -38,6 +38,7 @@ import ControlBase from './Base';
  * @param {string} [strokeColor]     - Stroke color in hexadecimal
  * @param {number} [strokeWidth=1]   - Width of stroke
  * @param {boolean} [canRotate=true] - Show or hide rotation control
+ * @param {string} [snap=none]       - Snap corners of rectangle to other regions (`region`) or to image edges (`edge`); modes can be combined with commas
  */
 
 const Validation = types.model({
@@ -0,0 +1,117 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import LabelMixin from '../../mixins/LabelMixin';
+import Registry from '../../core/Registry';
+import SelectedModelMixin from '../../mixins/SelectedModel';
+import Types from '../../core/Types';
+import { customTypes } from '../../core/CustomTypes';
+import { ToolManagerMixin } from '../../mixins/ToolManagerMixin';
+import { HtxLabels, LabelsModel } from './Labels/Labels';
+import ControlBase from './Base';
+import './Joint';
+import './Edge';
+
+/**
+ * The `SkeletonLabels` tag creates skeletons of connected keypoints, for example, for pose estimation projects.
+ * Skeleton template is declared with `Joint` and `Edge` tags; every instance is placed joint by joint in the order of declaration.
+ * Hold `Alt` while placing a joint to mark it as occluded, press `N` to skip a joint that is not labeled.
+ * Results are compatible with COCO keypoints: `keypoints` contains `x, y, v` triplets for every joint,
+ * where `v` is 0 for not labeled, 1 for occluded and 2 for visible joints.
+ *
+ * Labels are optional; without them every instance is created without a label.
+ *
+ * Use with the following data types: image.
+ * @example
+ * <!--Skeleton of human face-->
+ * <View>
+ *   <SkeletonLabels name="pose" toName="img">
+ *     <Label value="Person" />
+ *     <Joint value="nose" />
+ *     <Joint value="left_eye" />
+ *     <Joint value="right_eye" />
+ *     <Edge from="nose" to="left_eye" />
+ *     <Edge from="nose" to="right_eye" />
+ *   </SkeletonLabels>
+ *   <Image name="img" value="$image" />
+ * </View>
+ * @name SkeletonLabels
+ * @regions SkeletonRegion
+ * @meta_title Skeleton Label Tag for Labeling Poses
+ * @meta_description Customize Label Studio with the SkeletonLabels tag to label skeletons of connected keypoints for pose estimation projects.
+ * @param {string} name                  - Name of the element
+ * @param {string} toName                - Name of the image to label
+ * @param {single|multiple=} [choice=single] - Configure whether you can select one or multiple labels
+ * @param {number} [maxUsages]           - Maximum number of times a label can be used per task
+ * @param {boolean} [showInline=true]    - Show labels in the same visual line
+ * @param {float=} [opacity=0.9]         - Opacity of the skeleton
+ * @param {number=} [strokeWidth=2]      - Width of the edges in screen pixels
+ * @param {number=} [pointSize=4]        - Radius of the joints in screen pixels
+ */
+
+const Validation = types.model({
+  controlledTags: Types.unionTag(['Image']),
+});
+
+const TagAttrs = types.model({
+  opacity: types.optional(customTypes.range(), '0.9'),
+  strokewidth: types.optional(types.string, '2'),
+  pointsize: types.optional(types.string, '4'),
+});
+
+const ModelAttrs = types
+  .model('SkeletonLabelsModel', {
+    type: 'skeletonlabels',
+    children: Types.unionArray(['label', 'joint', 'edge', 'header', 'view', 'hypertext']),
+  })
+  .volatile(() => ({
+    toolNames: ['Skeleton'],
+  }))
+  .views(self => ({
+    // labels are optional, without them instances are drawn right away
+    get hasLabels() {
+      return self.tiedChildren.length > 0;
+    },
+
+    /**
+     * Names of joints in the order of declaration
+     * @type {string[]}
+     */
+    get joints() {
+      return (self.children ?? []).filter(child => child.type === 'joint').map(child => child.value);
+    },
+
+    /**
+     * Edges as pairs of joint names; edges with unknown joints are ignored
+     * @type {string[][]}
+     */
+    get edges() {
+      const joints = self.joints;
+
+      return (self.children ?? [])
+        .filter(child => child.type === 'edge' && joints.includes(child.from) && joints.includes(child.to))
+        .map(child => [child.from, child.to]);
+    },
+  }));
+
+const Composition = types.compose(
+  ControlBase,
+  LabelsModel,
+  ModelAttrs,
+  TagAttrs,
+  Validation,
+  ToolManagerMixin,
+  LabelMixin,
+  SelectedModelMixin.props({ _child: 'LabelModel' }),
+);
+
+const SkeletonLabelsModel = types.compose('SkeletonLabelsModel', Composition);
+
+const HtxSkeletonLabels = observer(({ item }) => {
+  return <HtxLabels item={item} />;
+});
+
+Registry.addTag('skeletonlabels', SkeletonLabelsModel, HtxSkeletonLabels);
+
+export { HtxSkeletonLabels, SkeletonLabelsModel };
@@ -0,0 +1,53 @@
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import { guidGenerator } from '../../core/Helpers';
+import ControlBase from './Base';
+
+/**
+ * VideoEllipse tag tracks round objects on videos with ellipses. It works in combination with the `<Video/>` and the `<Labels/>` tags.
+ *
+ * Use with the following data types: video
+ * @example
+ * <!--Video Object Tracking with ellipses-->
+ * <View>
+ *   <Header>Label the video:</Header>
+ *   <Video name="video" value="$video" />
+ *   <VideoEllipse name="ellipse" toName="video" />
+ *
+ *   <Labels name="videoLabels" toName="video">
+ *     <Label value="Ball" background="#944BFF"/>
+ *     <Label value="Cell" background="#98C84E"/>
+ *   </Labels>
+ * </View>
+ * @name VideoEllipse
+ * @meta_title Video Ellipse Tag for Video Labeling
+ * @meta_description Customize Label Studio with the VideoEllipse tag to track round objects in videos for machine learning and data science projects.
+ * @param {string} name Name of the element
+ * @param {string} toName Name of the element to control (video)
+ */
+const TagAttrs = types.model({
+  toname: types.maybeNull(types.string),
+});
+
+const ModelAttrs = types
+  .model('VideoEllipseModel', {
+    pid: types.optional(types.string, guidGenerator),
+    type: 'videoellipse',
+  });
+
+const VideoEllipseModel = types.compose(
+  'VideoEllipseModel',
+  ControlBase,
+  ModelAttrs,
+  TagAttrs,
+);
+
+const HtxVideoEllipse = observer(() => {
+  return null;
+});
+
+Registry.addTag('videoellipse', VideoEllipseModel, HtxVideoEllipse);
+
+export { HtxVideoEllipse, VideoEllipseModel };
@@ -0,0 +1,53 @@
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import { guidGenerator } from '../../core/Helpers';
+import ControlBase from './Base';
+
+/**
+ * VideoKeyPoint tag tracks points on videos. It works in combination with the `<Video/>` and the `<Labels/>` tags.
+ *
+ * Use with the following data types: video
+ * @example
+ * <!--Video Point Tracking-->
+ * <View>
+ *   <Header>Label the video:</Header>
+ *   <Video name="video" value="$video" />
+ *   <VideoKeyPoint name="point" toName="video" />
+ *
+ *   <Labels name="videoLabels" toName="video">
+ *     <Label value="Instrument tip" background="#944BFF"/>
+ *     <Label value="Incision" background="#98C84E"/>
+ *   </Labels>
+ * </View>
+ * @name VideoKeyPoint
+ * @meta_title Video KeyPoint Tag for Video Labeling
+ * @meta_description Customize Label Studio with the VideoKeyPoint tag to track points in videos for machine learning and data science projects.
+ * @param {string} name Name of the element
+ * @param {string} toName Name of the element to control (video)
+ */
+const TagAttrs = types.model({
+  toname: types.maybeNull(types.string),
+});
+
+const ModelAttrs = types
+  .model('VideoKeyPointModel', {
+    pid: types.optional(types.string, guidGenerator),
+    type: 'videokeypoint',
+  });
+
+const VideoKeyPointModel = types.compose(
+  'VideoKeyPointModel',
+  ControlBase,
+  ModelAttrs,
+  TagAttrs,
+);
+
+const HtxVideoKeyPoint = observer(() => {
+  return null;
+});
+
+Registry.addTag('videokeypoint', VideoKeyPointModel, HtxVideoKeyPoint);
+
+export { HtxVideoKeyPoint, VideoKeyPointModel };
@@ -0,0 +1,55 @@
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+
+import Registry from '../../core/Registry';
+import { guidGenerator } from '../../core/Helpers';
+import ControlBase from './Base';
+
+/**
+ * VideoPolygon tag tracks objects of any shape on videos with polygons. It works in combination with the `<Video/>` and the `<Labels/>` tags.
+ *
+ * Polygons are keyframed like video rectangles; points of neighboring keyframes are matched, so keyframes may have different number of points.
+ *
+ * Use with the following data types: video
+ * @example
+ * <!--Video Object Tracking with polygons-->
+ * <View>
+ *   <Header>Label the video:</Header>
+ *   <Video name="video" value="$video" />
+ *   <VideoPolygon name="polygon" toName="video" />
+ *
+ *   <Labels name="videoLabels" toName="video">
+ *     <Label value="Player" background="#944BFF"/>
+ *     <Label value="Ball" background="#98C84E"/>
+ *   </Labels>
+ * </View>
+ * @name VideoPolygon
+ * @meta_title Video Polygon Tag for Video Labeling
+ * @meta_description Customize Label Studio with the VideoPolygon tag to track objects of any shape in videos for machine learning and data science projects.
+ * @param {string} name Name of the element
+ * @param {string} toName Name of the element to control (video)
+ */
+const TagAttrs = types.model({
+  toname: types.maybeNull(types.string),
+});
+
+const ModelAttrs = types
+  .model('VideoPolygonModel', {
+    pid: types.optional(types.string, guidGenerator),
+    type: 'videopolygon',
+  });
+
+const VideoPolygonModel = types.compose(
+  'VideoPolygonModel',
+  ControlBase,
+  ModelAttrs,
+  TagAttrs,
+);
+
+const HtxVideoPolygon = observer(() => {
+  return null;
+});
+
+Registry.addTag('videopolygon', VideoPolygonModel, HtxVideoPolygon);
+
+export { HtxVideoPolygon, VideoPolygonModel };
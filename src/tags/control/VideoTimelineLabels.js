@@ -0,0 +1,123 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { isAlive, types } from 'mobx-state-tree';
+
+import LabelMixin from '../../mixins/LabelMixin';
+import Registry from '../../core/Registry';
+import SelectedModelMixin from '../../mixins/SelectedModel';
+import Types from '../../core/Types';
+import { HtxLabels, LabelsModel } from './Labels/Labels';
+import { guidGenerator } from '../../core/Helpers';
+import ControlBase from './Base';
+
+/**
+ * The `VideoTimelineLabels` tag is used to label time segments of the video, like actions or events.
+ * Segments are displayed on the video timeline and can be resized by dragging their ends.
+ *
+ * Press the hotkey of a label to start the segment at the current frame and press it again to end the segment.
+ *
+ * Use with the following data types: video
+ * @example
+ * <!--Labeling configuration to label actions in the video -->
+ * <View>
+ *   <Video name="video" value="$video" />
+ *   <VideoTimelineLabels name="actions" toName="video">
+ *     <Label value="Goal" hotkey="g" />
+ *     <Label value="Foul" hotkey="f" />
+ *   </VideoTimelineLabels>
+ * </View>
+ * @name VideoTimelineLabels
+ * @meta_title Video Timeline Labels Tag for Labeling Video Segments
+ * @meta_description Customize Label Studio with the VideoTimelineLabels tag to label time segments of videos for action recognition tasks.
+ * @param {string} name                      - Name of the element
+ * @param {string} toName                    - Name of the video to label
+ * @param {single|multiple=} [choice=single] - Configure whether you can select one or multiple labels
+ * @param {number} [maxUsages]               - Maximum number of times a label can be used per task
+ * @param {boolean} [showInline=true]        - Show labels in the same visual line
+ */
+const ModelAttrs = types
+  .model('VideoTimelineLabelsModel', {
+    pid: types.optional(types.string, guidGenerator),
+    type: 'videotimelinelabels',
+    children: Types.unionArray(['labels', 'label', 'choice']),
+  })
+  .volatile(() => ({
+    // segment started by hotkey and waiting for its end
+    recordingRegion: null,
+  }))
+  .views(self => ({
+    get hasStates() {
+      const states = self.states();
+
+      return states && states.length > 0;
+    },
+
+    states() {
+      return self.annotation.toNames.get(self.name);
+    },
+
+    activeStates() {
+      const states = self.states();
+
+      return states ? states.filter(c => c.isSelected === true) : null;
+    },
+  }))
+  .actions(self => ({
+    /**
+     * The first press of the label hotkey starts a segment at the current frame, the second one ends it.
+     * Pressing another label's hotkey ends the current segment and starts the next one.
+     * @param {object} label Label tag
+     * @return {boolean} false if the hotkey should just select the label
+     */
+    onLabelHotkey(label) {
+      const video = self.toNameTag;
+      const value = label.alias ? label.alias : label.value;
+      const recording = self.recordingRegion && isAlive(self.recordingRegion) ? self.recordingRegion : null;
+
+      if (!video || self.annotation.isReadOnly()) return false;
+
+      const frame = video.frame;
+
+      if (recording) {
+        recording.updateRange({ start: Math.min(recording.start, frame), end: Math.max(recording.start, frame) });
+        self.recordingRegion = null;
+        if (recording.hasLabel(value)) return true;
+      } else if (self.annotation.selectedRegions.some(region => region.parent === video)) {
+        // selected segments are relabeled as usual
+        return false;
+      }
+
+      self.recordingRegion = self.annotation.createResult(
+        { start: frame, end: frame },
+        { [self.valueType]: [value] },
+        self,
+        video,
+      );
+
+      return true;
+    },
+  }));
+
+const Model = LabelMixin.props({ _type: 'videotimelinelabels' }).views(self => ({
+  get shouldBeUnselected() {
+    return self.choice === 'single';
+  },
+}));
+
+const Composition = types.compose(
+  ControlBase,
+  LabelsModel,
+  ModelAttrs,
+  Model,
+  SelectedModelMixin.props({ _child: 'LabelModel' }),
+);
+
+const VideoTimelineLabelsModel = types.compose('VideoTimelineLabelsModel', Composition);
+
+const HtxVideoTimelineLabels = observer(({ item }) => {
+  return <HtxLabels item={item} />;
+});
+
+Registry.addTag('videotimelinelabels', VideoTimelineLabelsModel, HtxVideoTimelineLabels);
+
+export { HtxVideoTimelineLabels, VideoTimelineLabelsModel };
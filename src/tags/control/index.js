@@ -13,6 +13,10 @@ import { LabelsModel } from './Labels/Labels';
 import { ParagraphLabelsModel } from './ParagraphLabels';
 import { TimeSeriesLabelsModel } from './TimeSeriesLabels';
 import { VideoRectangleModel } from './VideoRectangle';
+import { VideoPolygonModel } from './VideoPolygon';
+import { VideoKeyPointModel } from './VideoKeyPoint';
+import { VideoEllipseModel } from './VideoEllipse';
+import { VideoTimelineLabelsModel } from './VideoTimelineLabels';
 
 import { BrushLabelsModel } from './BrushLabels';
 import { BrushModel } from './Brush';
@@ -23,8 +27,14 @@ import { KeyPointModel } from './KeyPoint';
 import { MagicWandModel } from './MagicWand';
 import { PolygonLabelsModel } from './PolygonLabels';
 import { PolygonModel } from './Polygon';
+import { PolylineLabelsModel } from './PolylineLabels';
+import { PolylineModel } from './Polyline';
 import { RectangleLabelsModel } from './RectangleLabels';
 import { RectangleModel } from './Rectangle';
+import { SkeletonLabelsModel } from './SkeletonLabels';
+import { JointModel } from './Joint';
+import { EdgeModel } from './Edge';
+import { CuboidLabelsModel } from './CuboidLabels';
 
 import { RelationsModel } from './Relations';
 import { RelationModel } from './Relation';
@@ -45,6 +55,10 @@ export {
   ParagraphLabelsModel,
   TimeSeriesLabelsModel,
   VideoRectangleModel,
+  VideoPolygonModel,
+  VideoKeyPointModel,
+  VideoEllipseModel,
+  VideoTimelineLabelsModel,
 
   BrushLabelsModel,
   BrushModel,
@@ -55,8 +69,14 @@ export {
   MagicWandModel,
   PolygonLabelsModel,
   PolygonModel,
+  PolylineLabelsModel,
+  PolylineModel,
   RectangleLabelsModel,
   RectangleModel,
+  SkeletonLabelsModel,
+  JointModel,
+  EdgeModel,
+  CuboidLabelsModel,
 
   RelationsModel,
   RelationModel
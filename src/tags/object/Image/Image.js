@@ -1,8 +1,9 @@
 import { inject } from 'mobx-react';
-import { destroy, getRoot, getType, types } from 'mobx-state-tree';
+import { destroy, getRoot, getType, isAlive, types } from 'mobx-state-tree';
 
 import ImageView from '../../../components/ImageView/ImageView';
 import { customTypes } from '../../../core/CustomTypes';
+import { errorBuilder } from '../../../core/DataValidator/ConfigValidator';
 import Registry from '../../../core/Registry';
 import { AnnotationMixin } from '../../../mixins/AnnotationMixin';
 import { IsReadyWithDepsMixin } from '../../../mixins/IsReadyMixin';
@@ -10,10 +11,17 @@ import { BrushRegionModel } from '../../../regions/BrushRegion';
 import { EllipseRegionModel } from '../../../regions/EllipseRegion';
 import { KeyPointRegionModel } from '../../../regions/KeyPointRegion';
 import { PolygonRegionModel } from '../../../regions/PolygonRegion';
+import { PolylineRegionModel } from '../../../regions/PolylineRegion';
 import { RectRegionModel } from '../../../regions/RectRegion';
+import { SkeletonRegionModel } from '../../../regions/SkeletonRegion';
+import { CuboidRegionModel } from '../../../regions/CuboidRegion';
 import * as Tools from '../../../tools';
 import ToolsManager from '../../../tools/Manager';
 import { parseValue } from '../../../utils/data';
+import { DEFAULT_ADJUSTMENTS, isAdjusted } from '../../../utils/image-adjustments';
+import { isRawImageURL } from '../../../utils/image-decoders';
+import messages from '../../../utils/messages';
+import { visibleArea, visibleTiles } from '../../../utils/tile-sources';
 import {
   FF_DEV_3377,
   FF_DEV_3666,
@@ -31,6 +39,7 @@ import ObjectBase from '../Base';
 import { DrawingRegion } from './DrawingRegion';
 import { ImageEntityMixin } from './ImageEntityMixin';
 import { ImageSelection } from './ImageSelection';
+import { ImageSnappingMixin } from './ImageSnappingMixin';
 import { RELATIVE_STAGE_HEIGHT, RELATIVE_STAGE_WIDTH, SNAP_TO_PIXEL_MODE } from '../../../components/ImageView/Image';
 import MultiItemObjectBase from '../MultiItemObjectBase';
 
@@ -84,11 +93,14 @@ const IMAGE_PRELOAD_COUNT = 3;
  * @param {boolean} [brightnessControl=false] - Show brightness control in toolbar
  * @param {boolean} [contrastControl=false]   - Show contrast control in toolbar
  * @param {boolean} [rotateControl=false]     - Show rotate control in toolbar
+ * @param {boolean} [adjustmentsControl=false] - Show image adjustments in toolbar: gamma, saturation, histogram equalization, inversion, false colors and single channel view. Adjustments are kept per project
  * @param {boolean} [crosshair=false]         - Show crosshair cursor
  * @param {left|center|right} [horizontalAlignment=left]      - Where to align image horizontally. Can be one of "left", "center", or "right"
  * @param {top|center|bottom} [verticalAlignment=top]         - Where to align image vertically. Can be one of "top", "center", or "bottom"
  * @param {auto|original|fit} [defaultZoom=fit]               - Specify the initial zoom of the image within the viewport while preserving its ratio. Can be one of "auto", "original", or "fit"
  * @param {none|anonymous|use-credentials} [crossOrigin=none] - Configures CORS cross domain behavior for this image, either "none", "anonymous", or "use-credentials", similar to [DOM `img` crossOrigin property](https://developer.mozilla.org/en-US/docs/Web/API/HTMLImageElement/crossOrigin).
+ * @param {auto|browser|raw} [decoder=auto]   - How images are decoded: "auto" decodes TIFF and DICOM files recognized by extension, "raw" recognizes every file by its content (DICOM without extension, 16-bit PNG), "browser" shows images as is. Pages of a single multi-page file in `valueList` become separate items
+ * @param {boolean} [tiled=false]             - Value is a tile pyramid instead of an image: Deep Zoom `.dzi`, IIIF image (`info.json` or its base url) or JSON with tile url template, `width`, `height` and `tileSize`. Only visible tiles of the current zoom level are loaded
  */
 const TagAttrs = types.model({
   value: types.maybeNull(types.string),
@@ -115,6 +127,7 @@ const TagAttrs = types.model({
   brightnesscontrol: types.optional(types.boolean, false),
   contrastcontrol: types.optional(types.boolean, false),
   rotatecontrol: types.optional(types.boolean, false),
+  adjustmentscontrol: types.optional(types.boolean, false),
   crosshair: types.optional(types.boolean, false),
   selectioncontrol: types.optional(types.boolean, true),
 
@@ -126,6 +139,9 @@ const TagAttrs = types.model({
   defaultzoom: types.optional(types.enumeration(['auto', 'original', 'fit']), 'fit'),
 
   crossorigin: types.optional(types.enumeration(['none', 'anonymous', 'use-credentials']), 'none'),
+
+  decoder: types.optional(types.enumeration(['auto', 'browser', 'raw']), 'auto'),
+  tiled: types.optional(types.boolean, false),
 });
 
 const IMAGE_CONSTANTS = {
@@ -167,7 +183,16 @@ const Model = types.model({
   mode: types.optional(types.enumeration(['drawing', 'viewing', 'brush', 'eraser']), 'viewing'),
 
   regions: types.array(
-    types.union(BrushRegionModel, RectRegionModel, EllipseRegionModel, PolygonRegionModel, KeyPointRegionModel),
+    types.union(
+      BrushRegionModel,
+      RectRegionModel,
+      EllipseRegionModel,
+      PolygonRegionModel,
+      PolylineRegionModel,
+      KeyPointRegionModel,
+      SkeletonRegionModel,
+      CuboidRegionModel,
+    ),
     [],
   ),
 
@@ -199,7 +224,77 @@ const Model = types.model({
   },
 
   get currentSrc() {
-    return self.currentImageEntity.src;
+    const entity = self.currentImageEntity;
+
+    // decoded images are rendered to local urls
+    return entity.raw ? entity.currentSrc : entity.src;
+  },
+
+  /**
+   * Adjustments are shared by all images of the project
+   */
+  get adjustmentsProject() {
+    return String(self.store.project?.id ?? 'default');
+  },
+
+  get adjustments() {
+    return { ...DEFAULT_ADJUSTMENTS, ...self.store.settings?.imageAdjustments.get(self.adjustmentsProject) };
+  },
+
+  get adjustmentsFilterId() {
+    return `image-adjustments-${self.name.replace(/[^\w-]/g, '_')}`;
+  },
+
+  /**
+   * Channels available for single channel view
+   */
+  get channelNames() {
+    const entity = self.currentImageEntity;
+    const count = entity?.channelCount ?? 3;
+
+    if (count === 1) return [];
+    if (count === 3) return ['Red', 'Green', 'Blue'];
+
+    return Array.from({ length: count }, (_, index) => `Band ${index + 1}`);
+  },
+
+  /**
+   * Tiles of tiled image visible at the current zoom and position
+   */
+  get visibleTiles() {
+    const source = self.currentImageEntity?.tileSource;
+
+    if (!source) return [];
+
+    const width = self.stageWidth * self.zoomScale;
+    const height = self.stageHeight * self.zoomScale;
+    const zoomed = self.zoomScale !== 1;
+    const area = visibleArea({
+      frameWidth: self.canvasSize.width,
+      frameHeight: self.canvasSize.height,
+      offsetX: zoomed ? self.zoomingPositionX ?? 0 : 0,
+      offsetY: zoomed ? self.zoomingPositionY ?? 0 : 0,
+      rotation: self.rotation,
+      width,
+      height,
+    });
+    const rect = {
+      x: area.x * source.width,
+      y: area.y * source.height,
+      width: area.width * source.width,
+      height: area.height * source.height,
+    };
+
+    return visibleTiles(source, rect, width / source.width * (window.devicePixelRatio ?? 1));
+  },
+
+  /**
+   * Whether the image should be decoded by us instead of the browser
+   * @param {string} src
+   */
+  isRawImage(src) {
+    if (self.decoder === 'raw') return true;
+    return self.decoder === 'auto' && isRawImageURL(src ?? '');
   },
 
   get usedValue() {
@@ -357,10 +452,11 @@ const Model = types.model({
     const index = region.item_index ?? 0;
     const currentImageEntity = self.findImageEntity(index);
 
+    // pages of multi-page files appear only after decoding
     const imageDimension = {
-      original_width: currentImageEntity.naturalWidth,
-      original_height: currentImageEntity.naturalHeight,
-      image_rotation: currentImageEntity.rotation,
+      original_width: currentImageEntity?.naturalWidth,
+      original_height: currentImageEntity?.naturalHeight,
+      image_rotation: currentImageEntity?.rotation,
     };
 
     if (self.multiImage && isDefined(index)) {
@@ -372,7 +468,7 @@ const Model = types.model({
     // As the serialization also happens during region creation,
     // we have to forsee this scenario and avoid using raw result
     // as it can only be present for already created (submitter) regions
-    const useRawResult = !currentImageEntity.imageLoaded && isDefined(region._rawResult);
+    const useRawResult = !currentImageEntity?.imageLoaded && isDefined(region._rawResult);
 
     return useRawResult ? structuredClone(region._rawResult) : {
       ...imageDimension,
@@ -501,7 +597,10 @@ const Model = types.model({
       transformOrigin: 'left top',
       // We should always set some transform to make the image rendering in the same way all the time
       transform: 'translate3d(0,0,0)',
-      filter: `brightness(${self.brightnessGrade}%) contrast(${self.contrastGrade}%)`,
+      filter: [
+        `brightness(${self.brightnessGrade}%) contrast(${self.contrastGrade}%)`,
+        isAdjusted(self.adjustments) ? `url(#${self.adjustmentsFilterId})` : '',
+      ].join(' ').trim(),
     };
     const imgTransform = [];
 
@@ -580,6 +679,15 @@ const Model = types.model({
     const manager = ToolsManager.getInstance({ name: self.name });
     const env = { manager, control: self, object: self };
 
+    function imageEntitySnapshot(src, index) {
+      const id = `${self.name}#${index}`;
+
+      // tile sources can be described right in the task data
+      if (self.tiled) return { id, index, src: typeof src === 'string' ? src : JSON.stringify(src), tiled: true };
+
+      return { id, index, src, raw: self.isRawImage(src) };
+    }
+
     function createImageEntities() {
       if (!self.store.task) return;
 
@@ -589,18 +697,10 @@ const Model = types.model({
 
       if (Array.isArray(parsedValue)) {
         parsedValue.forEach((src, index) => {
-          self.imageEntities.push({
-            id: `${self.name}#${index}`,
-            src,
-            index,
-          });
+          self.imageEntities.push(imageEntitySnapshot(src, index));
         });
       } else {
-        self.imageEntities.push({
-          id: `${self.name}#0`,
-          src: parsedValue,
-          index: 0,
-        });
+        self.imageEntities.push(imageEntitySnapshot(parsedValue, 0));
       }
 
       self.setCurrentImage(0);
@@ -622,6 +722,9 @@ const Model = types.model({
       if (self.rotatecontrol)
         manager.addTool('RotateTool', Tools.Rotate.create({}, env));
 
+      if (self.adjustmentscontrol)
+        manager.addTool('AdjustmentsTool', Tools.Adjustments.create({}, env));
+
       createImageEntities();
     }
 
@@ -744,6 +847,18 @@ const Model = types.model({
       self.brushStrokeWidth = arg;
     },
 
+    setAdjustments(changes) {
+      const adjustments = { ...self.adjustments, ...changes };
+
+      self.store.settings.setImageAdjustments(self.adjustmentsProject, adjustments);
+      // decoded images render the channel themselves
+      self.imageEntities.forEach(entity => entity.raw && entity.setChannel(adjustments.channel));
+    },
+
+    resetAdjustments() {
+      self.setAdjustments(DEFAULT_ADJUSTMENTS);
+    },
+
     /**
      * Update brightnessGrade of Image
      * @param {number} value
@@ -772,11 +887,12 @@ const Model = types.model({
       self.currentImage = index;
       self.currentImageEntity = self.findImageEntity(index);
       if (isFF(FF_LSDV_4583_6)) self.preloadImages();
+      else if (self.currentImageEntity.raw || self.currentImageEntity.tiled) self.loadImage(self.currentImageEntity);
     },
 
     preloadImages() {
       self.currentImageEntity.setImageLoaded(false);
-      self.currentImageEntity.preload();
+      self.loadImage(self.currentImageEntity);
 
       if (self.multiImage) {
         const [currentIndex, length] = [self.currentImage, self.imageEntities.length];
@@ -789,7 +905,63 @@ const Model = types.model({
         ];
 
         images.forEach((imageEntity) => {
-          imageEntity.preload();
+          self.loadImage(imageEntity);
+        });
+      }
+    },
+
+    loadImage(imageEntity) {
+      if (!imageEntity.raw && !imageEntity.tiled) {
+        imageEntity.preload();
+        return;
+      }
+
+      // errors are reported only once
+      if (imageEntity.error) return;
+
+      const withCredentials = self.crossorigin === 'use-credentials';
+
+      if (imageEntity.tiled) {
+        imageEntity.loadTiles({ withCredentials }).then(() => {
+          // tiled view has no place for errors
+          if (isAlive(imageEntity) && imageEntity.error) self.reportImageError(imageEntity);
+        });
+        return;
+      }
+
+      imageEntity.setChannel(self.adjustments.channel);
+      imageEntity.decode({ withCredentials }).then((pages) => {
+        if (!isAlive(self) || !isAlive(imageEntity)) return;
+
+        // new image view shows errors by itself
+        if (imageEntity.error && !isFF(FF_LSDV_4583_6)) self.reportImageError(imageEntity);
+
+        self.addPages(imageEntity, pages);
+      });
+    },
+
+    reportImageError(imageEntity) {
+      if (!isAlive(self)) return;
+
+      const message = messages.ERR_LOADING_HTTP({ attr: self.usedValue, error: imageEntity.decodeError, url: imageEntity.src });
+
+      self.store.annotationStore.addErrors([errorBuilder.generalError(message)]);
+    },
+
+    /**
+     * Pages of the only multi-page file in `valueList` are shown as separate items,
+     * so every page can be annotated and navigated as usual
+     */
+    addPages(imageEntity, pages) {
+      if (!self.multiImage || self.imageEntities.length !== 1 || imageEntity.page !== 0) return;
+
+      for (let page = 1; page < pages; page++) {
+        self.imageEntities.push({
+          id: `${self.name}#${page}`,
+          src: imageEntity.src,
+          index: page,
+          raw: true,
+          page,
         });
       }
     },
@@ -1145,8 +1317,17 @@ const Model = types.model({
 
       const x = self.canvasToInternalX(canvasX);
       const y = self.canvasToInternalY(canvasY);
+      const evt = ev.evt || ev;
+      const tool = self.getToolsManager().findSelectedTool();
 
-      self.getToolsManager().event(name, ev.evt || ev, x, y, canvasX, canvasY);
+      self.setSnapBypassed(!!(evt.ctrlKey || evt.metaKey));
+      self.setSnapIndicator(null);
+      self.getToolsManager().event(name, evt, x, y, canvasX, canvasY);
+
+      // show where the next point will be snapped to even before drawing
+      if (name === 'mousemove' && !self.snapIndicator) {
+        tool?.control?.getSnappedPoint?.({ x, y });
+      }
     },
   }));
 
@@ -1253,6 +1434,7 @@ const ImageModel = types.compose(
   AnnotationMixin,
   IsReadyWithDepsMixin,
   ImageEntityMixin,
+  ImageSnappingMixin,
   Model,
   isFF(FF_DEV_3793) ? CoordsCalculations : AbsoluteCoordsCalculations,
 );
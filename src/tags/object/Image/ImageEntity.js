@@ -1,14 +1,30 @@
-import { types } from 'mobx-state-tree';
+import { isAlive, types } from 'mobx-state-tree';
 import { FileLoader } from '../../../utils/FileLoader';
+import { colorChannels, defaultWindow, RasterLoader, rasterRange, renderRaster } from '../../../utils/image-decoders';
+import { descriptorURL, parseTileSource } from '../../../utils/tile-sources';
 import { clamp } from '../../../utils/utilities';
 
 const fileLoader = new FileLoader();
+const rasterLoader = new RasterLoader();
 
 export const ImageEntity = types.model({
   id: types.identifier,
   src: types.string,
   index: types.number,
 
+  /**
+   * Image is downloaded and decoded by us instead of the browser (TIFF, DICOM, 16-bit PNG)
+   */
+  raw: types.optional(types.boolean, false),
+  /**
+   * Page or frame of the decoded file shown by this entity
+   */
+  page: types.optional(types.integer, 0),
+  /**
+   * `src` is a tile pyramid descriptor (or inline JSON for url template), only visible tiles are loaded
+   */
+  tiled: types.optional(types.boolean, false),
+
   rotation: types.optional(types.number, 0),
 
   /**
@@ -39,6 +55,12 @@ export const ImageEntity = types.model({
   brightnessGrade: types.optional(types.number, 100),
 
   contrastGrade: types.optional(types.number, 100),
+
+  /**
+   * Window/level of decoded image in real values, default one is used if not set
+   */
+  windowCenter: types.maybeNull(types.number),
+  windowWidth: types.maybeNull(types.number),
 }).volatile(() => ({
   stageRatio: 1,
   // Container's sizes causing limits to calculate a scale factor
@@ -62,8 +84,55 @@ export const ImageEntity = types.model({
   currentSrc: undefined,
   /** Is image loaded using `<img/>` tag and cached by the browser */
   imageLoaded: false,
+  /** Tile pyramid of tiled image */
+  tileSource: null,
+  /** Why raw or tiled image can't be shown */
+  decodeError: '',
+  /** Decoded page of raw image */
+  raster: null,
+  /** Min and max values of the raster */
+  valueRange: null,
+  /** Raster is being rendered to `currentSrc` */
+  rendering: false,
+  /** Window was changed during rendering, so it should be rendered again */
+  renderPending: false,
+  /** The only channel of the raster to render, all of them by default */
+  channel: null,
+  /** `currentSrc` is an object URL of regular image to be revoked when the image is loaded */
+  revokeOnLoad: false,
+})).views(self => ({
+  get window() {
+    if (!self.raster) return null;
+    if (self.windowCenter === null || self.windowWidth === null) return defaultWindow(self.raster);
+
+    return { center: self.windowCenter, width: self.windowWidth };
+  },
+
+  /**
+   * Channels to choose from for single channel view: decoded images have their own, others are RGB
+   */
+  get channelCount() {
+    return self.raster ? colorChannels(self.raster) : 3;
+  },
+
+  /**
+   * Range of window/level controls in real values of the decoded image
+   */
+  get windowControls() {
+    if (!self.raster) return null;
+
+    const { min, max } = self.valueRange;
+    const span = Math.max(max - min, 1);
+
+    return { ...self.window, id: self.id, min, max: min + span, span, step: span / 256 };
+  },
 })).actions((self) => ({
   preload() {
+    if (self.raw) {
+      self.decode();
+      return;
+    }
+
     if (self.ensurePreloaded()) return;
 
     self.setDownloading(true);
@@ -80,6 +149,140 @@ export const ImageEntity = types.model({
     });
   },
 
+  /**
+   * Downloads and decodes raw image; regular images detected by content are shown as usual
+   * @param {{ withCredentials?: boolean }} options
+   * @returns {Promise<number>} number of pages in the file
+   */
+  decode({ withCredentials = false } = {}) {
+    if (self.raster || self.error || self.downloading) return Promise.resolve(0);
+
+    self.setDownloading(true);
+
+    return rasterLoader.load(self.src, {
+      withCredentials,
+      onProgress: (_t, _l, progress) => {
+        if (isAlive(self)) self.setProgress(progress);
+      },
+    }).then(({ rasters, blob }) => {
+      if (!isAlive(self)) return 0;
+
+      if (!rasters) {
+        self.setDownloading(false);
+        self.setDownloaded(true);
+        self.setBlob(blob);
+        return 1;
+      }
+
+      if (!rasters[self.page]) throw new Error(`Page ${self.page + 1} not found`);
+
+      self.setRaster(rasters[self.page]);
+      return rasters.length;
+    }).catch((err) => {
+      console.error(err);
+      if (!isAlive(self)) return 0;
+      self.setDownloading(false);
+      self.setError(true);
+      self.setDecodeError(err.message);
+      return 0;
+    });
+  },
+
+  /**
+   * Loads the descriptor of tiled image, tiles themselves are loaded by the view
+   * @param {{ withCredentials?: boolean }} options
+   */
+  loadTiles({ withCredentials = false } = {}) {
+    if (self.tileSource || self.error || self.downloading) return Promise.resolve();
+
+    const url = descriptorURL(self.src);
+
+    self.setDownloading(true);
+
+    const descriptor = url
+      ? fetch(url, { credentials: withCredentials ? 'include' : 'same-origin' }).then((res) => {
+        if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+        return res.text();
+      })
+      : Promise.resolve(self.src);
+
+    return descriptor.then((content) => {
+      if (isAlive(self)) self.setTileSource(parseTileSource(content, url ?? ''));
+    }).catch((err) => {
+      console.error(err);
+      if (!isAlive(self)) return;
+      self.setDownloading(false);
+      self.setError(true);
+      self.setDecodeError(err.message);
+    });
+  },
+
+  setTileSource(source) {
+    self.tileSource = source;
+    self.setDownloading(false);
+    self.setDownloaded(true);
+    self.setProgress(1);
+  },
+
+  setRaster(raster) {
+    self.raster = raster;
+    self.valueRange = rasterRange(raster);
+    self.renderRaster();
+  },
+
+  setChannel(channel) {
+    if (self.channel === channel) return;
+
+    self.channel = channel;
+    self.renderRaster();
+  },
+
+  setWindow({ center = self.window.center, width = self.window.width }) {
+    self.windowCenter = center;
+    self.windowWidth = Math.max(width, Number.EPSILON);
+    self.renderRaster();
+  },
+
+  /**
+   * Renders raster with the current window to an object URL used as usual image source.
+   * Only one rendering at a time, the latest window is rendered after the current one.
+   */
+  renderRaster() {
+    if (!self.raster) return;
+    if (self.rendering) {
+      self.renderPending = true;
+      return;
+    }
+
+    const { data, width, height } = renderRaster(self.raster, self.window, self.channel);
+    const canvas = document.createElement('canvas');
+
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+
+    self.rendering = true;
+    canvas.toBlob(blob => {
+      if (isAlive(self)) self.finishRendering(URL.createObjectURL(blob));
+    });
+  },
+
+  finishRendering(url) {
+    const previous = self.currentSrc;
+
+    self.setCurrentSrc(url);
+    self.setDownloading(false);
+    self.setDownloaded(true);
+    self.setProgress(1);
+    self.rendering = false;
+    if (previous) URL.revokeObjectURL(previous);
+
+    if (self.renderPending) {
+      self.renderPending = false;
+      self.renderRaster();
+    }
+  },
+
   ensurePreloaded() {
     if (fileLoader.isError(self.src)) {
       self.setDownloading(false);
@@ -97,6 +300,11 @@ export const ImageEntity = types.model({
 
   setImageLoaded(value) {
     self.imageLoaded = value;
+    // the browser keeps loaded image, the object URL is not needed anymore
+    if (value && self.revokeOnLoad) {
+      self.revokeOnLoad = false;
+      URL.revokeObjectURL(self.currentSrc);
+    }
   },
 
   setProgress(progress) {
@@ -115,9 +323,22 @@ export const ImageEntity = types.model({
     self.currentSrc = src;
   },
 
+  /**
+   * Shows regular image downloaded by us, its object URL is revoked once the image is loaded
+   * @param {Blob} blob
+   */
+  setBlob(blob) {
+    self.currentSrc = URL.createObjectURL(blob);
+    self.revokeOnLoad = true;
+  },
+
   setError() {
     self.error = true;
   },
+
+  setDecodeError(message) {
+    self.decodeError = message;
+  },
 })).actions(self => ({
   setRotation(angle) {
     self.rotation = angle;
@@ -0,0 +1,115 @@
+import { types } from 'mobx-state-tree';
+import { edgeMapOf, snapToEdge, snapToGeometry } from '../../../utils/snapping';
+
+// distance to snap from, in screen pixels
+export const SNAP_RADIUS = 10;
+
+// gradients are computed on downscaled image, borders of objects don't need every pixel
+const MAX_EDGE_MAP_SIZE = 1024;
+
+/**
+ * Snapping of drawn points to vertices and borders of other regions and to strong edges of the image
+ */
+export const ImageSnappingMixin = types
+  .model()
+  .volatile(() => ({
+    /** @type {{ x: number, y: number, target: import('../../../utils/snapping').SnapTarget }|null} in canvas pixels */
+    snapIndicator: null,
+    // snapping is skipped while Ctrl/Cmd is pressed
+    snapBypassed: false,
+  }))
+  .actions(self => {
+    let edgeMap = null;
+    let edgeMapSrc = null;
+    // image which pixels can't be read, it's not tried again
+    let failedSrc = null;
+
+    /**
+     * Computes gradients of the current image once per image
+     * @return {import('../../../utils/snapping').EdgeMap|null} null if image is not loaded yet or its pixels can't be read
+     */
+    function getEdgeMap() {
+      const image = self.imageRef;
+      const src = self.currentSrc;
+
+      if (edgeMap && edgeMapSrc === src) return edgeMap;
+      if (failedSrc === src || !image?.naturalWidth) return null;
+
+      const scale = Math.min(1, MAX_EDGE_MAP_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+
+      canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+      canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+      try {
+        const ctx = canvas.getContext('2d');
+
+        ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+        edgeMap = edgeMapOf(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        edgeMapSrc = src;
+      } catch (err) {
+        // cross-origin images without CORS headers taint the canvas, edge snapping is off for such image
+        console.error('Snapping to image edges can\'t read image pixels', err);
+        edgeMap = null;
+        edgeMapSrc = null;
+        failedSrc = src;
+        return null;
+      }
+
+      return edgeMap;
+    }
+
+    return {
+      setSnapIndicator(indicator) {
+        self.snapIndicator = indicator;
+      },
+
+      setSnapBypassed(bypassed) {
+        self.snapBypassed = bypassed;
+      },
+
+      /**
+       * Finds the closest point to snap to and shows it
+       * @param {{ x: number, y: number }} point in internal coordinates
+       * @param {object} options
+       * @param {boolean} [options.regions] snap to vertices and borders of other regions
+       * @param {boolean} [options.edges] snap to strong edges of the image
+       * @param {object} [options.exclude] region being edited
+       * @return {{ x: number, y: number }} snapped or original point in internal coordinates
+       */
+      snapPoint(point, { regions = false, edges = false, exclude } = {}) {
+        if (self.snapBypassed) return point;
+
+        const canvasPoint = { x: self.internalToCanvasX(point.x), y: self.internalToCanvasY(point.y) };
+        const radius = SNAP_RADIUS / self.zoomScale;
+        let snapped = null;
+
+        if (regions) {
+          const geometries = self.regs
+            .filter(region => region !== exclude && !region.hidden && !region.isDrawing && region.snapGeometry)
+            .map(region => region.snapGeometry);
+
+          snapped = snapToGeometry(canvasPoint, geometries, radius);
+        }
+
+        const map = !snapped && edges ? getEdgeMap() : null;
+
+        if (map) {
+          const scaleX = map.width / self.stageWidth;
+          const scaleY = map.height / self.stageHeight;
+          const edge = snapToEdge(
+            { x: canvasPoint.x * scaleX, y: canvasPoint.y * scaleY },
+            map,
+            radius * Math.max(scaleX, scaleY),
+          );
+
+          if (edge) snapped = { x: edge.x / scaleX, y: edge.y / scaleY, target: 'gradient' };
+        }
+
+        self.setSnapIndicator(snapped);
+        if (!snapped) return point;
+
+        return { x: self.canvasToInternalX(snapped.x), y: self.canvasToInternalY(snapped.y) };
+      },
+    };
+  });
@@ -0,0 +1,33 @@
+import { createAnnotation, loadImage } from '../../../../regions/__tests__/helpers';
+
+const config = `
+<View>
+  <Image name="img" value="$image"/>
+  <PolygonLabels name="label" toName="img"><Label value="A"/></PolygonLabels>
+</View>`;
+
+describe('Image snapping', () => {
+  test('image with unreadable pixels is not read again', () => {
+    const image = createAnnotation(config, { image: 'https://example.com/1.jpg' }).names.get('img');
+    const drawImage = jest.fn(() => {
+      throw new Error('The canvas has been tainted by cross-origin data');
+    });
+    const getContext = jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      loadImage(image);
+      image.setImageRef({ naturalWidth: 100, naturalHeight: 100 });
+
+      const point = { x: 50, y: 50 };
+
+      expect(image.snapPoint(point, { edges: true })).toBe(point);
+      expect(image.snapPoint(point, { edges: true })).toBe(point);
+      expect(drawImage).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledTimes(1);
+    } finally {
+      getContext.mockRestore();
+      error.mockRestore();
+    }
+  });
+});
@@ -30,13 +30,17 @@ const Model = types.model({
     'rectangle',
     'ellipse',
     'polygon',
+    'polyline',
     'keypoint',
     'brush',
     'magicwand',
     'rectanglelabels',
     'ellipselabels',
     'polygonlabels',
+    'polylinelabels',
     'keypointlabels',
+    'skeletonlabels',
+    'cuboidlabels',
     'brushlabels',
     'hypertextlabels',
     'timeserieslabels',
@@ -62,6 +66,10 @@ const Model = types.model({
     'paragraphlabels',
     'video',
     'videorectangle',
+    'videopolygon',
+    'videokeypoint',
+    'videoellipse',
+    'videotimelinelabels',
   ]),
 });
 
@@ -0,0 +1,96 @@
+import { KonvaEventObject } from 'konva/lib/Node';
+import { Ellipse as KonvaEllipse } from 'konva/lib/shapes/Ellipse';
+import { observer } from 'mobx-react';
+import { FC, useMemo } from 'react';
+import { Ellipse as EllipseShape, Group } from 'react-konva';
+import { useRegionStyles } from '../../../hooks/useRegionColor';
+import { getEllipseAbsoluteDimensions, normalizeNodeDimentions } from './tools';
+import { WorkingArea } from './types';
+import { LabelOnVideoBbox } from '../../../components/ImageView/LabelOnRegion';
+
+type EllipsePropsExtend = typeof EllipseShape;
+
+interface EllipseProps extends EllipsePropsExtend {
+  reg: any;
+  frame: number;
+  selected: boolean;
+  draggable: boolean;
+  listening: boolean;
+  box: { x: number, y: number, radiusX: number, radiusY: number, rotation: number };
+  workingArea: WorkingArea;
+  onDragMove: (e: KonvaEventObject<DragEvent>) => void;
+}
+
+const EllipsePure: FC<EllipseProps> = ({
+  reg,
+  box,
+  frame,
+  workingArea,
+  selected,
+  draggable,
+  listening,
+  onDragMove,
+  ...rest
+}) => {
+  const style = useRegionStyles(reg, { includeFill: true });
+
+  const { realWidth: waWidth, realHeight: waHeight, scale: waScale } = workingArea;
+
+  const newBox = useMemo(() => ({
+    x: box.x * waWidth / 100,
+    y: box.y * waHeight / 100,
+    radiusX: box.radiusX * waWidth / 100,
+    radiusY: box.radiusY * waHeight / 100,
+    rotation: box.rotation,
+  }), [box, waWidth, waHeight]);
+
+  // label is placed above the ellipse, ignoring its rotation
+  const labelBox = useMemo(() => ({
+    x: newBox.x - newBox.radiusX,
+    y: newBox.y - newBox.radiusY,
+    width: newBox.radiusX * 2,
+    rotation: 0,
+  }), [newBox]);
+
+  const onDimensionUpdate = (e: KonvaEventObject<Event>) => {
+    const node = e.target as KonvaEllipse;
+
+    if (e.type === 'dragmove') onDragMove(e as KonvaEventObject<DragEvent>);
+
+    reg.updateShape(getEllipseAbsoluteDimensions(node, workingArea), frame);
+  };
+
+  const onTransform = (e: KonvaEventObject<Event>) => {
+    normalizeNodeDimentions(e.target, 'ellipse');
+  };
+
+  return (
+    <Group>
+      <LabelOnVideoBbox
+        reg={reg}
+        box={labelBox}
+        scale={waScale}
+        color={style.strokeColor}
+        strokeWidth={style.strokeWidth}
+        adjacent
+      />
+      <EllipseShape
+        {...newBox}
+        fill={style.fillColor ?? '#fff'}
+        stroke={style.strokeColor}
+        strokeScaleEnabled={false}
+        selected={selected}
+        draggable={draggable}
+        listening={listening}
+        opacity={reg.hidden ? 0 : 1}
+        onTransform={onTransform}
+        onTransformEnd={onDimensionUpdate}
+        onDragMove={onDimensionUpdate}
+        onDragEnd={onDimensionUpdate}
+        {...rest}
+      />
+    </Group>
+  );
+};
+
+export const Ellipse = observer(EllipsePure);
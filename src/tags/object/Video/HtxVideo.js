@@ -1,6 +1,14 @@
+import { observer } from 'mobx-react';
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 
-import { IconZoomIn } from '../../../assets/icons';
+import {
+  IconCircleTool,
+  IconKeypointsTool,
+  IconLink,
+  IconPolygonTool,
+  IconRectangleTool,
+  IconZoomIn
+} from '../../../assets/icons';
 import { Button } from '../../../common/Button/Button';
 import { Dropdown } from '../../../common/Dropdown/Dropdown';
 import { Menu } from '../../../common/Menu/Menu';
@@ -21,6 +29,65 @@ import { VideoRegions } from './VideoRegions';
 
 const isFFDev2715 = isFF(FF_DEV_2715);
 
+const TOOL_ICONS = {
+  videorectangle: IconRectangleTool,
+  videopolygon: IconPolygonTool,
+  videokeypoint: IconKeypointsTool,
+  videoellipse: IconCircleTool,
+};
+
+/**
+ * Switch between video controls when there are several of them
+ */
+const VideoTools = observer(({ item }) => {
+  const controls = item.videoControls();
+  const selected = item.videoControl();
+
+  if (controls.length < 2) return null;
+
+  return controls.map(control => {
+    const Icon = TOOL_ICONS[control.type];
+
+    return (
+      <Button
+        key={control.name}
+        size="small"
+        nopadding
+        look={control === selected ? 'active' : undefined}
+        aria-label={control.name}
+        onClick={() => item.setDrawingControl(control.name)}
+      >
+        <Icon />
+      </Button>
+    );
+  });
+});
+
+/**
+ * Links selected regions of synced videos into one track or unlinks them if they are linked already
+ */
+const TrackLinks = observer(({ item }) => {
+  const regions = item.selectedTrackableRegions;
+
+  if (regions.length < 2) return null;
+
+  const trackId = regions[0].trackId;
+  const linked = !!trackId && regions.every(region => region.trackId === trackId);
+
+  return (
+    <Button
+      size="small"
+      nopadding
+      look={linked ? 'active' : undefined}
+      aria-label={linked ? 'Unlink tracks' : 'Link tracks'}
+      title={linked ? 'Unlink selected regions from their track' : 'Link selected regions into one track'}
+      onClick={() => linked ? item.unlinkSelectedTracks() : item.linkSelectedTracks()}
+    >
+      <IconLink />
+    </Button>
+  );
+});
+
 function useZoom(videoDimensions, canvasDimentions, shouldClampPan) {
   const [zoomState, setZoomState] = useState({ zoom: 1, pan: { x: 0, y: 0 } });
   const data = useRef({});
@@ -299,13 +366,14 @@ const HtxVideoView = ({ item, store }) => {
     item.setOnlyFrame(position);
   }, [item, setPosition, setVideoLength]);
 
-  const handleVideoLoad = useCallback(({ length, videoDimensions }) => {
+  const handleVideoLoad = useCallback(({ length, videoDimensions, frameTimestamps }) => {
     setLoaded(true);
     setZoom(videoDimensions.ratio);
     setVideoDimensions(videoDimensions);
     setVideoLength(length);
     item.setOnlyFrame(1);
     item.setLength(length);
+    item.setFrameTimestamps(frameTimestamps);
     item.setReady(true);
   }, [item, setVideoLength]);
 
@@ -366,7 +434,7 @@ const HtxVideoView = ({ item, store }) => {
 
 
   const handleSelectRegion = useCallback((_, id, select) => {
-    const region = item.findRegion(id);
+    const region = item.findTimelineRegion(id);
     const selected = region?.selected || region?.inSelection;
 
     if (!region || (isDefined(select) && selected === select)) return;
@@ -374,26 +442,51 @@ const HtxVideoView = ({ item, store }) => {
     region.onClickRegion();
   }, [item]);
 
+  const handleChangeRegion = useCallback((id, range) => {
+    const region = item.findTimelineRegion(id);
+
+    if (!region?.updateRange || region.isReadOnly()) return;
+
+    // regions of synced videos are shown in frames of this video
+    region.updateRange({
+      start: item.regionFrame(region, range.start),
+      end: item.regionFrame(region, range.end),
+    });
+  }, [item]);
+
   const handleAction = useCallback((_, action, data) => {
-    const regions = item.regs.filter(reg => reg.selected || reg.inSelection);
+    const regions = item.timelineVideos()
+      .flatMap(video => video.shapeRegions)
+      .filter(reg => reg.selected || reg.inSelection);
 
     regions.forEach(region => {
+      const frame = isDefined(data?.frame) ? item.regionFrame(region, data.frame) : undefined;
+
       switch (action) {
         case 'lifespan_add':
         case 'lifespan_remove':
-          region.toggleLifespan(data.frame);
+          region.toggleLifespan(frame);
           break;
         case 'keypoint_add':
-          region.addKeypoint(data.frame);
+          region.addKeypoint(frame);
           break;
         case 'keypoint_remove':
-          region.removeKeypoint(data.frame);
+          region.removeKeypoint(frame);
+          break;
+        case 'interpolation_segment':
+          region.setSegmentInterpolation(frame, data.mode);
+          break;
+        case 'interpolation_region':
+          region.setInterpolation(data.mode);
+          break;
+        case 'interpolation_bake':
+          region.bakeInterpolation();
           break;
         default:
           console.warn('unknown action');
       }
     });
-  }, [item.regs]);
+  }, [item]);
 
   const handleTimelinePositionChange = useCallback((newPosition) => {
     if (position !== newPosition) {
@@ -406,12 +499,15 @@ const HtxVideoView = ({ item, store }) => {
     item.ref.current = null;
   }, []);
 
-  const regions = item.regs.map(reg => {
+  const regions = item.timelineVideos().flatMap(video => video.regs).map(reg => {
     const color = reg.style?.fillcolor ?? reg.tag?.fillcolor ?? defaultStyle.fillcolor;
-    const label = reg.labels.join(', ') || 'Empty';
+    const labels = reg.labels.join(', ') || 'Empty';
+    // regions of other cameras on the shared timeline
+    const label = reg.object === item ? labels : `${reg.object.name}: ${labels}`;
     const sequence = reg.sequence.map(s => ({
-      frame: s.frame,
+      frame: item.frameFromVideo(reg.object, s.frame),
       enabled: s.enabled,
+      interpolation: s.interpolation,
     }));
 
     return {
@@ -421,6 +517,8 @@ const HtxVideoView = ({ item, store }) => {
       visible: !reg.hidden,
       selected: reg.selected || reg.inSelection,
       sequence,
+      interpolation: reg.interpolation,
+      timeline: reg.type === 'videotimelineregion',
     };
   });
 
@@ -447,7 +545,7 @@ const HtxVideoView = ({ item, store }) => {
                     zoom={zoom}
                     pan={pan}
                     locked={panMode}
-                    regions={item.regs}
+                    regions={item.shapeRegions}
                     width={videoSize[0]}
                     height={videoSize[1]}
                     workingArea={videoDimensions}
@@ -465,6 +563,7 @@ const HtxVideoView = ({ item, store }) => {
                   pan={pan}
                   speed={item.speed}
                   framerate={item.framerate}
+                  decoder={item.decoder}
                   allowInteractions={false}
                   allowPanOffscreen={!limitCanvasDrawingBoundaries}
                   onFrameChange={handleFrameChange}
@@ -493,8 +592,10 @@ const HtxVideoView = ({ item, store }) => {
             allowFullscreen={false}
             fullscreen={isFullScreen}
             defaultStepSize={16}
-            disableView={!supportsRegions}
+            // hidden timeline keeps playback controls, regions are shown on the shared one
+            disableView={!supportsRegions || item.timeline === 'hidden'}
             framerate={item.framerate}
+            frameTimestamps={item.frameTimestamps}
             controls={{ FramesControl: true }}
             customControls={[
               {
@@ -518,12 +619,21 @@ const HtxVideoView = ({ item, store }) => {
                   );
                 },
               },
+              {
+                position: 'left',
+                component: () => <VideoTools key="tools" item={item} />,
+              },
+              {
+                position: 'left',
+                component: () => <TrackLinks key="tracks" item={item} />,
+              },
             ]}
             onPositionChange={handleTimelinePositionChange}
             onPlay={handlePlay}
             onPause={handlePause}
             onFullscreenToggle={handleFullscreenToggle}
             onSelectRegion={handleSelectRegion}
+            onChangeRegion={handleChangeRegion}
             onAction={handleAction}
           />
         )}
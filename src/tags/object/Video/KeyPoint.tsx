@@ -0,0 +1,92 @@
+import { KonvaEventObject } from 'konva/lib/Node';
+import { observer } from 'mobx-react';
+import { FC, useMemo } from 'react';
+import { Circle, Group } from 'react-konva';
+import { useRegionStyles } from '../../../hooks/useRegionColor';
+import { WorkingArea } from './types';
+import { LabelOnVideoBbox } from '../../../components/ImageView/LabelOnRegion';
+
+// radius in screen pixels, keypoints have the same size on any zoom
+export const KEYPOINT_RADIUS = 5;
+
+type KeyPointPropsExtend = typeof Circle;
+
+interface KeyPointProps extends KeyPointPropsExtend {
+  reg: any;
+  frame: number;
+  selected: boolean;
+  draggable: boolean;
+  listening: boolean;
+  box: { x: number, y: number };
+  workingArea: WorkingArea;
+  onDragMove: (e: KonvaEventObject<DragEvent>) => void;
+}
+
+const KeyPointPure: FC<KeyPointProps> = ({
+  reg,
+  box,
+  frame,
+  workingArea,
+  selected,
+  draggable,
+  listening,
+  onDragMove,
+  ...rest
+}) => {
+  const style = useRegionStyles(reg, { includeFill: true, useStrokeAsFill: true });
+
+  const { realWidth: waWidth, realHeight: waHeight, scale: waScale } = workingArea;
+  const radius = KEYPOINT_RADIUS / waScale;
+
+  const point = useMemo(() => ({
+    x: box.x * waWidth / 100,
+    y: box.y * waHeight / 100,
+  }), [box, waWidth, waHeight]);
+
+  const labelBox = useMemo(() => ({
+    x: point.x - radius,
+    y: point.y - radius,
+    width: radius * 2,
+    rotation: 0,
+  }), [point, radius]);
+
+  const onPositionUpdate = (e: KonvaEventObject<DragEvent>) => {
+    const node = e.target;
+
+    if (e.type === 'dragmove') onDragMove(e);
+
+    reg.updateShape({
+      x: node.x() / waWidth * 100,
+      y: node.y() / waHeight * 100,
+    }, frame);
+  };
+
+  return (
+    <Group>
+      <LabelOnVideoBbox
+        reg={reg}
+        box={labelBox}
+        scale={waScale}
+        color={style.strokeColor}
+        strokeWidth={style.strokeWidth}
+        adjacent
+      />
+      <Circle
+        {...point}
+        radius={radius}
+        fill={style.fillColor ?? style.strokeColor}
+        stroke={selected ? '#fff' : style.strokeColor}
+        strokeWidth={1}
+        strokeScaleEnabled={false}
+        draggable={draggable}
+        listening={listening}
+        opacity={reg.hidden ? 0 : 1}
+        onDragMove={onPositionUpdate}
+        onDragEnd={onPositionUpdate}
+        {...rest}
+      />
+    </Group>
+  );
+};
+
+export const KeyPoint = observer(KeyPointPure);
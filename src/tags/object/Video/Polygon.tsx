@@ -0,0 +1,118 @@
+import { KonvaEventObject } from 'konva/lib/Node';
+import { observer } from 'mobx-react';
+import { FC, useMemo } from 'react';
+import { Circle, Group, Line } from 'react-konva';
+import { useRegionStyles } from '../../../hooks/useRegionColor';
+import { WorkingArea } from './types';
+import { LabelOnVideoBbox } from '../../../components/ImageView/LabelOnRegion';
+
+// radius of vertex anchors in screen pixels
+const ANCHOR_RADIUS = 4;
+
+type PolygonPropsExtend = typeof Line;
+
+interface PolygonProps extends PolygonPropsExtend {
+  reg: any;
+  frame: number;
+  selected: boolean;
+  draggable: boolean;
+  listening: boolean;
+  box: { points: number[][] };
+  workingArea: WorkingArea;
+  onDragMove: (e: KonvaEventObject<DragEvent>) => void;
+}
+
+const PolygonPure: FC<PolygonProps> = ({
+  reg,
+  box,
+  frame,
+  workingArea,
+  selected,
+  draggable,
+  listening,
+  onDragMove,
+  ...rest
+}) => {
+  const style = useRegionStyles(reg, { includeFill: true });
+
+  const { realWidth: waWidth, realHeight: waHeight, scale: waScale } = workingArea;
+
+  const points = useMemo(() => {
+    return box.points.map(([x, y]) => [x * waWidth / 100, y * waHeight / 100]);
+  }, [box, waWidth, waHeight]);
+
+  const labelBox = useMemo(() => {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    const x = Math.min(...xs);
+
+    return { x, y: Math.min(...ys), width: Math.max(...xs) - x, rotation: 0 };
+  }, [points]);
+
+  const updatePoints = (newPoints: number[][]) => {
+    reg.updateShape({
+      points: newPoints.map(([x, y]) => [x / waWidth * 100, y / waHeight * 100]),
+    }, frame);
+  };
+
+  // the whole polygon is moved by moving its points, so the line itself stays in place
+  const onPolygonMove = (e: KonvaEventObject<DragEvent>) => {
+    const node = e.target;
+
+    if (e.type === 'dragmove') onDragMove(e);
+
+    const [dx, dy] = [node.x(), node.y()];
+
+    node.position({ x: 0, y: 0 });
+    updatePoints(points.map(([x, y]) => [x + dx, y + dy]));
+  };
+
+  const onAnchorMove = (index: number) => (e: KonvaEventObject<DragEvent>) => {
+    const node = e.target;
+
+    updatePoints(points.map((point, i) => i === index ? [node.x(), node.y()] : point));
+  };
+
+  return (
+    <Group>
+      <LabelOnVideoBbox
+        reg={reg}
+        box={labelBox}
+        scale={waScale}
+        color={style.strokeColor}
+        strokeWidth={style.strokeWidth}
+        adjacent
+      />
+      <Line
+        points={points.flat()}
+        closed
+        fill={style.fillColor ?? '#fff'}
+        stroke={style.strokeColor}
+        strokeScaleEnabled={false}
+        draggable={draggable}
+        listening={listening}
+        opacity={reg.hidden ? 0 : 1}
+        onDragMove={onPolygonMove}
+        onDragEnd={onPolygonMove}
+        {...rest}
+      />
+      {selected && draggable && !reg.hidden && points.map(([x, y], index) => (
+        <Circle
+          key={index}
+          x={x}
+          y={y}
+          radius={ANCHOR_RADIUS / waScale}
+          fill="#fff"
+          stroke={style.strokeColor}
+          strokeWidth={1}
+          strokeScaleEnabled={false}
+          draggable
+          onDragMove={onAnchorMove(index)}
+          onDragEnd={onAnchorMove(index)}
+        />
+      ))}
+    </Group>
+  );
+};
+
+export const Polygon = observer(PolygonPure);
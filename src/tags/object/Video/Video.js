@@ -5,7 +5,9 @@ import { AnnotationMixin } from '../../../mixins/AnnotationMixin';
 import IsReadyMixin from '../../../mixins/IsReadyMixin';
 import ProcessAttrsMixin from '../../../mixins/ProcessAttrs';
 import { SyncableMixin } from '../../../mixins/Syncable';
+import { guidGenerator } from '../../../core/Helpers';
 import { parseValue } from '../../../utils/data';
+import { frameAtTime } from '../../../utils/video-demuxers';
 import ObjectBase from '../Base';
 
 /**
@@ -38,9 +40,12 @@ import ObjectBase from '../Base';
  * @param {string} name Name of the element
  * @param {string} value URL of the video
  * @param {number} [frameRate=24] video frame rate per second; default is 24; can use task data like `$fps`
- * @param {string} [sync] object name to sync with
+ * @param {string} [sync] object name to sync with; videos from the same sync group play and seek together even with different frame rates
+ * @param {number} [syncOffset=0] time in seconds this video is ahead of the sync group, e.g. `1.5` if it started recording 1.5 seconds earlier; can use task data like `$offset`
+ * @param {own|shared|hidden} [timeline=own] `shared` timeline shows regions of all videos from the sync group, `hidden` hides the Frames timeline of secondary camera when another video has shared one, playback controls stay
  * @param {boolean} [muted=false] muted video
  * @param {number} [height=600] height of the video
+ * @param {native|webcodecs} [decoder=native] `webcodecs` decodes exact frames of MP4 and WebM videos in browsers supporting WebCodecs, so every frame can be reached and has its true timestamp; other browsers and formats fall back to `native`
  */
 
 const TagAttrs = types.model({
@@ -49,6 +54,9 @@ const TagAttrs = types.model({
   framerate: types.optional(types.string, '24'),
   height: types.optional(types.string, '600'),
   muted: false,
+  decoder: types.optional(types.enumeration(['native', 'webcodecs']), 'native'),
+  syncoffset: types.optional(types.string, '0'),
+  timeline: types.optional(types.enumeration(['own', 'shared', 'hidden']), 'own'),
 });
 
 const Model = types
@@ -65,6 +73,10 @@ const Model = types
     ref: React.createRef(),
     frame: 1,
     length: 1,
+    // presentation times of frames in seconds if they are decoded with WebCodecs
+    frameTimestamps: null,
+    // name of the selected video control if there are several ones
+    drawingControlName: null,
   }))
   .views(self => ({
     get store() {
@@ -75,16 +87,117 @@ const Model = types
       return self.ref.current?.position ?? 1;
     },
 
+    /**
+     * Time of the frame in seconds; true timestamp of the frame start when it's known,
+     * otherwise calculated from the frame rate as in native playback
+     * @param {number} frame
+     */
+    frameToTime(frame) {
+      return self.frameTimestamps?.[frame - 1] ?? frame / self.framerate;
+    },
+
+    /**
+     * Number of the frame shown at the time in seconds
+     * @param {number} time
+     */
+    timeToFrame(time) {
+      if (self.frameTimestamps) return frameAtTime(self.frameTimestamps, time);
+
+      // exact inverse of frameToTime(); moments before the first frame are shown at it
+      return Math.max(1, Math.round(time * self.framerate));
+    },
+
+    /**
+     * Time offset of this video in the sync group in seconds
+     */
+    get timeOffset() {
+      return Number(parseValue(self.syncoffset, self.store.task?.dataObj)) || 0;
+    },
+
+    /**
+     * Other videos from the same sync group; sync targets are not observable, so it's not a getter
+     */
+    syncedVideos() {
+      if (!self.syncManager) return [];
+
+      return [...self.syncManager.syncTargets.values()].filter(target => target.type === 'video' && target !== self);
+    },
+
+    /**
+     * Videos with regions displayed on the timeline of this video
+     */
+    timelineVideos() {
+      return self.timeline === 'shared' ? [self, ...self.syncedVideos()] : [self];
+    },
+
+    /**
+     * Converts the frame of another synced video into the frame of this one showing the same moment
+     * @param {object} video synced Video tag
+     * @param {number} frame frame of that video
+     */
+    frameFromVideo(video, frame) {
+      if (video === self) return frame;
+
+      return self.timeToFrame(video.frameToTime(frame) - video.timeOffset + self.timeOffset);
+    },
+
+    /**
+     * Converts the frame of this video's timeline into the frame of the region from any synced video.
+     * Keyframes are shown on the timeline in frames of this video and with different frame rates
+     * the conversion back can miss them, so frames of shown keyframes are mapped to keyframes themselves.
+     * @param {object} region region of this or a synced video
+     * @param {number} frame frame of this video
+     */
+    regionFrame(region, frame) {
+      const keyframe = region.sequence.find(keyframe => self.frameFromVideo(region.object, keyframe.frame) === frame);
+
+      return keyframe?.frame ?? region.object.frameFromVideo(self, frame);
+    },
+
+    /**
+     * Looks for the region in this video and in the videos with regions shown on its timeline
+     * @param {string} id clean id of the region
+     */
+    findTimelineRegion(id) {
+      for (const video of self.timelineVideos()) {
+        const region = video.findRegion(id);
+
+        if (region) return region;
+      }
+    },
+
     control() {
       return self.annotation.toNames.get(self.name)?.find(s => !s.type.endsWith('labels'));
     },
 
+    /**
+     * Controls drawing regions on video: VideoRectangle, VideoPolygon, VideoKeyPoint and VideoEllipse
+     */
+    videoControls() {
+      return self.annotation.toNames.get(self.name)?.filter(s => s.type.includes('video') && !s.type.endsWith('labels')) ?? [];
+    },
+
+    /**
+     * Regions drawn over the video; segments of VideoTimelineLabels are displayed only on the timeline
+     */
+    get shapeRegions() {
+      return self.regs.filter(reg => reg.type !== 'videotimelineregion');
+    },
+
+    /**
+     * Control new regions are drawn with
+     */
     videoControl() {
-      return self.annotation.toNames.get(self.name)?.find(s => s.type.includes('video'));
+      const controls = self.videoControls();
+
+      return controls.find(control => control.name === self.drawingControlName) ?? controls[0];
     },
 
+    /**
+     * Labels for drawn regions; VideoTimelineLabels create their own segments
+     */
     states() {
-      return self.annotation.toNames.get(self.name)?.filter(s => s.type.endsWith('labels'));
+      return self.annotation.toNames.get(self.name)?.filter(s => s.type.endsWith('labels') && s.type !== 'videotimelinelabels');
     },
 
     activeStates() {
@@ -98,6 +211,15 @@ const Model = types
 
       return states && states.length > 0;
     },
+
+    /**
+     * Selected shapes of this video and synced ones, which can be linked into one track
+     */
+    get selectedTrackableRegions() {
+      const videos = [self, ...self.syncedVideos()];
+
+      return self.annotation.selectedRegions.filter(region => videos.includes(region.object) && region.setTrackId);
+    },
   }))
   .actions(self => ({
     afterCreate() {
@@ -123,7 +245,8 @@ const Model = types
 
       self.syncSend({
         playing: self.ref.current.playing,
-        time: self.ref.current.currentTime,
+        // time of the sync group without the offset of this video
+        time: self.ref.current.currentTime - self.timeOffset,
         ...data,
       }, event);
     },
@@ -160,7 +283,7 @@ const Model = types
         self.speed = data.speed;
       }
 
-      video.currentTime = data.time;
+      video.currentTime = Math.max(data.time + self.timeOffset, 0);
     },
 
     handleSyncSpeed({ speed }) {
@@ -181,6 +304,14 @@ const Model = types
         self.length = length;
       },
 
+      setFrameTimestamps(timestamps) {
+        self.frameTimestamps = timestamps;
+      },
+
+      setDrawingControl(name) {
+        self.drawingControlName = name;
+      },
+
       setOnlyFrame(frame) {
         if (self.frame !== frame) {
           self.frame = frame;
@@ -190,7 +321,9 @@ const Model = types
       setFrame(frame) {
         if (self.frame !== frame && self.framerate) {
           self.frame = frame;
-          self.ref.current.currentTime = frame / self.framerate;
+          // decoder seeks precisely to the frame using its timestamp
+          if (self.frameTimestamps) self.ref.current.goToFrame(frame);
+          else self.ref.current.currentTime = frame / self.framerate;
         }
       },
 
@@ -225,6 +358,24 @@ const Model = types
         self.findRegion(id)?.deleteRegion();
       },
 
+      /**
+       * Links selected regions of this video and synced ones into one track, so they are the same object.
+       * The track id of already linked region is reused to add new regions to its track.
+       */
+      linkSelectedTracks() {
+        const regions = self.selectedTrackableRegions;
+
+        if (regions.length < 2) return;
+
+        const trackId = regions.find(region => region.trackId)?.trackId ?? guidGenerator();
+
+        regions.forEach(region => region.setTrackId(trackId));
+      },
+
+      unlinkSelectedTracks() {
+        self.selectedTrackableRegions.forEach(region => region.setTrackId(null));
+      },
+
       findRegion(id) {
         return self.regs.find(reg => reg.cleanId === id);
       },
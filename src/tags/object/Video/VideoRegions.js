@@ -3,15 +3,33 @@ import { clamp } from 'lodash';
 import { observer } from 'mobx-react';
 import { getParentOfType } from 'mobx-state-tree';
 import { useCallback, useEffect, useMemo, useState } from 'react';
-import { Layer, Rect, Stage, Transformer } from 'react-konva';
+import { Ellipse as EllipseShape, Layer, Line, Rect, Stage, Transformer } from 'react-konva';
 import Constants from '../../../core/Constants';
 import { Annotation } from '../../../stores/Annotation/Annotation';
 import { fixMobxObserve } from '../../../utils/utilities';
+import { Ellipse } from './Ellipse';
+import { KeyPoint } from './KeyPoint';
+import { Polygon } from './Polygon';
 import { Rectangle } from './Rectangle';
 import { createBoundingBoxGetter, createOnDragMoveHandler } from './TransformTools';
 
 export const MIN_SIZE = 5;
 
+// distance to the first point of the polygon to close it, in screen pixels
+const CLOSE_POLYGON_DISTANCE = 8;
+
+const SHAPES = {
+  videorectangleregion: Rectangle,
+  videoellipseregion: Ellipse,
+  videopolygonregion: Polygon,
+  videokeypointregion: KeyPoint,
+};
+
+// polygons and keypoints are edited by their points
+const TRANSFORMABLE_TYPES = ['videorectangleregion', 'videoellipseregion'];
+
+const SELECTION_COLOR = '#0099FF';
+
 const SelectionRect = (props) => {
   return (
     <>
@@ -22,15 +40,45 @@ const SelectionRect = (props) => {
       />
       <Rect
         {...props}
-        fill={chroma('#0099FF').alpha(0.1).css()}
+        fill={chroma(SELECTION_COLOR).alpha(0.1).css()}
         strokeWidth={2}
-        stroke="#0099FF"
+        stroke={SELECTION_COLOR}
         dash={[2, 2]}
       />
     </>
   );
 };
 
+const SelectionEllipse = ({ x, y, width, height }) => {
+  return (
+    <EllipseShape
+      x={x + width / 2}
+      y={y + height / 2}
+      radiusX={Math.abs(width / 2)}
+      radiusY={Math.abs(height / 2)}
+      fill={chroma(SELECTION_COLOR).alpha(0.1).css()}
+      strokeWidth={2}
+      strokeScaleEnabled={false}
+      stroke={SELECTION_COLOR}
+      dash={[2, 2]}
+    />
+  );
+};
+
+const SelectionPolygon = ({ points, cursor }) => {
+  return (
+    <Line
+      points={[...points, ...(cursor ? [cursor] : [])].flatMap(({ x, y }) => [x, y])}
+      fill={chroma(SELECTION_COLOR).alpha(0.1).css()}
+      strokeWidth={2}
+      strokeScaleEnabled={false}
+      stroke={SELECTION_COLOR}
+      dash={[2, 2]}
+      closed={points.length > 2}
+    />
+  );
+};
+
 const VideoRegionsPure = ({
   item,
   regions,
@@ -45,6 +93,10 @@ const VideoRegionsPure = ({
 }) => {
   const [newRegion, setNewRegion] = useState();
   const [isDrawing, setDrawingMode] = useState(false);
+  // polygon is drawn point by point, so it's handled separately
+  const [newPolygon, setNewPolygon] = useState(null);
+  const [cursor, setCursor] = useState(null);
+  const drawingType = item.videoControl()?.type;
 
   const selected = regions.filter((reg) => {
     return (reg.selected || reg.inSelection) && !reg.hidden && !reg.isReadOnly() && reg.isInLifespan(item.frame);
@@ -118,13 +170,51 @@ const VideoRegionsPure = ({
         y -= height;
       }
 
-      const fixedRegion = { x, y, width, height };
+      // ellipse is inscribed into the drawn box
+      const fixedRegion = drawingType === 'videoellipse'
+        ? { x: x + width / 2, y: y + height / 2, radiusX: width / 2, radiusY: height / 2 }
+        : { x, y, width, height };
 
       item.addRegion(fixedRegion);
       setNewRegion(null);
     }
   }, [isDrawing, workinAreaCoordinates, videoDimensions]);
 
+  const toPercents = ({ x, y }) => ({
+    x: x / videoDimensions.width * 100,
+    y: y / videoDimensions.height * 100,
+  });
+
+  const finishPolygon = () => {
+    if (newPolygon?.length > 2) {
+      const points = newPolygon.map(toPercents).map(({ x, y }) => [x, y]);
+
+      item.addRegion({ points });
+    }
+    setNewPolygon(null);
+    setCursor(null);
+  };
+
+  useEffect(() => {
+    if (!newPolygon) return;
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Enter') finishPolygon();
+      if (e.key === 'Escape') {
+        setNewPolygon(null);
+        setCursor(null);
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [newPolygon]);
+
+  // polygon in progress belongs to the previous control
+  useEffect(() => {
+    setNewPolygon(null);
+  }, [drawingType]);
+
   const inBounds = (x, y) => {
     if (allowRegionsOutsideWorkingArea) return true;
 
@@ -150,14 +240,35 @@ const VideoRegionsPure = ({
 
     const isInBounds = inBounds(x, y);
 
-    if (isInBounds) {
-      item.annotation.unselectAreas();
+    if (!isInBounds) return;
+
+    item.annotation.unselectAreas();
+
+    if (drawingType === 'videokeypoint') {
+      item.addRegion(toPercents({ x, y }));
+    } else if (drawingType === 'videopolygon') {
+      const points = newPolygon ?? [];
+      const [first] = points;
+      const last = points[points.length - 1];
+      const closeDistance = CLOSE_POLYGON_DISTANCE / zoom;
+
+      if (points.length > 2 && Math.hypot(first.x - x, first.y - y) < closeDistance) {
+        finishPolygon();
+      } else if (!last || Math.hypot(last.x - x, last.y - y) >= closeDistance) {
+        setNewPolygon([...points, { x, y }]);
+      }
+    } else {
       setNewRegion({ x, y, width: 0, height: 0 });
       setDrawingMode(true);
     }
   };
 
   const handleMouseMove = e => {
+    if (newPolygon && !item.annotation?.isReadOnly()) {
+      setCursor(limitCoordinates(normalizeMouseOffsets(e.evt.offsetX, e.evt.offsetY)));
+      return;
+    }
+
     if (!isDrawing || item.annotation?.isReadOnly()) return false;
 
     const { x, y } = limitCoordinates(normalizeMouseOffsets(e.evt.offsetX, e.evt.offsetY));
@@ -188,7 +299,10 @@ const VideoRegionsPure = ({
     const stage = tr.getStage();
     // @todo not an obvious way to not render transformer for hidden regions
     // @todo could it be rewritten to usual react way?
-    const shapes = selected.map(shape => stage.findOne('#' + shape.id)).filter(Boolean);
+    const shapes = selected
+      .filter(shape => TRANSFORMABLE_TYPES.includes(shape.type))
+      .map(shape => stage.findOne('#' + shape.id))
+      .filter(Boolean);
 
     tr.nodes(shapes);
     tr.getLayer().batchDraw();
@@ -198,6 +312,7 @@ const VideoRegionsPure = ({
     onMouseDown: handleMouseDown,
     onMouseMove: handleMouseMove,
     onMouseUp: handleMouseUp,
+    onDblClick: finishPolygon,
   } : {};
 
   return (
@@ -223,7 +338,16 @@ const VideoRegionsPure = ({
       </Layer>
       {!item.annotation?.isReadOnly() && isDrawing ? (
         <Layer {...layerProps}>
-          <SelectionRect {...newRegion}/>
+          {drawingType === 'videoellipse' ? (
+            <SelectionEllipse {...newRegion}/>
+          ) : (
+            <SelectionRect {...newRegion}/>
+          )}
+        </Layer>
+      ) : null}
+      {!item.annotation?.isReadOnly() && newPolygon ? (
+        <Layer {...layerProps} listening={false}>
+          <SelectionPolygon points={newPolygon} cursor={cursor}/>
         </Layer>
       ) : null}
       {!item.annotation?.isReadOnly() && selected?.length > 0 ? (
@@ -278,9 +402,10 @@ const Shape = observer(({
   ...props
 }) => {
   const box = reg.getShape(frame);
+  const ShapeComponent = SHAPES[reg.type] ?? Rectangle;
 
   return reg.isInLifespan(frame) && box && (
-    <Rectangle
+    <ShapeComponent
       reg={reg}
       box={box}
       frame={frame}
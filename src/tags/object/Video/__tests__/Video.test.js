@@ -0,0 +1,134 @@
+import { createAnnotation } from '../../../../regions/__tests__/helpers';
+
+const config = `
+<View>
+  <Video name="video" value="$video" framerate="25"/>
+</View>`;
+
+describe('Video', () => {
+  test('frame times are calculated from the frame rate without decoded timestamps', () => {
+    const video = createAnnotation(config, { video: 'video.mp4' }).names.get('video');
+    const frames = [1, 2, 3, 10];
+    const times = frames.map(frame => video.frameToTime(frame));
+
+    expect(times).toEqual([0.04, 0.08, 0.12, 0.4]);
+    expect(times.map(time => video.timeToFrame(time))).toEqual(frames);
+    expect(video.timeToFrame(-1)).toBe(1);
+  });
+
+  test('decoded timestamps are used when they are known', () => {
+    const video = createAnnotation(config, { video: 'video.mp4' }).names.get('video');
+    const frames = [1, 2, 3, 4];
+
+    // variable frame rate
+    video.setFrameTimestamps([0, 0.04, 0.1, 0.12]);
+
+    const times = frames.map(frame => video.frameToTime(frame));
+
+    expect(times).toEqual([0, 0.04, 0.1, 0.12]);
+    expect(times.map(time => video.timeToFrame(time))).toEqual(frames);
+    // any moment within the frame belongs to it
+    expect(video.timeToFrame(0.099)).toBe(2);
+  });
+
+  describe('sync of cameras', () => {
+    // the second camera started recording 1.5 seconds earlier, the third one 2 seconds later
+    const camerasConfig = sync => `
+      <View display="grid" columns="3">
+        <Video name="main" value="$main" framerate="25" sync="${sync}"/>
+        <Video name="early" value="$early" framerate="30" sync="${sync}" syncOffset="1.5"/>
+        <Video name="late" value="$late" framerate="25" sync="${sync}" syncOffset="$offset"/>
+      </View>`;
+    const data = { main: 'main.mp4', early: 'early.mp4', late: 'late.mp4', offset: -2 };
+
+    const createCameras = (sync) => {
+      const annotation = createAnnotation(camerasConfig(sync), data);
+
+      return ['main', 'early', 'late'].map(name => annotation.names.get(name));
+    };
+
+    test('converts frames between videos with offsets and different frame rates', () => {
+      const [main, early, late] = createCameras('frames');
+
+      expect([main.timeOffset, early.timeOffset, late.timeOffset]).toEqual([0, 1.5, -2]);
+      expect(main.syncedVideos()).toEqual([early, late]);
+
+      // frame 51 of the main camera is at 2 seconds
+      expect(early.frameFromVideo(main, 51)).toBe(106);
+      expect(late.frameFromVideo(main, 51)).toBe(1);
+      expect(main.frameFromVideo(early, 106)).toBe(51);
+      expect(main.frameFromVideo(late, 26)).toBe(76);
+      expect(early.frameFromVideo(late, 26)).toBe(136);
+      expect(main.frameFromVideo(main, 7)).toBe(7);
+      // moments before the start of the video are shown at its first frame
+      expect(late.frameFromVideo(main, 26)).toBe(1);
+      expect(main.frameFromVideo(early, 30)).toBe(1);
+    });
+
+    test('maps frames of the shared timeline back to keyframes of regions from videos with other frame rates', () => {
+      const annotation = createAnnotation(`
+        <View>
+          <Video name="main" value="$main" framerate="25" sync="tracks" timeline="shared"/>
+          <Video name="early" value="$early" framerate="30" sync="tracks" syncOffset="1.5"/>
+          <VideoRectangle name="box" toName="early"/>
+        </View>`, data, [{
+        id: 'player',
+        from_name: 'box',
+        to_name: 'early',
+        type: 'videorectangle',
+        value: {
+          framesCount: 200,
+          sequence: [102, 114].map(frame => ({ frame, enabled: true, x: 10, y: 10, width: 20, height: 20, rotation: 0 })),
+        },
+      }]);
+      const main = annotation.names.get('main');
+      const early = annotation.names.get('early');
+      const [region] = annotation.regions;
+      const shown = region.sequence.map(keyframe => main.frameFromVideo(early, keyframe.frame));
+
+      expect(shown).toEqual([48, 57]);
+      // plain conversion back misses both keyframes
+      expect(shown.map(frame => early.frameFromVideo(main, frame))).toEqual([103, 113]);
+      expect(shown.map(frame => main.regionFrame(region, frame))).toEqual([102, 114]);
+      // other frames are converted as usual
+      expect(main.regionFrame(region, 50)).toBe(105);
+
+      region.removeKeypoint(main.regionFrame(region, 57));
+
+      expect(region.sequence.map(keyframe => keyframe.frame)).toEqual([102]);
+    });
+
+    test('seeks synced videos to the same moment', () => {
+      const [main, early, late] = createCameras('seek');
+      const player = currentTime => ({ currentTime, playing: false, play() {}, pause() {} });
+
+      main.ref.current = player(3);
+      early.ref.current = player(0);
+      late.ref.current = player(0);
+      main.handleSeek();
+
+      expect(early.ref.current.currentTime).toBe(4.5);
+      expect(late.ref.current.currentTime).toBe(1);
+    });
+
+    test('sends the time of the sync group', () => {
+      const [main, early, late] = createCameras('send');
+      const player = currentTime => ({ currentTime, playing: false, play() {}, pause() {} });
+
+      main.ref.current = player(0);
+      early.ref.current = player(4);
+      late.ref.current = player(0);
+      early.handleSeek();
+
+      expect(main.ref.current.currentTime).toBe(2.5);
+      expect(late.ref.current.currentTime).toBe(0.5);
+
+      // the moment before the start of the other videos
+      early.ref.current.currentTime = 1;
+      early.handleSeek();
+
+      expect(main.ref.current.currentTime).toBe(0);
+      expect(late.ref.current.currentTime).toBe(0);
+    });
+  });
+});
@@ -1,3 +1,4 @@
+import { Ellipse } from 'konva/lib/shapes/Ellipse';
 import { KonvaNode, WorkingArea } from './types';
 import { MIN_SIZE } from '../../../tools/Base';
 
@@ -15,7 +16,19 @@ export const getNodeAbsoluteDimensions = (node: KonvaNode, workingArea: WorkingA
   return result;
 };
 
-export const normalizeNodeDimentions = <T extends KonvaNode>(node: T, shapeType: 'rect') => {
+export const getEllipseAbsoluteDimensions = (node: Ellipse, workingArea: WorkingArea) => {
+  const { realWidth: width, realHeight: height } = workingArea;
+
+  return {
+    x: node.x() / width * 100,
+    y: node.y() / height * 100,
+    radiusX: node.radiusX() / width * 100,
+    radiusY: node.radiusY() / height * 100,
+    rotation: node.rotation(),
+  };
+};
+
+export const normalizeNodeDimentions = <T extends KonvaNode>(node: T, shapeType: 'rect' | 'ellipse') => {
   const scaleX = node.scaleX();
   const scaleY = node.scaleY();
 
@@ -25,6 +38,13 @@ export const normalizeNodeDimentions = <T extends KonvaNode>(node: T, shapeType:
       node.height(Math.max(MIN_SIZE.Y, node.height() * scaleY));
       break;
     }
+    case 'ellipse': {
+      const ellipse = node as unknown as Ellipse;
+
+      ellipse.radiusX(Math.max(MIN_SIZE.X / 2, ellipse.radiusX() * scaleX));
+      ellipse.radiusY(Math.max(MIN_SIZE.Y / 2, ellipse.radiusY() * scaleY));
+      break;
+    }
   }
 
   node.scaleX(1);
@@ -43,12 +43,16 @@ const PanelModel = types.model({
     'rectangle',
     'ellipse',
     'polygon',
+    'polyline',
     'keypoint',
     'brush',
     'rectanglelabels',
     'ellipselabels',
     'polygonlabels',
+    'polylinelabels',
     'keypointlabels',
+    'skeletonlabels',
+    'cuboidlabels',
     'brushlabels',
     'hypertextlabels',
     'text',
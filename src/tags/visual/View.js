@@ -22,10 +22,19 @@ import { AnnotationMixin } from '../../mixins/AnnotationMixin';
  *     <TextArea name="question" />
  *   </View>
  * </View>
+ * @example
+ * <!-- Show videos of four cameras in two columns -->
+ * <View display="grid" columns="2">
+ *   <Video name="camera1" value="$camera1" sync="cameras" />
+ *   <Video name="camera2" value="$camera2" sync="cameras" />
+ *   <Video name="camera3" value="$camera3" sync="cameras" />
+ *   <Video name="camera4" value="$camera4" sync="cameras" />
+ * </View>
  * @name View
  * @meta_title View Tag for Defining How Blocks are Displayed
  * @meta_description Customize how blocks are displayed on the labeling interface in Label Studio for machine learning and data science projects.
- * @param {block|inline} display
+ * @param {block|inline|grid} display `grid` places the children in columns of equal width, e.g. videos of several cameras
+ * @param {number} [columns=2] number of columns for `grid` display
  * @param {string} [style] CSS style string
  * @param {string} [className] - Class name of the CSS style to apply. Use with the Style tag
  * @param {region-selected|choice-selected|no-region-selected|choice-unselected} [visibleWhen] Control visibility of the content. Can also be used with `when*` attributes below to narrow down visibility
@@ -36,6 +45,7 @@ import { AnnotationMixin } from '../../mixins/AnnotationMixin';
 const TagAttrs = types.model({
   classname: types.optional(types.string, ''),
   display: types.optional(types.string, 'block'),
+  columns: types.optional(types.string, '2'),
   style: types.maybeNull(types.string),
 });
 
@@ -60,13 +70,17 @@ const Model = types
       'rectangle',
       'ellipse',
       'polygon',
+      'polyline',
       'keypoint',
       'brush',
       'magicwand',
       'rectanglelabels',
       'ellipselabels',
       'polygonlabels',
+      'polylinelabels',
       'keypointlabels',
+      'skeletonlabels',
+      'cuboidlabels',
       'brushlabels',
       'hypertextlabels',
       'timeserieslabels',
@@ -92,6 +106,10 @@ const Model = types
       'paragraphlabels',
       'video',
       'videorectangle',
+      'videopolygon',
+      'videokeypoint',
+      'videoellipse',
+      'videotimelinelabels',
       'ranker',
     ]),
   });
@@ -105,6 +123,10 @@ const HtxView = observer(({ item }) => {
     style = { display: 'inline-block', marginRight: '15px' };
   }
 
+  if (item.display === 'grid') {
+    style = { display: 'grid', gridTemplateColumns: `repeat(${Number(item.columns) || 2}, minmax(0, 1fr))`, gap: '15px' };
+  }
+
   if (item.style) {
     style = Tree.cssConverter(item.style);
   }
@@ -0,0 +1,24 @@
+/* global test, expect, jest */
+import Enzyme, { render } from "enzyme";
+import Adapter from "@wojtekmaj/enzyme-adapter-react-17";
+import { HtxView } from "../View";
+
+Enzyme.configure({ adapter: new Adapter() });
+
+jest.mock('react', () => ({
+  ...jest.requireActual('react'),
+  useLayoutEffect: jest.requireActual('react').useEffect,
+}));
+
+test("View grid test", () => {
+  const confStore = {
+    display: "grid",
+    columns: "3",
+    children: [],
+  };
+
+  const view = render(<HtxView item={confStore} />);
+
+  expect(view.css("display")).toBe("grid");
+  expect(view.css("grid-template-columns")).toBe("repeat(3, minmax(0, 1fr))");
+});
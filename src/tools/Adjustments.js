@@ -0,0 +1,38 @@
+import React from 'react';
+import { observer } from 'mobx-react';
+import { types } from 'mobx-state-tree';
+import { SlidersOutlined } from '@ant-design/icons';
+
+import BaseTool from './Base';
+import ToolMixin from '../mixins/Tool';
+import { Tool } from '../components/Toolbar/Tool';
+import { ImageAdjustments } from '../components/ImageAdjustments/ImageAdjustments';
+
+const ToolView = observer(({ item }) => {
+  return (
+    <Tool
+      active={item.selected}
+      ariaLabel="adjustments"
+      label="Adjustments"
+      controlsOnHover
+      controls={[
+        <ImageAdjustments key="adjustments" item={item.obj} />,
+      ]}
+      icon={<SlidersOutlined />}
+    />
+  );
+});
+
+const _Tool = types
+  .model('AdjustmentsTool', {
+    group: 'control',
+  })
+  .views(self => ({
+    get viewClass() {
+      return () => <ToolView item={self} />;
+    },
+  }));
+
+const Adjustments = types.compose(_Tool.name, ToolMixin, BaseTool, _Tool);
+
+export { Adjustments };
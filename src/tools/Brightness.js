@@ -11,6 +11,8 @@ import { Range } from '../common/Range/Range';
 import { IconBrightnessTool } from '../assets/icons';
 
 const ToolView = observer(({ item }) => {
+  const controls = item.windowControls;
+
   return (
     <Tool
       active={item.selected}
@@ -18,19 +20,38 @@ const ToolView = observer(({ item }) => {
       label="Brightness"
       controlsOnHover
       controls={[
-        <Range
-          key="brightness"
-          align="vertical"
-          reverse
-          continuous
-          minIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
-          maxIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
-          value={item.brightness}
-          max={Constants.BRIGHTNESS_MAX}
-          onChange={val => {
-            item.setStroke(val);
-          }}
-        />,
+        controls ? (
+          // window/level of decoded images: brighter image has lower window center
+          <Range
+            key={`window-center-${controls.id}`}
+            align="vertical"
+            reverse
+            continuous
+            minIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
+            maxIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
+            value={controls.min + controls.max - controls.center}
+            min={controls.min}
+            max={controls.max}
+            step={controls.step}
+            onChange={val => {
+              item.setWindow({ center: controls.min + controls.max - val });
+            }}
+          />
+        ) : (
+          <Range
+            key="brightness"
+            align="vertical"
+            reverse
+            continuous
+            minIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
+            maxIcon={<IconBrightnessTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
+            value={item.brightness}
+            max={Constants.BRIGHTNESS_MAX}
+            onChange={val => {
+              item.setStroke(val);
+            }}
+          />
+        ),
       ]}
       icon={<IconBrightnessTool />}
     />
@@ -42,11 +63,22 @@ const _Tool = types
     brightness: types.optional(types.number, Constants.BRIGHTNESS_VALUE),
   })
   .views(self => ({
+    /**
+     * Decoded images are adjusted with window/level instead of CSS filters
+     */
+    get windowControls() {
+      return self.obj?.currentImageEntity?.windowControls ?? null;
+    },
+
     get viewClass() {
       return () => <ToolView item={self} />;
     },
   }))
   .actions(self => ({
+    setWindow(window) {
+      self.obj.currentImageEntity.setWindow(window);
+    },
+
     setStroke(val) {
       self.brightness = val;
       self.obj.setBrightnessGrade(val);
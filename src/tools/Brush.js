@@ -1,6 +1,7 @@
 import React from 'react';
 import { observer } from 'mobx-react';
-import { types } from 'mobx-state-tree';
+import { isAlive, types } from 'mobx-state-tree';
+import { GatewayOutlined } from '@ant-design/icons';
 
 import BaseTool from './Base';
 import ToolMixin from '../mixins/Tool';
@@ -9,8 +10,10 @@ import { clamp, findClosestParent } from '../utils/utilities';
 import { DrawingTool } from '../mixins/DrawingTool';
 import { Tool } from '../components/Toolbar/Tool';
 import { Range } from '../common/Range/Range'; 
+import { Button } from '../common/Button/Button';
 import { NodeViews } from '../components/Node/Node';
 import { FF_DEV_3666, FF_DEV_4081, isFF } from '../utils/feature-flags';
+import { combineMasks, maskToRLE } from '../utils/mask-vector';
 
 const MIN_SIZE = 1;
 const MAX_SIZE = 50;
@@ -57,6 +60,8 @@ const _Tool = types
   })
   .volatile(() => ({
     canInteractWithRegions: false,
+    // brush region new strokes are constrained to ("paint inside" mode)
+    clipRegion: null,
   }))
   .views(self => ({
     get viewClass() {
@@ -73,6 +78,11 @@ const _Tool = types
         controlTagTypes: ['brushlabels', 'brush'],
       };
     },
+    get clipArea() {
+      const area = self.clipRegion;
+
+      return area && isAlive(area) ? area : null;
+    },
     get controls() {
       return [
         <Range
@@ -88,6 +98,20 @@ const _Tool = types
             self.setStroke(value);
           }}
         />,
+        <Button
+          key="brush-clip"
+          tag="span"
+          type="text"
+          look={self.clipArea ? 'active' : undefined}
+          icon={<GatewayOutlined />}
+          aria-label="brush-clip"
+          title={self.clipArea ? 'Stop painting inside the region' : 'Paint only inside the selected region'}
+          // controls stop click events, so the button reacts on mouse down
+          onMouseDown={(e) => {
+            e.stopPropagation();
+            self.toggleClip();
+          }}
+        />,
       ];
     },
     get extraShortcuts() {
@@ -102,7 +126,7 @@ const _Tool = types
     },
   }))
   .actions(self => {
-    let brush, isFirstBrushStroke;
+    let brush, isFirstBrushStroke, maskBeforeStroke;
 
     return {
       commitDrawingRegion() {
@@ -133,6 +157,61 @@ const _Tool = types
         self.strokeWidth = val;
       },
 
+      /**
+       * Turns on "paint inside" mode for the selected brush region or turns it off.
+       * The region is unselected, so the next stroke starts a new region.
+       */
+      toggleClip() {
+        if (self.clipArea) {
+          self.clipRegion = null;
+          return;
+        }
+
+        const region = self.getSelectedShape;
+
+        if (region?.type !== 'brushregion') return;
+
+        self.clipRegion = region;
+        self.annotation.unselectAreas();
+      },
+
+      /**
+       * Drops the part of the last stroke outside of the clip region
+       * @param {object} region brush region the stroke was drawn in
+       */
+      clipStroke(region) {
+        const clip = self.clipArea?.getMask();
+        const painted = region.getMask();
+
+        if (!clip || !painted || clip.width !== painted.width || clip.height !== painted.height) return;
+
+        const { width, height } = painted;
+        const masks = [combineMasks([painted.mask, clip.mask], 'intersect')];
+
+        if (maskBeforeStroke?.width === width && maskBeforeStroke?.height === height) masks.push(maskBeforeStroke.mask);
+
+        const result = combineMasks(masks, 'union');
+
+        if (result.some(Boolean)) region.setMask(maskToRLE(result, width, height));
+        else region.deleteRegion();
+      },
+
+      finishStroke(region) {
+        if (!self.clipArea) {
+          self.annotation.history.unfreeze();
+          self.obj.annotation.setIsDrawing(false);
+          return;
+        }
+
+        // the stroke has to be rendered to be exported as a mask
+        setTimeout(() => {
+          if (isAlive(region)) self.clipStroke(region);
+          maskBeforeStroke = null;
+          self.annotation.history.unfreeze();
+          self.obj.annotation.setIsDrawing(false);
+        });
+      },
+
       afterUpdateSelected() {
         self.updateCursor();
       },
@@ -152,12 +231,10 @@ const _Tool = types
             const newBrush = self.commitDrawingRegion();
 
             self.obj.annotation.selectArea(newBrush);
-            self.annotation.history.unfreeze();
-            self.obj.annotation.setIsDrawing(false);
+            self.finishStroke(newBrush);
           });
         } else {
-          self.annotation.history.unfreeze();
-          self.obj.annotation.setIsDrawing(false);
+          self.finishStroke(brush);
         }
       },
 
@@ -195,6 +272,8 @@ const _Tool = types
 
         // Reset the timer if a user started drawing again
         if (brush && brush.type === 'brushregion') {
+          // only the new stroke is clipped, painted part of the region is restored from this mask
+          maskBeforeStroke = self.clipArea ? brush.getMask() : null;
           self.annotation.history.freeze();
           self.mode = 'drawing';
           brush.setDrawing(true);
@@ -209,6 +288,7 @@ const _Tool = types
         } else {
           if (isFF(FF_DEV_3666) && !self.canStartDrawing()) return;
           if (self.tagTypes.stateTypes === self.control.type && !self.control.isSelected) return;
+          maskBeforeStroke = null;
           self.annotation.history.freeze();
           self.mode = 'drawing';
           isFirstBrushStroke = true;
@@ -11,6 +11,8 @@ import { Range } from '../common/Range/Range';
 import { IconContrastTool } from '../assets/icons';
 
 const ToolView = observer(({ item }) => {
+  const controls = item.windowControls;
+
   return (
     <Tool
       active={item.selected}
@@ -18,19 +20,38 @@ const ToolView = observer(({ item }) => {
       label="Contrast"
       controlsOnHover
       controls={[
-        <Range
-          key="contrast"
-          align="vertical"
-          reverse
-          continuous
-          minIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
-          maxIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
-          value={item.contrast}
-          max={Constants.CONTRAST_MAX}
-          onChange={val => {
-            item.setStroke(val);
-          }}
-        />,
+        controls ? (
+          // window/level of decoded images: higher contrast is a narrower window
+          <Range
+            key={`window-width-${controls.id}`}
+            align="vertical"
+            reverse
+            continuous
+            minIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
+            maxIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
+            value={controls.span - controls.width}
+            min={0}
+            max={controls.span - controls.step}
+            step={controls.step}
+            onChange={val => {
+              item.setWindow({ width: controls.span - val });
+            }}
+          />
+        ) : (
+          <Range
+            key="contrast"
+            align="vertical"
+            reverse
+            continuous
+            minIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.2 }}/>}
+            maxIcon={<IconContrastTool style={{ width: 22, height: 22, opacity: 0.8 }}/>}
+            value={item.contrast}
+            max={Constants.CONTRAST_MAX}
+            onChange={val => {
+              item.setStroke(val);
+            }}
+          />
+        ),
       ]}
       icon={<IconContrastTool />}
     />
@@ -42,11 +63,22 @@ const _Tool = types
     contrast: types.optional(types.number, Constants.CONTRAST_VALUE),
   })
   .views(self => ({
+    /**
+     * Decoded images are adjusted with window/level instead of CSS filters
+     */
+    get windowControls() {
+      return self.obj?.currentImageEntity?.windowControls ?? null;
+    },
+
     get viewClass() {
       return () => <ToolView item={self} />;
     },
   }))
   .actions(self => ({
+    setWindow(window) {
+      self.obj.currentImageEntity.setWindow(window);
+    },
+
     setStroke(val) {
       self.contrast = val;
       self.obj.setContrastGrade(val);
@@ -0,0 +1,121 @@
+import { types } from 'mobx-state-tree';
+
+import BaseTool, { MIN_SIZE } from './Base';
+import ToolMixin from '../mixins/Tool';
+import { NodeViews } from '../components/Node/Node';
+import { SingleStepDrawingTool } from '../mixins/DrawingTool';
+
+const _Tool = types
+  .model('CuboidTool', {
+    group: 'segmentation',
+    shortcut: 'C',
+  })
+  .volatile(() => ({
+    // `front` while the front face is dragged, `depth` while the back face follows the cursor
+    step: null,
+    // canvas points where the front face and the depth were started
+    startPoint: null,
+    depthPoint: null,
+  }))
+  .views(self => ({
+    get tagTypes() {
+      return {
+        stateTypes: 'cuboidlabels',
+        controlTagTypes: ['cuboidlabels'],
+      };
+    },
+    get viewTooltip() {
+      return 'Cuboid';
+    },
+    get iconComponent() {
+      return NodeViews.CuboidRegionModel.icon;
+    },
+    // minimal size of the front face on the canvas
+    get threshold() {
+      return { x: MIN_SIZE.X / self.obj.stageScale, y: MIN_SIZE.Y / self.obj.stageScale };
+    },
+    toPerc({ x, y }) {
+      return [x / self.obj.stageWidth * 100, y / self.obj.stageHeight * 100];
+    },
+    get front() {
+      const [x1, y1] = self.toPerc(self.startPoint);
+      const [x2, y2] = self.toPerc(self.depthPoint ?? self.startPoint);
+      const [left, right] = [Math.min(x1, x2), Math.max(x1, x2)];
+      const [top, bottom] = [Math.min(y1, y2), Math.max(y1, y2)];
+
+      return [[left, top], [right, top], [right, bottom], [left, bottom]];
+    },
+  }))
+  .actions(self => ({
+    mousedownEv(_, __, [x, y]) {
+      if (self.current() || !self.canStartDrawing()) return;
+      self.startDrawing({ x, y });
+    },
+
+    mousemoveEv(_, __, [x, y]) {
+      const area = self.current();
+
+      if (!area) return;
+
+      if (self.step === 'front') {
+        self.depthPoint = { x, y };
+        area.setFaces(self.front, self.front);
+      } else {
+        self.updateDepth({ x, y });
+      }
+    },
+
+    mouseupEv(_, __, [x, y]) {
+      if (!self.current() || self.step !== 'front') return;
+
+      self.depthPoint = { x, y };
+      if (self.comparePointsWithThreshold(self.startPoint, self.depthPoint, self.threshold)) {
+        // too small front face, probably just a click
+        self.finishDrawing();
+        return;
+      }
+      self.current().setFaces(self.front, self.front);
+      self.step = 'depth';
+    },
+
+    clickEv(_, __, [x, y]) {
+      if (!self.current() || self.step !== 'depth') return;
+      // click at the end of dragging of the front face
+      if (self.comparePointsWithThreshold(self.depthPoint, { x, y }, self.threshold)) return;
+
+      self.updateDepth({ x, y });
+      self.finishDrawing();
+    },
+
+    /**
+     * Back face is the front one shifted by the cursor movement since the front face was drawn
+     */
+    updateDepth({ x, y }) {
+      const [dx, dy] = self.toPerc({ x: x - self.depthPoint.x, y: y - self.depthPoint.y });
+      const front = self.front;
+
+      self.current().setFaces(front, front.map(([vx, vy]) => [vx + dx, vy + dy]));
+    },
+
+    startDrawing(point) {
+      self.step = 'front';
+      self.startPoint = point;
+      self.depthPoint = null;
+      self.startDrawingRegion({ front: self.front, back: self.front });
+    },
+
+    resetDrawingState() {
+      self.step = null;
+      self.startPoint = null;
+      self.depthPoint = null;
+    },
+
+    // the cuboid is complete when its depth is set
+    isRegionComplete() {
+      return self.step === 'depth';
+    },
+  }));
+
+const Cuboid = types.compose(_Tool.name, ToolMixin, BaseTool, SingleStepDrawingTool('cuboid'), _Tool);
+
+export { Cuboid };
@@ -1,46 +1,206 @@
-import React from 'react';
-import { observer } from 'mobx-react';
 import { types } from 'mobx-state-tree';
+import { ScissorOutlined } from '@ant-design/icons';
 
 import BaseTool from './Base';
-import BasicTool from '../components/Tools/Basic';
 import ToolMixin from '../mixins/Tool';
+import { SingleStepDrawingTool } from '../mixins/DrawingTool';
+import { Livewire } from '../utils/livewire';
 
-const ToolView = observer(({ item }) => {
-  return (
-    <BasicTool
-      selected={item.selected}
-      onClick={() => {
-        item.manager.unselectAll();
-        item.setSelected(true);
-      }}
-      icon={'scissor'}
-    />
-  );
-});
+// bigger images are downscaled for edge detection to keep tracing interactive
+const MAX_IMAGE_SIZE = 1024;
+// search steps per mouse move; far points are previewed with straight line until the search reaches them
+const PREVIEW_WORK = 20;
 
+/**
+ * Intelligent scissors for polygons: every click adds an anchor and the contour
+ * between anchors follows image edges. Result is a regular polygon region.
+ */
 const _Tool = types
   .model('LiveWireTool', {
+    group: 'segmentation',
+    shortcut: 'I',
   })
+  .volatile(() => ({
+    livewire: null,
+    // image the edge map was computed for
+    livewireSrc: null,
+    // first anchor in image pixels, contour returns to it on finish
+    startPoint: null,
+    // points fixed by anchors; the rest of region points is a preview of the contour to the cursor
+    fixedCount: 0,
+  }))
   .views(self => ({
-    get viewClass() {
-      return () => <ToolView item={self} />;
+    get tagTypes() {
+      return {
+        stateTypes: 'polygonlabels',
+        controlTagTypes: ['polygonlabels', 'polygon'],
+      };
     },
-  }))
-  .actions(self => ({
-    mouseupEv() {
-      self.mode = 'viewing';
+    get viewTooltip() {
+      return 'Intelligent scissors';
+    },
+    get iconComponent() {
+      return ScissorOutlined;
+    },
+    // labels select the polygon tool, so this one is always visible to be chosen instead
+    get isSeparated() {
+      return true;
+    },
+    get extraShortcuts() {
+      return {
+        'Enter': ['Finish polygon', () => self.finishCurrent()],
+      };
     },
+    toImagePoint([canvasX, canvasY]) {
+      const { width, height } = self.livewire;
 
-    mousemoveEv() {
-      if (self.mode !== 'drawing') return;
+      return [canvasX / self.obj.stageWidth * width, canvasY / self.obj.stageHeight * height];
     },
+    toInternalPoint([x, y]) {
+      const { width, height } = self.livewire;
 
-    mousedownEv() {
-      self.mode = 'drawing';
+      return [
+        self.obj.canvasToInternalX(x / width * self.obj.stageWidth),
+        self.obj.canvasToInternalY(y / height * self.obj.stageHeight),
+      ];
     },
-  }));
+  }))
+  .actions(self => {
+    const Super = {
+      canStartDrawing: self.canStartDrawing,
+    };
+
+    return {
+      afterUpdateSelected() {
+        // edge detection takes a while on big images, so it's better to do it before the first click
+        if (self.selected) self.prepareLivewire();
+      },
+
+      /**
+       * Computes edge map of the current image once per image
+       * @return {Livewire|null} null if image is not loaded yet or its pixels can't be read
+       */
+      prepareLivewire() {
+        const image = self.obj?.imageRef;
+        const src = self.obj?.currentSrc;
+
+        if (self.livewire && self.livewireSrc === src) return self.livewire;
+        if (!image?.naturalWidth) return null;
+
+        const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+        const canvas = document.createElement('canvas');
+
+        canvas.width = Math.round(image.naturalWidth * scale);
+        canvas.height = Math.round(image.naturalHeight * scale);
+
+        try {
+          const ctx = canvas.getContext('2d');
+
+          ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+          self.livewire = new Livewire(ctx.getImageData(0, 0, canvas.width, canvas.height));
+          self.livewireSrc = src;
+        } catch (err) {
+          // cross-origin images without CORS headers taint the canvas
+          console.error('Intelligent scissors can\'t read image pixels', err);
+          return null;
+        }
+
+        return self.livewire;
+      },
+
+      canStartDrawing() {
+        return Super.canStartDrawing() && !self.annotation.regionStore.hasSelection;
+      },
+
+      clickEv(_, [x, y], canvasPoint) {
+        const area = self.current();
+
+        if (!area) {
+          if (self.canStartDrawing() && self.prepareLivewire()) self.startDrawing(canvasPoint);
+          return;
+        }
+
+        // click on the first point closes the contour
+        if (self.fixedCount > 1 && self.comparePointsWithThreshold(area.points[0], { x, y })) {
+          self.finishCurrent();
+          return;
+        }
+
+        // the second click of double-click finishes the polygon
+        if (self.comparePointsWithThreshold(area.points[self.fixedCount - 1], { x, y })) return;
+
+        self.addAnchor(canvasPoint);
+      },
+
+      dblclickEv() {
+        self.finishCurrent();
+      },
+
+      mousemoveEv(_, __, canvasPoint) {
+        if (!self.current()) return;
+
+        self.traceTo(self.toImagePoint(canvasPoint), false, PREVIEW_WORK);
+      },
+
+      /**
+       * Replaces preview with the contour from the last anchor to the given point
+       * @param {number[]} point [x, y] in image pixels
+       * @param {boolean} [skipLast] don't add the point itself, it's already in the region
+       * @param {number} [maxWork] limit of the search, anchors need the whole contour
+       */
+      traceTo(point, skipLast = false, maxWork = Infinity) {
+        const path = self.livewire.findPath(...point, maxWork).slice(1, skipLast ? -1 : undefined);
+
+        self.current().replacePointsFrom(self.fixedCount, path.map(self.toInternalPoint));
+      },
+
+      addAnchor(canvasPoint) {
+        const point = self.toImagePoint(canvasPoint);
+
+        self.traceTo(point);
+        self.fixedCount = self.current().points.length;
+        self.livewire.setAnchor(...point);
+      },
+
+      finishCurrent() {
+        if (!self.current()) return;
+
+        self.traceTo(self.startPoint, true);
+        self.finishDrawing();
+      },
+
+      startDrawing(canvasPoint) {
+        const point = self.livewire.clamp(...self.toImagePoint(canvasPoint));
+
+        self.startPoint = [point.x, point.y];
+        self.fixedCount = 1;
+        self.livewire.setAnchor(point.x, point.y);
+        self.startDrawingRegion(self.createRegionOptions({
+          points: [self.toInternalPoint(self.startPoint)],
+          width: 10,
+          closed: false,
+        }));
+        self.currentArea.setTracing(true);
+      },
+
+      resetDrawingState() {
+        self.startPoint = null;
+        self.fixedCount = 0;
+      },
+
+      isRegionComplete(area) {
+        area.setTracing(false);
+        area.closePoly();
+        return area.closed;
+      },
+
+      handleToolSwitch(tool) {
+        // panning doesn't interrupt drawing
+        if (tool?.toolName !== 'ZoomPanTool') self.finishCurrent();
+      },
+    };
+  });
 
-const LiveWire = types.compose(_Tool.name, ToolMixin, _Tool, BaseTool);
+const LiveWire = types.compose(_Tool.name, ToolMixin, BaseTool, SingleStepDrawingTool('livewire'), _Tool);
 
 export { LiveWire };
@@ -213,6 +213,9 @@ const _Tool = types
   .actions(self => ({
 
     mousedownEv(ev) {
+      // tiled images have no single image to read pixels from
+      if (!self.obj.imageRef) return;
+
       // If this is the first time the Magic Wand is being used, make sure we capture if an undo/redo
       // happens to invalidate our cache.
       if (!self.timeTravellerListener) {
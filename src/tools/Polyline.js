@@ -0,0 +1,78 @@
+import { types } from 'mobx-state-tree';
+
+import BaseTool from './Base';
+import ToolMixin from '../mixins/Tool';
+import { NodeViews } from '../components/Node/Node';
+import { SingleStepDrawingTool } from '../mixins/DrawingTool';
+
+const _Tool = types
+  .model('PolylineTool', {
+    group: 'segmentation',
+    shortcut: 'L',
+  })
+  .views(self => ({
+    get tagTypes() {
+      return {
+        stateTypes: 'polylinelabels',
+        controlTagTypes: ['polylinelabels', 'polyline'],
+      };
+    },
+    get viewTooltip() {
+      return 'Polyline';
+    },
+    get iconComponent() {
+      return NodeViews.PolylineRegionModel.icon;
+    },
+    get extraShortcuts() {
+      return {
+        'Enter': ['Finish polyline', () => self.finishCurrent()],
+      };
+    },
+  }))
+  .actions(self => {
+    const Super = {
+      canStartDrawing: self.canStartDrawing,
+    };
+
+    return {
+      canStartDrawing() {
+        return Super.canStartDrawing() && !self.annotation.regionStore.hasSelection;
+      },
+
+      clickEv(_, [x, y]) {
+        const area = self.current();
+
+        if (!area) {
+          if (self.canStartDrawing()) self.startDrawing(x, y);
+          return;
+        }
+
+        // the second click of double-click finishes the polyline
+        if (self.comparePointsWithThreshold(area.points[area.points.length - 1], { x, y })) return;
+
+        area.addPoint(x, y);
+      },
+
+      dblclickEv() {
+        self.finishCurrent();
+      },
+
+      finishCurrent() {
+        if (self.current()) self.finishDrawing();
+      },
+
+      startDrawing(x, y) {
+        const point = self.control?.getSnappedPoint({ x, y });
+
+        self.startDrawingRegion(self.createRegionOptions({ points: [[point.x, point.y]], open: true }));
+      },
+
+      isRegionComplete(area) {
+        return area.points.length > 1;
+      },
+    };
+  });
+
+const Polyline = types.compose(_Tool.name, ToolMixin, BaseTool, SingleStepDrawingTool('polyline'), _Tool);
+
+export { Polyline };
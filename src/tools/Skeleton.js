@@ -0,0 +1,96 @@
+import { types } from 'mobx-state-tree';
+
+import BaseTool from './Base';
+import ToolMixin from '../mixins/Tool';
+import { NodeViews } from '../components/Node/Node';
+import { SingleStepDrawingTool } from '../mixins/DrawingTool';
+import { JOINT_VISIBILITY } from '../core/Constants';
+
+const _Tool = types
+  .model('SkeletonTool', {
+    group: 'segmentation',
+    shortcut: 'S',
+  })
+  .volatile(() => ({
+    // index of the joint placed by the next click
+    jointIndex: 0,
+  }))
+  .views(self => ({
+    get tagTypes() {
+      return {
+        stateTypes: 'skeletonlabels',
+        controlTagTypes: ['skeletonlabels'],
+      };
+    },
+    get viewTooltip() {
+      return 'Skeleton';
+    },
+    get iconComponent() {
+      return NodeViews.SkeletonRegionModel.icon;
+    },
+    // tool is always visible to show its shortcuts, labels are optional for skeletons
+    get isSeparated() {
+      return true;
+    },
+    get extraShortcuts() {
+      return {
+        'N': ['Skip joint', () => self.skipJoint()],
+      };
+    },
+    get nextJoint() {
+      return self.current() ? self.control.joints[self.jointIndex] : null;
+    },
+  }))
+  .actions(self => ({
+    clickEv(ev, _, [canvasX, canvasY]) {
+      const { control, obj } = self;
+
+      if (self.annotation.isReadOnly() || !control.joints.length) return;
+
+      if (!self.current()) {
+        if (self.annotation.isDrawing) return;
+        if (control.hasLabels && !control.isSelected) return;
+        self.startDrawing();
+      }
+
+      self.current().setJoint(
+        self.jointIndex,
+        canvasX / obj.stageWidth * 100,
+        canvasY / obj.stageHeight * 100,
+        ev.altKey ? JOINT_VISIBILITY.OCCLUDED : JOINT_VISIBILITY.VISIBLE,
+      );
+      self.nextJointOrFinish();
+    },
+
+    /**
+     * Leaves the current joint not labeled
+     */
+    skipJoint() {
+      if (!self.current()) return;
+      self.nextJointOrFinish();
+    },
+
+    nextJointOrFinish() {
+      self.jointIndex += 1;
+      if (self.jointIndex >= self.control.joints.length) self.finishDrawing();
+    },
+
+    startDrawing() {
+      const joints = self.control.joints;
+
+      self.jointIndex = 0;
+      self.startDrawingRegion({ joints, keypoints: joints.flatMap(() => [0, 0, JOINT_VISIBILITY.NOT_LABELED]) });
+    },
+
+    resetDrawingState() {
+      self.jointIndex = 0;
+    },
+
+    isRegionComplete(area) {
+      return area.labeledPoints.length > 0;
+    },
+  }));
+
+const Skeleton = types.compose(_Tool.name, ToolMixin, BaseTool, SingleStepDrawingTool('skeleton'), _Tool);
+
+export { Skeleton };
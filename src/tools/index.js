@@ -13,5 +13,10 @@ import { Brightness } from './Brightness';
 import { Contrast } from './Contrast';
 import { MagicWand } from './MagicWand';
 import { Selection } from './Selection';
+import { Skeleton } from './Skeleton';
+import { Cuboid } from './Cuboid';
+import { Polyline } from './Polyline';
+import { LiveWire } from './LiveWire';
+import { Adjustments } from './Adjustments';
 
-export { Brush, Erase, KeyPoint, Polygon, Rect, Rect3Point, Ellipse, Brightness, Contrast, Rotate, Zoom, MagicWand, Selection };
+export { Brush, Erase, KeyPoint, Polygon, Rect, Rect3Point, Ellipse, Brightness, Contrast, Rotate, Zoom, MagicWand, Selection, Skeleton, Cuboid, Polyline, LiveWire, Adjustments };
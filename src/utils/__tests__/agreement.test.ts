@@ -0,0 +1,78 @@
+import { cohenKappa, computeAgreement, fleissKappa } from '../agreement';
+
+const choice = (choices: string[]) => ({
+  id: Math.random().toString(36).slice(2),
+  from_name: 'sentiment',
+  to_name: 'text',
+  type: 'choices',
+  value: { choices },
+});
+const rect = (x: number, labels: string[]) => ({
+  id: `r${x}`,
+  from_name: 'box',
+  to_name: 'image',
+  type: 'rectanglelabels',
+  value: { x, y: 10, width: 20, height: 20, rotation: 0, rectanglelabels: labels },
+});
+const span = (start: number, end: number, labels: string[]) => ({
+  id: `s${start}`,
+  from_name: 'ner',
+  to_name: 'text',
+  type: 'labels',
+  value: { start, end, labels },
+});
+const ranker = (ranker: Record<string, string[]>) => ({
+  id: 'rank',
+  from_name: 'rank',
+  to_name: 'list',
+  type: 'ranker',
+  value: { ranker },
+});
+
+const controls = [
+  { name: 'sentiment', type: 'choices' },
+  { name: 'box', type: 'rectanglelabels' },
+  { name: 'ner', type: 'labels', objectType: 'text' },
+  { name: 'rank', type: 'ranker' },
+  { name: 'comment', type: 'textarea' },
+];
+
+describe('Agreement', () => {
+  test('kappa for known ratings', () => {
+    // classic example: 50 items, 20 yes/yes, 15 no/no, 5 yes/no, 10 no/yes
+    const ratings = [
+      ...Array(20).fill(['yes', 'yes']),
+      ...Array(15).fill(['no', 'no']),
+      ...Array(5).fill(['yes', 'no']),
+      ...Array(10).fill(['no', 'yes']),
+    ];
+
+    expect(cohenKappa(ratings)).toBeCloseTo(0.4, 5);
+    expect(fleissKappa([['a', 'a', 'a'], ['b', 'b', 'b']])).toBe(1);
+    expect(fleissKappa([['a', 'a', 'a'], ['a', 'a', 'a']])).toBe(1);
+  });
+
+  test('metrics per control', () => {
+    const annotations = [
+      { id: 1, result: [choice(['Positive']), rect(10, ['Car']), rect(50, ['Car']), span(0, 5, ['PER']), ranker({ rank: ['a', 'b', 'c'] })] },
+      { id: 2, result: [choice(['Positive']), rect(11, ['Car']), span(0, 5, ['PER']), span(6, 9, ['ORG']), ranker({ rank: ['a', 'c', 'b'] })] },
+    ];
+    const metrics = computeAgreement(annotations, controls);
+
+    expect(metrics.map(({ control, metric, value }) => [control, metric, value && +value.toFixed(3)])).toEqual([
+      ['sentiment', 'cohen_kappa', 1],
+      ['box', 'f1', 0.667],
+      ['ner', 'span_f1', 0.667],
+      ['rank', 'kendall_tau', 0.333],
+    ]);
+    expect(metrics[1].pairs).toEqual([{ a: 1, b: 2, value: expect.closeTo(0.667, 3) }]);
+
+    const third = { id: 3, result: [choice(['Negative'])] };
+
+    expect(computeAgreement([...annotations, third], controls)[0]).toMatchObject({
+      metric: 'fleiss_kappa',
+      annotations: 3,
+    });
+    expect(computeAgreement([annotations[0]], controls)).toEqual([]);
+  });
+});
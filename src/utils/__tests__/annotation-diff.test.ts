@@ -0,0 +1,64 @@
+import { diffResults } from '../annotation-diff';
+
+const rect = (id: string, x: number, labels: string[]) => ({
+  id,
+  from_name: 'label',
+  to_name: 'image',
+  type: 'rectanglelabels',
+  value: { x, y: 10, width: 20, height: 20, rotation: 0, rectanglelabels: labels },
+});
+const span = (id: string, start: number, end: number, labels: string[]) => ({
+  id,
+  from_name: 'ner',
+  to_name: 'text',
+  type: 'labels',
+  value: { start, end, labels },
+});
+
+describe('Annotation diff', () => {
+  test('matches regions with different ids by overlap', () => {
+    const prediction = [rect('p1', 10, ['Car']), rect('p2', 50, ['Car']), rect('p3', 100, ['Car']), rect('p4', 200, ['Bus'])];
+    const annotation = [rect('a1', 10, ['Car']), rect('a2', 50, ['Bus']), rect('a3', 104, ['Car']), rect('a5', 300, ['Car'])];
+
+    expect(diffResults(prediction, annotation).map(item => [item.leftId, item.rightId, item.status])).toEqual([
+      ['p1', 'a1', 'unchanged'],
+      ['p2', 'a2', 'changed'],
+      ['p3', 'a3', 'moved'],
+      [undefined, 'a5', 'added'],
+      ['p4', undefined, 'removed'],
+    ]);
+  });
+
+  test('matches polygons by their shapes, not by bounding boxes', () => {
+    const polygon = (id: string, points: number[][]) => ({
+      id, from_name: 'label', to_name: 'image', type: 'polygonlabels', value: { points, polygonlabels: ['Car'] },
+    });
+    // triangles with the same bounding box touching only by the diagonal
+    const left = [polygon('p1', [[0, 0], [40, 0], [0, 40]])];
+    const right = [polygon('a1', [[40, 40], [40, 0], [0, 40]])];
+
+    expect(diffResults(left, right).map(item => [item.leftId, item.rightId, item.status])).toEqual([
+      [undefined, 'a1', 'added'],
+      ['p1', undefined, 'removed'],
+    ]);
+    expect(diffResults(left, [polygon('a1', [[0, 0], [40, 0], [0, 40]])])[0]).toMatchObject({ status: 'unchanged', overlap: 1 });
+  });
+
+  test('compares text spans by overlap and classifications by control', () => {
+    const choice = (id: string, choices: string[]) => ({
+      id, from_name: 'sentiment', to_name: 'text', type: 'choices', value: { choices },
+    });
+    const left = [span('x', 0, 10, ['PER']), span('y', 20, 30, ['ORG']), choice('c1', ['Positive'])];
+    const right = [span('z', 0, 8, ['PER']), span('y', 40, 50, ['ORG']), choice('c2', ['Negative'])];
+    const items = diffResults(left, right);
+
+    expect(items.map(item => [item.leftId, item.rightId, item.status])).toEqual([
+      ['x', 'z', 'moved'],
+      ['y', 'y', 'moved'],
+      ['c1', 'c2', 'changed'],
+    ]);
+    expect(items[0].overlap).toBe(0.8);
+    // same id, but it doesn't overlap anymore
+    expect(items[1].overlap).toBe(0);
+  });
+});
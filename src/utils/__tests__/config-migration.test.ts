@@ -0,0 +1,130 @@
+import {
+  composeConfigMigrations,
+  diffConfigModels,
+  hasConfigMigration,
+  migrateResults
+} from '../config-migration';
+
+const labels = (name: string, toname: string, values: string[]) => ({
+  type: 'labels',
+  name,
+  toname,
+  children: values.map(value => ({ type: 'label', value })),
+});
+
+const config = (...children: any[]) => ({ type: 'view', children });
+
+describe('Config migration', () => {
+  test('detects renamed and removed tags and labels', () => {
+    const prev = config(
+      labels('ner', 'text', ['PER', 'ORG', 'MISC']),
+      { type: 'choices', name: 'sentiment', toname: 'text', children: [{ type: 'choice', value: 'Good' }] },
+      { type: 'text', name: 'text' },
+    );
+    const next = config(
+      labels('entities', 'doc', ['Person', 'ORG']),
+      { type: 'text', name: 'doc' },
+    );
+    const mapping = { tags: { text: 'doc', ner: 'entities' }, labels: { entities: { PER: 'Person' } } };
+
+    expect(diffConfigModels(prev, next, mapping)).toEqual({
+      tags: { text: 'doc', ner: 'entities' },
+      labels: { entities: { PER: 'Person' } },
+      removedTags: ['sentiment'],
+      removedLabels: { entities: ['MISC'] },
+    });
+    expect(hasConfigMigration(diffConfigModels(prev, prev))).toBe(false);
+  });
+
+  test('treats missing tags and labels as removed without mapping', () => {
+    const text = { type: 'text', name: 'text' };
+    const prev = config(labels('ner', 'text', ['PER', 'ORG']), text);
+    const next = config(labels('entities', 'text', ['LOC', 'ORG']), text);
+
+    expect(diffConfigModels(prev, next)).toEqual({
+      tags: {},
+      labels: {},
+      removedTags: ['ner'],
+      removedLabels: {},
+    });
+    expect(diffConfigModels(prev, config(labels('ner', 'text', ['LOC', 'ORG']), text))).toEqual({
+      tags: {},
+      labels: {},
+      removedTags: [],
+      removedLabels: { ner: ['PER'] },
+      addedLabels: { ner: ['LOC'] },
+    });
+    // mapping to labels which are not in the new config is ignored
+    expect(diffConfigModels(prev, next, { tags: { ner: 'spans' }, labels: { ner: { PER: 'LOC' } } }).removedTags)
+      .toEqual(['ner']);
+  });
+
+  test('migrates results and keeps unmapped ones separately', () => {
+    const migration = {
+      tags: { text: 'doc', ner: 'entities' },
+      labels: { entities: { PER: 'Person' } },
+      removedTags: ['sentiment'],
+      removedLabels: { entities: ['MISC'] },
+    };
+    const results = [
+      { id: 'a', from_name: 'ner', to_name: 'text', type: 'labels', value: { start: 0, end: 2, labels: ['PER'] } },
+      { id: 'b', from_name: 'ner', to_name: 'text', type: 'labels', value: { start: 3, end: 4, labels: ['MISC'] } },
+      { id: 'c', from_name: 'sentiment', to_name: 'text', type: 'choices', value: { choices: ['Good'] } },
+      { type: 'relation', from_id: 'a', to_id: 'b' },
+    ];
+    const { results: migrated, unmapped } = migrateResults(results, migration);
+
+    expect(migrated).toEqual([
+      { id: 'a', from_name: 'entities', to_name: 'doc', type: 'labels', value: { start: 0, end: 2, labels: ['Person'] } },
+    ]);
+    expect(unmapped.map(({ reason, missing }) => [reason, missing])).toEqual([
+      ['label', 'MISC'],
+      ['tag', 'sentiment'],
+      ['relation', 'b'],
+    ]);
+    expect(migrateResults(results, null).results).toBe(results);
+  });
+
+  test('composes consecutive migrations', () => {
+    const first = {
+      tags: { ner: 'entities' },
+      labels: { entities: { PER: 'Person', ORG: 'Org' } },
+      removedTags: [],
+      removedLabels: {},
+    };
+    const second = {
+      tags: { entities: 'spans' },
+      labels: { spans: { Person: 'Human', LOC: 'Location' } },
+      removedTags: ['sentiment'],
+      removedLabels: { spans: ['Org'] },
+    };
+
+    expect(composeConfigMigrations(first, second)).toEqual({
+      tags: { ner: 'spans', entities: 'spans' },
+      labels: { spans: { PER: 'Human', Person: 'Human', LOC: 'Location' } },
+      removedTags: ['sentiment'],
+      removedLabels: { spans: ['ORG', 'Org'] },
+    });
+  });
+
+  test('keeps results with labels removed and added back later', () => {
+    const text = { type: 'text', name: 'text' };
+    const v1 = config(labels('ner', 'text', ['PER', 'ORG']), text);
+    const v2 = config(labels('ner', 'text', ['PER']), text);
+    const v3 = config(labels('ner', 'text', ['PER', 'LOC', 'ORG']), text);
+    const removal = diffConfigModels(v1, v2);
+    const addition = diffConfigModels(v2, v3);
+
+    expect(removal.removedLabels).toEqual({ ner: ['ORG'] });
+    expect(addition.addedLabels).toEqual({ ner: ['LOC', 'ORG'] });
+
+    const migration = composeConfigMigrations(removal, addition);
+    const result = { id: 'a', from_name: 'ner', to_name: 'text', type: 'labels', value: { start: 0, end: 2, labels: ['ORG'] } };
+
+    expect(migration.removedLabels).toEqual({});
+    expect(migration.addedLabels).toEqual({ ner: ['LOC', 'ORG'] });
+    expect(migrateResults([result], migration)).toEqual({ results: [result], unmapped: [] });
+    // removed again by the next step
+    expect(composeConfigMigrations(migration, diffConfigModels(v3, v2)).removedLabels).toEqual({ ner: ['LOC', 'ORG'] });
+  });
+});
@@ -0,0 +1,186 @@
+import { encode } from '@thi.ng/rle-pack';
+import {
+  brushToCocoRLE,
+  createExportContext,
+  ExportContext,
+  getExporter,
+  registerExporter,
+  toCoNLL,
+  unregisterExporter
+} from '../exporters';
+
+const rect = (id: string, x: number, label: string) => ({
+  id,
+  from_name: 'label',
+  to_name: 'image',
+  type: 'rectanglelabels',
+  original_width: 200,
+  original_height: 100,
+  value: { x, y: 10, width: 20, height: 50, rotation: 0, rectanglelabels: [label] },
+});
+const polygon = {
+  id: 'p',
+  from_name: 'label',
+  to_name: 'image',
+  type: 'polygonlabels',
+  original_width: 200,
+  original_height: 100,
+  value: { points: [[0, 0], [50, 0], [50, 50]], polygonlabels: ['Bus'] },
+};
+const context = (results: any[]): ExportContext => ({
+  taskId: 7,
+  annotationId: 1,
+  results,
+  labels: { label: ['Car', 'Bus'] },
+  // loaded image is smaller than the original one, dimensions from results should be used
+  images: [{ name: 'image', url: '/data/upload/photo.jpg?token=1', width: 100, height: 50 }],
+  texts: [],
+});
+
+describe('Exporters', () => {
+  test('COCO uses original image dimensions and config order of categories', () => {
+    const [file] = getExporter('coco')!.export(context([rect('a', 10, 'Car'), polygon]));
+    const data = JSON.parse(file.content);
+
+    expect(file.filename).toBe('task-7-coco.json');
+    expect(data.images).toEqual([{ id: 0, file_name: 'photo.jpg', width: 200, height: 100 }]);
+    expect(data.categories).toEqual([{ id: 0, name: 'Car' }, { id: 1, name: 'Bus' }]);
+    expect(data.annotations[0]).toMatchObject({ image_id: 0, category_id: 0, bbox: [20, 10, 40, 50], area: 2000 });
+    expect(data.annotations[0].segmentation).toEqual([[20, 10, 60, 10, 60, 60, 20, 60]]);
+    expect(data.annotations[1]).toMatchObject({ category_id: 1, bbox: [0, 0, 100, 50], area: 2500 });
+  });
+
+  test('COCO exports polygons with holes as masks', () => {
+    const square = (from: number, to: number) => [[from, from], [to, from], [to, to], [from, to]];
+    const withHole = { ...polygon, value: { points: square(0, 40), holes: [square(10, 20)], polygonlabels: ['Bus'] } };
+    const [file] = getExporter('coco')!.export(context([withHole]));
+    const [annotation] = JSON.parse(file.content).annotations;
+
+    // 80x40 pixels without 20x10 hole
+    expect(annotation).toMatchObject({ category_id: 1, bbox: [0, 0, 80, 40], area: 3200 - 200 });
+    expect(annotation.segmentation.size).toEqual([100, 200]);
+  });
+
+  test('brush RLE is converted to column-major COCO RLE', () => {
+    const [width, height] = [3, 2];
+    const pixels = new Uint8Array(width * height * 4);
+
+    // pixels (1, 0) and (1, 1) and (2, 1)
+    [[1, 0], [1, 1], [2, 1]].forEach(([x, y]) => pixels.fill(255, (y * width + x) * 4, (y * width + x + 1) * 4));
+
+    const rle = Array.from(encode(pixels, pixels.length));
+
+    expect(brushToCocoRLE(rle, width, height)).toEqual({
+      segmentation: { size: [2, 3], counts: [2, 2, 1, 1] },
+      area: 3,
+      bbox: [1, 0, 2, 2],
+    });
+  });
+
+  test('COCO keypoints of skeletons', () => {
+    const skeleton = {
+      id: 's',
+      from_name: 'pose',
+      to_name: 'image',
+      type: 'skeletonlabels',
+      original_width: 200,
+      original_height: 100,
+      value: { joints: ['nose', 'neck', 'tail'], keypoints: [10, 20, 2, 30, 60, 1, 0, 0, 0], num_keypoints: 2 },
+    };
+    const [file] = getExporter('coco')!.export({
+      ...context([skeleton]),
+      skeletons: { pose: { joints: ['nose', 'neck', 'tail'], edges: [['nose', 'neck'], ['neck', 'tail']] } },
+    });
+    const data = JSON.parse(file.content);
+
+    expect(data.categories).toEqual([{ id: 0, name: 'pose', keypoints: ['nose', 'neck', 'tail'], skeleton: [[1, 2], [2, 3]] }]);
+    expect(data.annotations).toEqual([{
+      id: 0,
+      image_id: 0,
+      category_id: 0,
+      iscrowd: 0,
+      keypoints: [20, 20, 2, 60, 60, 1, 0, 0, 0],
+      num_keypoints: 2,
+      bbox: [20, 20, 40, 40],
+      area: 1600,
+    }]);
+  });
+
+  test('YOLO and Pascal VOC', () => {
+    const files = getExporter('yolo')!.export(context([rect('a', 10, 'Car'), polygon]));
+
+    expect(files.map(file => file.filename)).toEqual(['photo.txt', 'classes.txt']);
+    expect(files[0].content).toBe([
+      '0 0.200000 0.350000 0.200000 0.500000',
+      '1 0.000000 0.000000 0.500000 0.000000 0.500000 0.500000',
+    ].join('\n') + '\n');
+    expect(files[1].content).toBe('Car\nBus\n');
+
+    const [xml] = getExporter('voc')!.export(context([rect('a', 10, 'Car & Co')]));
+
+    expect(xml.filename).toBe('photo.xml');
+    expect(xml.content).toContain('<width>200</width>');
+    expect(xml.content).toContain('<name>Car &amp; Co</name>');
+    expect(xml.content).toContain('<xmin>20</xmin>\n      <ymin>10</ymin>\n      <xmax>60</xmax>\n      <ymax>60</ymax>');
+  });
+
+  test('regions of multi-image tag are exported with their own images', () => {
+    const entity = (index: number, src: string) => ({
+      index,
+      src,
+      // decoded images are shown from local urls
+      currentSrc: `blob:${index}`,
+      imageLoaded: true,
+      naturalWidth: 200,
+      naturalHeight: 100,
+    });
+    const tag = {
+      type: 'image',
+      name: 'image',
+      multiImage: true,
+      imageEntities: [entity(0, '/data/first.tiff'), entity(1, '/data/second.tiff')],
+    };
+    const results = [{ ...rect('a', 10, 'Car'), item_index: 1 }, { ...rect('b', 30, 'Bus'), item_index: 0 }];
+    const annotation = {
+      pk: 1,
+      names: new Map([['image', tag]]),
+      serializeAnnotation: () => results,
+    };
+    const exportContext = createExportContext(annotation);
+    const [file] = getExporter('coco')!.export(exportContext);
+    const data = JSON.parse(file.content);
+
+    expect(data.images.map((image: any) => image.file_name)).toEqual(['first.tiff', 'second.tiff']);
+    // Bus is on the first image, Car on the second one
+    expect(data.annotations.map((item: any) => [item.category_id, item.image_id])).toEqual([[1, 0], [0, 1]]);
+    expect(getExporter('voc')!.export(exportContext).map(file => file.filename)).toEqual(['first.xml', 'second.xml']);
+  });
+
+  test('CoNLL uses IOB tags of text spans', () => {
+    const text = 'John Smith lives\nin New York';
+    const spans = [{ start: 0, end: 10, label: 'PER' }, { start: 20, end: 28, label: 'LOC' }];
+
+    expect(toCoNLL(text, spans).split('\n')).toEqual([
+      '-DOCSTART- -X- O',
+      '',
+      'John -X- _ B-PER',
+      'Smith -X- _ I-PER',
+      'lives -X- _ O',
+      '',
+      'in -X- _ O',
+      'New -X- _ B-LOC',
+      'York -X- _ I-LOC',
+      '',
+    ]);
+  });
+
+  test('custom exporters can be registered', () => {
+    registerExporter({ id: 'ids', title: 'Ids', supports: () => true, export: ({ results }) => [
+      { filename: 'ids.txt', mimeType: 'text/plain', content: results.map(result => result.id).join(',') },
+    ] });
+
+    expect(getExporter('ids')!.export(context([rect('a', 10, 'Car')]))[0].content).toBe('a');
+    unregisterExporter('ids');
+    expect(getExporter('ids')).toBeUndefined();
+  });
+});
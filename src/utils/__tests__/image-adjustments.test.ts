@@ -0,0 +1,89 @@
+import {
+  DEFAULT_ADJUSTMENTS,
+  equalizationTable,
+  filterPrimitives,
+  histogramsOf,
+  isAdjusted
+} from '../image-adjustments';
+
+describe('Image adjustments', () => {
+  test('original image has no adjustments', () => {
+    expect(isAdjusted(DEFAULT_ADJUSTMENTS)).toBe(false);
+    expect(isAdjusted({ ...DEFAULT_ADJUSTMENTS, gamma: 1.5 })).toBe(true);
+    // filter without primitives would hide the image
+    expect(filterPrimitives(DEFAULT_ADJUSTMENTS)).toEqual([
+      { type: 'feColorMatrix', attrs: { type: 'saturate', values: '1' } },
+    ]);
+  });
+
+  test('counts levels of visible pixels', () => {
+    const data = [
+      255, 0, 0, 255,
+      0, 255, 0, 255,
+      10, 10, 10, 0,
+    ];
+    const { red, green, blue, luminance } = histogramsOf(data);
+
+    expect(red[255]).toBe(1);
+    expect(red[0]).toBe(1);
+    expect(green[255]).toBe(1);
+    expect(blue[0]).toBe(2);
+    // transparent pixel is skipped
+    expect(red[10]).toBe(0);
+    expect(luminance[54]).toBe(1);
+    expect(luminance[182]).toBe(1);
+  });
+
+  test('equalization stretches used levels to the full range', () => {
+    const histogram = new Array(256).fill(0);
+
+    histogram[100] = 2;
+    histogram[101] = 1;
+    histogram[102] = 1;
+
+    const table = equalizationTable(histogram);
+
+    expect(table[99]).toBe(0);
+    expect(table[100]).toBe(0);
+    expect(table[101]).toBe(0.5);
+    expect(table[102]).toBe(1);
+    expect(table[255]).toBe(1);
+  });
+
+  test('builds filter steps in order', () => {
+    const histograms = histogramsOf([0, 0, 0, 255, 255, 255, 255, 255]);
+    const primitives = filterPrimitives({
+      gamma: 2,
+      saturation: 0.5,
+      invert: true,
+      equalize: true,
+      colormap: 'hot',
+      channel: 1,
+    }, { histograms });
+
+    expect(primitives.map(({ type, attrs, funcs }) => attrs?.type ?? funcs?.feFuncR.type ?? type)).toEqual([
+      // green channel
+      'matrix',
+      // equalization
+      'table',
+      'gamma',
+      'saturate',
+      // luminance, then colors of the map
+      'matrix',
+      'table',
+      // inversion
+      'table',
+    ]);
+    expect(primitives[0].attrs!.values).toBe('0 1 0 0 0 0 1 0 0 0 0 1 0 0 0 0 0 0 1 0');
+    expect(primitives[2].funcs!.feFuncG.exponent).toBe('0.5');
+    expect(primitives[5].funcs!.feFuncB.tableValues).toBe('0 0 0 0 0 0 0 0.5 1');
+    expect(primitives[6].funcs!.feFuncR.tableValues).toBe('1 0');
+  });
+
+  test('decoded images select channel themselves', () => {
+    const primitives = filterPrimitives({ ...DEFAULT_ADJUSTMENTS, channel: 4, equalize: true }, { filterChannel: false });
+
+    // no histograms yet, so there is nothing to equalize
+    expect(primitives).toEqual([{ type: 'feColorMatrix', attrs: { type: 'saturate', values: '1' } }]);
+  });
+});
@@ -0,0 +1,383 @@
+import { deflateRawSync, deflateSync } from 'zlib';
+import { DecompressionStream } from 'stream/web';
+import { decodeImage, defaultWindow, isRawImageURL, RasterLoader, rasterRange, renderRaster } from '../image-decoders';
+
+type Field = [tag: number, type: number, values: number[]];
+
+const bytesOf = (values: number[], size: number, little: boolean) => {
+  const buffer = new DataView(new ArrayBuffer(values.length * size));
+
+  values.forEach((value, i) => {
+    if (size === 1) buffer.setUint8(i, value);
+    else if (size === 2) buffer.setUint16(i * 2, value, little);
+    else buffer.setUint32(i * 4, value, little);
+  });
+
+  return [...new Uint8Array(buffer.buffer)];
+};
+
+/**
+ * Every page is a list of fields and a list of strips, strip offsets and byte counts are added automatically
+ */
+const tiff = (pages: { fields: Field[], strips: number[][] }[], little = true) => {
+  const out = [...(little ? [0x49, 0x49, 42, 0] : [0x4d, 0x4d, 0, 42]), 0, 0, 0, 0];
+  let pointer = 4;
+
+  pages.forEach(({ fields, strips }) => {
+    const offsets = strips.map(strip => {
+      const offset = out.length;
+
+      out.push(...strip);
+      return offset;
+    });
+    const entries: Field[] = [...fields, [273, 4, offsets], [279, 4, strips.map(strip => strip.length)]];
+
+    if (out.length % 2) out.push(0);
+
+    const ifd = out.length;
+    const extra: number[] = [];
+
+    entries.sort((a, b) => a[0] - b[0]);
+    out.splice(pointer, 4, ...bytesOf([ifd], 4, little));
+    out.push(...bytesOf([entries.length], 2, little));
+
+    const extraStart = ifd + 2 + entries.length * 12 + 4;
+
+    entries.forEach(([tag, type, values]) => {
+      const value = bytesOf(values, type === 3 ? 2 : 4, little);
+
+      out.push(...bytesOf([tag, type], 2, little), ...bytesOf([values.length], 4, little));
+      if (value.length <= 4) {
+        out.push(...value, ...new Array(4 - value.length).fill(0));
+      } else {
+        out.push(...bytesOf([extraStart + extra.length], 4, little));
+        extra.push(...value);
+      }
+    });
+
+    pointer = out.length;
+    out.push(0, 0, 0, 0, ...extra);
+  });
+
+  return new Uint8Array(out).buffer;
+};
+
+const grayFields = (width: number, height: number, bits: number, extra: Field[] = []): Field[] => [
+  [256, 3, [width]],
+  [257, 3, [height]],
+  [258, 3, [bits]],
+  [262, 3, [1]],
+  ...extra,
+];
+
+// TIFF flavour of LZW encoder, without table resets, enough for small images
+const encodeLZW = (input: number[]) => {
+  const table = new Map<string, number>();
+  const bits: number[] = [];
+  let width = 9;
+  let next = 258;
+  const emit = (code: number) => {
+    for (let i = width - 1; i >= 0; i--) bits.push((code >> i) & 1);
+  };
+  let current: number[] = [];
+
+  emit(256);
+  input.forEach(byte => {
+    const candidate = [...current, byte];
+
+    if (candidate.length === 1 || table.has(candidate.join())) {
+      current = candidate;
+      return;
+    }
+
+    emit(current.length === 1 ? current[0] : table.get(current.join())!);
+    table.set(candidate.join(), next++);
+    if (next > (1 << width) - 1) width++;
+    current = [byte];
+  });
+  emit(current.length === 1 ? current[0] : table.get(current.join())!);
+  next++;
+  if (next > (1 << width) - 1) width++;
+  emit(257);
+
+  return Array.from({ length: Math.ceil(bits.length / 8) }, (_, i) => {
+    return bits.slice(i * 8, i * 8 + 8).reduce((byte, bit, j) => byte | (bit << (7 - j)), 0);
+  });
+};
+
+const dicomElement = (group: number, element: number, vr: string, value: number[]) => {
+  const long = ['OB', 'OW', 'SQ', 'UN'].includes(vr);
+  const header = [...bytesOf([group, element], 2, true), vr.charCodeAt(0), vr.charCodeAt(1)];
+
+  return long ? [...header, 0, 0, ...bytesOf([value.length], 4, true), ...value] : [...header, ...bytesOf([value.length], 2, true), ...value];
+};
+
+const text = (value: string) => {
+  const padded = value.length % 2 ? `${value} ` : value;
+
+  return padded.split('').map(char => char.charCodeAt(0));
+};
+
+const dicom = (syntax: string, dataset: number[]) => {
+  const meta = dicomElement(0x0002, 0x0010, 'UI', [...text(syntax).slice(0, syntax.length), ...(syntax.length % 2 ? [0] : [])]);
+
+  return new Uint8Array([...new Array(128).fill(0), ...text('DICM'), ...meta, ...dataset]).buffer;
+};
+
+describe('Image decoders', () => {
+  beforeAll(() => {
+    (global as any).DecompressionStream = DecompressionStream;
+  });
+
+  afterAll(() => {
+    delete (global as any).DecompressionStream;
+  });
+
+  test('recognizes files browsers can not show', () => {
+    expect(isRawImageURL('https://example.com/scan.TIF?token=1')).toBe(true);
+    expect(isRawImageURL('/data/ct.dcm')).toBe(true);
+    expect(isRawImageURL('/data/photo.jpg')).toBe(false);
+  });
+
+  test('regular images are left to the browser', async () => {
+    expect(await decodeImage(new Uint8Array([0xff, 0xd8, 0xff, 0xe0, ...new Array(140).fill(0)]).buffer)).toBeNull();
+  });
+
+  test('decodes multi-page 16-bit TIFF skipping reduced resolution pages', async () => {
+    const pages = await decodeImage(tiff([
+      { fields: grayFields(2, 2, 16), strips: [bytesOf([0, 1000, 40000, 65535], 2, true)] },
+      { fields: grayFields(1, 1, 16, [[254, 4, [1]]]), strips: [bytesOf([7], 2, true)] },
+      { fields: grayFields(2, 1, 16), strips: [bytesOf([5, 6], 2, true)] },
+    ]));
+
+    expect(pages).toHaveLength(2);
+    expect(pages![0].data).toBeInstanceOf(Uint16Array);
+    expect([...pages![0].data]).toEqual([0, 1000, 40000, 65535]);
+    expect([...pages![1].data]).toEqual([5, 6]);
+  });
+
+  test('decodes big endian tiled TIFF', async () => {
+    // 3x3 image in 2x2 tiles, tiles are padded
+    const tiles = [[1, 2, 4, 5], [3, 0, 6, 0], [7, 8, 0, 0], [9, 0, 0, 0]].map(tile => bytesOf(tile, 2, false));
+    // tiles go right after the header
+    const [page] = (await decodeImage(tiff([{
+      fields: grayFields(3, 3, 16, [[322, 3, [2]], [323, 3, [2]], [324, 4, [8, 16, 24, 32]], [325, 4, [8, 8, 8, 8]]]),
+      strips: [tiles.flat()],
+    }], false)))!;
+
+    expect([...page.data]).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('decodes compressed TIFF with predictor', async () => {
+    const values = [100, 110, 130, 160, 200, 250];
+    // horizontal differencing of 8-bit rows of 3 pixels
+    const differences = [100, 10, 20, 160, 40, 50];
+    const packBits = [2, 100, 110, 130, 0xfe, 7];
+
+    const [lzw] = (await decodeImage(tiff([{
+      fields: grayFields(3, 2, 8, [[259, 3, [5]], [317, 3, [2]]]),
+      strips: [encodeLZW(differences)],
+    }])))!;
+    const [deflate] = (await decodeImage(tiff([{
+      fields: grayFields(3, 2, 8, [[259, 3, [8]]]),
+      strips: [[...deflateSync(Buffer.from(values))]],
+    }])))!;
+    const [packed] = (await decodeImage(tiff([{
+      fields: grayFields(3, 2, 8, [[259, 3, [32773]]]),
+      strips: [packBits],
+    }])))!;
+
+    expect([...lzw.data]).toEqual(values);
+    expect([...deflate.data]).toEqual(values);
+    expect([...packed.data]).toEqual([100, 110, 130, 7, 7, 7]);
+  });
+
+  test('decodes long LZW strips', async () => {
+    // noise makes code width grow up to 11 bits
+    let seed = 1;
+    const values = Array.from({ length: 32 * 32 }, () => (seed = (seed * 1103515245 + 12345) % 2147483648) >> 23);
+    const [page] = (await decodeImage(tiff([{
+      fields: grayFields(32, 32, 8, [[259, 3, [5]]]),
+      strips: [encodeLZW(values)],
+    }])))!;
+
+    expect([...page.data]).toEqual(values);
+  });
+
+  test('converts palette and white-is-zero TIFF', async () => {
+    const colorMap = new Array(3 * 256).fill(0);
+
+    colorMap[1] = 0xff00;
+    colorMap[256 + 1] = 0x8000;
+    const [palette] = (await decodeImage(tiff([{
+      fields: [[256, 3, [2]], [257, 3, [1]], [258, 3, [8]], [262, 3, [3]], [320, 3, colorMap]],
+      strips: [[0, 1]],
+    }])))!;
+    const [white] = (await decodeImage(tiff([{
+      fields: [[256, 3, [8]], [257, 3, [1]], [258, 3, [1]], [262, 3, [0]]],
+      strips: [[0b10100000]],
+    }])))!;
+
+    expect(palette.channels).toBe(3);
+    expect([...palette.data]).toEqual([0, 0, 0, 255, 128, 0]);
+    expect(white.inverted).toBe(true);
+    expect([...white.data]).toEqual([255, 0, 255, 0, 0, 0, 0, 0]);
+  });
+
+  test('rejects unsupported TIFF', async () => {
+    await expect(decodeImage(tiff([{
+      fields: grayFields(1, 1, 8, [[259, 3, [7]]]),
+      strips: [[0]],
+    }]))).rejects.toThrow('Unsupported TIFF: compression 7');
+  });
+
+  test('decodes 16-bit PNG', async () => {
+    const chunk = (type: string, data: number[]) => [
+      ...bytesOf([data.length], 4, false),
+      ...text(type),
+      ...data,
+      0, 0, 0, 0,
+    ];
+    // 2x2 gray image, rows are filtered with Sub and Up
+    const rows = [1, 0x01, 0x00, 0x00, 0x10, 2, 0x00, 0x01, 0x00, 0x01];
+    const png = new Uint8Array([
+      0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+      ...chunk('IHDR', [...bytesOf([2, 2], 4, false), 16, 0, 0, 0, 0]),
+      ...chunk('IDAT', [...deflateSync(Buffer.from(rows))]),
+      ...chunk('IEND', []),
+    ]);
+    const [image] = (await decodeImage(png.buffer))!;
+
+    expect(image.data).toBeInstanceOf(Uint16Array);
+    expect([...image.data]).toEqual([0x0100, 0x0110, 0x0101, 0x0111]);
+  });
+
+  test('decodes multi-frame DICOM with window and rescale', async () => {
+    const buffer = dicom('1.2.840.10008.1.2.1', [
+      // sequence of undefined length with a nested image size, it should not be used
+      ...bytesOf([0x0008, 0x1140], 2, true), ...text('SQ'), 0, 0, 0xff, 0xff, 0xff, 0xff,
+      ...bytesOf([0xfffe, 0xe000, 0xffff, 0xffff], 2, true),
+      ...dicomElement(0x0028, 0x0010, 'US', bytesOf([64], 2, true)),
+      ...bytesOf([0xfffe, 0xe00d, 0, 0, 0xfffe, 0xe0dd, 0, 0], 2, true),
+      ...dicomElement(0x0028, 0x0002, 'US', bytesOf([1], 2, true)),
+      ...dicomElement(0x0028, 0x0004, 'CS', text('MONOCHROME2')),
+      ...dicomElement(0x0028, 0x0008, 'IS', text('2')),
+      ...dicomElement(0x0028, 0x0010, 'US', bytesOf([1], 2, true)),
+      ...dicomElement(0x0028, 0x0011, 'US', bytesOf([2], 2, true)),
+      ...dicomElement(0x0028, 0x0100, 'US', bytesOf([16], 2, true)),
+      ...dicomElement(0x0028, 0x0101, 'US', bytesOf([12], 2, true)),
+      ...dicomElement(0x0028, 0x0102, 'US', bytesOf([11], 2, true)),
+      ...dicomElement(0x0028, 0x1050, 'DS', text('40\\400')),
+      ...dicomElement(0x0028, 0x1051, 'DS', text('400\\2000')),
+      ...dicomElement(0x0028, 0x1052, 'DS', text('-1024')),
+      ...dicomElement(0x0028, 0x1053, 'DS', text('1')),
+      // high bits are masked out
+      ...dicomElement(0x7fe0, 0x0010, 'OW', bytesOf([0, 0xf000 | 4095, 1024, 1064], 2, true)),
+    ]);
+    const frames = (await decodeImage(buffer))!;
+
+    expect(frames).toHaveLength(2);
+    expect(frames[0]).toMatchObject({ width: 2, height: 1, channels: 1, inverted: false });
+    expect([...frames[0].data]).toEqual([0, 4095]);
+    expect([...frames[1].data]).toEqual([1024, 1064]);
+    expect(frames[1].rescale).toEqual({ slope: 1, intercept: -1024 });
+    expect(defaultWindow(frames[1])).toEqual({ center: 40, width: 400 });
+    expect(rasterRange(frames[1])).toEqual({ min: 0, max: 40 });
+  });
+
+  test('decodes implicit and deflated DICOM', async () => {
+    const implicit = (group: number, element: number, value: number[]) => [
+      ...bytesOf([group, element], 2, true),
+      ...bytesOf([value.length], 4, true),
+      ...value,
+    ];
+    // signed 8-bit values stored in 4 bits
+    const dataset = [
+      ...implicit(0x0028, 0x0004, text('MONOCHROME1')),
+      ...implicit(0x0028, 0x0010, bytesOf([1], 2, true)),
+      ...implicit(0x0028, 0x0011, bytesOf([2], 2, true)),
+      ...implicit(0x0028, 0x0100, bytesOf([8], 2, true)),
+      ...implicit(0x0028, 0x0101, bytesOf([4], 2, true)),
+      ...implicit(0x0028, 0x0103, bytesOf([1], 2, true)),
+      ...implicit(0x7fe0, 0x0010, [0x0f, 0x07]),
+    ];
+    const [image] = (await decodeImage(dicom('1.2.840.10008.1.2', dataset)))!;
+
+    expect(image.inverted).toBe(true);
+    expect(image.data).toBeInstanceOf(Int8Array);
+    expect([...image.data]).toEqual([-1, 7]);
+
+    const explicit = [
+      ...dicomElement(0x0028, 0x0010, 'US', bytesOf([1], 2, true)),
+      ...dicomElement(0x0028, 0x0011, 'US', bytesOf([1], 2, true)),
+      ...dicomElement(0x0028, 0x0100, 'US', bytesOf([8], 2, true)),
+      ...dicomElement(0x7fe0, 0x0010, 'OB', [42, 0]),
+    ];
+    const [deflated] = (await decodeImage(dicom('1.2.840.10008.1.2.1.99', [...deflateRawSync(Buffer.from(explicit))])))!;
+
+    expect([...deflated.data]).toEqual([42]);
+
+    await expect(decodeImage(dicom('1.2.840.10008.1.2.4.50', dataset))).rejects.toThrow('transfer syntax');
+  });
+
+  test('renders raster with window/level', () => {
+    const raster = { width: 4, height: 1, channels: 1, data: new Int16Array([-100, 0, 60, 200]) };
+    const { data } = renderRaster(raster, { center: 50, width: 100 });
+
+    expect([...data.filter((_, i) => i % 4 === 0)]).toEqual([0, 0, 153, 255]);
+    expect([...data.filter((_, i) => i % 4 === 3)]).toEqual([255, 255, 255, 255]);
+
+    const inverted = renderRaster({ ...raster, inverted: true, rescale: { slope: 2, intercept: 0 } }, { center: 100, width: 200 });
+
+    expect([...inverted.data.filter((_, i) => i % 4 === 0)]).toEqual([255, 255, 102, 0]);
+    expect(defaultWindow(raster)).toEqual({ center: 50, width: 300 });
+  });
+
+  test('renders single band of multispectral raster', () => {
+    // 2 pixels with 5 bands
+    const raster = { width: 2, height: 1, channels: 5, data: new Uint8Array([10, 20, 30, 40, 50, 60, 70, 80, 90, 100]) };
+    const window = { center: 128, width: 256 };
+
+    expect([...renderRaster(raster, window).data]).toEqual([10, 20, 30, 255, 60, 70, 80, 255]);
+    expect([...renderRaster(raster, window, 4).data]).toEqual([50, 50, 50, 255, 100, 100, 100, 255]);
+  });
+
+  test('loader caches recent files and retries failed ones', async () => {
+    const requested: string[] = [];
+    const original = global.XMLHttpRequest;
+
+    // every url is a regular image, urls with `fail` respond with an error
+    (global as any).XMLHttpRequest = class {
+      status = 200;
+      response = new Uint8Array([0xff, 0xd8, 0xff, 0xe0]).buffer;
+      private url = '';
+      private listeners: Record<string, () => void> = {};
+      addEventListener(event: string, listener: () => void) {
+        this.listeners[event] = listener;
+      }
+      open(_method: string, url: string) {
+        this.url = url;
+      }
+      send() {
+        requested.push(this.url);
+        if (this.url.includes('fail')) this.status = 404;
+        setTimeout(() => this.listeners.load());
+      }
+    };
+
+    try {
+      const loader = new RasterLoader();
+
+      expect((await loader.load('/1.jpg')).blob).toBeInstanceOf(Blob);
+      await expect(loader.load('/fail.jpg')).rejects.toThrow('HTTP 404');
+      await expect(loader.load('/fail.jpg')).rejects.toThrow('HTTP 404');
+      expect(requested).toEqual(['/1.jpg', '/fail.jpg', '/fail.jpg']);
+
+      for (const url of ['/2.jpg', '/3.jpg', '/4.jpg', '/1.jpg', '/5.jpg', '/1.jpg', '/2.jpg']) await loader.load(url);
+      // /1.jpg was used recently, so the oldest /2.jpg is dropped instead of it
+      expect(requested.slice(3)).toEqual(['/2.jpg', '/3.jpg', '/4.jpg', '/5.jpg', '/2.jpg']);
+    } finally {
+      global.XMLHttpRequest = original;
+    }
+  });
+});
@@ -0,0 +1,84 @@
+import { decode } from '@thi.ng/rle-pack';
+import { createImportContext, decodeCocoCounts, ImportContext, importData } from '../importers';
+
+const context: ImportContext = {
+  images: [{ name: 'image', url: 'https://example.com/photos/street.jpg?token=1', width: null, height: null }],
+  controls: [
+    { name: 'box', toName: 'image', type: 'rectanglelabels', labels: [{ value: 'Car' }, { value: 'Person', alias: 'person' }] },
+    { name: 'poly', toName: 'image', type: 'polygonlabels', labels: [{ value: 'Road' }] },
+    { name: 'mask', toName: 'image', type: 'brushlabels', labels: [{ value: 'Sky' }] },
+  ],
+};
+
+const coco = {
+  images: [{ id: 1, file_name: 'street.jpg', width: 200, height: 100 }, { id: 2, file_name: 'other.jpg', width: 10, height: 10 }],
+  categories: [{ id: 1, name: 'car' }, { id: 2, name: 'Road' }, { id: 3, name: 'Sky' }, { id: 4, name: 'Tree' }],
+  annotations: [
+    { id: 1, image_id: 1, category_id: 1, bbox: [20, 10, 40, 50], segmentation: [], iscrowd: 0 },
+    { id: 2, image_id: 1, category_id: 2, bbox: [0, 0, 100, 50], segmentation: [[0, 0, 100, 0, 100, 50]], iscrowd: 0 },
+    // mask of 3 pixels in the 2nd column of 200x100 image
+    { id: 3, image_id: 1, category_id: 3, bbox: [1, 0, 1, 3], segmentation: { size: [100, 200], counts: [100, 3, 19897] }, iscrowd: 1 },
+    { id: 4, image_id: 1, category_id: 4, bbox: [0, 0, 1, 1], segmentation: [], iscrowd: 0 },
+    { id: 5, image_id: 2, category_id: 1, bbox: [0, 0, 1, 1], segmentation: [], iscrowd: 0 },
+  ],
+};
+
+describe('Importers', () => {
+  test('COCO regions are mapped to labels of suitable control tags', () => {
+    const { importer, results, unknown } = importData(JSON.stringify(coco), context);
+
+    expect(importer.id).toBe('coco');
+    expect(unknown).toEqual(['Tree']);
+    expect(results.map(result => [result.from_name, result.original_width, result.original_height])).toEqual([
+      ['box', 200, 100],
+      ['poly', 200, 100],
+      ['mask', 200, 100],
+    ]);
+    expect(results[0].value).toEqual({ x: 10, y: 10, width: 20, height: 50, rotation: 0, rectanglelabels: ['Car'] });
+    expect(results[1].value.points).toEqual([[0, 0], [50, 0], [50, 50]]);
+
+    const pixels = decode(new Uint8Array(results[2].value.rle));
+    const filled = [];
+
+    for (let i = 3; i < pixels.length; i += 4) if (pixels[i]) filled.push((i - 3) / 4);
+    expect(filled).toEqual([1, 201, 401]);
+  });
+
+  test('compressed COCO RLE counts', () => {
+    // pycocotools encoding; counts from the 4th one are stored as deltas
+    expect(decodeCocoCounts('T33i]c0')).toEqual([100, 3, 19897]);
+    expect(decodeCocoCounts('5371')).toEqual([5, 3, 7, 4]);
+  });
+
+  test('YOLO boxes and polygons use class names from options', () => {
+    const data = '0 0.5 0.5 0.2 0.4\n1 0.1 0.1 0.5 0.1 0.5 0.5\n2 0.5 0.5 0.1 0.1\n';
+    const { importer, results, unknown } = importData(data, context, { classes: 'person\nroad\nbike', fileName: 'street.txt' });
+
+    expect(importer.id).toBe('yolo');
+    expect(unknown).toEqual(['bike']);
+    expect(results[0]).toMatchObject({ from_name: 'box', value: { x: 40, y: 30, width: 20, height: 40, rectanglelabels: ['Person'] } });
+    expect(results[1]).toMatchObject({ from_name: 'poly', value: { points: [[10, 10], [50, 10], [50, 50]], polygonlabels: ['Road'] } });
+  });
+
+  test('Pascal VOC boxes', () => {
+    const xml = `<?xml version="1.0"?>
+<annotation>
+  <filename>street.jpg</filename>
+  <size><width>200</width><height>100</height><depth>3</depth></size>
+  <object><name>Car</name><bndbox><xmin>20</xmin><ymin>10</ymin><xmax>60</xmax><ymax>60</ymax></bndbox></object>
+  <object><name>Bus</name><bndbox><xmin>0</xmin><ymin>0</ymin><xmax>1</xmax><ymax>1</ymax></bndbox></object>
+</annotation>`;
+    const { importer, results, unknown } = importData(xml, context);
+
+    expect(importer.id).toBe('voc');
+    expect(unknown).toEqual(['Bus']);
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ original_width: 200, value: { x: 10, y: 10, width: 20, height: 50 } });
+  });
+
+  test('unknown format', () => {
+    expect(() => importData({ foo: 1 }, context)).toThrow('not recognized');
+    expect(() => importData('', context, { format: 'csv' })).toThrow('Unknown import format "csv"');
+    expect(createImportContext({ names: new Map() })).toEqual({ images: [], controls: [] });
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  applyLabelSetToConfig,
+  diffLabelSet,
+  renameLabelInResults,
+  renameLabelInSnapshot
+} from '../label-set';
+
+const config = `<View>
+  <Labels name="label" toName="text"><Header value="Pick one"/><Label value="PER"/><Label value="ORG" background="red"/></Labels>
+  <Choices name="sentiment" toName="text"><Choice value="Good"/></Choices>
+  <Text name="text" value="$text"/>
+</View>`;
+
+const valuesOf = (xml: string, name: string) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const control = Array.from(doc.getElementsByTagName('*')).find(node => node.getAttribute('name') === name)!;
+
+  return Array.from(control.children).map(node => `${node.tagName}:${node.getAttribute('value')}`);
+};
+
+describe('Label set editing', () => {
+  test('applies operations to config', () => {
+    const result = applyLabelSetToConfig(config, 'label', [
+      { action: 'add', value: 'LOC', color: '#00ff00', index: 0 },
+      { action: 'rename', value: 'PER', newValue: 'Person' },
+      { action: 'move', value: 'ORG', index: 0 },
+      { action: 'recolor', value: 'ORG', color: null },
+    ]);
+
+    expect(valuesOf(result, 'label')).toEqual(['Header:Pick one', 'Label:ORG', 'Label:LOC', 'Label:Person']);
+    expect(result).toContain('<Label value="LOC" background="#00ff00"/>');
+    expect(result).toContain('<Label value="ORG"/>');
+  });
+
+  test('uses Choice tags and color for Choices', () => {
+    const result = applyLabelSetToConfig(config, 'sentiment', [
+      { action: 'add', value: 'Bad', color: 'red' },
+      { action: 'remove', value: 'Good' },
+    ]);
+
+    expect(valuesOf(result, 'sentiment')).toEqual(['Choice:Bad']);
+    expect(result).toContain('<Choice value="Bad" color="red"/>');
+  });
+
+  test('throws for unknown tags', () => {
+    expect(() => applyLabelSetToConfig(config, 'text', [])).toThrow('editable labels');
+    expect(() => applyLabelSetToConfig(config, 'missing', [])).toThrow('not found');
+  });
+
+  test('calculates diff between label lists', () => {
+    const prev = ['A', 'B', 'C'];
+    const next = ['C', 'D', 'A'];
+    const ops = diffLabelSet(prev, next);
+
+    expect(ops).toEqual([
+      { action: 'remove', value: 'B' },
+      { action: 'move', value: 'C', index: 0 },
+      { action: 'add', value: 'D', index: 1 },
+    ]);
+  });
+
+  test('renames labels in results and history snapshots', () => {
+    const results = [
+      { from_name: 'label', value: { start: 0, end: 1, labels: ['PER'] } },
+      { from_name: 'other', value: { labels: ['PER'] } },
+    ];
+
+    expect(renameLabelInResults(results, 'label', 'PER', 'Person')).toEqual([
+      { from_name: 'label', value: { start: 0, end: 1, labels: ['Person'] } },
+      results[1],
+    ]);
+
+    const snapshot = {
+      areas: {
+        a1: { results: [{ from_name: 'label@ann1', value: { labels: ['PER', 'ORG'] } }] },
+        a2: { results: [{ from_name: 'sentiment', value: { choices: [['PER']] } }] },
+      },
+      relationStore: {},
+    };
+    const renamed = renameLabelInSnapshot(snapshot, 'label', 'PER', 'Person');
+
+    expect(renamed.areas.a1.results[0].value.labels).toEqual(['Person', 'ORG']);
+    expect(renamed.areas.a2).toEqual(snapshot.areas.a2);
+    expect(renameLabelInSnapshot(snapshot, 'label', 'LOC', 'Location')).toBe(snapshot);
+  });
+});
@@ -0,0 +1,75 @@
+import { createLabelSource, flattenLabelItems, parseLabelFile } from '../label-source';
+
+const taxonomy = [
+  { id: 1, value: 'Animal', children: [
+    { id: 2, value: 'Cat' },
+    { id: 3, value: 'Dog' },
+  ] },
+  { id: 4, value: 'Vehicle' },
+];
+
+describe('Label source', () => {
+  test('flattens nested and parent-referenced labels', () => {
+    expect(flattenLabelItems(taxonomy).map(o => o.path)).toEqual([
+      ['Animal'],
+      ['Animal', 'Cat'],
+      ['Animal', 'Dog'],
+      ['Vehicle'],
+    ]);
+
+    const flat = flattenLabelItems([
+      { id: 'b', value: 'Child', parent: 'a' },
+      { id: 'a', value: 'Root' },
+    ]);
+
+    expect(flat[0]).toEqual({ id: 'b', value: 'Child', parent: 'a', path: ['Root', 'Child'] });
+  });
+
+  test('parses JSON and CSV files', () => {
+    expect(parseLabelFile('["one", {"value": "two"}]')).toEqual([{ value: 'one' }, { value: 'two' }]);
+    expect(parseLabelFile('{"body": [{"id": 1, "value": "one"}]}')).toEqual([{ id: 1, value: 'one' }]);
+    expect(parseLabelFile('id,value,parent\n1,Animal,\n2,Cat,1\n')).toEqual([
+      { id: '1', value: 'Animal', parent: null },
+      { id: '2', value: 'Cat', parent: '1' },
+    ]);
+  });
+
+  test('pages and searches static lists locally', async () => {
+    const source = createLabelSource(taxonomy)!;
+
+    const first = await source.load({ page: 1, pageSize: 2 });
+
+    expect(first.items.map(o => o.value)).toEqual(['Animal', 'Cat']);
+    expect(first).toMatchObject({ total: 4, hasMore: true });
+
+    const search = await source.load({ query: 'animal', pageSize: 10 });
+
+    expect(search.items.map(o => o.value)).toEqual(['Animal', 'Cat', 'Dog']);
+  });
+
+  test('passes paging to function sources returning pages', async () => {
+    const fn = jest.fn(async ({ page }) => ({ items: [{ id: page, value: `Label ${page}` }], total: 2 }));
+    const source = createLabelSource(fn)!;
+
+    const result = await source.load({ page: 2, pageSize: 1, query: 'lab' });
+
+    expect(fn).toHaveBeenCalledWith({ page: 2, pageSize: 1, query: 'lab' });
+    expect(result).toEqual({
+      items: [{ id: 2, value: 'Label 2', parent: null, path: ['Label 2'] }],
+      total: 2,
+      hasMore: false,
+    });
+  });
+
+  test('reads local files', async () => {
+    const file = new Blob(['value\nOne\nTwo'], { type: 'text/csv' });
+    const result = await createLabelSource(file)!.load({});
+
+    expect(result.items.map(o => o.value)).toEqual(['One', 'Two']);
+  });
+
+  test('reports missing source and bad data', async () => {
+    expect(createLabelSource(null)).toBeNull();
+    await expect(createLabelSource(() => ({} as any))!.load({})).rejects.toThrow('list of labels');
+  });
+});
@@ -0,0 +1,69 @@
+import { Livewire } from '../livewire';
+
+// white image with a black square from 10 to 29 px
+const imageWithSquare = (size = 40) => {
+  const data = new Uint8ClampedArray(size * size * 4).fill(255);
+
+  for (let y = 10; y < 30; y++) {
+    for (let x = 10; x < 30; x++) {
+      data.fill(0, (y * size + x) * 4, (y * size + x) * 4 + 3);
+    }
+  }
+
+  return { data, width: size, height: size };
+};
+
+describe('Livewire', () => {
+  test('contour follows the edge instead of the straight line', () => {
+    const livewire = new Livewire(imageWithSquare());
+
+    livewire.setAnchor(10, 10);
+
+    const path = livewire.findPath(29, 29);
+
+    expect(path[0]).toEqual([10, 10]);
+    expect(path[path.length - 1]).toEqual([29, 29]);
+    // the diagonal goes through the flat inside of the square, the edge goes around
+    expect(path.length).toBeGreaterThan(2);
+    path.forEach(([x, y]) => {
+      expect([9, 10, 29, 30].includes(x) || [9, 10, 29, 30].includes(y)).toBe(true);
+    });
+  });
+
+  test('next anchor starts the contour from itself', () => {
+    const livewire = new Livewire(imageWithSquare());
+
+    livewire.setAnchor(10, 10);
+    livewire.findPath(29, 10);
+    livewire.setAnchor(29, 10);
+
+    const path = livewire.findPath(29, 29);
+
+    expect(path).toEqual([[29, 10], [29, 29]]);
+  });
+
+  test('limited search returns straight line until the point is reached', () => {
+    const livewire = new Livewire(imageWithSquare());
+
+    livewire.setAnchor(0, 0);
+    expect(livewire.findPath(39, 39, 1)).toEqual([[0, 0], [39, 39]]);
+
+    // the search continues from where it stopped
+    const path = livewire.findPath(39, 39);
+
+    expect(path[0]).toEqual([0, 0]);
+    expect(path[path.length - 1]).toEqual([39, 39]);
+    expect(livewire.findPath(39, 39, 0)).toEqual(path);
+  });
+
+  test('points outside of the image are clamped', () => {
+    const livewire = new Livewire(imageWithSquare());
+
+    livewire.setAnchor(-5, 10);
+
+    const path = livewire.findPath(100, 10);
+
+    expect(path[0]).toEqual([0, 10]);
+    expect(path[path.length - 1]).toEqual([39, 10]);
+  });
+});
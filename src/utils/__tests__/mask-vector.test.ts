@@ -0,0 +1,98 @@
+import { brushToPolygons, combineMasks, maskFromRLE, maskToRLE, polygonToBrush, simplifyPolygon, traceContours } from '../mask-vector';
+
+const maskOf = (rows: string[]) => Uint8Array.from(rows.join('').split('').map(char => (char === '#' ? 1 : 0)));
+
+describe('Mask vectorization', () => {
+  test('traces outer contours and holes separately', () => {
+    const mask = maskOf([
+      '#####..',
+      '#...#..',
+      '#####.#',
+    ]);
+    const contours = traceContours(mask, 7, 3);
+
+    expect(contours).toEqual([
+      [[5, 0], [5, 3], [0, 3], [0, 0]],
+      [[1, 1], [1, 2], [4, 2], [4, 1]],
+      [[7, 2], [7, 3], [6, 3], [6, 2]],
+    ]);
+  });
+
+  test('pixels touching by corners are separate contours', () => {
+    const mask = maskOf([
+      '#.',
+      '.#',
+    ]);
+
+    expect(traceContours(mask, 2, 2)).toHaveLength(2);
+  });
+
+  test('simplifies polygon with tolerance', () => {
+    const points: [number, number][] = [[0, 0], [5, 0.4], [10, 0], [10, 10], [5, 10.2], [0, 10]];
+
+    expect(simplifyPolygon(points, 1)).toEqual([[0, 0], [10, 0], [10, 10], [0, 10]]);
+    expect(simplifyPolygon(points, 0)).toEqual(points);
+  });
+
+  test('polygon and brush round trip', () => {
+    // 10x10 square at (2, 3) on 20x10 image in percents
+    const square: [number, number][] = [[10, 30], [60, 30], [60, 80], [10, 80]];
+    const rle = polygonToBrush(square, 20, 10);
+    const mask = maskFromRLE(rle, 20, 10);
+
+    expect(mask.reduce((sum, value) => sum + value, 0)).toBe(50);
+    expect(mask[3 * 20 + 2]).toBe(1);
+    expect(mask[3 * 20 + 12]).toBe(0);
+
+    expect(brushToPolygons(rle, 20, 10)).toEqual([{ points: [[60, 30], [60, 80], [10, 80], [10, 30]], holes: [] }]);
+    expect(brushToPolygons(maskToRLE(maskOf(['#...', '....']), 4, 2), 4, 2)).toEqual([]);
+  });
+
+  test('polygon with holes and brush round trip', () => {
+    // 8x8 square with 4x4 hole in the middle on 10x10 image
+    const square = (from: number, to: number): [number, number][] => [[from, from], [to, from], [to, to], [from, to]];
+    const rle = polygonToBrush(square(10, 90), 10, 10, [square(30, 70)]);
+    const mask = maskFromRLE(rle, 10, 10);
+
+    expect(mask.reduce((sum, value) => sum + value, 0)).toBe(64 - 16);
+    expect(mask[5 * 10 + 5]).toBe(0);
+
+    const [polygon, ...rest] = brushToPolygons(rle, 10, 10);
+
+    expect(rest).toEqual([]);
+    expect(polygon.points).toHaveLength(4);
+    expect(polygon.holes).toHaveLength(1);
+    expect(maskFromRLE(polygonToBrush(polygon.points, 10, 10, polygon.holes), 10, 10)).toEqual(mask);
+  });
+
+  test('holes belong to the contour around them', () => {
+    const mask = maskOf([
+      '#######',
+      '#.....#',
+      '#.###.#',
+      '#.#.#.#',
+      '#.###.#',
+      '#.....#',
+      '#######',
+    ]);
+    const polygons = brushToPolygons(maskToRLE(mask, 7, 7), 7, 7, { tolerance: 0, minArea: 1 });
+
+    // the outer ring with its hole and the island with its own hole
+    expect(polygons).toHaveLength(2);
+    expect(polygons.map(({ holes }) => holes.length)).toEqual([1, 1]);
+    expect(maskFromRLE(polygonToBrush(polygons[1].points, 7, 7, polygons[1].holes), 7, 7)[3 * 7 + 3]).toBe(0);
+  });
+
+  test('combines masks', () => {
+    const a = maskOf(['##..']);
+    const b = maskOf(['.##.']);
+    const c = maskOf(['...#']);
+
+    expect(combineMasks([a, b, c], 'union')).toEqual(maskOf(['####']));
+    expect(combineMasks([a, b], 'intersect')).toEqual(maskOf(['.#..']));
+    expect(combineMasks([a, b], 'subtract')).toEqual(maskOf(['#...']));
+    expect(combineMasks([b, a, c], 'subtract')).toEqual(maskOf(['..#.']));
+    // the first mask is not changed
+    expect(a).toEqual(maskOf(['##..']));
+  });
+});
@@ -0,0 +1,89 @@
+import { buildMergedResults, computeMerge } from '../merge-results';
+
+const rect = (id: string, x: number, labels: string[]) => ({
+  id,
+  from_name: 'label',
+  to_name: 'image',
+  type: 'rectanglelabels',
+  value: { x, y: 10, width: 20, height: 20, rotation: 0, rectanglelabels: labels },
+});
+const comment = (id: string, text: string) => ({
+  id,
+  from_name: 'comment',
+  to_name: 'image',
+  type: 'textarea',
+  value: { text: [text] },
+});
+const choice = (choices: string[]) => ({
+  id: 'cls',
+  from_name: 'quality',
+  to_name: 'image',
+  type: 'choices',
+  value: { choices },
+});
+
+describe('Three-way merge', () => {
+  test('applies non-conflicting incoming changes by default', () => {
+    const base = [rect('a', 10, ['Car']), rect('b', 50, ['Car'])];
+    const ours = [rect('a', 10, ['Car']), rect('b', 50, ['Car']), rect('c', 70, ['Bus'])];
+    const theirs = [rect('a', 10, ['Truck']), choice(['Good'])];
+    const state = computeMerge(base, ours, theirs);
+
+    expect(state.items.map(item => [item.key, item.change, item.conflict])).toEqual([
+      ['a|label', 'modified', false],
+      ['b|label', 'removed', false],
+      ['c|label', null, false],
+      ['classification:quality:image:|quality', 'added', false],
+    ]);
+
+    expect(buildMergedResults(state)).toEqual([rect('a', 10, ['Truck']), rect('c', 70, ['Bus']), choice(['Good'])]);
+  });
+
+  test('keeps local version of conflicting changes until they are accepted', () => {
+    const base = [rect('a', 10, ['Car']), comment('a', 'old')];
+    const ours = [rect('a', 12, ['Car']), comment('a', 'mine')];
+    const theirs = [rect('a', 10, ['Car']), comment('a', 'theirs')];
+    const state = computeMerge(base, ours, theirs);
+
+    expect(state.items.map(item => [item.key, item.change, item.conflict])).toEqual([
+      ['a|label', null, false],
+      ['a|comment', 'modified', true],
+    ]);
+    expect(state.accepted).toEqual([]);
+    expect(buildMergedResults(state)).toEqual(ours);
+    expect(buildMergedResults({ ...state, accepted: ['a|comment'] })).toEqual([rect('a', 12, ['Car']), comment('a', 'theirs')]);
+  });
+
+  test('matches regions added independently by geometry and remaps relations', () => {
+    const relation = (from: string, to: string) => ({ type: 'relation', from_id: from, to_id: to, direction: 'right' });
+    const base = [rect('a', 10, ['Car'])];
+    const ours = [rect('a', 10, ['Car']), rect('mine', 50, ['Bus'])];
+    const theirs = [
+      rect('a', 10, ['Car']),
+      rect('their', 52, ['Bus']),
+      comment('their', 'note'),
+      relation('a', 'their'),
+    ];
+    const state = computeMerge(base, ours, theirs);
+
+    expect(state.items.map(item => [item.key, item.change, item.conflict])).toEqual([
+      ['a|label', null, false],
+      ['mine|label', 'added', true],
+      ['mine|comment', 'added', false],
+      ['relation:a>mine', 'added', false],
+    ]);
+    expect(buildMergedResults(state)).toEqual([
+      rect('a', 10, ['Car']),
+      rect('mine', 50, ['Bus']),
+      comment('mine', 'note'),
+      relation('a', 'mine'),
+    ]);
+
+    // rejected region drops its classifications and relations
+    const rejected = computeMerge(base, [rect('a', 10, ['Car'])], theirs);
+
+    expect(buildMergedResults({ ...rejected, accepted: ['their|comment', 'relation:a>their'] })).toEqual([
+      rect('a', 10, ['Car']),
+    ]);
+  });
+});
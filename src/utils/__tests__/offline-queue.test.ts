@@ -0,0 +1,81 @@
+import { createMemoryStorage, isNetworkError, OfflineQueue } from '../offline-queue';
+
+const payload = (result: any[] = []) => ({ entity: {}, result, args: [] });
+
+describe('Offline queue', () => {
+  test('keeps only the last draft of annotation', async () => {
+    const queue = new OfflineQueue(createMemoryStorage());
+
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitDraft', payload: payload([1]) });
+    await queue.enqueue({ taskId: 1, annotationId: 'b', event: 'submitDraft', payload: payload([2]) });
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitDraft', payload: payload([3]) });
+
+    expect((await queue.items(1)).map(item => item.payload.result)).toEqual([[2], [3]]);
+    expect((await queue.draftFor(1, 'a'))?.payload.result).toEqual([3]);
+
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitAnnotation', payload: payload([4]) });
+
+    expect((await queue.items()).map(item => item.event)).toEqual(['submitDraft', 'submitAnnotation']);
+    expect(await queue.draftFor(1, 'a')).toBeNull();
+  });
+
+  test('replays items in order and holds annotations with conflicts', async () => {
+    const queue = new OfflineQueue(createMemoryStorage());
+    const sent: string[] = [];
+
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitAnnotation', payload: payload() });
+    await queue.enqueue({ taskId: 1, annotationId: 'b', event: 'submitAnnotation', payload: payload() });
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'updateAnnotation', payload: payload() });
+    await queue.enqueue({ taskId: 2, annotationId: 'c', event: 'submitAnnotation', payload: payload() });
+
+    const result = await queue.replay(async item => {
+      if (item.annotationId === 'a') throw Object.assign(new Error('Outdated'), { status: 409 });
+      sent.push(`${item.annotationId}:${item.event}`);
+    });
+
+    expect(result).toEqual({ sent: 2, conflicts: 1, interrupted: false });
+    expect(sent).toEqual(['b:submitAnnotation', 'c:submitAnnotation']);
+
+    const items = await queue.items();
+
+    expect(items.map(item => [item.event, item.status, item.error])).toEqual([
+      ['submitAnnotation', 'conflict', 'Outdated'],
+      ['updateAnnotation', 'pending', undefined],
+    ]);
+
+    await queue.retry(items[0].id);
+
+    expect(await queue.replay(async () => {})).toEqual({ sent: 2, conflicts: 0, interrupted: false });
+  });
+
+  test('stops replay when host is unreachable', async () => {
+    const queue = new OfflineQueue(createMemoryStorage());
+    const send = jest.fn().mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValue(undefined);
+
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitAnnotation', payload: payload() });
+    await queue.enqueue({ taskId: 1, annotationId: 'b', event: 'submitAnnotation', payload: payload() });
+
+    expect(await queue.replay(send)).toEqual({ sent: 0, conflicts: 0, interrupted: true });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(await queue.items()).toHaveLength(2);
+
+    expect(await queue.replay(send)).toEqual({ sent: 2, conflicts: 0, interrupted: false });
+  });
+
+  test('reports errors of host handlers as conflicts instead of retrying them', async () => {
+    const queue = new OfflineQueue(createMemoryStorage());
+
+    expect(isNetworkError(new TypeError('NetworkError when attempting to fetch resource.'))).toBe(true);
+    expect(isNetworkError({ network: true })).toBe(true);
+    expect(isNetworkError(new Error('Server error'))).toBe(false);
+
+    await queue.enqueue({ taskId: 1, annotationId: 'a', event: 'submitAnnotation', payload: payload() });
+
+    const result = await queue.replay(async () => {
+      throw new TypeError('Cannot read properties of undefined (reading \'id\')');
+    });
+
+    expect(result).toEqual({ sent: 0, conflicts: 1, interrupted: false });
+    expect((await queue.items())[0].status).toBe('conflict');
+  });
+});
@@ -0,0 +1,84 @@
+import { Point, signedArea } from '../mask-vector';
+import { addHole, mergeShapes, simplifyShape, smoothPolygon, splitShape } from '../polygon-tools';
+
+const square = (x: number, y: number, size: number): Point[] => [[x, y], [x + size, y], [x + size, y + size], [x, y + size]];
+const area = (points: Point[]) => Math.abs(signedArea(points));
+
+describe('Polygon tools', () => {
+  test('simplifies outer contour and holes', () => {
+    const noisy: Point[] = [[0, 0], [5, 0.2], [10, 0], [10, 10], [5, 9.9], [0, 10]];
+    const { points, holes } = simplifyShape({ points: noisy, holes: [[[2, 2], [3, 2.1], [4, 2], [4, 4], [2, 4]]] }, 0.5);
+
+    expect(points).toEqual([[0, 0], [10, 0], [10, 10], [0, 10]]);
+    expect(holes[0]).toHaveLength(4);
+  });
+
+  test('smoothing cuts corners', () => {
+    const smoothed = smoothPolygon(square(0, 0, 4));
+
+    expect(smoothed).toHaveLength(8);
+    expect(smoothed).toContainEqual([1, 0]);
+    expect(smoothed).toContainEqual([3, 0]);
+    expect(area(smoothed)).toBeLessThan(16);
+  });
+
+  test('splits shape with a line', () => {
+    const parts = splitShape({ points: square(0, 0, 10), holes: [square(6, 4, 2)] }, [[5, -1], [5, 11]]);
+
+    expect(parts).toHaveLength(2);
+    expect(parts!.map(part => area(part.points))).toEqual([50, 50]);
+    // hole goes to the right part
+    expect(parts!.map(part => part.holes.length).sort()).toEqual([0, 1]);
+    expect(parts!.find(part => part.holes.length)!.points).toContainEqual([10, 0]);
+  });
+
+  test('splits shape with a polyline', () => {
+    const parts = splitShape({ points: square(0, 0, 10), holes: [] }, [[-1, 5], [5, 5], [5, 11]]);
+
+    expect(parts!.map(part => area(part.points)).sort((a, b) => a - b)).toEqual([25, 75]);
+  });
+
+  test('line should cut the shape through', () => {
+    expect(splitShape({ points: square(0, 0, 10), holes: [] }, [[-1, 5], [5, 5]])).toBeNull();
+    expect(splitShape({ points: square(0, 0, 10), holes: [square(4, 4, 2)] }, [[5, -1], [5, 11]])).toBeNull();
+  });
+
+  test('merges overlapping shapes', () => {
+    const merged = mergeShapes([
+      { points: square(0, 0, 10), holes: [] },
+      { points: square(5, 5, 10), holes: [] },
+    ], 20, 20);
+
+    expect(area(merged!.points)).toBe(175);
+    expect(merged!.holes).toEqual([]);
+    expect(mergeShapes([{ points: square(0, 0, 5), holes: [] }, { points: square(10, 10, 5), holes: [] }], 20, 20)).toBeNull();
+  });
+
+  test('merges shapes on huge images with downscaled mask', () => {
+    const merged = mergeShapes([
+      { points: square(0, 0, 10000), holes: [] },
+      { points: square(5000, 5000, 10000), holes: [] },
+    ], 40000, 40000);
+
+    expect(merged!.holes).toEqual([]);
+    expect(area(merged!.points)).toBeCloseTo(175000000, -6);
+  });
+
+  test('merged shape keeps holes', () => {
+    const merged = mergeShapes([
+      { points: square(0, 0, 10), holes: [square(2, 2, 3)] },
+      { points: square(8, 0, 10), holes: [] },
+    ], 20, 20);
+
+    expect(merged!.holes).toHaveLength(1);
+    expect(area(merged!.holes[0])).toBe(9);
+  });
+
+  test('adds hole inside the shape only', () => {
+    const shape = { points: square(0, 0, 10), holes: [] };
+
+    expect(addHole(shape, square(2, 2, 3))!.holes).toEqual([square(2, 2, 3)]);
+    expect(addHole(shape, square(8, 8, 4))).toBeNull();
+    expect(addHole(addHole(shape, square(4, 4, 1))!, square(2, 2, 6))).toBeNull();
+  });
+});
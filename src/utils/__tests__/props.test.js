@@ -1,6 +1,14 @@
 /* global describe, expect, it */
 
-import { interpolateProp, normalizeAngle } from '../props';
+import {
+  easeProgress,
+  interpolatePoints,
+  interpolateProp,
+  interpolateSplineProp,
+  matchPoints,
+  normalizeAngle,
+  resamplePoints
+} from '../props';
 
 describe('normalizeAngle', () => {
   it('returns the same value for angle in the interval (-180; 180]', () => {
@@ -103,3 +111,86 @@ describe('interpolateProp', () => {
     expect(interpolateProp(objS, objE, 15, 'rotation')).toBe(-135);
   });
 });
+
+describe('interpolatePoints', () => {
+  it('splits the longest edges to get more points', () => {
+    expect(resamplePoints([[0, 0], [10, 0], [10, 2]], 5)).toEqual([
+      [0, 0], [5, 0], [10, 0], [10, 2], [5, 1],
+    ]);
+  });
+  it('matches starting points of polygons', () => {
+    const [, end] = matchPoints([[0, 0], [10, 0], [10, 10]], [[11, 11], [1, 1], [11, 1]]);
+
+    expect(end).toEqual([[1, 1], [11, 1], [11, 11]]);
+  });
+  it('interpolates every point of polygons with different number of points', () => {
+    const objA = {
+      points: [[0, 0], [10, 0], [10, 10], [0, 10]],
+      frame: 0,
+    };
+    const objB = {
+      points: [[10, 0], [20, 0], [20, 10]],
+      frame: 10,
+    };
+
+    expect(interpolatePoints(objA, objB, 0)).toEqual(objA.points);
+    expect(interpolatePoints(objA, objB, 5)).toEqual([[5, 0], [15, 0], [15, 10], [7.5, 7.5]]);
+  });
+  it('matches points of the same keyframes once', () => {
+    let reads = 0;
+    const points = new Proxy([[0, 0], [10, 0], [10, 10]], {
+      get(target, prop) {
+        reads++;
+        return target[prop];
+      },
+    });
+    const objA = { points, frame: 0 };
+    const objB = { points: [[10, 0], [20, 0], [20, 10], [10, 10]], frame: 10 };
+
+    interpolatePoints(objA, objB, 2);
+
+    const firstReads = reads;
+
+    expect(interpolatePoints(objA, objB, 5)).toEqual([[5, 0], [15, 0], [15, 10], [7.5, 7.5]]);
+    expect(reads).toBe(firstReads);
+  });
+});
+
+describe('interpolation modes', () => {
+  const start = { frame: 0, x: 0, rotation: 170 };
+  const end = { frame: 10, x: 10, rotation: -170 };
+
+  it('eases progress between keyframes', () => {
+    expect(easeProgress(0.5)).toBe(0.5);
+    expect(easeProgress(0.5, 'hold')).toBe(0);
+    expect(easeProgress(0.5, 'ease-in')).toBe(0.25);
+    expect(easeProgress(0.5, 'ease-out')).toBe(0.75);
+    expect(easeProgress(0.25, 'ease-in-out')).toBe(0.125);
+    expect(easeProgress(0.75, 'ease-in-out')).toBe(0.875);
+  });
+  it('holds the shape until the next keyframe', () => {
+    expect(interpolateProp(start, end, 9, 'x', 'hold')).toBe(0);
+    expect(interpolateProp(start, end, 5, 'x', 'ease-in')).toBe(2.5);
+  });
+  it('moves along spline through neighbouring keyframes', () => {
+    const before = { frame: -10, x: 0 };
+    const after = { frame: 20, x: 30 };
+
+    // without neighbours spline is the same as linear interpolation
+    expect(interpolateSplineProp([undefined, start, end, undefined], 5, 'x')).toBe(5);
+    expect(interpolateSplineProp([before, start, end, undefined], 5, 'x')).toBe(4.375);
+    expect(interpolateSplineProp([undefined, start, end, after], 5, 'x')).toBe(4.375);
+    expect(interpolateSplineProp([before, start, end, after], 0, 'x')).toBe(0);
+    expect(interpolateSplineProp([before, start, end, after], 10, 'x')).toBe(10);
+  });
+  it('interpolates angles along spline over the shortest distance', () => {
+    expect(interpolateSplineProp([undefined, start, end, undefined], 5, 'rotation')).toBe(180);
+  });
+  it('eases polygon points', () => {
+    const objA = { points: [[0, 0], [10, 0], [10, 10]], frame: 0 };
+    const objB = { points: [[10, 0], [20, 0], [20, 10]], frame: 10 };
+
+    expect(interpolatePoints(objA, objB, 5, 'hold')).toEqual(objA.points);
+    expect(interpolatePoints(objA, objB, 5, 'ease-out')).toEqual([[7.5, 0], [17.5, 0], [17.5, 10]]);
+  });
+});
@@ -0,0 +1,26 @@
+import { polygonIoU, polygonOf } from '../shape-geometry';
+
+describe('Shape geometry', () => {
+  test('polygon IoU', () => {
+    const square = (x: number): [number, number][] => [[x, 0], [x + 10, 0], [x + 10, 10], [x, 10]];
+
+    expect(polygonIoU([square(0)], [square(0)])).toBe(1);
+    expect(polygonIoU([square(0)], [square(5)])).toBeCloseTo(1 / 3, 1);
+    expect(polygonIoU([square(0)], [square(20)])).toBe(0);
+  });
+
+  test('polygon IoU with holes', () => {
+    const square = (from: number, to: number): [number, number][] => [[from, from], [to, from], [to, to], [from, to]];
+
+    // the hole takes a quarter of the polygon
+    expect(polygonIoU([square(0, 10), square(0, 5)], [square(0, 10)])).toBeCloseTo(0.75, 1);
+    expect(polygonIoU([square(0, 10), square(0, 5)], [square(0, 5)])).toBe(0);
+  });
+
+  test('rotated rectangle outline', () => {
+    const [outline] = polygonOf({ x: 10, y: 10, width: 20, height: 10, rotation: 90 })!;
+
+    expect(outline.map(([x, y]) => [Math.round(x), Math.round(y)])).toEqual([[10, 10], [10, 30], [0, 30], [0, 10]]);
+    expect(polygonOf({ x: 10, y: 10, radiusX: 5, radiusY: 5 })).toBeNull();
+  });
+});
@@ -0,0 +1,68 @@
+import {
+  closestPointOnSegment,
+  edgeMapOf,
+  ellipseGeometry,
+  parseSnapModes,
+  pathGeometry,
+  rectGeometry,
+  snapToEdge,
+  snapToGeometry
+} from '../snapping';
+
+describe('Snapping', () => {
+  test('parses comma separated modes', () => {
+    expect(parseSnapModes('none')).toEqual([]);
+    expect(parseSnapModes(undefined)).toEqual([]);
+    expect(parseSnapModes('region, pixel')).toEqual(['region', 'pixel']);
+  });
+
+  test('projects point to segment within its ends', () => {
+    const segment: [{ x: number, y: number }, { x: number, y: number }] = [{ x: 0, y: 0 }, { x: 10, y: 0 }];
+
+    expect(closestPointOnSegment({ x: 4, y: 3 }, segment)).toEqual({ x: 4, y: 0 });
+    expect(closestPointOnSegment({ x: -5, y: 3 }, segment)).toEqual({ x: 0, y: 0 });
+    expect(closestPointOnSegment({ x: 15, y: 3 }, segment)).toEqual({ x: 10, y: 0 });
+  });
+
+  test('builds geometry of shapes', () => {
+    expect(pathGeometry([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }], true).edges).toHaveLength(3);
+    expect(pathGeometry([{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }], false).edges).toHaveLength(2);
+
+    const rect = rectGeometry(10, 10, 20, 10, 90);
+
+    expect(rect.vertices[1].x).toBeCloseTo(10);
+    expect(rect.vertices[1].y).toBeCloseTo(30);
+
+    const ellipse = ellipseGeometry(50, 50, 20, 10);
+
+    expect(ellipse.vertices).toEqual([
+      { x: 70, y: 50 },
+      { x: expect.closeTo(50), y: 60 },
+      { x: 30, y: expect.closeTo(50) },
+      { x: expect.closeTo(50), y: 40 },
+      { x: 50, y: 50 },
+    ]);
+  });
+
+  test('prefers vertices to borders within the radius', () => {
+    const geometries = [rectGeometry(0, 0, 100, 100)];
+
+    expect(snapToGeometry({ x: 4, y: 3 }, geometries, 10)).toEqual({ x: 0, y: 0, target: 'vertex' });
+    expect(snapToGeometry({ x: 50, y: 3 }, geometries, 10)).toEqual({ x: 50, y: 0, target: 'edge' });
+    expect(snapToGeometry({ x: 50, y: 50 }, geometries, 10)).toBeNull();
+  });
+
+  test('snaps to the strongest edge of the image', () => {
+    const width = 10;
+    const height = 4;
+    // dark left half and bright right half
+    const data = Array.from({ length: width * height }, (_, index) => index % width < 5 ? [0, 0, 0, 255] : [255, 255, 255, 255]).flat();
+    const map = edgeMapOf({ data, width, height });
+
+    expect(map.strength[4]).toBe(1);
+    expect(map.strength[0]).toBe(0);
+    expect(snapToEdge({ x: 2.5, y: 1.5 }, map, 3)).toEqual({ x: 4.5, y: 1.5 });
+    // flat area has no edges
+    expect(snapToEdge({ x: 0.5, y: 1.5 }, map, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  descriptorURL,
+  levelFor,
+  overviewTiles,
+  parseTileSource,
+  visibleArea,
+  visibleTiles
+} from '../tile-sources';
+
+const dzi = `<?xml version="1.0" encoding="UTF-8"?>
+<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="jpeg" Overlap="1" TileSize="254">
+  <Size Height="1000" Width="2000"/>
+</Image>`;
+
+describe('Tile sources', () => {
+  test('reads Deep Zoom descriptor', () => {
+    const source = parseTileSource(dzi, 'https://example.com/slides/slide.dzi?token=1');
+
+    expect(source).toMatchObject({ width: 2000, height: 1000, tileWidth: 254, overlap: 1 });
+    // 2000 px are reduced to a single pixel in 11 levels
+    expect(source.levels).toHaveLength(12);
+    expect(source.tileURL(0, 3, 1)).toBe('https://example.com/slides/slide_files/11/3_1.jpeg?token=1');
+    expect(source.tileURL(11, 0, 0)).toBe('https://example.com/slides/slide_files/0/0_0.jpeg?token=1');
+  });
+
+  test('reads IIIF image info', () => {
+    const info = {
+      '@context': 'http://iiif.io/api/image/2/context.json',
+      '@id': 'https://iiif.example.com/image/1',
+      width: 6000,
+      height: 4000,
+      tiles: [{ width: 512, scaleFactors: [1, 2, 4, 8] }],
+    };
+    const source = parseTileSource(JSON.stringify(info));
+
+    expect(source.levels).toEqual([0, 1, 2, 3]);
+    expect(source.tileURL(0, 1, 2)).toBe('https://iiif.example.com/image/1/512,1024,512,512/512,/0/default.jpg');
+    // the last column is narrower
+    expect(source.tileURL(2, 2, 0)).toBe('https://iiif.example.com/image/1/4096,0,1904,2048/476,/0/default.jpg');
+
+    const v3 = parseTileSource(JSON.stringify({ ...info, '@context': 'http://iiif.io/api/image/3/context.json', id: info['@id'] }));
+
+    expect(v3.tileURL(3, 0, 0)).toBe('https://iiif.example.com/image/1/0,0,4096,4000/512,500/0/default.jpg');
+  });
+
+  test('reads url template', () => {
+    const source = parseTileSource('{ "url": "http://localhost:8000/{level}/{z}/{x}_{y}.png", "width": 1024, "height": 512 }');
+
+    expect(source.tileWidth).toBe(256);
+    expect(source.tileURL(1, 2, 0)).toBe('http://localhost:8000/1/9/2_0.png');
+  });
+
+  test('finds descriptor url', () => {
+    expect(descriptorURL('https://example.com/slide.dzi')).toBe('https://example.com/slide.dzi');
+    expect(descriptorURL('https://iiif.example.com/image/1/')).toBe('https://iiif.example.com/image/1/info.json');
+    expect(descriptorURL('{ "url": "/{level}/{x}_{y}.png" }')).toBeNull();
+  });
+
+  test('loads only visible tiles of the right level', () => {
+    const source = parseTileSource('{ "url": "/{level}/{x}_{y}.png", "width": 4096, "height": 2048 }');
+
+    // 1:1 scale, 200x200 px in the middle
+    const tiles = visibleTiles(source, { x: 1000, y: 500, width: 200, height: 200 }, 1);
+
+    expect(tiles.map(tile => tile.key)).toEqual(['0/3/1', '0/4/1', '0/3/2', '0/4/2']);
+    expect(tiles[0]).toMatchObject({ x: 768, y: 256, width: 256, height: 256, url: '/0/3_1.png' });
+
+    // the whole image on 1024 px screen
+    expect(levelFor(source, 0.25)).toBe(2);
+    expect(visibleTiles(source, { x: 0, y: 0, width: 4096, height: 2048 }, 0.25)).toHaveLength(8);
+    expect(overviewTiles(source)).toEqual([
+      { key: '4/0/0', url: '/4/0_0.png', level: 4, x: 0, y: 0, width: 4096, height: 2048 },
+    ]);
+  });
+
+  test('tiles include overlap', () => {
+    const source = parseTileSource(dzi, '/slide.dzi');
+    const [first, second] = visibleTiles(source, { x: 0, y: 0, width: 300, height: 10 }, 1);
+
+    expect(first).toMatchObject({ x: 0, width: 255 });
+    expect(second).toMatchObject({ x: 253, width: 256 });
+  });
+
+  test('finds visible area of zoomed and rotated image', () => {
+    const frame = { frameWidth: 100, frameHeight: 50, width: 400, height: 200 };
+
+    expect(visibleArea({ ...frame, offsetX: -200, offsetY: -100, rotation: 0 })).toEqual({ x: 0.5, y: 0.5, width: 0.25, height: 0.25 });
+
+    // image rotated by 90 degrees is 200 px wide and 400 px high, top left corner of the frame shows bottom left of the image
+    const rotated = visibleArea({ frameWidth: 50, frameHeight: 100, width: 400, height: 200, offsetX: 0, offsetY: 0, rotation: 90 });
+
+    expect(rotated.x).toBeCloseTo(0);
+    expect(rotated.y).toBeCloseTo(0.75);
+    expect(rotated.width).toBeCloseTo(0.25);
+    expect(rotated.height).toBeCloseTo(0.25);
+  });
+});
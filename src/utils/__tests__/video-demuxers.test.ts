@@ -0,0 +1,139 @@
+import { av1Codec, avcCodec, demuxVideo, frameAtTime, frameTimestamps, hevcCodec, vp9Codec } from '../video-demuxers';
+
+const u32 = (value: number) => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+const u16 = (value: number) => [(value >> 8) & 0xff, value & 0xff];
+const text = (value: string) => [...value].map(char => char.charCodeAt(0));
+
+const box = (type: string, ...content: number[][]) => {
+  const payload = content.flat();
+
+  return [...u32(payload.length + 8), ...text(type), ...payload];
+};
+
+const fullBox = (type: string, ...content: number[][]) => box(type, [0, 0, 0, 0], ...content);
+
+const table = (type: string, rows: number[][]) => fullBox(type, u32(rows.length), ...rows.map(row => row.flatMap(u32)));
+
+const AVCC = [1, 0x64, 0x00, 0x1f, 0xff, 0xe0, 0];
+
+/**
+ * H.264 video of 4 frames with B-frame reordering: decoding order I P B B, presentation order I B B P.
+ * Frames are stored in 2 chunks of 2 samples, timescale is 1000 and every frame lasts 40.
+ */
+const mp4 = () => {
+  const sizes = [5, 3, 2, 2];
+  const ftyp = box('ftyp', text('isom'), u32(0x200), text('isomavc1'));
+  const data = sizes.flatMap((size, index) => new Array(size).fill(index + 1));
+  const mdat = box('mdat', data);
+  const dataStart = ftyp.length + 8;
+
+  const sampleEntry = box('avc1', new Array(24).fill(0), u16(320), u16(240), new Array(50).fill(0), box('avcC', AVCC));
+  const stbl = box(
+    'stbl',
+    fullBox('stsd', u32(1), sampleEntry),
+    table('stts', [[4, 40]]),
+    // presentation offsets: I +40, P +120, B 0, B 0; edit list removes the first 40
+    table('ctts', [[1, 40], [1, 120], [2, 0]]),
+    table('stsc', [[1, 2, 1]]),
+    fullBox('stsz', u32(0), u32(4), ...sizes.map(u32)),
+    table('stco', [[dataStart], [dataStart + sizes[0] + sizes[1]]]),
+    table('stss', [[1]]),
+  );
+  const mdhd = fullBox('mdhd', u32(0), u32(0), u32(1000), u32(160), [0, 0, 0, 0]);
+  const hdlr = fullBox('hdlr', u32(0), text('vide'), new Array(12).fill(0), [0]);
+  const edts = box('edts', fullBox('elst', u32(1), u32(160), u32(40), u32(0x10000)));
+  const trak = box('trak', box('tkhd', new Array(84).fill(0)), edts, box('mdia', mdhd, hdlr, box('minf', stbl)));
+
+  return new Uint8Array([...ftyp, ...mdat, ...box('moov', trak)]).buffer;
+};
+
+const ebml = (id: number[], ...content: number[][]) => {
+  const payload = content.flat();
+
+  // 8 bytes size
+  return [...id, 0x01, 0, 0, 0, ...u32(payload.length), ...payload];
+};
+
+const uint = (id: number[], value: number) => ebml(id, [value]);
+
+/**
+ * VP9 video of 3 frames: SimpleBlock keyframe, BlockGroup with reference and keyframe of the second cluster
+ */
+const webm = () => {
+  const block = (time: number, flags: number, data: number[]) => [0x81, ...u16(time), flags, ...data];
+
+  return new Uint8Array([
+    ...ebml([0x1a, 0x45, 0xdf, 0xa3], ebml([0x42, 0x82], text('webm'))),
+    ...ebml(
+      [0x18, 0x53, 0x80, 0x67],
+      ebml([0x15, 0x49, 0xa9, 0x66], ebml([0x2a, 0xd7, 0xb1], u32(1000000)), ebml([0x44, 0x89], [0x42, 0xa0, 0, 0])),
+      ebml(
+        [0x16, 0x54, 0xae, 0x6b],
+        ebml(
+          [0xae],
+          uint([0xd7], 1),
+          uint([0x83], 1),
+          ebml([0x86], text('V_VP9')),
+          ebml([0xe0], ebml([0xb0], u16(640)), ebml([0xba], u16(360))),
+        ),
+      ),
+      ebml(
+        [0x1f, 0x43, 0xb6, 0x75],
+        uint([0xe7], 0),
+        ebml([0xa3], block(0, 0x80, [1, 1, 1])),
+        ebml([0xa0], ebml([0xa1], block(40, 0, [2, 2])), ebml([0xfb], [0xd8])),
+      ),
+      ebml([0x1f, 0x43, 0xb6, 0x75], uint([0xe7], 80), ebml([0xa3], block(0, 0x80, [3]))),
+    ),
+  ]).buffer;
+};
+
+describe('Video demuxers', () => {
+  test('builds codec strings', () => {
+    expect(avcCodec(new Uint8Array(AVCC))).toBe('avc1.64001f');
+    expect(hevcCodec(new Uint8Array([1, 0x01, 0x60, 0, 0, 0, 0x90, 0, 0, 0, 0, 0, 93]))).toBe('hvc1.1.6.L93.90');
+    expect(av1Codec(new Uint8Array([0x81, 0x08, 0x0c]))).toBe('av01.0.08M.08');
+    expect(vp9Codec(new Uint8Array([0, 10, 0x80]))).toBe('vp09.00.10.08');
+  });
+
+  test('finds frames by time', () => {
+    const timestamps = [0, 0.04, 0.08, 0.12];
+
+    expect(frameAtTime(timestamps, 0)).toBe(1);
+    expect(frameAtTime(timestamps, 0.0799999)).toBe(3);
+    expect(frameAtTime(timestamps, 0.1)).toBe(3);
+    expect(frameAtTime(timestamps, 10)).toBe(4);
+    expect(frameAtTime([], 1)).toBe(1);
+  });
+
+  test('reads MP4 sample tables', () => {
+    const track = demuxVideo(mp4())!;
+
+    expect(track).toMatchObject({ codec: 'avc1.64001f', width: 320, height: 240, duration: 0.16 });
+    expect(track.samples.map(sample => sample.keyframe)).toEqual([true, false, false, false]);
+    expect(track.samples.map(sample => sample.timestamp)).toEqual([0, 0.12, 0.04, 0.08]);
+    expect(frameTimestamps(track)).toEqual([0, 0.04, 0.08, 0.12]);
+
+    const bytes = new Uint8Array(mp4());
+
+    // every sample points to its own data
+    track.samples.forEach((sample, index) => {
+      expect([...bytes.subarray(sample.offset, sample.offset + sample.size)]).toEqual(new Array(sample.size).fill(index + 1));
+    });
+  });
+
+  test('reads WebM blocks', () => {
+    const track = demuxVideo(webm())!;
+
+    expect(track).toMatchObject({ codec: 'vp09.00.10.08', width: 640, height: 360, duration: 0.08, description: undefined });
+    expect(track.samples.map(({ timestamp, keyframe, size }) => ({ timestamp, keyframe, size }))).toEqual([
+      { timestamp: 0, keyframe: true, size: 3 },
+      { timestamp: 0.04, keyframe: false, size: 2 },
+      { timestamp: 0.08, keyframe: true, size: 1 },
+    ]);
+  });
+
+  test('ignores unknown formats', () => {
+    expect(demuxVideo(new Uint8Array(32).buffer)).toBeNull();
+  });
+});
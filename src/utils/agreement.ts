@@ -0,0 +1,243 @@
+/**
+ * Inter-annotator agreement of the current task calculated per control tag:
+ * Cohen's (2 annotators) or Fleiss' (3+) kappa for Choices, IoU based F1 for RectangleLabels and PolygonLabels,
+ * span level F1 for Labels on Text and HyperText and Kendall tau for Ranker.
+ */
+import { groupRegions, SerializedResult } from './merge-results';
+import { Point, polygonIoU, polygonOf } from './shape-geometry';
+
+export type AgreementMetricType = 'cohen_kappa' | 'fleiss_kappa' | 'f1' | 'span_f1' | 'kendall_tau';
+
+export interface AgreementControl {
+  name: string;
+  // type of control tag, like `choices`
+  type: string;
+  // type of object tag the control is connected to, like `text`
+  objectType?: string;
+}
+
+export interface AgreementSource {
+  id: string | number;
+  result: SerializedResult[];
+}
+
+export interface AgreementPair {
+  a: AgreementSource['id'];
+  b: AgreementSource['id'];
+  value: number | null;
+}
+
+export interface AgreementMetric {
+  control: string;
+  type: string;
+  metric: AgreementMetricType;
+  // null when there is nothing to compare
+  value: number | null;
+  annotations: number;
+  // pairwise values for metrics calculated per pair of annotations
+  pairs?: AgreementPair[];
+}
+
+const IOU_THRESHOLD = 0.5;
+
+const mean = (values: (number | null)[]) => {
+  const defined = values.filter((value): value is number => value !== null);
+
+  return defined.length ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+};
+
+const pairsOf = <T>(list: T[]) => list.flatMap((a, i) => list.slice(i + 1).map(b => [a, b] as const));
+
+const chanceCorrected = (observed: number, expected: number) => {
+  // everybody used the same category all the time
+  if (expected === 1) return observed === 1 ? 1 : 0;
+  return (observed - expected) / (1 - expected);
+};
+
+/**
+ * @param ratings list of items, every item is a list of categories assigned by every rater
+ */
+export const cohenKappa = (ratings: string[][]) => {
+  if (!ratings.length) return null;
+
+  const count = (rater: number, category: string) => ratings.filter(item => item[rater] === category).length;
+  const categories = new Set(ratings.flat());
+  const observed = ratings.filter(([a, b]) => a === b).length / ratings.length;
+  const expected = [...categories].reduce((sum, category) => {
+    return sum + (count(0, category) / ratings.length) * (count(1, category) / ratings.length);
+  }, 0);
+
+  return chanceCorrected(observed, expected);
+};
+
+/**
+ * @param ratings list of items, every item is a list of categories assigned by every rater
+ */
+export const fleissKappa = (ratings: string[][]) => {
+  const raters = ratings[0]?.length ?? 0;
+
+  if (!ratings.length || raters < 2) return null;
+
+  const categories = [...new Set(ratings.flat())];
+  const counts = ratings.map(item => categories.map(category => item.filter(value => value === category).length));
+  const observed = mean(counts.map(item => {
+    return (item.reduce((sum, n) => sum + n * n, 0) - raters) / (raters * (raters - 1));
+  })) ?? 0;
+  const expected = categories.reduce((sum, _, index) => {
+    const share = counts.reduce((total, item) => total + item[index], 0) / (ratings.length * raters);
+
+    return sum + share * share;
+  }, 0);
+
+  return chanceCorrected(observed, expected);
+};
+
+/**
+ * Kendall tau-a between two rankings, only items present in both are compared
+ */
+export const kendallTau = (a: string[], b: string[]) => {
+  const shared = a.filter(item => b.includes(item));
+  let concordant = 0;
+  let discordant = 0;
+
+  pairsOf(shared).forEach(([x, y]) => {
+    // `shared` keeps order of `a`, so x goes before y there
+    if (b.indexOf(x) < b.indexOf(y)) concordant++;
+    else discordant++;
+  });
+
+  return { concordant, discordant };
+};
+
+const f1 = (matched: number, a: number, b: number) => (a + b ? 2 * matched / (a + b) : null);
+
+const shapesOf = (control: AgreementControl, result: SerializedResult[]) => {
+  return result
+    .filter(item => item.from_name === control.name && item.value)
+    .map(item => ({ labels: [...(item.value[control.type] ?? [])].sort().join('|'), polygon: polygonOf(item.value) }))
+    .filter((shape): shape is { labels: string, polygon: Point[][] } => !!shape.polygon);
+};
+
+const shapesF1 = (control: AgreementControl, a: SerializedResult[], b: SerializedResult[]) => {
+  const shapesA = shapesOf(control, a);
+  const shapesB = shapesOf(control, b);
+  const candidates = shapesA
+    .flatMap((shapeA, i) => shapesB.map((shapeB, j) => ({
+      i,
+      j,
+      iou: shapeA.labels === shapeB.labels ? polygonIoU(shapeA.polygon, shapeB.polygon) : 0,
+    })))
+    .filter(({ iou }) => iou >= IOU_THRESHOLD)
+    .sort((x, y) => y.iou - x.iou);
+  const usedA = new Set<number>();
+  const usedB = new Set<number>();
+
+  candidates.forEach(({ i, j }) => {
+    if (usedA.has(i) || usedB.has(j)) return;
+    usedA.add(i);
+    usedB.add(j);
+  });
+
+  return f1(usedA.size, shapesA.length, shapesB.length);
+};
+
+const spansOf = (control: AgreementControl, result: SerializedResult[]) => {
+  return result
+    .filter(item => item.from_name === control.name && item.value)
+    .flatMap(({ value }) => {
+      const position = JSON.stringify(value.globalOffsets ?? [value.start, value.end, value.startOffset, value.endOffset]);
+
+      return (value[control.type] ?? []).map((label: string) => `${position}:${label}`);
+    });
+};
+
+const spansF1 = (control: AgreementControl, a: SerializedResult[], b: SerializedResult[]) => {
+  const spansA = spansOf(control, a);
+  const rest = spansOf(control, b);
+  const total = rest.length;
+  let matched = 0;
+
+  spansA.forEach(span => {
+    const index = rest.indexOf(span);
+
+    if (index < 0) return;
+    rest.splice(index, 1);
+    matched++;
+  });
+
+  return f1(matched, spansA.length, total);
+};
+
+const rankingTau = (control: AgreementControl, a: SerializedResult[], b: SerializedResult[]) => {
+  const rankerOf = (result: SerializedResult[]) => result.find(item => item.from_name === control.name)?.value?.ranker ?? {};
+  const rankerA = rankerOf(a);
+  const rankerB = rankerOf(b);
+  let concordant = 0;
+  let discordant = 0;
+
+  Object.keys(rankerA).filter(bucket => bucket in rankerB).forEach(bucket => {
+    const tau = kendallTau(rankerA[bucket], rankerB[bucket]);
+
+    concordant += tau.concordant;
+    discordant += tau.discordant;
+  });
+
+  const total = concordant + discordant;
+
+  return total ? (concordant - discordant) / total : null;
+};
+
+const PAIRWISE: Record<string, [AgreementMetricType, typeof shapesF1]> = {
+  rectanglelabels: ['f1', shapesF1],
+  polygonlabels: ['f1', shapesF1],
+  labels: ['span_f1', spansF1],
+  ranker: ['kendall_tau', rankingTau],
+};
+
+const choicesKappa = (control: AgreementControl, sources: AgreementSource[]) => {
+  // per-task classifications only, one item per object item (`item_index` of multi-item objects)
+  const answers = sources.map(source => {
+    const items = new Map<string, string>();
+
+    groupRegions(source.result.filter(item => item.from_name === control.name))
+      .filter(region => region.classification)
+      .forEach(({ results: [result] }) => {
+        items.set(String(result.item_index ?? 0), [...(result.value.choices ?? [])].sort().join('|'));
+      });
+    return items;
+  });
+  const items = [...new Set(answers.flatMap(item => [...item.keys()]))];
+  // no answer is a category too
+  const ratings = items.map(item => answers.map(answer => answer.get(item) ?? ''));
+
+  return sources.length === 2 ? cohenKappa(ratings) : fleissKappa(ratings);
+};
+
+export const isAgreementControl = ({ type, objectType }: AgreementControl) => {
+  if (type === 'labels') return ['text', 'hypertext'].includes(objectType ?? '');
+  return type === 'choices' || type in PAIRWISE;
+};
+
+/**
+ * Agreement between all given annotations for every supported control
+ */
+export const computeAgreement = (sources: AgreementSource[], controls: AgreementControl[]): AgreementMetric[] => {
+  if (sources.length < 2) return [];
+
+  return controls.filter(isAgreementControl).map(control => {
+    const common = { control: control.name, type: control.type, annotations: sources.length };
+
+    if (control.type === 'choices') {
+      return {
+        ...common,
+        metric: sources.length === 2 ? 'cohen_kappa' : 'fleiss_kappa',
+        value: choicesKappa(control, sources),
+      };
+    }
+
+    const [metric, compare] = PAIRWISE[control.type];
+    const pairs = pairsOf(sources).map(([a, b]) => ({ a: a.id, b: b.id, value: compare(control, a.result, b.result) }));
+
+    return { ...common, metric, value: mean(pairs.map(pair => pair.value)), pairs };
+  });
+};
@@ -0,0 +1,187 @@
+/**
+ * Region level difference between two versions of results, e.g. a prediction and an annotation.
+ * Unlike merge there is no common base and ids are usually different,
+ * so regions are matched by id first and then by overlap: IoU of shapes for rectangles and polygons,
+ * IoU of bounding boxes for other image regions, span overlap for text, audio and time series.
+ * Brush regions have no geometry to compare, they are matched only by id.
+ */
+import { isEqual } from 'lodash';
+import { boundsOverlap, groupRegions, Region, SerializedResult } from './merge-results';
+import { polygonIoU, polygonOf } from './shape-geometry';
+
+export type DiffStatus = 'added' | 'removed' | 'changed' | 'moved' | 'unchanged';
+
+export interface DiffItem {
+  key: string;
+  status: DiffStatus;
+  labelChanged: boolean;
+  moved: boolean;
+  // overlap of matched regions, null for regions without geometry
+  overlap: number | null;
+  // ids of regions in left and right versions
+  leftId?: string;
+  rightId?: string;
+  left?: SerializedResult[];
+  right?: SerializedResult[];
+}
+
+export interface DiffOptions {
+  // minimal overlap to consider regions the same
+  matchThreshold?: number;
+  // matched regions with smaller overlap are moved
+  sameThreshold?: number;
+}
+
+export const DIFF_COLORS: Partial<Record<DiffStatus, string>> = {
+  added: '#52c41a',
+  removed: '#ff4d4f',
+  changed: '#fa8c16',
+  moved: '#1890ff',
+};
+
+export const DIFF_TITLES: Partial<Record<DiffStatus, string>> = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Label changed',
+  moved: 'Moved',
+};
+
+// rectangle and rectanglelabels are the same shape
+const shapeOf = (region: Region) => region.type.replace(/labels$/, '') || 'span';
+
+/**
+ * Everything except geometry: labels and per-region classifications
+ */
+const labelsOf = (region: Region) => {
+  const labels: Record<string, any> = {};
+
+  region.results.forEach(result => {
+    const value = result.value ?? {};
+
+    if (result.type.endsWith('labels')) labels[result.from_name] = value[result.type];
+    else if (region.classification || result.type !== region.type) labels[result.from_name] = value;
+  });
+
+  return labels;
+};
+
+// geometry of regions without bounds, like brush
+const geometryOf = (region: Region) => {
+  const main = region.results.find(result => result.type.endsWith('labels')) ?? region.results[0];
+  const { [main.type]: _, ...geometry } = main.value ?? {};
+
+  return geometry;
+};
+
+const mainValueOf = (region: Region) => {
+  const main = region.results.find(result => result.type.endsWith('labels')) ?? region.results[0];
+
+  return main.value ?? {};
+};
+
+/**
+ * Bounding boxes overlap is exact only for axis aligned rectangles,
+ * polygons and rotated rectangles with overlapping boxes are compared by their shapes
+ */
+const overlapOf = (left: Region, right: Region) => {
+  const overlap = boundsOverlap(left.bounds, right.bounds);
+
+  if (!overlap) return overlap;
+
+  const leftPolygon = polygonOf(mainValueOf(left));
+  const rightPolygon = polygonOf(mainValueOf(right));
+
+  return leftPolygon && rightPolygon ? polygonIoU(leftPolygon, rightPolygon) : overlap;
+};
+
+const compareRegions = (left: Region, right: Region, sameThreshold: number): DiffItem => {
+  const overlap = left.bounds && right.bounds ? overlapOf(left, right) : null;
+  const moved = overlap === null
+    ? !left.classification && !isEqual(geometryOf(left), geometryOf(right))
+    : overlap < sameThreshold;
+  const labelChanged = !isEqual(labelsOf(left), labelsOf(right));
+
+  return {
+    key: right.key,
+    status: labelChanged ? 'changed' : moved ? 'moved' : 'unchanged',
+    labelChanged,
+    moved,
+    overlap,
+    leftId: left.id,
+    rightId: right.id,
+    left: left.results,
+    right: right.results,
+  };
+};
+
+/**
+ * Classifies every region as added, removed, changed (labels or classifications), moved or unchanged.
+ * Relations are not compared.
+ * @param left version to compare with, e.g. a prediction
+ * @param right compared version, e.g. an annotation made by human
+ */
+export const diffResults = (
+  left: SerializedResult[] = [],
+  right: SerializedResult[] = [],
+  { matchThreshold = 0.5, sameThreshold = 0.95 }: DiffOptions = {},
+): DiffItem[] => {
+  const leftRegions = groupRegions(left);
+  const rightRegions = groupRegions(right);
+  const pairs = new Map<Region, Region>();
+  const matched = new Set<Region>();
+  const pair = (rightRegion: Region, leftRegion: Region) => {
+    pairs.set(rightRegion, leftRegion);
+    matched.add(leftRegion);
+  };
+
+  // regions copied from another version keep their ids; classifications are matched by control
+  rightRegions.forEach(region => {
+    const sameKey = leftRegions.find(candidate => candidate.key === region.key && shapeOf(candidate) === shapeOf(region));
+
+    if (sameKey) pair(region, sameKey);
+  });
+
+  // the best overlapping pairs first
+  const candidates = rightRegions
+    .filter(region => !pairs.has(region) && region.bounds)
+    .flatMap(region => leftRegions
+      .filter(candidate => !matched.has(candidate))
+      .filter(candidate => candidate.toName === region.toName && shapeOf(candidate) === shapeOf(region))
+      .map(candidate => ({ region, candidate, overlap: overlapOf(region, candidate) })))
+    .filter(({ overlap }) => overlap >= matchThreshold)
+    .sort((a, b) => b.overlap - a.overlap);
+
+  candidates.forEach(({ region, candidate }) => {
+    if (!pairs.has(region) && !matched.has(candidate)) pair(region, candidate);
+  });
+
+  const items = rightRegions.map((region): DiffItem => {
+    const leftRegion = pairs.get(region);
+
+    if (leftRegion) return compareRegions(leftRegion, region, sameThreshold);
+
+    return {
+      key: region.key,
+      status: 'added',
+      labelChanged: false,
+      moved: false,
+      overlap: null,
+      rightId: region.id,
+      right: region.results,
+    };
+  });
+
+  leftRegions.filter(region => !matched.has(region)).forEach(region => {
+    items.push({
+      key: `removed:${region.key}`,
+      status: 'removed',
+      labelChanged: false,
+      moved: false,
+      overlap: null,
+      leftId: region.id,
+      left: region.results,
+    });
+  });
+
+  return items;
+};
@@ -0,0 +1,312 @@
+/**
+ * Migration of serialized results between two versions of labeling config.
+ * Config versions are compared by their parsed tree (`Tree.treeToModel`);
+ * tags and labels are considered renamed only when an explicit mapping is given,
+ * otherwise missing ones are removed, so their results can be reviewed.
+ */
+
+type ConfigModelNode = {
+  type: string,
+  name?: string,
+  toname?: string,
+  value?: string,
+  children?: ConfigModelNode[],
+  [key: string]: any,
+};
+
+export interface ConfigTagInfo {
+  name: string;
+  type: string;
+  toName: string | null;
+  labels: string[];
+}
+
+export interface ConfigMigration {
+  // old tag name -> new tag name
+  tags: Record<string, string>;
+  // new control name -> { old label -> new label }
+  labels: Record<string, Record<string, string>>;
+  // names of tags which are not in the new config anymore
+  removedTags: string[];
+  // new control name -> labels which are not in this control anymore
+  removedLabels: Record<string, string[]>;
+  // new control name -> labels which are new in this control, so labels removed earlier can come back
+  addedLabels?: Record<string, string[]>;
+}
+
+// explicitly known renames: labels are grouped by the new control name
+export type ConfigMapping = Partial<Pick<ConfigMigration, 'tags' | 'labels'>>;
+
+export type UnmappedReason = 'tag' | 'label' | 'relation';
+
+export interface UnmappedResult {
+  result: Record<string, any>;
+  reason: UnmappedReason;
+  // removed tag name or removed label
+  missing: string;
+}
+
+const LABEL_TYPES = ['label', 'choice'];
+
+export const emptyConfigMigration = (): ConfigMigration => ({
+  tags: {},
+  labels: {},
+  removedTags: [],
+  removedLabels: {},
+});
+
+export const hasConfigMigration = (migration?: ConfigMigration | null): migration is ConfigMigration => {
+  if (!migration) return false;
+
+  return Object.keys(migration.tags).length > 0
+    || Object.keys(migration.labels).length > 0
+    || migration.removedTags.length > 0
+    || Object.keys(migration.removedLabels).length > 0;
+};
+
+const collectLabels = (node: ConfigModelNode, labels: string[] = []) => {
+  node.children?.forEach(child => {
+    if (LABEL_TYPES.includes(child.type) && child.value !== undefined) labels.push(child.value);
+    // labels of the nested control tags belong to them
+    else if (!child.name) collectLabels(child, labels);
+  });
+
+  return labels;
+};
+
+/**
+ * Collects all named tags from parsed config in document order
+ * @param {object} model result of `Tree.treeToModel`
+ */
+export const collectConfigTags = (model: ConfigModelNode) => {
+  const tags = new Map<string, ConfigTagInfo>();
+  const walk = (node: ConfigModelNode) => {
+    if (node.name && !tags.has(node.name)) {
+      tags.set(node.name, {
+        name: node.name,
+        type: node.type,
+        toName: node.toname ?? null,
+        labels: collectLabels(node),
+      });
+    }
+    node.children?.forEach(walk);
+  };
+
+  walk(model);
+
+  return tags;
+};
+
+const mapNames = <T extends string | null | undefined>(names: T, tags: Record<string, string>): T => {
+  if (!names) return names;
+  return names.split(',').map(name => tags[name] ?? name).join(',') as T;
+};
+
+/**
+ * Calculates migration between two parsed configs.
+ * Tag or label which is missing in the new config is considered renamed only if `mapping`
+ * points to an existing one; otherwise it's removed.
+ */
+export const diffConfigModels = (
+  prev: ConfigModelNode,
+  next: ConfigModelNode,
+  mapping: ConfigMapping = {},
+): ConfigMigration => {
+  const migration = emptyConfigMigration();
+  const prevTags = collectConfigTags(prev);
+  const nextTags = collectConfigTags(next);
+
+  prevTags.forEach(tag => {
+    if (nextTags.has(tag.name)) return;
+
+    const target = mapping.tags?.[tag.name];
+
+    if (target !== undefined && nextTags.has(target) && !prevTags.has(target)) {
+      migration.tags[tag.name] = target;
+    } else {
+      migration.removedTags.push(tag.name);
+    }
+  });
+
+  prevTags.forEach(tag => {
+    const nextTag = nextTags.get(migration.tags[tag.name] ?? tag.name);
+
+    // controls with dynamic labels have no labels in config, so there is nothing to compare
+    if (!nextTag || !tag.labels.length || !nextTag.labels.length) return;
+
+    tag.labels.forEach(label => {
+      if (nextTag.labels.includes(label)) return;
+
+      const target = mapping.labels?.[nextTag.name]?.[label];
+
+      if (target !== undefined && nextTag.labels.includes(target) && !tag.labels.includes(target)) {
+        migration.labels[nextTag.name] = { ...migration.labels[nextTag.name], [label]: target };
+      } else {
+        migration.removedLabels[nextTag.name] = [...(migration.removedLabels[nextTag.name] ?? []), label];
+      }
+    });
+
+    const renamedTo = Object.values(migration.labels[nextTag.name] ?? {});
+    const added = nextTag.labels.filter(label => !tag.labels.includes(label) && !renamedTo.includes(label));
+
+    if (added.length) migration.addedLabels = { ...migration.addedLabels, [nextTag.name]: added };
+  });
+
+  return migration;
+};
+
+/**
+ * Combines two consecutive migrations into one, so results made with the very first config
+ * can be migrated straight to the last one; results made with the intermediate config are migrated as well
+ */
+export const composeConfigMigrations = (first: ConfigMigration, second: ConfigMigration): ConfigMigration => {
+  const migration = emptyConfigMigration();
+  const secondName = (name: string) => second.tags[name] ?? name;
+  const addRemovedLabel = (control: string, label: string) => {
+    const labels = migration.removedLabels[control] ?? [];
+
+    if (!labels.includes(label)) migration.removedLabels[control] = [...labels, label];
+  };
+  // label removed by the first migration is back in the last config, so its results are valid again
+  const isReturned = (control: string, label: string) => {
+    return !!second.addedLabels?.[control]?.includes(label)
+      || Object.values(second.labels[control] ?? {}).includes(label);
+  };
+  const addAddedLabels = (control: string, labels: string[]) => {
+    const known = migration.addedLabels?.[control] ?? [];
+    const added = labels.filter(label => !known.includes(label));
+
+    if (added.length) migration.addedLabels = { ...migration.addedLabels, [control]: [...known, ...added] };
+  };
+
+  Object.entries(first.tags).forEach(([from, to]) => {
+    if (second.removedTags.includes(to)) migration.removedTags.push(from);
+    else migration.tags[from] = secondName(to);
+  });
+  Object.entries(second.tags).forEach(([from, to]) => {
+    if (!(from in migration.tags)) migration.tags[from] = to;
+  });
+  migration.removedTags = [...new Set([...migration.removedTags, ...first.removedTags, ...second.removedTags])];
+
+  Object.entries(first.labels).forEach(([control, labels]) => {
+    const target = secondName(control);
+
+    Object.entries(labels).forEach(([from, to]) => {
+      if (second.removedLabels[target]?.includes(to)) return addRemovedLabel(target, from);
+
+      migration.labels[target] = { ...migration.labels[target], [from]: second.labels[target]?.[to] ?? to };
+    });
+  });
+  Object.entries(second.labels).forEach(([control, labels]) => {
+    Object.entries(labels).forEach(([from, to]) => {
+      if (migration.labels[control]?.[from] !== undefined) return;
+      migration.labels[control] = { ...migration.labels[control], [from]: to };
+    });
+  });
+
+  Object.entries(first.removedLabels).forEach(([control, labels]) => {
+    const target = secondName(control);
+
+    labels.filter(label => !isReturned(target, label)).forEach(label => addRemovedLabel(target, label));
+  });
+  Object.entries(second.removedLabels).forEach(([control, labels]) => {
+    labels.forEach(label => addRemovedLabel(control, label));
+  });
+
+  Object.entries(first.addedLabels ?? {}).forEach(([control, labels]) => {
+    const target = secondName(control);
+    // labels removed or renamed by the second migration are not in the last config
+    const kept = labels.filter(label => {
+      return !second.removedLabels[target]?.includes(label) && second.labels[target]?.[label] === undefined;
+    });
+
+    addAddedLabels(target, kept);
+  });
+  Object.entries(second.addedLabels ?? {}).forEach(([control, labels]) => addAddedLabels(control, labels));
+
+  return migration;
+};
+
+const isLabelKey = (key: string) => key === 'choices' || key.endsWith('labels');
+
+const migrateValue = (value: any, labels: Record<string, string>): any => {
+  if (Array.isArray(value)) return value.map(item => migrateValue(item, labels));
+  return labels[value] ?? value;
+};
+
+const findValue = (value: any, search: string[]): string | undefined => {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const found = findValue(item, search);
+
+      if (found !== undefined) return found;
+    }
+    return undefined;
+  }
+  return search.includes(value) ? value : undefined;
+};
+
+export const unmappedResultKey = ({ result }: UnmappedResult) => {
+  return [result.type, result.id, result.from_name ?? result.from_id, result.to_name ?? result.to_id].join(':');
+};
+
+/**
+ * Applies migration to the list of serialized results.
+ * Results referencing removed tags or labels are returned separately as unmapped
+ * together with relations connected to them.
+ */
+export const migrateResults = (results: Record<string, any>[], migration?: ConfigMigration | null) => {
+  if (!hasConfigMigration(migration) || !Array.isArray(results)) {
+    return { results: results ?? [], unmapped: [] as UnmappedResult[] };
+  }
+
+  const migrated: Record<string, any>[] = [];
+  const unmapped: UnmappedResult[] = [];
+  const unmappedIds = new Set<string>();
+  const relations: Record<string, any>[] = [];
+
+  results.forEach(result => {
+    if (result.type === 'relation') return relations.push(result);
+
+    const fromName = migration.tags[result.from_name] ?? result.from_name;
+    const toName = mapNames(result.to_name, migration.tags);
+    const missingTag = [result.from_name, result.to_name].find(name => migration.removedTags.includes(name));
+
+    // unmapped results are migrated as much as possible, so they can be resolved against the current config
+    if (missingTag) {
+      unmapped.push({ result: { ...result, from_name: fromName, to_name: toName }, reason: 'tag', missing: missingTag });
+      unmappedIds.add(result.id);
+      return;
+    }
+
+    const labels = migration.labels[fromName] ?? {};
+    const removed = migration.removedLabels[fromName] ?? [];
+    let value = result.value;
+    let missingLabel: string | undefined;
+
+    Object.keys(value ?? {}).filter(isLabelKey).forEach(key => {
+      missingLabel = missingLabel ?? findValue(value[key], removed);
+      value = { ...value, [key]: migrateValue(value[key], labels) };
+    });
+
+    if (missingLabel !== undefined) {
+      unmapped.push({ result: { ...result, from_name: fromName, to_name: toName, value }, reason: 'label', missing: missingLabel });
+      unmappedIds.add(result.id);
+      return;
+    }
+
+    migrated.push({ ...result, from_name: fromName, to_name: toName, value });
+  });
+
+  // region is still there if at least one of its results is migrated
+  migrated.forEach(result => unmappedIds.delete(result.id));
+
+  relations.forEach(relation => {
+    const missing = [relation.from_id, relation.to_id].find(id => unmappedIds.has(id));
+
+    if (missing) unmapped.push({ result: relation, reason: 'relation', missing });
+    else migrated.push(relation);
+  });
+
+  return { results: migrated, unmapped };
+};
@@ -0,0 +1,191 @@
+import { decode } from '@thi.ng/rle-pack';
+import {
+  basename,
+  boundingBox,
+  Exporter,
+  ExportContext,
+  imageCategories,
+  imageShapes,
+  imageSize,
+  isResultOf,
+  labelOf,
+  polygonArea,
+  round,
+  SerializedResult
+} from './common';
+import { polygonToBrush } from '../mask-vector';
+
+const COCO_SHAPES = ['rectanglelabels', 'polygonlabels', 'brushlabels'];
+
+// skeletons without labels get category named after their control tag
+const skeletonCategory = (result: Record<string, any>) => labelOf(result) ?? result.from_name;
+
+/**
+ * Converts Label Studio brush RLE (packed RGBA of the whole image) to uncompressed COCO RLE:
+ * lengths of alternating background/foreground runs in column-major order, starting with background
+ */
+export const brushToCocoRLE = (rle: number[], width: number, height: number) => {
+  const pixels = decode(new Uint8Array(rle));
+  const counts: number[] = [];
+  let current = 0;
+  let run = 0;
+  let area = 0;
+  let [minX, minY, maxX, maxY] = [width, height, -1, -1];
+
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      const value = pixels[(y * width + x) * 4 + 3] > 0 ? 1 : 0;
+
+      if (value !== current) {
+        counts.push(run);
+        current = value;
+        run = 0;
+      }
+      run++;
+      if (value) {
+        area++;
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+  counts.push(run);
+
+  return {
+    segmentation: { size: [height, width], counts },
+    area,
+    bbox: area ? [minX, minY, maxX - minX + 1, maxY - minY + 1] : [0, 0, 0, 0],
+  };
+};
+
+const cocoImages = (context: ExportContext) => {
+  return context.images
+    .map(image => imageSize(image, context.results))
+    .filter((image): image is NonNullable<typeof image> => !!image)
+    .map((image, id) => ({
+      id,
+      image,
+      file_name: basename(image.url, `${image.name}.jpg`),
+      width: image.width,
+      height: image.height,
+    }));
+};
+
+export const CocoExporter: Exporter = {
+  id: 'coco',
+  title: 'COCO',
+
+  supports(context) {
+    return context.results.some(result => {
+      return (COCO_SHAPES.includes(result.type) && labelOf(result)) || result.type === 'skeletonlabels';
+    });
+  },
+
+  export(context) {
+    const images = cocoImages(context);
+    const skeletonResults = context.results.filter(result => result.type === 'skeletonlabels');
+    const categories = imageCategories(context, [...COCO_SHAPES, 'skeletonlabels']);
+    // keypoints category is described by its skeleton
+    const skeletonOf = new Map<string, string>();
+
+    skeletonResults.forEach(result => {
+      const category = skeletonCategory(result);
+
+      if (!categories.includes(category)) categories.push(category);
+      skeletonOf.set(category, result.from_name);
+    });
+    const imageOf = (result: SerializedResult) => images.find(({ image }) => isResultOf(result, image));
+    const annotations: Record<string, any>[] = [];
+    const add = (data: Record<string, any>, label: string, result: SerializedResult) => {
+      annotations.push({
+        id: annotations.length,
+        image_id: imageOf(result)?.id,
+        category_id: categories.indexOf(label),
+        iscrowd: 0,
+        ...data,
+      });
+    };
+
+    imageShapes(context).forEach(shape => {
+      const { holes, points } = shape.result.value;
+      const { width, height } = shape.image;
+
+      // COCO polygons can't have holes, such polygons are exported as masks
+      if (holes?.length) {
+        add(brushToCocoRLE(polygonToBrush(points, width, height, holes), width, height), shape.label, shape.result);
+        return;
+      }
+
+      const box = boundingBox(shape.points);
+
+      add({
+        segmentation: [shape.points.flat().map(n => round(n))],
+        bbox: [box.x, box.y, box.width, box.height].map(n => round(n)),
+        area: round(polygonArea(shape.points)),
+      }, shape.label, shape.result);
+    });
+
+    context.results
+      .filter(result => result.type === 'brushlabels' && labelOf(result) && result.value.format === 'rle')
+      .forEach(result => {
+        const image = imageOf(result);
+
+        if (!image) return;
+        add(brushToCocoRLE(result.value.rle, image.width, image.height), labelOf(result)!, result);
+      });
+
+    skeletonResults.forEach(result => {
+      const image = imageOf(result);
+
+      if (!image) return;
+
+      const { keypoints, num_keypoints } = result.value;
+      const pixels = (keypoints as number[]).map((n, i) => {
+        if (i % 3 === 2) return n;
+        return round(n * (i % 3 === 0 ? image.width : image.height) / 100);
+      });
+      const placed = pixels
+        .map((_, i) => i)
+        .filter(i => i % 3 === 0 && pixels[i + 2] > 0)
+        .map(i => [pixels[i], pixels[i + 1]] as [number, number]);
+      const box = placed.length ? boundingBox(placed) : { x: 0, y: 0, width: 0, height: 0 };
+
+      add({
+        keypoints: pixels,
+        num_keypoints,
+        bbox: [box.x, box.y, box.width, box.height].map(n => round(n)),
+        area: round(box.width * box.height),
+      }, skeletonCategory(result), result);
+    });
+
+    const data = {
+      info: {
+        description: `Task ${context.taskId ?? ''}, annotation ${context.annotationId ?? ''}`.trim(),
+        date_created: new Date().toISOString(),
+      },
+      images: images.map(({ image: _, ...image }) => image),
+      categories: categories.map((name, id) => {
+        const skeleton = context.skeletons?.[skeletonOf.get(name) ?? ''];
+
+        if (!skeleton) return { id, name };
+
+        // COCO skeleton refers to keypoints by 1-based indexes
+        return {
+          id,
+          name,
+          keypoints: skeleton.joints,
+          skeleton: skeleton.edges.map(edge => edge.map(joint => skeleton.joints.indexOf(joint) + 1)),
+        };
+      }),
+      annotations,
+    };
+
+    return [{
+      filename: `task-${context.taskId ?? 'unknown'}-coco.json`,
+      mimeType: 'application/json',
+      content: JSON.stringify(data, null, 2),
+    }];
+  },
+};
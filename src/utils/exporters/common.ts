@@ -0,0 +1,167 @@
+export type SerializedResult = Record<string, any>;
+
+export interface ExportImage {
+  // name of the object tag
+  name: string;
+  // item index of the image in multi-image tag (`valueList`), null for the only image of the tag
+  index?: number | null;
+  url: string;
+  // original dimensions stored in results, they are more reliable than the loaded image
+  width: number | null;
+  height: number | null;
+}
+
+export interface ExportText {
+  // name of the object tag
+  name: string;
+  text: string;
+}
+
+export interface ExportContext {
+  taskId: string | number | null;
+  annotationId: string | number | null;
+  results: SerializedResult[];
+  // label values of every control tag in the config order
+  labels: Record<string, string[]>;
+  images: ExportImage[];
+  texts: ExportText[];
+  // skeleton templates of every skeleton control tag
+  skeletons?: Record<string, ExportSkeleton>;
+}
+
+export interface ExportSkeleton {
+  joints: string[];
+  // pairs of joint names
+  edges: string[][];
+}
+
+export interface ExportFile {
+  filename: string;
+  mimeType: string;
+  content: string;
+}
+
+export interface Exporter {
+  id: string;
+  title: string;
+  // whether there is anything to export in the given context
+  supports(context: ExportContext): boolean;
+  export(context: ExportContext): ExportFile[];
+}
+
+export type Point = [number, number];
+
+export interface ExportShape {
+  result: SerializedResult;
+  image: ExportImage & { width: number, height: number };
+  label: string;
+  // polygon in pixels; corners for rectangles
+  points: Point[];
+}
+
+export const IMAGE_SHAPES = ['rectanglelabels', 'polygonlabels'];
+
+/**
+ * Label of the result; results without labels can't be exported into class based formats
+ */
+export const labelOf = (result: SerializedResult): string | undefined => result.value?.[result.type]?.[0];
+
+export const basename = (url: string, fallback: string) => {
+  const name = url.split(/[?#]/)[0].split('/').pop();
+
+  return name ? decodeURIComponent(name) : fallback;
+};
+
+export const withExtension = (filename: string, extension: string) => filename.replace(/\.[^.]*$/, '') + extension;
+
+/**
+ * Result is made on this image; results of multi-image tag are matched by their `item_index`
+ */
+export const isResultOf = (result: SerializedResult, image: ExportImage) => {
+  if (result.to_name !== image.name) return false;
+  return image.index === null || image.index === undefined || (result.item_index ?? 0) === image.index;
+};
+
+/**
+ * Image with dimensions from its results
+ */
+export const imageSize = (image: ExportImage, results: SerializedResult[]) => {
+  const sized = results.find(result => isResultOf(result, image) && result.original_width && result.original_height);
+  const width = sized?.original_width ?? image.width;
+  const height = sized?.original_height ?? image.height;
+
+  return width && height ? { ...image, width, height } : null;
+};
+
+const rectPoints = (value: Record<string, any>, width: number, height: number): Point[] => {
+  const [x, y, w, h] = [value.x * width / 100, value.y * height / 100, value.width * width / 100, value.height * height / 100];
+  const angle = (value.rotation ?? 0) * Math.PI / 180;
+  const corners: Point[] = [[0, 0], [w, 0], [w, h], [0, h]];
+
+  // rectangle is rotated around its top left corner; rotation is applied in pixels
+  return corners.map(([dx, dy]) => [
+    x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y + dx * Math.sin(angle) + dy * Math.cos(angle),
+  ]);
+};
+
+/**
+ * Labeled rectangles and polygons of every image with coordinates converted from percents to pixels
+ */
+export const imageShapes = (context: ExportContext): ExportShape[] => {
+  return context.images.flatMap(original => {
+    const image = imageSize(original, context.results);
+
+    if (!image) return [];
+
+    return context.results
+      .filter(result => isResultOf(result, image) && IMAGE_SHAPES.includes(result.type) && labelOf(result))
+      .map(result => {
+        const points: Point[] = result.type === 'polygonlabels'
+          ? result.value.points.map(([x, y]: Point) => [x * image.width / 100, y * image.height / 100])
+          : rectPoints(result.value, image.width, image.height);
+
+        return { result, image, label: labelOf(result)!, points };
+      });
+  });
+};
+
+export const boundingBox = (points: Point[]) => {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+// shoelace formula
+export const polygonArea = (points: Point[]) => {
+  const sum = points.reduce((total, [x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+
+    return total + x1 * y2 - x2 * y1;
+  }, 0);
+
+  return Math.abs(sum) / 2;
+};
+
+/**
+ * Classes used by image shapes in the order of labels in the config; unknown labels go last
+ */
+export const imageCategories = (context: ExportContext, types: string[] = IMAGE_SHAPES) => {
+  const controls = new Set(context.results.filter(result => types.includes(result.type)).map(result => result.from_name));
+  const categories: string[] = [];
+  const add = (label: string) => {
+    if (!categories.includes(label)) categories.push(label);
+  };
+
+  controls.forEach(control => (context.labels[control] ?? []).forEach(add));
+  context.results
+    .filter(result => types.includes(result.type))
+    .forEach(result => (result.value[result.type] ?? []).forEach(add));
+
+  return categories;
+};
+
+export const round = (value: number, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
@@ -0,0 +1,64 @@
+import { Exporter, ExportContext } from './common';
+
+interface Span {
+  start: number;
+  end: number;
+  label: string;
+}
+
+const spansOf = (context: ExportContext, name: string): Span[] => {
+  return context.results
+    .filter(result => result.to_name === name && result.type === 'labels')
+    .filter(result => typeof result.value.start === 'number' && result.value.labels?.length)
+    .map(result => ({ start: result.value.start, end: result.value.end, label: result.value.labels[0] }))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Whitespace separated tokens in IOB2 scheme, one token per line in CoNLL 2003 format;
+ * lines of the text become sentences separated by empty lines
+ */
+export const toCoNLL = (text: string, spans: Span[]) => {
+  const lines = ['-DOCSTART- -X- O', ''];
+  let previous: Span | null = null;
+
+  text.split('\n').forEach((line, index, all) => {
+    const offset = all.slice(0, index).reduce((total, item) => total + item.length + 1, 0);
+    const tokens = [...line.matchAll(/\S+/g)];
+
+    tokens.forEach(token => {
+      const start = offset + token.index!;
+      const end = start + token[0].length;
+      const span = spans.find(span => span.start < end && span.end > start) ?? null;
+      const tag = span ? `${span === previous ? 'I' : 'B'}-${span.label}` : 'O';
+
+      lines.push(`${token[0]} -X- _ ${tag}`);
+      previous = span;
+    });
+    if (tokens.length) {
+      lines.push('');
+      previous = null;
+    }
+  });
+
+  return lines.join('\n');
+};
+
+export const ConllExporter: Exporter = {
+  id: 'conll',
+  title: 'CoNLL 2003 (IOB)',
+
+  supports(context) {
+    return context.texts.some(text => spansOf(context, text.name).length);
+  },
+
+  export(context) {
+    return context.texts
+      .filter(text => spansOf(context, text.name).length)
+      .map(text => ({
+        filename: `task-${context.taskId ?? 'unknown'}-${text.name}.conll`,
+        mimeType: 'text/plain',
+        content: toCoNLL(text.text, spansOf(context, text.name)),
+      }));
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * Export of the annotation to common dataset formats right in the browser.
+ * Exporters are pluggable: host can register its own with `exporters` option or `registerExporter()`.
+ */
+import { CocoExporter } from './coco';
+import { ConllExporter } from './conll';
+import { Exporter, ExportContext, ExportFile, ExportSkeleton } from './common';
+import { VocExporter } from './voc';
+import { YoloExporter } from './yolo';
+
+export * from './common';
+export { brushToCocoRLE } from './coco';
+export { toCoNLL } from './conll';
+
+const registry = new Map<string, Exporter>();
+
+export const registerExporter = (exporter: Exporter) => {
+  registry.set(exporter.id, exporter);
+};
+
+export const unregisterExporter = (id: string) => {
+  registry.delete(id);
+};
+
+export const getExporters = () => [...registry.values()];
+
+export const getExporter = (id: string) => registry.get(id);
+
+[CocoExporter, YoloExporter, VocExporter, ConllExporter].forEach(registerExporter);
+
+// original url of the image; decoded images are shown from local urls and tiled ones can be described inline
+const exportURL = (entity: any): string => (entity.src.trim().startsWith('{') ? '' : entity.src);
+
+/**
+ * Collects everything exporters need from the annotation and its object tags
+ */
+export const createExportContext = (annotation: any): ExportContext => {
+  const tags = Array.from(annotation.names.values()) as any[];
+  const labels: Record<string, string[]> = {};
+  const skeletons: Record<string, ExportSkeleton> = {};
+
+  tags.filter(tag => tag.isControlTag).forEach(tag => {
+    const items = tag.labelSetItems ?? tag.children ?? [];
+
+    labels[tag.name] = items.map((item: any) => item.value).filter(Boolean);
+    if (tag.type === 'skeletonlabels') skeletons[tag.name] = { joints: tag.joints, edges: tag.edges };
+  });
+
+  return {
+    taskId: annotation.store?.task?.id ?? null,
+    annotationId: annotation.pk ?? annotation.id ?? null,
+    results: annotation.serializeAnnotation(),
+    labels,
+    images: tags.filter(tag => tag.type === 'image').flatMap(tag => tag.imageEntities.map((entity: any) => ({
+      name: tag.name,
+      index: tag.multiImage ? entity.index : null,
+      url: exportURL(entity),
+      width: entity.imageLoaded ? entity.naturalWidth : null,
+      height: entity.imageLoaded ? entity.naturalHeight : null,
+    }))),
+    texts: tags.filter(tag => tag.type === 'text').map(tag => ({ name: tag.name, text: tag._value })),
+    skeletons,
+  };
+};
+
+export const exportAnnotation = (annotation: any, id: string): ExportFile[] => {
+  const exporter = getExporter(id);
+
+  if (!exporter) throw new Error(`Unknown exporter "${id}"`);
+
+  return exporter.export(createExportContext(annotation));
+};
+
+const REVOKE_DELAY = 1000;
+
+/**
+ * Saves files one by one; browsers may ask to allow multiple downloads
+ */
+export const downloadFiles = (files: ExportFile[]) => {
+  files.forEach(file => {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = file.filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // download starts asynchronously, revoking the url right away can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY);
+  });
+};
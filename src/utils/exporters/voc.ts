@@ -0,0 +1,71 @@
+import { basename, boundingBox, Exporter, ExportShape, imageShapes, IMAGE_SHAPES, labelOf, withExtension } from './common';
+
+const escapeXML = (value: string) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const objectXML = (shape: ExportShape) => {
+  const box = boundingBox(shape.points);
+
+  return `
+  <object>
+    <name>${escapeXML(shape.label)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(box.x)}</xmin>
+      <ymin>${Math.round(box.y)}</ymin>
+      <xmax>${Math.round(box.x + box.width)}</xmax>
+      <ymax>${Math.round(box.y + box.height)}</ymax>
+    </bndbox>
+  </object>`;
+};
+
+/**
+ * One XML file per image; polygons are exported as their bounding boxes
+ */
+export const VocExporter: Exporter = {
+  id: 'voc',
+  title: 'Pascal VOC XML',
+
+  supports(context) {
+    return context.results.some(result => IMAGE_SHAPES.includes(result.type) && labelOf(result));
+  },
+
+  export(context) {
+    // shapes of the same image share its object
+    const images = new Map<ExportShape['image'], ExportShape[]>();
+
+    imageShapes(context).forEach(shape => {
+      images.set(shape.image, [...(images.get(shape.image) ?? []), shape]);
+    });
+
+    return [...images.values()].map(shapes => {
+      const { image } = shapes[0];
+      const filename = basename(image.url, image.name);
+
+      return {
+        filename: withExtension(filename, '.xml'),
+        mimeType: 'application/xml',
+        content: `<?xml version="1.0" encoding="utf-8"?>
+<annotation>
+  <folder>images</folder>
+  <filename>${escapeXML(filename)}</filename>
+  <source>
+    <database>Task ${context.taskId ?? ''}</database>
+  </source>
+  <size>
+    <width>${image.width}</width>
+    <height>${image.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>${shapes.map(objectXML).join('')}
+</annotation>
+`,
+      };
+    });
+  },
+};
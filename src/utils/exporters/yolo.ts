@@ -0,0 +1,51 @@
+import { basename, Exporter, imageCategories, imageShapes, IMAGE_SHAPES, labelOf, withExtension } from './common';
+
+const format = (value: number) => value.toFixed(6);
+
+/**
+ * One txt file per image: `class cx cy w h` for rectangles and `class x1 y1 x2 y2 ...` for polygons,
+ * all coordinates are normalized; `classes.txt` lists class names by their index.
+ * YOLO polygons can't have holes, only outer contours are exported.
+ */
+export const YoloExporter: Exporter = {
+  id: 'yolo',
+  title: 'YOLO',
+
+  supports(context) {
+    return context.results.some(result => IMAGE_SHAPES.includes(result.type) && labelOf(result));
+  },
+
+  export(context) {
+    const categories = imageCategories(context);
+    const files = new Map<string, string[]>();
+
+    imageShapes(context).forEach(({ result, image, label, points }) => {
+      const filename = withExtension(basename(image.url, image.name), '.txt');
+      const lines = files.get(filename) ?? [];
+      const normalized = points.map(([x, y]) => [x / image.width, y / image.height]);
+      let coords: number[];
+
+      if (result.type === 'rectanglelabels') {
+        const xs = normalized.map(([x]) => x);
+        const ys = normalized.map(([, y]) => y);
+        const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+
+        coords = [(minX + maxX) / 2, (minY + maxY) / 2, maxX - minX, maxY - minY];
+      } else {
+        coords = normalized.flat();
+      }
+
+      lines.push([categories.indexOf(label), ...coords.map(format)].join(' '));
+      files.set(filename, lines);
+    });
+
+    return [
+      ...[...files.entries()].map(([filename, lines]) => ({
+        filename,
+        mimeType: 'text/plain',
+        content: lines.join('\n') + '\n',
+      })),
+      { filename: 'classes.txt', mimeType: 'text/plain', content: categories.join('\n') + '\n' },
+    ];
+  },
+};
@@ -0,0 +1,178 @@
+/**
+ * Image adjustments applied on top of brightness and contrast: gamma, saturation, histogram equalization,
+ * inversion, false colors and single channel view. They are rendered by SVG filter primitives,
+ * so the image itself is never modified and adjustments stay the same while drawing.
+ */
+
+export type ColorMap = 'none' | 'jet' | 'hot' | 'viridis';
+
+export interface ImageAdjustments {
+  // 1 is the original image, higher values lighten dark areas
+  gamma: number;
+  // 1 is the original image, 0 is grayscale
+  saturation: number;
+  invert: boolean;
+  // stretch the histogram, so every brightness level is equally used
+  equalize: boolean;
+  // brightness is shown with colors of the map
+  colormap: ColorMap;
+  // the only channel shown as grayscale, all of them by default
+  channel: number | null;
+}
+
+export const DEFAULT_ADJUSTMENTS: ImageAdjustments = {
+  gamma: 1,
+  saturation: 1,
+  invert: false,
+  equalize: false,
+  colormap: 'none',
+  channel: null,
+};
+
+export const isAdjusted = (adjustments: ImageAdjustments) => {
+  return (Object.keys(DEFAULT_ADJUSTMENTS) as (keyof ImageAdjustments)[])
+    .some(key => adjustments[key] !== DEFAULT_ADJUSTMENTS[key]);
+};
+
+type RGB = [number, number, number];
+
+/**
+ * Colors evenly spaced from the darkest to the brightest level
+ */
+const COLORMAPS: Record<Exclude<ColorMap, 'none'>, RGB[]> = {
+  jet: [
+    [0, 0, 0.5], [0, 0, 1], [0, 0.5, 1], [0, 1, 1], [0.5, 1, 0.5],
+    [1, 1, 0], [1, 0.5, 0], [1, 0, 0], [0.5, 0, 0],
+  ],
+  hot: [
+    [0, 0, 0], [1 / 3, 0, 0], [2 / 3, 0, 0], [1, 0, 0], [1, 1 / 3, 0],
+    [1, 2 / 3, 0], [1, 1, 0], [1, 1, 0.5], [1, 1, 1],
+  ],
+  viridis: [
+    [0x44, 0x01, 0x54], [0x47, 0x2d, 0x7b], [0x3b, 0x52, 0x8b], [0x2c, 0x72, 0x8e], [0x21, 0x91, 0x8c],
+    [0x28, 0xae, 0x80], [0x5e, 0xc9, 0x62], [0xad, 0xdc, 0x30], [0xfd, 0xe7, 0x25],
+  ].map(color => color.map(value => value / 255) as RGB),
+};
+
+export const COLORMAP_NAMES = ['none', ...Object.keys(COLORMAPS)] as ColorMap[];
+
+// Rec. 709 luma, the same as used by `luminanceToAlpha` of SVG filters
+const LUMA: RGB = [0.2126, 0.7152, 0.0722];
+
+export interface Histograms {
+  red: number[];
+  green: number[];
+  blue: number[];
+  luminance: number[];
+}
+
+/**
+ * @param data RGBA pixels
+ */
+export const histogramsOf = (data: ArrayLike<number>): Histograms => {
+  const histograms: Histograms = {
+    red: new Array(256).fill(0),
+    green: new Array(256).fill(0),
+    blue: new Array(256).fill(0),
+    luminance: new Array(256).fill(0),
+  };
+
+  for (let i = 0; i < data.length; i += 4) {
+    // transparent pixels are not visible anyway
+    if (data[i + 3] === 0) continue;
+
+    const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+
+    histograms.red[r]++;
+    histograms.green[g]++;
+    histograms.blue[b]++;
+    histograms.luminance[Math.round(r * LUMA[0] + g * LUMA[1] + b * LUMA[2])]++;
+  }
+
+  return histograms;
+};
+
+/**
+ * Transfer table mapping every level to its share in the cumulative histogram
+ */
+export const equalizationTable = (histogram: number[]) => {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  const first = histogram.find(count => count > 0) ?? 0;
+  let cumulative = 0;
+
+  return histogram.map((count) => {
+    cumulative += count;
+
+    return total > first ? Math.max(cumulative - first, 0) / (total - first) : 0;
+  });
+};
+
+export interface FilterPrimitive {
+  type: 'feColorMatrix' | 'feComponentTransfer';
+  attrs?: Record<string, string>;
+  // transfer functions of feComponentTransfer
+  funcs?: Record<'feFuncR' | 'feFuncG' | 'feFuncB', Record<string, string>>;
+}
+
+const values = (numbers: number[]) => numbers.map(value => Number(value.toFixed(4))).join(' ');
+
+const matrix = (rows: number[][]): FilterPrimitive => ({
+  type: 'feColorMatrix',
+  attrs: { type: 'matrix', values: values([...rows.flat(), 0, 0, 0, 1, 0]) },
+});
+
+const transfer = (red: Record<string, string>, green = red, blue = red): FilterPrimitive => ({
+  type: 'feComponentTransfer',
+  funcs: { feFuncR: red, feFuncG: green, feFuncB: blue },
+});
+
+/**
+ * Steps of the filter in order of application
+ * @param histograms of the shown image, required for equalization
+ * @param filterChannel whether the channel is selected by the filter; decoded images render the channel themselves
+ */
+export const filterPrimitives = (
+  adjustments: ImageAdjustments,
+  { histograms = null, filterChannel = true }: { histograms?: Histograms | null, filterChannel?: boolean } = {},
+): FilterPrimitive[] => {
+  const { gamma, saturation, invert, equalize, colormap, channel } = adjustments;
+  const primitives: FilterPrimitive[] = [];
+  const channelFiltered = filterChannel && channel !== null && channel < 3;
+
+  if (channelFiltered) {
+    const row = [0, 0, 0, 0, 0].map((_, index) => index === channel ? 1 : 0);
+
+    primitives.push(matrix([row, row, row]));
+  }
+
+  if (equalize && histograms) {
+    const histogram = channelFiltered
+      ? [histograms.red, histograms.green, histograms.blue][channel!]
+      : histograms.luminance;
+
+    primitives.push(transfer({ type: 'table', tableValues: values(equalizationTable(histogram)) }));
+  }
+
+  if (gamma !== 1) {
+    primitives.push(transfer({ type: 'gamma', amplitude: '1', exponent: values([1 / gamma]), offset: '0' }));
+  }
+
+  if (saturation !== 1) {
+    primitives.push({ type: 'feColorMatrix', attrs: { type: 'saturate', values: values([saturation]) } });
+  }
+
+  if (colormap !== 'none' && COLORMAPS[colormap]) {
+    const colors = COLORMAPS[colormap];
+    const table = (component: number) => ({ type: 'table', tableValues: values(colors.map(color => color[component])) });
+
+    primitives.push(matrix([[...LUMA, 0, 0], [...LUMA, 0, 0], [...LUMA, 0, 0]]));
+    primitives.push(transfer(table(0), table(1), table(2)));
+  }
+
+  if (invert) {
+    primitives.push(transfer({ type: 'table', tableValues: '1 0' }));
+  }
+
+  // empty filter makes the image transparent
+  return primitives.length ? primitives : [{ type: 'feColorMatrix', attrs: { type: 'saturate', values: '1' } }];
+};
@@ -0,0 +1,181 @@
+export type SampleArray =
+  | Uint8Array
+  | Int8Array
+  | Uint16Array
+  | Int16Array
+  | Uint32Array
+  | Int32Array
+  | Float32Array
+  | Float64Array;
+
+export interface ImageWindow {
+  center: number;
+  width: number;
+}
+
+/**
+ * Decoded image with samples as they are stored in the file, without any conversion to 8 bits.
+ * Samples are interleaved, `channels` per pixel: gray, gray + alpha, RGB or RGBA.
+ */
+export interface RasterImage {
+  width: number;
+  height: number;
+  channels: number;
+  data: SampleArray;
+  // smaller values are brighter (TIFF WhiteIsZero, DICOM MONOCHROME1)
+  inverted?: boolean;
+  // stored values are converted to real ones as `value * slope + intercept` (DICOM modality LUT)
+  rescale?: { slope: number, intercept: number };
+  // default window provided by the file
+  window?: ImageWindow;
+}
+
+export interface ImageDecoder {
+  id: string;
+  // whether the data looks like this format
+  detect(bytes: Uint8Array): boolean;
+  // every page or frame of the file becomes a separate raster
+  decode(buffer: ArrayBuffer): Promise<RasterImage[]>;
+}
+
+export const unsupported = (format: string, feature: string) => {
+  return new Error(`Unsupported ${format}: ${feature}`);
+};
+
+export const ascii = (bytes: Uint8Array, offset: number, length: number) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+export const concatBytes = (chunks: Uint8Array[]) => {
+  const result = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+  let offset = 0;
+
+  chunks.forEach(chunk => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+
+  return result;
+};
+
+/**
+ * zlib and raw deflate streams are decompressed by the browser itself
+ */
+export const inflate = async (data: Uint8Array, format: 'deflate' | 'deflate-raw' = 'deflate') => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Deflate compression is not supported by this browser');
+  }
+
+  const stream = new DecompressionStream(format);
+  const writer = stream.writable.getWriter();
+  const reader = stream.readable.getReader();
+  const chunks: Uint8Array[] = [];
+
+  // errors are reported by the reader
+  writer.write(data).catch(() => {});
+  writer.close().catch(() => {});
+
+  for (;;) {
+    const { done, value } = await reader.read();
+
+    if (done) break;
+    chunks.push(value);
+  }
+
+  return concatBytes(chunks);
+};
+
+/**
+ * Number of channels without alpha; images with more than 4 channels are multispectral and have no alpha
+ */
+export const colorChannels = ({ channels }: RasterImage) => channels === 2 || channels === 4 ? channels - 1 : channels;
+
+/**
+ * Min and max of real values of the raster, alpha channel is skipped
+ */
+export const rasterRange = (raster: RasterImage) => {
+  const { data, channels, rescale } = raster;
+  const colors = colorChannels(raster);
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < data.length; i++) {
+    if (i % channels >= colors) continue;
+
+    const value = data[i];
+
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+
+  if (min > max) return { min: 0, max: 0 };
+  if (!rescale) return { min, max };
+
+  const [a, b] = [min * rescale.slope + rescale.intercept, max * rescale.slope + rescale.intercept];
+
+  return { min: Math.min(a, b), max: Math.max(a, b) };
+};
+
+/**
+ * Window from the file or the one covering all values
+ */
+export const defaultWindow = (raster: RasterImage): ImageWindow => {
+  if (raster.window) return raster.window;
+
+  const { min, max } = rasterRange(raster);
+
+  return { center: (min + max) / 2, width: Math.max(max - min, 1) };
+};
+
+const alphaScale = (data: SampleArray) => {
+  if (data instanceof Uint8Array) return 1;
+  if (data instanceof Uint16Array) return 255 / 0xffff;
+  if (data instanceof Uint32Array) return 255 / 0xffffffff;
+  // floats and signed values are expected to be in 0..1 range
+  return 255;
+};
+
+/**
+ * Window/level: real values inside the window are linearly mapped to 0..255, outside ones are clipped
+ * @param channel the only channel to show, all color channels (or the first three of multispectral image) by default
+ * @returns RGBA pixels ready to be put on a canvas
+ */
+export const renderRaster = (
+  raster: RasterImage,
+  { center, width }: ImageWindow = defaultWindow(raster),
+  channel: number | null = null,
+) => {
+  const { data, channels, inverted, rescale } = raster;
+  const pixels = raster.width * raster.height;
+  const rgba = new Uint8ClampedArray(pixels * 4);
+  const slope = rescale?.slope ?? 1;
+  const intercept = rescale?.intercept ?? 0;
+  const low = center - width / 2;
+  const scale = 255 / Math.max(width, Number.EPSILON);
+  const colors = colorChannels(raster);
+  // single channel of color or multispectral image is shown as grayscale
+  const band = channel !== null && channel < colors ? channel : null;
+  const alpha = alphaScale(data);
+  const level = (value: number) => {
+    const result = ((value * slope + intercept) - low) * scale;
+
+    return inverted ? 255 - result : result;
+  };
+
+  for (let i = 0; i < pixels; i++) {
+    const source = i * channels;
+    const target = i * 4;
+
+    if (colors === 1 || band !== null) {
+      rgba[target] = rgba[target + 1] = rgba[target + 2] = level(data[source + (band ?? 0)]);
+    } else {
+      rgba[target] = level(data[source]);
+      rgba[target + 1] = level(data[source + 1]);
+      rgba[target + 2] = level(data[source + 2]);
+    }
+
+    rgba[target + 3] = colors === channels ? 255 : data[source + colors] * alpha;
+  }
+
+  return { data: rgba, width: raster.width, height: raster.height };
+};
@@ -0,0 +1,237 @@
+/**
+ * DICOM images with uncompressed pixel data: implicit and explicit VR, both byte orders and deflated datasets.
+ * Every frame of multi-frame images is a separate raster.
+ */
+import { ascii, ImageDecoder, inflate, RasterImage, SampleArray, unsupported } from './common';
+
+const TAG = {
+  TransferSyntax: 0x00020010,
+  SamplesPerPixel: 0x00280002,
+  Photometric: 0x00280004,
+  PlanarConfiguration: 0x00280006,
+  NumberOfFrames: 0x00280008,
+  Rows: 0x00280010,
+  Columns: 0x00280011,
+  BitsAllocated: 0x00280100,
+  BitsStored: 0x00280101,
+  HighBit: 0x00280102,
+  PixelRepresentation: 0x00280103,
+  WindowCenter: 0x00281050,
+  WindowWidth: 0x00281051,
+  RescaleIntercept: 0x00281052,
+  RescaleSlope: 0x00281053,
+  PixelData: 0x7fe00010,
+  ItemEnd: 0xfffee00d,
+  SequenceEnd: 0xfffee0dd,
+};
+
+const SYNTAX = {
+  ImplicitLittle: '1.2.840.10008.1.2',
+  ExplicitLittle: '1.2.840.10008.1.2.1',
+  DeflatedLittle: '1.2.840.10008.1.2.1.99',
+  ExplicitBig: '1.2.840.10008.1.2.2',
+};
+
+// value representations with 4 bytes length in explicit syntax
+const LONG_VRS = ['OB', 'OD', 'OF', 'OL', 'OV', 'OW', 'SQ', 'SV', 'UC', 'UN', 'UR', 'UT', 'UV'];
+
+const UNDEFINED_LENGTH = 0xffffffff;
+
+type Element = { tag: number, length: number, value: number };
+
+class DatasetReader {
+  view: DataView;
+  bytes: Uint8Array;
+  elements = new Map<number, Element>();
+
+  constructor(bytes: Uint8Array, public little: boolean, public explicit: boolean) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  }
+
+  element(offset: number): Element {
+    const { view, little } = this;
+    const tag = ((view.getUint16(offset, little) << 16) | view.getUint16(offset + 2, little)) >>> 0;
+
+    // items and delimiters have no VR in any syntax
+    if (!this.explicit || tag >>> 16 === 0xfffe) {
+      return { tag, length: view.getUint32(offset + 4, little), value: offset + 8 };
+    }
+
+    if (LONG_VRS.includes(ascii(this.bytes, offset + 4, 2))) {
+      return { tag, length: view.getUint32(offset + 8, little), value: offset + 12 };
+    }
+
+    return { tag, length: view.getUint16(offset + 6, little), value: offset + 8 };
+  }
+
+  /**
+   * Reads elements till the end or till the end of the current item.
+   * Only top level elements are collected, nested ones may have the same tags (e.g. icon images).
+   * @returns offset after the last element
+   */
+  read(offset: number, end: number, collect: boolean) {
+    while (offset < end) {
+      const element = this.element(offset);
+
+      if (element.tag === TAG.ItemEnd) return element.value;
+
+      if (element.length === UNDEFINED_LENGTH) {
+        if (element.tag === TAG.PixelData) throw unsupported('DICOM', 'compressed pixel data');
+
+        offset = this.skipSequence(element.value);
+        continue;
+      }
+
+      if (collect) this.elements.set(element.tag, element);
+      offset = element.value + element.length;
+    }
+
+    return offset;
+  }
+
+  skipSequence(offset: number) {
+    while (offset < this.bytes.length) {
+      const item = this.element(offset);
+
+      if (item.tag === TAG.SequenceEnd) return item.value;
+
+      offset = item.length === UNDEFINED_LENGTH
+        ? this.read(item.value, this.bytes.length, false)
+        : item.value + item.length;
+    }
+
+    return offset;
+  }
+
+  number(tag: number) {
+    const element = this.elements.get(tag);
+
+    return element && element.length >= 2 ? this.view.getUint16(element.value, this.little) : undefined;
+  }
+
+  string(tag: number) {
+    const element = this.elements.get(tag);
+
+    return element ? ascii(this.bytes, element.value, element.length).replace(/\0/g, '').trim() : undefined;
+  }
+
+  // decimal strings may have several values, the first one is used
+  decimal(tag: number) {
+    const value = parseFloat(this.string(tag)?.split('\\')[0] ?? '');
+
+    return isNaN(value) ? undefined : value;
+  }
+}
+
+const sampleArray = (bitsAllocated: number, signed: boolean, length: number): SampleArray => {
+  if (bitsAllocated === 8) return signed ? new Int8Array(length) : new Uint8Array(length);
+  return signed ? new Int16Array(length) : new Uint16Array(length);
+};
+
+const decodeDataset = (reader: DatasetReader): RasterImage[] => {
+  const pixelData = reader.elements.get(TAG.PixelData);
+
+  if (!pixelData) throw new Error('DICOM file has no image');
+
+  const width = reader.number(TAG.Columns)!;
+  const height = reader.number(TAG.Rows)!;
+  const channels = reader.number(TAG.SamplesPerPixel) ?? 1;
+  const photometric = reader.string(TAG.Photometric) ?? 'MONOCHROME2';
+  const planar = reader.number(TAG.PlanarConfiguration) === 1;
+  const frames = parseInt(reader.string(TAG.NumberOfFrames) ?? '1', 10) || 1;
+  const bitsAllocated = reader.number(TAG.BitsAllocated) ?? 16;
+  const bitsStored = reader.number(TAG.BitsStored) ?? bitsAllocated;
+  const highBit = reader.number(TAG.HighBit) ?? bitsStored - 1;
+  const signed = reader.number(TAG.PixelRepresentation) === 1;
+  const slope = reader.decimal(TAG.RescaleSlope);
+  const intercept = reader.decimal(TAG.RescaleIntercept);
+  const center = reader.decimal(TAG.WindowCenter);
+  const windowWidth = reader.decimal(TAG.WindowWidth);
+
+  if (!width || !height) throw new Error('DICOM image has no size');
+  if (bitsAllocated !== 8 && bitsAllocated !== 16) throw unsupported('DICOM', `${bitsAllocated}-bit pixels`);
+  if (!['MONOCHROME1', 'MONOCHROME2', 'RGB'].includes(photometric)) {
+    throw unsupported('DICOM', `photometric interpretation ${photometric}`);
+  }
+
+  const length = width * height * channels;
+  const frameBytes = length * bitsAllocated / 8;
+  const shift = highBit + 1 - bitsStored;
+  const mask = (1 << bitsStored) - 1;
+  const rasters: RasterImage[] = [];
+
+  for (let frame = 0; frame < frames && (frame + 1) * frameBytes <= pixelData.length; frame++) {
+    const start = pixelData.value + frame * frameBytes;
+    const samples = sampleArray(bitsAllocated, signed, length);
+
+    for (let i = 0; i < length; i++) {
+      const stored = bitsAllocated === 8 ? reader.view.getUint8(start + i) : reader.view.getUint16(start + i * 2, reader.little);
+      // unused high bits may contain overlays
+      let value = (stored >> shift) & mask;
+
+      if (signed && value & (1 << (bitsStored - 1))) value -= 1 << bitsStored;
+
+      // planar configuration stores all reds, then all greens, then all blues
+      const target = planar ? (i % (width * height)) * channels + Math.floor(i / (width * height)) : i;
+
+      samples[target] = value;
+    }
+
+    rasters.push({
+      width,
+      height,
+      channels,
+      data: samples,
+      inverted: photometric === 'MONOCHROME1',
+      ...(slope !== undefined || intercept !== undefined ? {
+        rescale: { slope: slope ?? 1, intercept: intercept ?? 0 },
+      } : {}),
+      ...(center !== undefined && windowWidth ? { window: { center, width: windowWidth } } : {}),
+    });
+  }
+
+  return rasters;
+};
+
+export const DicomDecoder: ImageDecoder = {
+  id: 'dicom',
+
+  detect(bytes) {
+    return ascii(bytes, 128, 4) === 'DICM';
+  },
+
+  async decode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    // file meta information is always explicit little endian
+    const meta = new DatasetReader(bytes, true, true);
+    let offset = 132;
+
+    while (offset < bytes.length && meta.view.getUint16(offset, true) === 0x0002) {
+      const element = meta.element(offset);
+
+      meta.elements.set(element.tag, element);
+      offset = element.value + element.length;
+    }
+
+    const syntax = meta.string(TAG.TransferSyntax) ?? SYNTAX.ExplicitLittle;
+    let reader: DatasetReader;
+
+    if (syntax === SYNTAX.ImplicitLittle) {
+      reader = new DatasetReader(bytes, true, false);
+    } else if (syntax === SYNTAX.ExplicitLittle) {
+      reader = new DatasetReader(bytes, true, true);
+    } else if (syntax === SYNTAX.ExplicitBig) {
+      reader = new DatasetReader(bytes, false, true);
+    } else if (syntax === SYNTAX.DeflatedLittle) {
+      reader = new DatasetReader(await inflate(bytes.subarray(offset), 'deflate-raw'), true, true);
+      offset = 0;
+    } else {
+      throw unsupported('DICOM', `transfer syntax ${syntax}`);
+    }
+
+    reader.read(offset, reader.bytes.length, true);
+
+    return decodeDataset(reader);
+  },
+};
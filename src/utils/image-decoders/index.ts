@@ -0,0 +1,106 @@
+/**
+ * Decoding of images browsers can't show or can show only with reduced dynamic range:
+ * multi-page and high bit depth TIFF, 16-bit PNG and DICOM.
+ * Decoded samples are kept as is and rendered with window/level, so the full range is available for adjustments.
+ */
+import { ImageDecoder, RasterImage } from './common';
+import { DicomDecoder } from './dicom';
+import { PngDecoder } from './png';
+import { TiffDecoder } from './tiff';
+
+export * from './common';
+
+const decoders: ImageDecoder[] = [TiffDecoder, DicomDecoder, PngDecoder];
+
+// files with these extensions are never shown by browsers, the rest can only be recognized by their content
+const RAW_EXTENSIONS = /\.(tiff?|dcm|dicom)$/i;
+
+export const isRawImageURL = (url: string) => RAW_EXTENSIONS.test(url.split(/[?#]/)[0]);
+
+export const findDecoder = (buffer: ArrayBuffer) => {
+  const bytes = new Uint8Array(buffer);
+
+  return decoders.find(decoder => decoder.detect(bytes));
+};
+
+/**
+ * @returns pages of the image or null if it's a regular image to be shown by the browser
+ */
+export const decodeImage = async (buffer: ArrayBuffer): Promise<RasterImage[] | null> => {
+  const decoder = findDecoder(buffer);
+
+  return decoder ? decoder.decode(buffer) : null;
+};
+
+type OnProgressCallback = (total: number, loaded: number, progress: number) => void;
+
+export interface LoadedImage {
+  // pages of decoded image
+  rasters: RasterImage[] | null;
+  // content of regular images, every view makes its own object URL of it
+  blob: Blob | null;
+}
+
+// decoded files can be large, so only the recent ones are kept
+const CACHE_SIZE = 4;
+
+/**
+ * @class RasterLoader
+ * @description Downloads and decodes images once, so every page of multi-page file reuses the same result.
+ * The recently used files are cached, failed downloads are not.
+ */
+export class RasterLoader {
+  private cache: Map<string, Promise<LoadedImage>> = new Map();
+
+  load(url: string, { onProgress, withCredentials = false }: { onProgress?: OnProgressCallback, withCredentials?: boolean } = {}) {
+    if (!url) throw new Error('No URL provided for download');
+
+    const cached = this.cache.get(url);
+
+    if (cached) {
+      // the most recent files are at the end
+      this.cache.delete(url);
+      this.cache.set(url, cached);
+      return cached;
+    }
+
+    const loading = this.download(url, withCredentials, onProgress).then(async (buffer): Promise<LoadedImage> => {
+      const rasters = await decodeImage(buffer);
+
+      return { rasters, blob: rasters ? null : new Blob([buffer]) };
+    }).catch((err) => {
+      if (this.cache.get(url) === loading) this.cache.delete(url);
+      throw err;
+    });
+
+    this.cache.set(url, loading);
+    if (this.cache.size > CACHE_SIZE) this.cache.delete(this.cache.keys().next().value!);
+
+    return loading;
+  }
+
+  private download(url: string, withCredentials: boolean, onProgress?: OnProgressCallback) {
+    return new Promise<ArrayBuffer>((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+
+      xhr.responseType = 'arraybuffer';
+      xhr.withCredentials = withCredentials;
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status === 200) resolve(xhr.response);
+        else reject(new Error(`HTTP ${xhr.status}`));
+      });
+
+      xhr.addEventListener('progress', ({ total, loaded }) => {
+        onProgress?.(total, loaded, loaded / total);
+      });
+
+      xhr.addEventListener('error', () => {
+        reject(new Error('Network error'));
+      });
+
+      xhr.open('GET', url);
+      xhr.send();
+    });
+  }
+}
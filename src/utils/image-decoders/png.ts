@@ -0,0 +1,108 @@
+/**
+ * 16-bit PNG; browsers decode such images themselves, but reduce them to 8 bits on the way
+ */
+import { ascii, concatBytes, ImageDecoder, inflate, unsupported } from './common';
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// channels by color type
+const CHANNELS: Record<number, number> = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const paeth = (a: number, b: number, c: number) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+/**
+ * Reverts per-row filters
+ * @param bpp bytes per pixel
+ * @returns bytes of pixels without filter types
+ */
+const unfilter = (bytes: Uint8Array, width: number, height: number, bpp: number) => {
+  const stride = width * bpp;
+  const result = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = bytes[y * (stride + 1)];
+    const row = bytes.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const offset = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= bpp ? result[offset + x - bpp] : 0;
+      const up = y > 0 ? result[offset - stride + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? result[offset - stride + x - bpp] : 0;
+      let predicted = 0;
+
+      if (filter === 1) predicted = left;
+      else if (filter === 2) predicted = up;
+      else if (filter === 3) predicted = (left + up) >> 1;
+      else if (filter === 4) predicted = paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Broken PNG: unknown filter ${filter}`);
+
+      result[offset + x] = row[x] + predicted;
+    }
+  }
+
+  return result;
+};
+
+export const PngDecoder: ImageDecoder = {
+  id: 'png16',
+
+  detect(bytes) {
+    // bit depth is the first field after width and height of IHDR
+    return SIGNATURE.every((byte, i) => bytes[i] === byte) && bytes[24] === 16;
+  },
+
+  async decode(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const chunks: Uint8Array[] = [];
+    let header: Record<string, number> | null = null;
+
+    for (let offset = 8; offset + 8 <= bytes.length;) {
+      const length = view.getUint32(offset);
+      const type = ascii(bytes, offset + 4, 4);
+      const data = offset + 8;
+
+      if (type === 'IHDR') {
+        header = {
+          width: view.getUint32(data),
+          height: view.getUint32(data + 4),
+          depth: bytes[data + 8],
+          colorType: bytes[data + 9],
+          interlace: bytes[data + 12],
+        };
+      } else if (type === 'IDAT') {
+        chunks.push(bytes.subarray(data, data + length));
+      } else if (type === 'IEND') {
+        break;
+      }
+
+      // data is followed by CRC
+      offset = data + length + 4;
+    }
+
+    if (!header) throw new Error('Broken PNG: no header');
+
+    const { width, height, depth, colorType, interlace } = header;
+    const channels = CHANNELS[colorType];
+
+    if (depth !== 16 || !channels) throw unsupported('PNG', `${depth}-bit images of color type ${colorType}`);
+    if (interlace) throw unsupported('PNG', 'interlaced 16-bit images');
+
+    const pixels = unfilter(await inflate(concatBytes(chunks)), width, height, channels * 2);
+    const data = new Uint16Array(width * height * channels);
+
+    for (let i = 0; i < data.length; i++) {
+      data[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+    }
+
+    return [{ width, height, channels, data }];
+  },
+};
@@ -0,0 +1,374 @@
+/**
+ * Baseline TIFF with the most common extensions: strips and tiles, LZW, Deflate and PackBits compression,
+ * horizontal predictor, 1, 8, 16, 32 or 64 bits per sample and integer or floating point samples.
+ */
+import { ImageDecoder, inflate, RasterImage, SampleArray, unsupported } from './common';
+
+const TAG = {
+  NewSubfileType: 254,
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  Photometric: 262,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  PlanarConfiguration: 284,
+  Predictor: 317,
+  ColorMap: 320,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SampleFormat: 339,
+};
+
+const COMPRESSION = {
+  None: 1,
+  LZW: 5,
+  Deflate: 8,
+  PackBits: 32773,
+  DeflateOld: 32946,
+};
+
+const PHOTOMETRIC = {
+  WhiteIsZero: 0,
+  BlackIsZero: 1,
+  RGB: 2,
+  Palette: 3,
+};
+
+// sizes of field types in bytes
+const TYPE_SIZES: Record<number, number> = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+type Fields = Map<number, number[]>;
+
+const readValue = (view: DataView, offset: number, type: number, little: boolean) => {
+  switch (type) {
+    case 3: return view.getUint16(offset, little);
+    case 4: return view.getUint32(offset, little);
+    case 5: return view.getUint32(offset, little) / view.getUint32(offset + 4, little);
+    case 6: return view.getInt8(offset);
+    case 8: return view.getInt16(offset, little);
+    case 9: return view.getInt32(offset, little);
+    case 10: return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+    case 11: return view.getFloat32(offset, little);
+    case 12: return view.getFloat64(offset, little);
+    default: return view.getUint8(offset);
+  }
+};
+
+const readIFD = (view: DataView, offset: number, little: boolean) => {
+  const fields: Fields = new Map();
+  const count = view.getUint16(offset, little);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const size = TYPE_SIZES[type];
+    const length = view.getUint32(entry + 4, little);
+
+    // unknown types should be skipped according to the spec
+    if (!size) continue;
+
+    const start = size * length > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+
+    fields.set(tag, Array.from({ length }, (_, j) => readValue(view, start + j * size, type, little)));
+  }
+
+  return { fields, next: view.getUint32(offset + 2 + count * 12, little) };
+};
+
+/**
+ * TIFF flavour of LZW: codes are written MSB first and code width grows one code earlier than in GIF
+ */
+export const decodeLZW = (input: Uint8Array, size: number) => {
+  const output = new Uint8Array(size);
+  // entries are stored as references to already decoded parts of the output
+  const starts = new Uint32Array(4096);
+  const lengths = new Uint32Array(4096);
+  let position = 0;
+  let bit = 0;
+  let width = 9;
+  let next = 258;
+  let previous = -1;
+  let previousStart = 0;
+
+  const read = () => {
+    let code = 0;
+
+    for (let i = 0; i < width; i++, bit++) {
+      code = (code << 1) | ((input[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+
+    return code;
+  };
+
+  const write = (code: number) => {
+    if (code < 256) {
+      output[position++] = code;
+      return;
+    }
+
+    const length = Math.min(lengths[code], size - position);
+
+    output.copyWithin(position, starts[code], starts[code] + length);
+    position += length;
+  };
+
+  while (bit + width <= input.length * 8 && position < size) {
+    const code = read();
+
+    if (code === 257) break;
+    if (code === 256) {
+      width = 9;
+      next = 258;
+      previous = -1;
+      continue;
+    }
+
+    const start = position;
+
+    if (previous >= 0) {
+      if (code < next) {
+        write(code);
+      } else if (code === next) {
+        // the code is being defined right now: previous entry + its own first byte
+        write(previous);
+        if (position < size) output[position++] = output[start];
+      } else {
+        throw new Error('Broken LZW data');
+      }
+
+      // new entry is the previous one + the first byte of the current one, both are already in the output
+      starts[next] = previousStart;
+      lengths[next] = (previous < 256 ? 1 : lengths[previous]) + 1;
+      next++;
+      if (next >= (1 << width) - 1 && width < 12) width++;
+    } else {
+      write(code);
+    }
+
+    previous = code;
+    previousStart = start;
+  }
+
+  return output;
+};
+
+const decodePackBits = (input: Uint8Array, size: number) => {
+  const output = new Uint8Array(size);
+  let position = 0;
+
+  for (let i = 0; i < input.length && position < size;) {
+    const header = (input[i++] << 24) >> 24;
+
+    if (header >= 0) {
+      output.set(input.subarray(i, i + header + 1).subarray(0, size - position), position);
+      position += header + 1;
+      i += header + 1;
+    } else if (header !== -128) {
+      output.fill(input[i++], position, Math.min(position + 1 - header, size));
+      position += 1 - header;
+    }
+  }
+
+  return output;
+};
+
+const sampleArray = (format: number, bits: number, length: number): SampleArray => {
+  if (format === 3) {
+    if (bits === 32) return new Float32Array(length);
+    if (bits === 64) return new Float64Array(length);
+  } else if (format === 2) {
+    if (bits === 8) return new Int8Array(length);
+    if (bits === 16) return new Int16Array(length);
+    if (bits === 32) return new Int32Array(length);
+  } else {
+    if (bits === 1 || bits === 8) return new Uint8Array(length);
+    if (bits === 16) return new Uint16Array(length);
+    if (bits === 32) return new Uint32Array(length);
+  }
+
+  throw unsupported('TIFF', `${bits}-bit samples of format ${format}`);
+};
+
+/**
+ * Reads samples from uncompressed chunk bytes respecting the byte order
+ */
+const readSamples = (bytes: Uint8Array, target: SampleArray, bits: number, little: boolean) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const size = bits / 8;
+  const count = Math.min(target.length, Math.floor(bytes.length / size));
+  const getters: Record<string, (offset: number) => number> = {
+    Uint8Array: offset => view.getUint8(offset),
+    Int8Array: offset => view.getInt8(offset),
+    Uint16Array: offset => view.getUint16(offset, little),
+    Int16Array: offset => view.getInt16(offset, little),
+    Uint32Array: offset => view.getUint32(offset, little),
+    Int32Array: offset => view.getInt32(offset, little),
+    Float32Array: offset => view.getFloat32(offset, little),
+    Float64Array: offset => view.getFloat64(offset, little),
+  };
+  const get = getters[target.constructor.name];
+
+  for (let i = 0; i < count; i++) {
+    target[i] = get(i * size);
+  }
+};
+
+const decodePage = async (buffer: ArrayBuffer, fields: Fields, little: boolean): Promise<RasterImage> => {
+  const field = (tag: number, fallback?: number) => fields.get(tag)?.[0] ?? fallback;
+  const width = field(TAG.ImageWidth)!;
+  const height = field(TAG.ImageLength)!;
+  const samples = field(TAG.SamplesPerPixel, 1)!;
+  const bits = field(TAG.BitsPerSample, 1)!;
+  const format = field(TAG.SampleFormat, 1)!;
+  const compression = field(TAG.Compression, COMPRESSION.None)!;
+  const photometric = field(TAG.Photometric, PHOTOMETRIC.BlackIsZero)!;
+  const planar = field(TAG.PlanarConfiguration, 1) === 2;
+  const predictor = field(TAG.Predictor, 1)!;
+  const tiled = fields.has(TAG.TileOffsets);
+
+  if (!width || !height) throw new Error('TIFF page has no size');
+  if (samples > 4) throw unsupported('TIFF', `${samples} samples per pixel`);
+  if (fields.get(TAG.BitsPerSample)?.some(value => value !== bits)) {
+    throw unsupported('TIFF', 'different bit depths of samples');
+  }
+  if (bits === 1 && samples > 1) throw unsupported('TIFF', '1-bit color images');
+  if (![PHOTOMETRIC.WhiteIsZero, PHOTOMETRIC.BlackIsZero, PHOTOMETRIC.RGB, PHOTOMETRIC.Palette].includes(photometric)) {
+    throw unsupported('TIFF', `photometric interpretation ${photometric}`);
+  }
+  if (predictor !== 1 && predictor !== 2) throw unsupported('TIFF', `predictor ${predictor}`);
+  if (!Object.values(COMPRESSION).includes(compression)) throw unsupported('TIFF', `compression ${compression}`);
+
+  const chunkWidth = tiled ? field(TAG.TileWidth)! : width;
+  const chunkHeight = tiled ? field(TAG.TileLength)! : Math.min(field(TAG.RowsPerStrip, height)!, height);
+  const offsets = fields.get(tiled ? TAG.TileOffsets : TAG.StripOffsets) ?? [];
+  const byteCounts = fields.get(tiled ? TAG.TileByteCounts : TAG.StripByteCounts) ?? [];
+  const across = Math.ceil(width / chunkWidth);
+  const perPlane = across * Math.ceil(height / chunkHeight);
+  const chunkSamples = planar ? 1 : samples;
+  // rows of 1-bit images are padded to whole bytes
+  const rowBytes = Math.ceil(chunkWidth * chunkSamples * bits / 8);
+  const chunkBytes = rowBytes * chunkHeight;
+  const data = sampleArray(format, bits, width * height * samples);
+
+  for (let index = 0; index < offsets.length; index++) {
+    const plane = planar ? Math.floor(index / perPlane) : 0;
+    const local = index % perPlane;
+    const x0 = (local % across) * chunkWidth;
+    const y0 = Math.floor(local / across) * chunkHeight;
+    const raw = new Uint8Array(buffer, offsets[index], byteCounts[index] ?? chunkBytes);
+    let bytes: Uint8Array;
+
+    if (compression === COMPRESSION.LZW) {
+      bytes = decodeLZW(raw, chunkBytes);
+    } else if (compression === COMPRESSION.PackBits) {
+      bytes = decodePackBits(raw, chunkBytes);
+    } else if (compression === COMPRESSION.Deflate || compression === COMPRESSION.DeflateOld) {
+      bytes = await inflate(raw);
+    } else {
+      bytes = raw;
+    }
+
+    let chunk: SampleArray;
+
+    if (bits === 1) {
+      chunk = new Uint8Array(chunkWidth * chunkHeight);
+      for (let y = 0; y < chunkHeight; y++) {
+        for (let x = 0; x < chunkWidth; x++) {
+          chunk[y * chunkWidth + x] = (bytes[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1 ? 255 : 0;
+        }
+      }
+    } else {
+      chunk = sampleArray(format, bits, chunkWidth * chunkHeight * chunkSamples);
+      readSamples(bytes, chunk, bits, little);
+    }
+
+    if (predictor === 2) {
+      const rowLength = chunkWidth * chunkSamples;
+
+      for (let y = 0; y < chunkHeight; y++) {
+        for (let i = y * rowLength + chunkSamples; i < (y + 1) * rowLength; i++) {
+          chunk[i] += chunk[i - chunkSamples];
+        }
+      }
+    }
+
+    const rows = Math.min(chunkHeight, height - y0);
+    const columns = Math.min(chunkWidth, width - x0);
+
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < columns; x++) {
+        const target = ((y0 + y) * width + x0 + x) * samples;
+        const source = (y * chunkWidth + x) * chunkSamples;
+
+        if (planar) {
+          data[target + plane] = chunk[source];
+        } else {
+          for (let s = 0; s < samples; s++) data[target + s] = chunk[source + s];
+        }
+      }
+    }
+  }
+
+  if (photometric === PHOTOMETRIC.Palette) {
+    const colorMap = fields.get(TAG.ColorMap);
+
+    if (!colorMap) throw new Error('TIFF palette image has no color map');
+
+    const colors = 1 << bits;
+    const rgb = new Uint8Array(width * height * 3);
+
+    for (let i = 0; i < width * height; i++) {
+      const color = data[i];
+
+      rgb[i * 3] = colorMap[color] >> 8;
+      rgb[i * 3 + 1] = colorMap[colors + color] >> 8;
+      rgb[i * 3 + 2] = colorMap[2 * colors + color] >> 8;
+    }
+
+    return { width, height, channels: 3, data: rgb };
+  }
+
+  return { width, height, channels: samples, data, inverted: photometric === PHOTOMETRIC.WhiteIsZero };
+};
+
+export const TiffDecoder: ImageDecoder = {
+  id: 'tiff',
+
+  detect(bytes) {
+    return (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0)
+      || (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42);
+  },
+
+  async decode(buffer) {
+    const view = new DataView(buffer);
+    const little = view.getUint16(0) === 0x4949;
+    const pages: RasterImage[] = [];
+    const visited = new Set<number>();
+    let offset = view.getUint32(4, little);
+
+    if (view.getUint16(2, little) !== 42) throw unsupported('TIFF', 'BigTIFF');
+
+    // offsets are checked to not loop forever on broken files
+    while (offset && !visited.has(offset)) {
+      visited.add(offset);
+
+      const { fields, next } = readIFD(view, offset, little);
+
+      // reduced resolution versions of the previous page are not pages
+      if (!((fields.get(TAG.NewSubfileType)?.[0] ?? 0) & 1)) {
+        pages.push(await decodePage(buffer, fields, little));
+      }
+
+      offset = next;
+    }
+
+    return pages;
+  },
+};
@@ -0,0 +1,130 @@
+import { maskToRLE } from '../mask-vector';
+import {
+  boxOfPoints,
+  brushResult,
+  findControl,
+  Importer,
+  matchImage,
+  parseJSON,
+  Point,
+  POLYGON_TYPES,
+  RECT_TYPES,
+  sameFile,
+  SerializedResult,
+  shapeResult
+} from './common';
+
+/**
+ * Counts of compressed COCO RLE string, see `rleFrString` of pycocotools
+ */
+export const decodeCocoCounts = (value: string) => {
+  const counts: number[] = [];
+  let position = 0;
+
+  while (position < value.length) {
+    let count = 0;
+    let shift = 0;
+    let more = true;
+
+    while (more) {
+      const char = value.charCodeAt(position) - 48;
+
+      count |= (char & 0x1f) << (5 * shift);
+      more = !!(char & 0x20);
+      position++;
+      shift++;
+      if (!more && (char & 0x10)) count |= -1 << (5 * shift);
+    }
+    if (counts.length > 2) count += counts[counts.length - 2];
+    counts.push(count);
+  }
+  return counts;
+};
+
+/**
+ * Converts COCO RLE (column-major runs starting with background) to Label Studio brush RLE of RGBA pixels
+ */
+export const cocoRLEToBrush = (segmentation: { size: [number, number], counts: number[] | string }) => {
+  const [height, width] = segmentation.size;
+  const counts = typeof segmentation.counts === 'string' ? decodeCocoCounts(segmentation.counts) : segmentation.counts;
+  const mask = new Uint8Array(width * height);
+  let index = 0;
+
+  counts.forEach((count, i) => {
+    if (i % 2) {
+      for (let k = index; k < index + count; k++) {
+        // column-major index to row-major one
+        mask[(k % height) * width + Math.floor(k / height)] = 1;
+      }
+    }
+    index += count;
+  });
+
+  return maskToRLE(mask, width, height);
+};
+
+export const CocoImporter: Importer = {
+  id: 'coco',
+  title: 'COCO',
+
+  detect(data) {
+    const json = parseJSON(data);
+
+    return Array.isArray(json?.annotations) && Array.isArray(json?.categories) && Array.isArray(json?.images);
+  },
+
+  import(data, context, options = {}) {
+    const json = parseJSON(data);
+    const categories = new Map<number, string>(json.categories.map((category: any) => [category.id, category.name]));
+    const results: SerializedResult[] = [];
+    const unknown = new Set<string>();
+
+    json.images.forEach((cocoImage: any) => {
+      // file with a single image can be imported to the task with differently named image
+      const image = json.images.length === 1
+        ? matchImage(context, options.fileName ?? cocoImage.file_name)
+        : context.images.find(image => sameFile(image.url, cocoImage.file_name));
+
+      if (!image) return;
+
+      const size = { width: cocoImage.width, height: cocoImage.height };
+      const percents = ([x, y]: Point): Point => [x / size.width * 100, y / size.height * 100];
+
+      json.annotations.filter((item: any) => item.image_id === cocoImage.id).forEach((item: any) => {
+        const category = categories.get(item.category_id) ?? String(item.category_id);
+        const segmentation = item.segmentation;
+        const [bx, by, bw, bh] = item.bbox ?? [0, 0, 0, 0];
+        const box = { x: bx / size.width * 100, y: by / size.height * 100, width: bw / size.width * 100, height: bh / size.height * 100 };
+
+        if (segmentation && !Array.isArray(segmentation)) {
+          const brush = findControl(context, image, category, ['brushlabels']);
+
+          if (brush) {
+            results.push(brushResult(brush, size, cocoRLEToBrush(segmentation)));
+            return;
+          }
+        }
+
+        const polygons: Point[][] = Array.isArray(segmentation)
+          ? segmentation.map((flat: number[]) => {
+            const points: Point[] = [];
+
+            for (let i = 0; i + 1 < flat.length; i += 2) points.push(percents([flat[i], flat[i + 1]]));
+            return points;
+          }).filter((points: Point[]) => points.length > 2)
+          : [];
+        const match = findControl(context, image, category, polygons.length ? POLYGON_TYPES : RECT_TYPES);
+
+        if (!match) {
+          unknown.add(category);
+        } else if (polygons.length && match.control.type === 'polygonlabels') {
+          polygons.forEach(points => results.push(shapeResult(match, size, { box: boxOfPoints(points), points })));
+        } else {
+          results.push(shapeResult(match, size, { box: item.bbox ? box : boxOfPoints(polygons.flat()) }));
+        }
+      });
+    });
+
+    return { results, unknown: [...unknown] };
+  },
+};
@@ -0,0 +1,148 @@
+import { guidGenerator } from '../unique';
+
+export type SerializedResult = Record<string, any>;
+
+export interface ImportControl {
+  name: string;
+  toName: string;
+  // control tag type, e.g. `rectanglelabels`
+  type: string;
+  labels: { value: string, alias?: string | null }[];
+}
+
+export interface ImportImage {
+  // name of the object tag
+  name: string;
+  url: string;
+  width: number | null;
+  height: number | null;
+}
+
+export interface ImportContext {
+  images: ImportImage[];
+  controls: ImportControl[];
+}
+
+export interface ImportOptions {
+  // file name of the image the data belongs to, for formats with one file per image
+  fileName?: string;
+  // class names by their index, for YOLO
+  classes?: string[] | string;
+}
+
+export interface ImportOutput {
+  results: SerializedResult[];
+  // categories which don't match any label of the config
+  unknown: string[];
+}
+
+export interface Importer {
+  id: string;
+  title: string;
+  // whether the data looks like this format
+  detect(data: any): boolean;
+  import(data: any, context: ImportContext, options?: ImportOptions): ImportOutput;
+}
+
+export type Point = [number, number];
+
+export const basename = (url: string) => {
+  const name = url.split(/[?#]/)[0].split('/').pop() ?? '';
+
+  return decodeURIComponent(name);
+};
+
+const stem = (filename: string) => basename(filename).replace(/\.[^.]*$/, '');
+
+// files are compared without extensions, annotation files are named after images
+export const sameFile = (a: string, b: string) => stem(a) === stem(b);
+
+/**
+ * Image tag the imported file belongs to: by file name, or the only image of the config
+ */
+export const matchImage = (context: ImportContext, fileName?: string | null) => {
+  const byName = fileName && context.images.find(image => sameFile(image.url, fileName));
+
+  if (byName) return byName;
+  return context.images.length === 1 ? context.images[0] : null;
+};
+
+export const parseJSON = (data: any) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Control tag of one of the given types connected to the image and having the label;
+ * categories are matched to label values, then to aliases and then case-insensitively
+ */
+export const findControl = (context: ImportContext, image: ImportImage, category: string, types: string[]) => {
+  const controls = types.flatMap(type => context.controls.filter(control => control.type === type && control.toName === image.name));
+  const matchers = [
+    (label: ImportControl['labels'][number]) => label.value === category,
+    (label: ImportControl['labels'][number]) => label.alias === category,
+    (label: ImportControl['labels'][number]) => label.value.toLowerCase() === category.toLowerCase(),
+  ];
+
+  for (const matches of matchers) {
+    for (const control of controls) {
+      const label = control.labels.find(matches);
+
+      if (label) return { control, label: label.value };
+    }
+  }
+  return null;
+};
+
+interface Size {
+  width: number;
+  height: number;
+}
+
+const imageResult = (control: ImportControl, size: Partial<Size>, value: Record<string, any>) => ({
+  id: guidGenerator(),
+  from_name: control.name,
+  to_name: control.toName,
+  type: control.type,
+  ...(size.width && size.height ? { original_width: size.width, original_height: size.height, image_rotation: 0 } : {}),
+  value,
+});
+
+/**
+ * Region in one of the given control types; box and points are in percents of the image
+ */
+export const shapeResult = (
+  match: { control: ImportControl, label: string },
+  size: Partial<Size>,
+  shape: { box: { x: number, y: number, width: number, height: number }, points?: Point[] },
+) => {
+  const { control, label } = match;
+
+  if (control.type === 'polygonlabels') {
+    const { x, y, width, height } = shape.box;
+    const points = shape.points ?? [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+
+    return imageResult(control, size, { points, closed: true, polygonlabels: [label] });
+  }
+  return imageResult(control, size, { ...shape.box, rotation: 0, rectanglelabels: [label] });
+};
+
+export const brushResult = (match: { control: ImportControl, label: string }, size: Size, rle: number[]) => {
+  return imageResult(match.control, size, { format: 'rle', rle, brushlabels: [match.label] });
+};
+
+export const boxOfPoints = (points: Point[]) => {
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+export const RECT_TYPES = ['rectanglelabels', 'polygonlabels'];
+export const POLYGON_TYPES = ['polygonlabels', 'rectanglelabels'];
@@ -0,0 +1,71 @@
+/**
+ * Import of pre-annotations from common dataset formats.
+ * Importers turn files or task data fields into results of the configured control tags;
+ * host can register its own with `registerImporter()`.
+ */
+import { CocoImporter } from './coco';
+import { ImportContext, Importer, ImportOptions, ImportOutput } from './common';
+import { VocImporter } from './voc';
+import { YoloImporter } from './yolo';
+
+export * from './common';
+export { cocoRLEToBrush, decodeCocoCounts } from './coco';
+
+const registry = new Map<string, Importer>();
+
+export const registerImporter = (importer: Importer) => {
+  registry.set(importer.id, importer);
+};
+
+export const unregisterImporter = (id: string) => {
+  registry.delete(id);
+};
+
+export const getImporters = () => [...registry.values()];
+
+export const getImporter = (id: string) => registry.get(id);
+
+[CocoImporter, YoloImporter, VocImporter].forEach(registerImporter);
+
+/**
+ * Image tags and labels of control tags results can be imported to
+ * @param annotationStore store with initialized config tree
+ */
+export const createImportContext = (annotationStore: any): ImportContext => {
+  const tags = Array.from(annotationStore.names.values()) as any[];
+
+  return {
+    images: tags.filter(tag => tag.type === 'image').map(tag => ({
+      name: tag.name,
+      // only the first image of multi-image tag
+      url: String(tag.images?.[0] ?? ''),
+      width: tag.naturalWidth || null,
+      height: tag.naturalHeight || null,
+    })),
+    controls: tags.filter(tag => tag.isControlTag && tag.toname).map(tag => ({
+      name: tag.name,
+      toName: tag.toname,
+      type: tag.type,
+      labels: (tag.labelSetItems ?? tag.children ?? [])
+        .filter((item: any) => item.value)
+        .map((item: any) => ({ value: item.value, alias: item.alias })),
+    })),
+  };
+};
+
+/**
+ * Converts data with importer of the given format or the first one recognizing the data
+ */
+export const importData = (
+  data: any,
+  context: ImportContext,
+  { format, ...options }: ImportOptions & { format?: string } = {},
+): ImportOutput & { importer: Importer } => {
+  const importer = format ? getImporter(format) : getImporters().find(item => item.detect(data));
+
+  if (!importer) {
+    throw new Error(format ? `Unknown import format "${format}"` : 'Format of imported data is not recognized');
+  }
+
+  return { importer, ...importer.import(data, context, options) };
+};
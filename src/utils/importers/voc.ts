@@ -0,0 +1,57 @@
+import { findControl, Importer, matchImage, RECT_TYPES, SerializedResult, shapeResult } from './common';
+
+const parseXML = (data: any) => {
+  if (typeof data !== 'string' || !data.includes('<annotation')) return null;
+
+  const doc = new DOMParser().parseFromString(data, 'application/xml');
+
+  return doc.querySelector('parsererror') ? null : doc.querySelector('annotation');
+};
+
+const numberOf = (element: Element | null, selector: string) => Number(element?.querySelector(selector)?.textContent ?? NaN);
+
+/**
+ * Pascal VOC XML of a single image; boxes are imported as rectangles or polygons
+ */
+export const VocImporter: Importer = {
+  id: 'voc',
+  title: 'Pascal VOC XML',
+
+  detect(data) {
+    return !!parseXML(data);
+  },
+
+  import(data, context, options = {}) {
+    const root = parseXML(data);
+    const results: SerializedResult[] = [];
+    const unknown = new Set<string>();
+    const image = root && matchImage(context, options.fileName ?? root.querySelector(':scope > filename')?.textContent);
+
+    if (!root || !image) return { results, unknown: [] };
+
+    const size = root.querySelector(':scope > size');
+    const width = numberOf(size, 'width') || image.width;
+    const height = numberOf(size, 'height') || image.height;
+
+    if (!width || !height) return { results, unknown: [] };
+
+    root.querySelectorAll(':scope > object').forEach(object => {
+      const category = object.querySelector('name')?.textContent?.trim() ?? '';
+      const box = object.querySelector('bndbox');
+      const [xmin, ymin, xmax, ymax] = ['xmin', 'ymin', 'xmax', 'ymax'].map(name => numberOf(box, name));
+      const match = findControl(context, image, category, RECT_TYPES);
+
+      if (!match) return unknown.add(category);
+      results.push(shapeResult(match, { width, height }, {
+        box: {
+          x: xmin / width * 100,
+          y: ymin / height * 100,
+          width: (xmax - xmin) / width * 100,
+          height: (ymax - ymin) / height * 100,
+        },
+      }));
+    });
+
+    return { results, unknown: [...unknown] };
+  },
+};
@@ -0,0 +1,66 @@
+import { boxOfPoints, findControl, Importer, matchImage, Point, POLYGON_TYPES, RECT_TYPES, SerializedResult, shapeResult } from './common';
+
+const LINE = /^\d+(\s+-?\d*\.?\d+(e-?\d+)?)+$/i;
+
+const linesOf = (content: string) => content.split('\n').map(line => line.trim()).filter(Boolean);
+
+const contentOf = (data: any): string | null => {
+  if (typeof data === 'string') return data;
+  return typeof data?.content === 'string' ? data.content : null;
+};
+
+const classesOf = (classes?: string[] | string) => {
+  if (!classes) return [];
+  return Array.isArray(classes) ? classes : linesOf(classes);
+};
+
+/**
+ * YOLO txt of a single image: `class cx cy w h` boxes or `class x1 y1 x2 y2 ...` polygons in normalized coordinates.
+ * Data is either txt content or `{ content, classes }`; class names can be also passed with `classes` option.
+ */
+export const YoloImporter: Importer = {
+  id: 'yolo',
+  title: 'YOLO',
+
+  detect(data) {
+    const content = contentOf(data);
+    const lines = content ? linesOf(content) : [];
+
+    return lines.length > 0 && lines.every(line => LINE.test(line));
+  },
+
+  import(data, context, options = {}) {
+    const image = matchImage(context, options.fileName ?? data?.fileName);
+    const classes = classesOf(options.classes ?? data?.classes);
+    const results: SerializedResult[] = [];
+    const unknown = new Set<string>();
+
+    if (!image) return { results, unknown: [] };
+
+    const size = { width: image.width ?? undefined, height: image.height ?? undefined };
+
+    linesOf(contentOf(data) ?? '').forEach(line => {
+      const [index, ...coords] = line.split(/\s+/).map(Number);
+      const category = classes[index] ?? String(index);
+
+      if (coords.length === 4) {
+        const [cx, cy, w, h] = coords.map(value => value * 100);
+        const match = findControl(context, image, category, RECT_TYPES);
+
+        if (!match) return unknown.add(category);
+        results.push(shapeResult(match, size, { box: { x: cx - w / 2, y: cy - h / 2, width: w, height: h } }));
+      } else {
+        const points: Point[] = [];
+
+        for (let i = 0; i + 1 < coords.length; i += 2) points.push([coords[i] * 100, coords[i + 1] * 100]);
+
+        const match = findControl(context, image, category, POLYGON_TYPES);
+
+        if (!match) return unknown.add(category);
+        results.push(shapeResult(match, size, { box: boxOfPoints(points), points }));
+      }
+    });
+
+    return { results, unknown: [...unknown] };
+  },
+};
@@ -0,0 +1,210 @@
+/**
+ * Operations for runtime editing of Label/Choice children of control tags
+ * and helpers to apply them to XML config and to serialized results.
+ */
+
+type LabelSetAttrs = Record<string, string | boolean | number | null | undefined>;
+
+export type LabelSetOperation =
+  | { action: 'add', value: string, color?: string, index?: number, attrs?: LabelSetAttrs }
+  | { action: 'rename', value: string, newValue: string }
+  | { action: 'recolor', value: string, color: string | null }
+  | { action: 'move', value: string, index: number }
+  | { action: 'remove', value: string };
+
+// attributes which are not part of XML config and should not be restored from model snapshot
+const INTERNAL_ATTRS = ['id', 'type', 'children', '_value', 'visible', 'parentTypes', 'tagName'];
+
+export const childTagName = (controlTagName: string) => {
+  if (/choices$/i.test(controlTagName)) return 'Choice';
+  if (/labels$/i.test(controlTagName)) return 'Label';
+  return null;
+};
+
+export const colorAttrName = (childTag: string) => (childTag.toLowerCase() === 'choice' ? 'color' : 'background');
+
+/**
+ * Clean up model snapshot of Label/Choice to keep only attributes from config
+ */
+export const labelSetAttrs = (snapshot: Record<string, any>): LabelSetAttrs => {
+  return Object.fromEntries(Object.entries(snapshot).filter(([key, value]) => {
+    return !INTERNAL_ATTRS.includes(key) && value !== null && value !== undefined && typeof value !== 'object';
+  }));
+};
+
+/**
+ * Translates index among label set items into index among all the children
+ * (there can be Header or View between Labels)
+ */
+export const childIndexFor = <T>(children: T[], items: T[], index?: number) => {
+  if (index === undefined || index >= items.length) {
+    const last = items[items.length - 1];
+
+    return last ? children.indexOf(last) + 1 : children.length;
+  }
+
+  return children.indexOf(items[Math.max(0, index)]);
+};
+
+const findControl = (doc: Document, name: string) => {
+  return Array.from(doc.getElementsByTagName('*')).find(node => node.getAttribute('name') === name);
+};
+
+/**
+ * Applies label set operations to XML config
+ * @param {string} config XML config
+ * @param {string} controlName name of control tag
+ * @param {LabelSetOperation[]} operations
+ * @returns {string} new XML config
+ */
+export const applyLabelSetToConfig = (config: string, controlName: string, operations: LabelSetOperation[]) => {
+  const doc = new DOMParser().parseFromString(config, 'application/xml');
+  const control = findControl(doc, controlName);
+
+  if (!control) throw new Error(`Control tag "${controlName}" not found in config`);
+
+  const childTag = childTagName(control.tagName);
+
+  if (!childTag) throw new Error(`Tag "${control.tagName}" doesn't have editable labels`);
+
+  const colorAttr = colorAttrName(childTag);
+  const items = () => Array.from(control.children).filter(node => node.tagName === childTag);
+  const findItem = (value: string) => items().find(node => node.getAttribute('value') === value);
+  const insertAt = (node: Element, index?: number) => {
+    const children = Array.from(control.children);
+    const before = children[childIndexFor(children, items(), index)];
+
+    control.insertBefore(node, before ?? null);
+  };
+
+  operations.forEach(op => {
+    if (op.action === 'add') {
+      const node = doc.createElement(childTag);
+
+      Object.entries({ ...op.attrs, value: op.value }).forEach(([key, val]) => {
+        if (val !== null && val !== undefined) node.setAttribute(key, String(val));
+      });
+      if (op.color) node.setAttribute(colorAttr, op.color);
+      insertAt(node, op.index);
+      return;
+    }
+
+    const node = findItem(op.value);
+
+    if (!node) return;
+
+    switch (op.action) {
+      case 'rename':
+        node.setAttribute('value', op.newValue);
+        break;
+      case 'recolor':
+        if (op.color) node.setAttribute(colorAttr, op.color);
+        else node.removeAttribute(colorAttr);
+        break;
+      case 'move':
+        control.removeChild(node);
+        insertAt(node, op.index);
+        break;
+      case 'remove':
+        control.removeChild(node);
+        break;
+    }
+  });
+
+  return new XMLSerializer().serializeToString(doc);
+};
+
+/**
+ * Calculates operations to turn one list of labels into another
+ */
+export const diffLabelSet = (prev: string[], next: string[]): LabelSetOperation[] => {
+  const ops: LabelSetOperation[] = [];
+  const current = prev.filter(value => {
+    if (next.includes(value)) return true;
+    ops.push({ action: 'remove', value });
+    return false;
+  });
+
+  next.forEach((value, index) => {
+    const currentIndex = current.indexOf(value);
+
+    if (currentIndex === index) return;
+    if (currentIndex < 0) {
+      ops.push({ action: 'add', value, index });
+    } else {
+      ops.push({ action: 'move', value, index });
+      current.splice(currentIndex, 1);
+    }
+    current.splice(index, 0, value);
+  });
+
+  return ops;
+};
+
+export const renameLabelInValue = (value: any, from: string, to: string): any => {
+  if (Array.isArray(value)) return value.map(v => renameLabelInValue(v, from, to));
+  return value === from ? to : value;
+};
+
+export const valueHasLabel = (value: any, search: string): boolean => {
+  if (Array.isArray(value)) return value.some(v => valueHasLabel(v, search));
+  return value === search;
+};
+
+const isLabelKey = (key: string) => key === 'choices' || key.endsWith('labels');
+
+/**
+ * Renames label in result `value` object for all labeling keys;
+ * returns the same object if there is nothing to rename
+ */
+export const renameLabelInResultValue = <T extends Record<string, any>>(value: T, from: string, to: string): T => {
+  if (!value) return value;
+
+  const keys = Object.keys(value).filter(key => isLabelKey(key) && valueHasLabel(value[key], from));
+
+  if (!keys.length) return value;
+
+  return keys.reduce((res, key) => ({ ...res, [key]: renameLabelInValue(value[key], from, to) }), { ...value });
+};
+
+const cleanUpId = (id: string) => id.replace(/@.*/, '');
+
+/**
+ * Renames label in the list of serialized results (drafts, predictions, etc.)
+ */
+export const renameLabelInResults = (results: any[] | undefined, controlName: string, from: string, to: string) => {
+  if (!Array.isArray(results)) return results;
+
+  return results.map(result => {
+    if (result?.from_name !== controlName) return result;
+
+    const value = renameLabelInResultValue(result.value, from, to);
+
+    return value === result.value ? result : { ...result, value };
+  });
+};
+
+/**
+ * Renames label in annotation's tracked state snapshot (the one stored in undo history).
+ * `from_name` in snapshots are references to control tags, so they can have annotation id suffix
+ */
+export const renameLabelInSnapshot = (snapshot: any, controlName: string, from: string, to: string) => {
+  if (!snapshot?.areas) return snapshot;
+
+  let changed = false;
+  const areas = Object.fromEntries(Object.entries(snapshot.areas).map(([id, area]: [string, any]) => {
+    const results = area.results?.map((result: any) => {
+      if (cleanUpId(String(result.from_name)) !== controlName) return result;
+
+      const value = renameLabelInResultValue(result.value, from, to);
+
+      if (value === result.value) return result;
+      changed = true;
+      return { ...result, value };
+    });
+
+    return [id, results ? { ...area, results } : area];
+  }));
+
+  return changed ? { ...snapshot, areas } : snapshot;
+};
@@ -0,0 +1,254 @@
+import Papa from 'papaparse';
+
+export type LabelSourceId = string | number;
+
+export interface LabelSourceItem {
+  id?: LabelSourceId;
+  value: string;
+  parent?: LabelSourceId | null;
+  children?: LabelSourceItem[];
+}
+
+export interface LabelSourceQuery {
+  page: number;
+  pageSize: number;
+  query: string;
+}
+
+export interface LabelSourcePage {
+  items: LabelSourceItem[];
+  total?: number;
+  hasMore?: boolean;
+}
+
+/**
+ * Host provided loader. Returning an array means "that's the whole list",
+ * so paging and search will be done locally; returning `LabelSourcePage`
+ * means the host did the paging and search itself.
+ */
+export type LabelSourceFunction = (query: LabelSourceQuery) =>
+  LabelSourceItem[] | LabelSourcePage | Promise<LabelSourceItem[] | LabelSourcePage>;
+
+/**
+ * Anything that can be passed as `labelSource` to the `LabelStudio` constructor:
+ * - sync or async function
+ * - local JSON or CSV file (`File`/`Blob`, e.g. from `<input type="file">`)
+ * - url of JSON or CSV file
+ * - plain list of labels
+ */
+export type LabelSourceOption = LabelSourceFunction | Blob | string | LabelSourceItem[];
+
+/**
+ * Flat label option; hierarchy is kept with `parent` id and `path` of values from the root
+ */
+export interface LabelOption {
+  id: LabelSourceId;
+  value: string;
+  parent: LabelSourceId | null;
+  path: string[];
+}
+
+export interface LabelOptionsPage {
+  items: LabelOption[];
+  total: number | null;
+  hasMore: boolean;
+}
+
+export interface LabelSource {
+  load(query: Partial<LabelSourceQuery>): Promise<LabelOptionsPage>;
+}
+
+export const LABEL_SOURCE_PAGE_SIZE = 50;
+
+const isPage = (data: any): data is LabelSourcePage => Array.isArray(data?.items);
+
+/**
+ * Converts nested `children` and `parent` references into the flat list of options with full paths
+ */
+export const flattenLabelItems = (items: LabelSourceItem[]): LabelOption[] => {
+  const result: LabelOption[] = [];
+  const byId = new Map<LabelSourceId, LabelOption>();
+
+  const walk = (list: LabelSourceItem[], parent: LabelOption | null) => {
+    list.forEach(item => {
+      if (!item || item.value === undefined || item.value === null) return;
+
+      const value = String(item.value);
+      const id = item.id ?? (parent ? `${parent.id}/${value}` : value);
+      const option: LabelOption = {
+        id,
+        value,
+        parent: parent?.id ?? item.parent ?? null,
+        path: parent ? [...parent.path, value] : [value],
+      };
+
+      result.push(option);
+      byId.set(id, option);
+      if (item.children?.length) walk(item.children, option);
+    });
+  };
+
+  walk(items, null);
+
+  // flat lists may refer to parents by id, so resolve full paths after all items are known
+  const resolvePath = (option: LabelOption, seen = new Set<LabelSourceId>()): string[] => {
+    const parent = option.parent !== null ? byId.get(option.parent) : undefined;
+
+    if (!parent || seen.has(parent.id)) return [option.value];
+    seen.add(option.id);
+    return [...resolvePath(parent, seen), option.value];
+  };
+
+  result.forEach(option => {
+    if (option.path.length === 1 && option.parent !== null) option.path = resolvePath(option);
+  });
+
+  return result;
+};
+
+export const matchLabelOption = (option: LabelOption, query: string) => {
+  if (!query) return true;
+
+  const needle = query.toLowerCase();
+
+  return option.path.some(value => value.toLowerCase().includes(needle));
+};
+
+/**
+ * Local search and paging for the sources returning the whole list at once
+ */
+export const paginateLabelOptions = (
+  options: LabelOption[],
+  { page, pageSize, query }: LabelSourceQuery,
+): LabelOptionsPage => {
+  const filtered = options.filter(option => matchLabelOption(option, query));
+  const start = (page - 1) * pageSize;
+
+  return {
+    items: filtered.slice(start, start + pageSize),
+    total: filtered.length,
+    hasMore: start + pageSize < filtered.length,
+  };
+};
+
+/**
+ * Parses content of JSON or CSV file. JSON can be a list of labels or an object
+ * with list in `items`, `labels` or `body` field. CSV should have a header with
+ * `value` column and optional `id` and `parent` columns.
+ */
+export const parseLabelFile = (content: string, format?: 'json' | 'csv'): LabelSourceItem[] => {
+  const text = content.trim();
+  const type = format ?? (/^[[{]/.test(text) ? 'json' : 'csv');
+
+  if (type === 'json') {
+    const data = JSON.parse(text);
+    const list = Array.isArray(data) ? data : data?.items ?? data?.labels ?? data?.body;
+
+    if (!Array.isArray(list)) throw new Error('Label file should contain a list of labels');
+
+    return list.map((item: any) => (typeof item === 'string' ? { value: item } : item));
+  }
+
+  const { data, meta: { fields = [] } } = Papa.parse<Record<string, string>>(text, {
+    header: true,
+    skipEmptyLines: true,
+  });
+  const valueField = fields.includes('value') ? 'value' : fields[0];
+
+  return data.map(row => ({
+    id: row.id || undefined,
+    value: row[valueField],
+    parent: row.parent || null,
+  }));
+};
+
+const formatFromName = (name?: string) => {
+  const ext = name?.split(/[?#]/)[0].split('.').pop()?.toLowerCase();
+
+  return ext === 'csv' || ext === 'json' ? ext : undefined;
+};
+
+const readBlob = (blob: Blob): Promise<string> => {
+  if (typeof blob.text === 'function') return blob.text();
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = () => resolve(String(reader.result ?? ''));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+};
+
+/**
+ * Source with the whole list loaded once and then searched and paged locally
+ */
+const createStaticSource = (loadAll: () => Promise<LabelSourceItem[]>): LabelSource => {
+  let options: Promise<LabelOption[]> | null = null;
+
+  return {
+    async load({ page = 1, pageSize = LABEL_SOURCE_PAGE_SIZE, query = '' }) {
+      if (!options) {
+        options = loadAll().then(flattenLabelItems);
+        // allow to retry after failure
+        options.catch(() => (options = null));
+      }
+
+      return paginateLabelOptions(await options, { page, pageSize, query });
+    },
+  };
+};
+
+const createFunctionSource = (fn: LabelSourceFunction): LabelSource => ({
+  async load({ page = 1, pageSize = LABEL_SOURCE_PAGE_SIZE, query = '' }) {
+    const params = { page, pageSize, query };
+    const data = await fn(params);
+
+    if (isPage(data)) {
+      const total = data.total ?? null;
+      const hasMore = data.hasMore ?? (total !== null ? page * pageSize < total : data.items.length >= pageSize);
+
+      return { items: flattenLabelItems(data.items), total, hasMore };
+    }
+
+    if (!Array.isArray(data)) throw new Error('Label source should return a list of labels');
+
+    return paginateLabelOptions(flattenLabelItems(data), params);
+  },
+});
+
+/**
+ * Creates a unified loader from any supported `labelSource` option
+ * @param {LabelSourceOption} source
+ * @returns {LabelSource | null} `null` if there is no source configured
+ */
+export const createLabelSource = (source?: LabelSourceOption | null): LabelSource | null => {
+  if (!source) return null;
+
+  if (typeof source === 'function') return createFunctionSource(source);
+
+  if (Array.isArray(source)) return createStaticSource(async () => source);
+
+  if (typeof source === 'string') {
+    return createStaticSource(async () => {
+      const response = await fetch(source);
+
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`.trim());
+
+      const isCSV = response.headers.get('content-type')?.includes('csv');
+
+      return parseLabelFile(await response.text(), isCSV ? 'csv' : formatFromName(source));
+    });
+  }
+
+  if (typeof Blob !== 'undefined' && source instanceof Blob) {
+    return createStaticSource(async () => {
+      const name = (source as File).name;
+      const format = formatFromName(name) ?? (source.type.includes('csv') ? 'csv' : undefined);
+
+      return parseLabelFile(await readBlob(source), format);
+    });
+  }
+
+  throw new Error('Unsupported label source');
+};
@@ -1,113 +1,71 @@
-/* eslint-disable */
+import { FastPoint2D, Scissors } from './scissors';
+import { simplifyLine } from './mask-vector';
 
-export function Livewire() {}
+// max deviation of simplified contours from traced edges, in pixels
+const SIMPLIFY_TOLERANCE = 1;
 
-this.mousedown = function(event) {
-  // first time
-  if (!self.started) {
-    self.started = true;
-    self.x0 = event._x;
-    self.y0 = event._y;
-    // clear vars
-    clearPaths();
-    clearParentPoints();
-    // do the training from the first point
-    var p = new dwv.math.FastPoint2D(event._x, event._y);
-    scissors.doTraining(p);
-    // add the initial point to the path
-    var p0 = new dwv.math.Point2D(event._x, event._y);
-    path.addPoint(p0);
-    path.addControlPoint(p0);
-  } else {
-    // final point: at 'tolerance' of the initial point
-    if (Math.abs(event._x - self.x0) < tolerance && Math.abs(event._y - self.y0) < tolerance) {
-      // draw
-      self.mousemove(event);
-      // listen
-      command.onExecute = fireEvent;
-      command.onUndo = fireEvent;
-      // debug
-      // save command in undo stack
-      app.addToUndoStack(command);
-      // set flag
-      self.started = false;
-    }
-    // anchor point
-    else {
-      path = currentPath;
-      clearParentPoints();
-      var pn = new dwv.math.FastPoint2D(event._x, event._y);
-      scissors.doTraining(pn);
-      path.addControlPoint(currentPath.getPoint(0));
-    }
+/**
+ * Live wire over the image: contours from the current anchor to any point follow the image edges.
+ * All coords are integer pixels of the image data passed to the constructor.
+ */
+export class Livewire {
+  /**
+   * @param {ImageData} imageData RGBA pixels of the image
+   */
+  constructor({ data, width, height }) {
+    this.width = width;
+    this.height = height;
+    this.scissors = new Scissors();
+    this.scissors.setDimensions(width, height);
+    this.scissors.setData(data);
   }
-};
 
-this.mousemove = function(event) {
-  if (!self.started) {
-    return;
+  clamp(x, y) {
+    return new FastPoint2D(
+      Math.max(0, Math.min(this.width - 1, Math.round(x))),
+      Math.max(0, Math.min(this.height - 1, Math.round(y))),
+    );
   }
-  // set the point to find the path to
-  var p = new dwv.math.FastPoint2D(event._x, event._y);
-  scissors.setPoint(p);
-  // do the work
-  var results = 0;
-  var stop = false;
-  while (!parentPoints[p.y][p.x] && !stop) {
-    results = scissors.doWork();
 
-    if (results.length === 0) {
-      stop = true;
-    } else {
-      // fill parents
-      for (var i = 0; i < results.length - 1; i += 2) {
-        var _p = results[i];
-        var _q = results[i + 1];
-        parentPoints[_p.y][_p.x] = _q;
-      }
-    }
+  /**
+   * Starts contours from the given point.
+   * On-the-fly training of scissors is not used: it learns only the last traced piece
+   * and makes contours cut through flat areas when the edge changes its appearance.
+   */
+  setAnchor(x, y) {
+    this.scissors.setPoint(this.clamp(x, y));
   }
 
-  // get the path
-  currentPath = new dwv.math.Path();
-  stop = false;
-  while (p && !stop) {
-    currentPath.addPoint(new dwv.math.Point2D(p.x, p.y));
-    if (!parentPoints[p.y]) {
-      stop = true;
-    } else {
-      if (!parentPoints[p.y][p.x]) {
-        stop = true;
-      } else {
-        p = parentPoints[p.y][p.x];
+  /**
+   * Contour from the anchor to the given point along the edges.
+   * The search can be limited to keep mouse moves responsive on big images,
+   * it's continued by the next call then.
+   * @param {number} [maxWork] max number of search steps, every step visits up to 500 points
+   * @return {number[][]} simplified list of [x, y], starting with the anchor;
+   * straight line to the point if it's not reached within `maxWork`
+   */
+  findPath(x, y, maxWork = Infinity) {
+    const { scissors } = this;
+    let p = this.clamp(x, y);
+    let work = 0;
+
+    // search is incremental, points visited for previous targets are reused
+    while (!scissors.visited[p.y][p.x] && scissors.working) {
+      if (work++ >= maxWork) {
+        const anchor = scissors.curPoint;
+
+        return [[anchor.x, anchor.y], [p.x, p.y]];
       }
+      scissors.doWork();
     }
-  }
-  currentPath.appenPath(path);
-
-  // remove previous draw
-  if (shapeGroup) {
-    shapeGroup.destroy();
-  }
-  // create shape
-  var factory = new dwv.tool.RoiFactory();
-  shapeGroup = factory.create(currentPath.pointArray, self.style);
-  shapeGroup.id(dwv.math.guid());
 
-  // get the position group
-  var posGroup = app.getDrawController().getCurrentPosGroup();
-  // add shape group to position group
-  posGroup.add(shapeGroup);
+    const path = [];
 
-  // draw shape command
-  command = new dwv.tool.DrawGroupCommand(shapeGroup, "livewire", app.getDrawController().getDrawLayer());
-  // draw
-  command.execute();
-};
+    while (p) {
+      path.push([p.x, p.y]);
+      p = scissors.parents[p.y][p.x];
+    }
 
-this.dblclick = function(/*event*/) {
-  // save command in undo stack
-  app.addToUndoStack(command);
-  // set flag
-  self.started = false;
-};
+    return simplifyLine(path.reverse(), SIMPLIFY_TOLERANCE);
+  }
+}
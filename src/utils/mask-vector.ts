@@ -0,0 +1,254 @@
+/**
+ * Boolean operations on brush masks and conversion between brush masks and polygons.
+ * Masks are binary arrays of image size in row-major order; brush RLE is an RLE-packed RGBA image
+ * where painted pixels have non-zero alpha. Polygons are in percents of the image size.
+ */
+import { decode, encode } from '@thi.ng/rle-pack';
+
+export type Point = [number, number];
+
+export const maskFromRLE = (rle: number[] | Uint8Array, width: number, height: number) => {
+  const pixels = decode(rle instanceof Uint8Array ? rle : new Uint8Array(rle));
+  const mask = new Uint8Array(width * height);
+
+  for (let i = 0; i < mask.length; i++) mask[i] = pixels[i * 4 + 3] > 0 ? 1 : 0;
+  return mask;
+};
+
+export const maskToRLE = (mask: Uint8Array, width: number, height: number) => {
+  const pixels = new Uint8Array(width * height * 4);
+
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) pixels.fill(255, i * 4, i * 4 + 4);
+  }
+  return Array.from(encode(pixels, pixels.length));
+};
+
+export type MaskOperation = 'union' | 'subtract' | 'intersect';
+
+/**
+ * Combines masks of the same size; `subtract` removes all other masks from the first one
+ */
+export const combineMasks = ([first, ...rest]: Uint8Array[], operation: MaskOperation) => {
+  const result = Uint8Array.from(first);
+
+  rest.forEach(mask => {
+    for (let i = 0; i < result.length; i++) {
+      if (operation === 'union') result[i] |= mask[i];
+      else if (operation === 'intersect') result[i] &= mask[i];
+      else if (mask[i]) result[i] = 0;
+    }
+  });
+  return result;
+};
+
+export const signedArea = (points: Point[]) => {
+  return points.reduce((sum, [x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+
+    return sum + x1 * y2 - x2 * y1;
+  }, 0) / 2;
+};
+
+/**
+ * Traces boundaries of the mask along pixel edges.
+ * Every boundary edge goes clockwise around painted pixels (y axis goes down), so outer contours have
+ * positive area and holes have negative one. Pixels touching only by corners belong to different contours.
+ * @returns contours with corner vertices only, in pixels
+ */
+export const traceContours = (mask: Uint8Array, width: number, height: number) => {
+  const filled = (x: number, y: number) => x >= 0 && y >= 0 && x < width && y < height && mask[y * width + x] === 1;
+  const vertex = (x: number, y: number) => y * (width + 1) + x;
+  // directed edges as [x1, y1, x2, y2]
+  const edges: number[][] = [];
+  const outgoing = new Map<number, number[]>();
+  const addEdge = (x1: number, y1: number, x2: number, y2: number) => {
+    const key = vertex(x1, y1);
+
+    outgoing.set(key, [...(outgoing.get(key) ?? []), edges.length]);
+    edges.push([x1, y1, x2, y2]);
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!filled(x, y)) continue;
+      if (!filled(x, y - 1)) addEdge(x, y, x + 1, y);
+      if (!filled(x + 1, y)) addEdge(x + 1, y, x + 1, y + 1);
+      if (!filled(x, y + 1)) addEdge(x + 1, y + 1, x, y + 1);
+      if (!filled(x - 1, y)) addEdge(x, y + 1, x, y);
+    }
+  }
+
+  const used = new Uint8Array(edges.length);
+  const contours: Point[][] = [];
+
+  for (let start = 0; start < edges.length; start++) {
+    if (used[start]) continue;
+
+    const contour: Point[] = [];
+    let current = start;
+
+    while (!used[current]) {
+      used[current] = 1;
+
+      const [x1, y1, x2, y2] = edges[current];
+      const [dx, dy] = [x2 - x1, y2 - y1];
+      const candidates = (outgoing.get(vertex(x2, y2)) ?? []).filter(index => !used[index] || index === start);
+      // on ambiguous vertices turn right, towards painted pixels, to keep diagonal pixels apart
+      const turn = (index: number) => {
+        const [nx1, ny1, nx2, ny2] = edges[index];
+        const [ndx, ndy] = [nx2 - nx1, ny2 - ny1];
+
+        if (ndx === -dy && ndy === dx) return 0;
+        if (ndx === dx && ndy === dy) return 1;
+        return 2;
+      };
+      const next = candidates.sort((a, b) => turn(a) - turn(b))[0];
+      const [nx1, ny1, nx2, ny2] = next === undefined ? [0, 0, 0, 0] : edges[next];
+
+      // collinear vertices are skipped
+      if (next === undefined || nx2 - nx1 !== dx || ny2 - ny1 !== dy) contour.push([x2, y2]);
+      if (next === undefined) break;
+      current = next;
+    }
+
+    if (contour.length > 2) contours.push(contour);
+  }
+
+  return contours;
+};
+
+const distanceToSegment = ([x, y]: Point, [x1, y1]: Point, [x2, y2]: Point) => {
+  const [dx, dy] = [x2 - x1, y2 - y1];
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / length)) : 0;
+
+  return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+};
+
+// Ramer–Douglas–Peucker
+export const simplifyLine = (points: Point[], tolerance: number): Point[] => {
+  if (points.length < 3) return points;
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  let index = 0;
+  let max = 0;
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const distance = distanceToSegment(points[i], first, last);
+
+    if (distance > max) [index, max] = [i, distance];
+  }
+  if (max <= tolerance) return [first, last];
+
+  return [...simplifyLine(points.slice(0, index + 1), tolerance).slice(0, -1), ...simplifyLine(points.slice(index), tolerance)];
+};
+
+/**
+ * Simplifies closed polygon keeping vertices deviating more than `tolerance`
+ */
+export const simplifyPolygon = (points: Point[], tolerance: number) => {
+  if (points.length < 4 || tolerance <= 0) return points;
+
+  // closed polygon is split into two lines by the farthest from the first vertex one
+  const [x0, y0] = points[0];
+  let far = 0;
+
+  points.forEach(([x, y], i) => {
+    if (Math.hypot(x - x0, y - y0) > Math.hypot(points[far][0] - x0, points[far][1] - y0)) far = i;
+  });
+
+  const result = [
+    ...simplifyLine(points.slice(0, far + 1), tolerance).slice(0, -1),
+    ...simplifyLine([...points.slice(far), points[0]], tolerance).slice(0, -1),
+  ];
+
+  return result.length > 2 ? result : points;
+};
+
+export const pointInPolygon = ([x, y]: Point, ring: Point[]) => {
+  let inside = false;
+
+  ring.forEach(([x1, y1], i) => {
+    const [x2, y2] = ring[(i + 1) % ring.length];
+
+    if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) / (y2 - y1) * (x2 - x1)) inside = !inside;
+  });
+
+  return inside;
+};
+
+/**
+ * Contours of brush mask as simplified polygons with holes; every hole belongs to the smallest outer contour around it
+ * @param options.tolerance max deviation of simplified polygon in pixels
+ * @param options.minArea contours with smaller area in pixels are skipped
+ */
+export const brushToPolygons = (
+  rle: number[] | Uint8Array,
+  width: number,
+  height: number,
+  { tolerance = 1, minArea = 4 }: { tolerance?: number, minArea?: number } = {},
+) => {
+  const contours = traceContours(maskFromRLE(rle, width, height), width, height)
+    .filter(contour => Math.abs(signedArea(contour)) >= minArea);
+  const outer = contours.filter(contour => signedArea(contour) > 0).map(points => ({ points, holes: [] as Point[][] }));
+  const toPercents = (contour: Point[]) => contour.map(([x, y]) => [x / width * 100, y / height * 100] as Point);
+
+  contours.filter(contour => signedArea(contour) < 0).forEach(hole => {
+    // middle of the edge is never shared with other contours, unlike vertices
+    const [[x1, y1], [x2, y2]] = hole;
+    const point: Point = [(x1 + x2) / 2, (y1 + y2) / 2];
+    const parent = outer
+      .filter(({ points }) => pointInPolygon(point, points))
+      .sort((a, b) => signedArea(a.points) - signedArea(b.points))[0];
+
+    parent?.holes.push(hole);
+  });
+
+  return outer.map(({ points, holes }) => ({
+    points: toPercents(simplifyPolygon(points, tolerance)),
+    holes: holes.map(hole => toPercents(simplifyPolygon(hole, tolerance))),
+  }));
+};
+
+/**
+ * Fills polygon rings (outer contours and holes) with even-odd rule checking centers of pixels
+ * @param rings polygons in pixels
+ */
+export const rasterizePolygon = (rings: Point[][], width: number, height: number) => {
+  const mask = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const center = y + 0.5;
+    const crossings: number[] = [];
+
+    rings.forEach(ring => ring.forEach(([x1, y1], i) => {
+      const [x2, y2] = ring[(i + 1) % ring.length];
+
+      if ((y1 <= center) !== (y2 <= center)) crossings.push(x1 + (center - y1) / (y2 - y1) * (x2 - x1));
+    }));
+    crossings.sort((a, b) => a - b);
+
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const from = Math.max(0, Math.ceil(crossings[i] - 0.5));
+      const to = Math.min(width, Math.ceil(crossings[i + 1] - 0.5));
+
+      mask.fill(1, y * width + from, y * width + Math.max(from, to));
+    }
+  }
+
+  return mask;
+};
+
+/**
+ * Fills the polygon with even-odd rule checking centers of pixels, so holes stay empty
+ * @param points polygon in percents
+ * @param holes inner contours in percents
+ * @returns brush RLE
+ */
+export const polygonToBrush = (points: Point[], width: number, height: number, holes: Point[][] = []) => {
+  const toPixels = (ring: Point[]) => ring.map(([x, y]) => [x * width / 100, y * height / 100] as Point);
+
+  return maskToRLE(rasterizePolygon([points, ...holes].map(toPixels), width, height), width, height);
+};
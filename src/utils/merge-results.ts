@@ -0,0 +1,348 @@
+/**
+ * Three-way merge of serialized results: changes of the incoming version ("theirs")
+ * are applied on top of the local one ("ours"), both are compared to their common base.
+ * Regions are matched by id and then by geometry overlap; every region consists of components:
+ * the region itself and per-region classifications, all sharing the same result id.
+ */
+import { isEqual } from 'lodash';
+
+export type SerializedResult = Record<string, any>;
+
+export type Bounds =
+  | { kind: 'box', x1: number, y1: number, x2: number, y2: number }
+  | { kind: 'span', start: number, end: number };
+
+export type MergeChange = 'added' | 'removed' | 'modified';
+
+export interface MergeItem {
+  // unique key of region's component
+  key: string;
+  // region this component belongs to
+  regionKey: string;
+  // from_name of the result or `relation`
+  component: string;
+  // the region itself, other components are per-region classifications
+  main: boolean;
+  base?: SerializedResult;
+  ours?: SerializedResult;
+  theirs?: SerializedResult;
+  // change of the incoming version comparing to the base
+  change: MergeChange | null;
+  // local version has its own change of this component
+  conflict: boolean;
+}
+
+export interface MergeState {
+  items: MergeItem[];
+  // keys of items with incoming changes which should be applied
+  accepted: string[];
+}
+
+const GEOMETRY_THRESHOLD = 0.5;
+const KEYPOINT_SIZE = 1;
+
+const isNumber = (value: any): value is number => typeof value === 'number' && !isNaN(value);
+
+/**
+ * Geometry of the region to match regions created independently in different versions
+ */
+export const regionBounds = (value: Record<string, any> = {}): Bounds | null => {
+  const shape = value.sequence?.[0] ?? value;
+
+  if (Array.isArray(shape.points) && shape.points.length) {
+    const xs = shape.points.map((point: number[]) => point[0]);
+    const ys = shape.points.map((point: number[]) => point[1]);
+
+    return { kind: 'box', x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+  }
+  if (isNumber(shape.x) && isNumber(shape.y)) {
+    if (isNumber(shape.width) && isNumber(shape.height)) {
+      return { kind: 'box', x1: shape.x, y1: shape.y, x2: shape.x + shape.width, y2: shape.y + shape.height };
+    }
+    if (isNumber(shape.radiusX) && isNumber(shape.radiusY)) {
+      return {
+        kind: 'box',
+        x1: shape.x - shape.radiusX,
+        y1: shape.y - shape.radiusY,
+        x2: shape.x + shape.radiusX,
+        y2: shape.y + shape.radiusY,
+      };
+    }
+    return {
+      kind: 'box',
+      x1: shape.x - KEYPOINT_SIZE,
+      y1: shape.y - KEYPOINT_SIZE,
+      x2: shape.x + KEYPOINT_SIZE,
+      y2: shape.y + KEYPOINT_SIZE,
+    };
+  }
+  if (value.globalOffsets) return { kind: 'span', start: value.globalOffsets.start, end: value.globalOffsets.end };
+  if (isNumber(value.start) && isNumber(value.end)) return { kind: 'span', start: value.start, end: value.end };
+
+  return null;
+};
+
+/**
+ * Intersection over union of two regions, 0 for incomparable ones
+ */
+export const boundsOverlap = (a: Bounds | null, b: Bounds | null) => {
+  if (!a || !b || a.kind !== b.kind) return 0;
+
+  if (a.kind === 'span' && b.kind === 'span') {
+    const intersection = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+    const union = Math.max(a.end, b.end) - Math.min(a.start, b.start);
+
+    return intersection > 0 && union > 0 ? intersection / union : 0;
+  }
+  if (a.kind === 'box' && b.kind === 'box') {
+    const width = Math.min(a.x2, b.x2) - Math.max(a.x1, b.x1);
+    const height = Math.min(a.y2, b.y2) - Math.max(a.y1, b.y1);
+
+    if (width <= 0 || height <= 0) return 0;
+
+    const intersection = width * height;
+    const area = (box: typeof a) => (box.x2 - box.x1) * (box.y2 - box.y1);
+
+    return intersection / (area(a) + area(b) - intersection);
+  }
+  return 0;
+};
+
+export interface Region {
+  key: string;
+  id: string;
+  // per-task classifications are matched by control they belong to
+  classification: boolean;
+  results: SerializedResult[];
+  bounds: Bounds | null;
+  type: string;
+  toName: string;
+}
+
+/**
+ * Groups results into regions; per-task classifications get keys stable across versions
+ */
+export const groupRegions = (results: SerializedResult[]) => {
+  const regions = new Map<string, Region>();
+
+  results.filter(result => result.type !== 'relation').forEach(result => {
+    const id = result.id ?? `${result.from_name}:${result.to_name}`;
+    const region: Region = regions.get(id) ?? {
+      key: id,
+      id,
+      classification: false,
+      results: [] as SerializedResult[],
+      bounds: null,
+      type: result.type,
+      toName: result.to_name,
+    };
+
+    region.results.push(result);
+    region.bounds = region.bounds ?? regionBounds(result.value);
+    regions.set(id, region);
+  });
+
+  regions.forEach(region => {
+    const [result] = region.results;
+
+    region.classification = region.results.length === 1
+      && !region.bounds
+      && !result.type.endsWith('labels')
+      && !['brush', 'relation'].includes(result.type);
+    if (region.classification) {
+      region.key = ['classification', result.from_name, result.to_name, result.item_index ?? ''].join(':');
+    }
+  });
+
+  return [...regions.values()];
+};
+
+/**
+ * Finds region matching the given one: by key, then by geometry
+ */
+const matchRegion = (region: Region, candidates: Region[]) => {
+  const byKey = candidates.find(candidate => candidate.key === region.key);
+
+  if (byKey || !region.bounds) return byKey;
+
+  let best: Region | undefined;
+  let bestOverlap = GEOMETRY_THRESHOLD;
+
+  candidates.forEach(candidate => {
+    if (candidate.type !== region.type || candidate.toName !== region.toName) return;
+
+    const overlap = boundsOverlap(region.bounds, candidate.bounds);
+
+    if (overlap >= bestOverlap) {
+      best = candidate;
+      bestOverlap = overlap;
+    }
+  });
+
+  return best;
+};
+
+const COMPARED_FIELDS = ['from_name', 'to_name', 'type', 'from_id', 'to_id', 'direction', 'labels'];
+
+/**
+ * Results are compared without ids, they can differ for matched regions.
+ * Results stored by the host can have extra value fields (like `text` of text spans)
+ * which are not produced by serialization, so only value fields present in both are compared.
+ */
+const sameResult = (a?: SerializedResult, b?: SerializedResult) => {
+  if (!a || !b) return a === b;
+  if (COMPARED_FIELDS.some(field => !isEqual(a[field], b[field]))) return false;
+
+  const valueA = a.value ?? {};
+  const valueB = b.value ?? {};
+
+  return Object.keys(valueA)
+    .filter(field => field in valueB)
+    .every(field => isEqual(valueA[field], valueB[field]));
+};
+
+const changeOf = (base?: SerializedResult, next?: SerializedResult): MergeChange | null => {
+  if (sameResult(base, next)) return null;
+  if (!base) return 'added';
+  if (!next) return 'removed';
+  return 'modified';
+};
+
+/**
+ * Compare three versions of results
+ * @param base version both other versions started from
+ * @param ours local version, e.g. the draft
+ * @param theirs incoming version, e.g. the one just saved by another reviewer
+ */
+export const computeMerge = (
+  base: SerializedResult[] = [],
+  ours: SerializedResult[] = [],
+  theirs: SerializedResult[] = [],
+): MergeState => {
+  const versions = { base: groupRegions(base), ours: groupRegions(ours), theirs: groupRegions(theirs) };
+  // region key for every result id of every version
+  const idMap = { base: new Map<string, string>(), ours: new Map<string, string>(), theirs: new Map<string, string>() };
+  const merged = new Map<string, { base?: Region, ours?: Region, theirs?: Region }>();
+  const add = (side: 'base' | 'ours' | 'theirs', region: Region, key: string) => {
+    merged.set(key, { ...merged.get(key), [side]: region });
+    idMap[side].set(region.id, key);
+  };
+
+  // local version is the main one, so its ids are kept;
+  // both versions are made from the base, so regions from the base keep their ids
+  versions.ours.forEach(region => add('ours', region, region.key));
+  versions.base.forEach(region => add('base', region, region.key));
+  // regions added independently in both versions can be matched only by geometry
+  versions.theirs.forEach(region => {
+    const candidates = [...merged.entries()]
+      .filter(([, sides]) => !sides.theirs && !sides.base)
+      .map(([key, sides]) => ({ ...sides.ours!, key }));
+    const match = merged.has(region.key) && !merged.get(region.key)!.theirs
+      ? region
+      : matchRegion(region, candidates);
+
+    add('theirs', region, match?.key ?? region.key);
+  });
+
+  const items: MergeItem[] = [];
+
+  merged.forEach((sides, regionKey) => {
+    const mainOf = (region?: Region) => region?.results.find(result => result.type.endsWith('labels')) ?? region?.results[0];
+    const main = mainOf(sides.ours) ?? mainOf(sides.theirs) ?? mainOf(sides.base);
+    const components = new Set(
+      [sides.base, sides.ours, sides.theirs].flatMap(region => region?.results.map(result => result.from_name) ?? []),
+    );
+
+    components.forEach(component => {
+      const find = (region?: Region) => region?.results.find(result => result.from_name === component);
+      const item = { base: find(sides.base), ours: find(sides.ours), theirs: find(sides.theirs) };
+      const change = changeOf(item.base, item.theirs);
+
+      items.push({
+        key: `${regionKey}|${component}`,
+        regionKey,
+        component,
+        main: component === main?.from_name,
+        ...item,
+        change,
+        conflict: change !== null && changeOf(item.base, item.ours) !== null && !sameResult(item.ours, item.theirs),
+      });
+    });
+  });
+
+  const relationKey = (side: 'base' | 'ours' | 'theirs', relation: SerializedResult) => {
+    return `${idMap[side].get(relation.from_id) ?? relation.from_id}>${idMap[side].get(relation.to_id) ?? relation.to_id}`;
+  };
+  const relations = new Map<string, Pick<MergeItem, 'base' | 'ours' | 'theirs'>>();
+
+  (['base', 'ours', 'theirs'] as const).forEach(side => {
+    const list = { base, ours, theirs }[side];
+
+    list.filter(result => result.type === 'relation').forEach(relation => {
+      const key = relationKey(side, relation);
+      const [from, to] = key.split('>');
+
+      relations.set(key, { ...relations.get(key), [side]: { ...relation, from_id: from, to_id: to } });
+    });
+  });
+  relations.forEach((item, key) => {
+    const change = changeOf(item.base, item.theirs);
+
+    items.push({
+      key: `relation:${key}`,
+      regionKey: `relation:${key}`,
+      component: 'relation',
+      main: true,
+      ...item,
+      change,
+      conflict: change !== null && changeOf(item.base, item.ours) !== null && !sameResult(item.ours, item.theirs),
+    });
+  });
+
+  return {
+    items,
+    // conflicting changes are not applied by default, local version wins
+    accepted: items.filter(item => item.change && !item.conflict).map(item => item.key),
+  };
+};
+
+/**
+ * Builds merged results: local version with accepted incoming changes.
+ * Components of removed regions and relations to them are dropped.
+ */
+export const buildMergedResults = ({ items, accepted }: MergeState) => {
+  const picked = new Map<string, SerializedResult | undefined>();
+
+  items.forEach(item => {
+    picked.set(item.key, item.change && accepted.includes(item.key) ? item.theirs : item.ours);
+  });
+
+  const regionKeys = new Set(items.filter(item => item.main && item.component !== 'relation' && picked.get(item.key)).map(item => item.regionKey));
+  const regionIds = new Map<string, string>();
+  const results: SerializedResult[] = [];
+
+  items.forEach(item => {
+    const result = picked.get(item.key);
+
+    if (!result || item.component === 'relation' || !regionKeys.has(item.regionKey)) return;
+
+    // all components of matched region should have the same id
+    const id = regionIds.get(item.regionKey) ?? result.id;
+
+    regionIds.set(item.regionKey, id);
+    results.push(id === undefined ? result : { ...result, id });
+  });
+
+  items.forEach(item => {
+    const relation = picked.get(item.key);
+
+    if (!relation || item.component !== 'relation') return;
+
+    const fromId = regionIds.get(relation.from_id);
+    const toId = regionIds.get(relation.to_id);
+
+    if (fromId && toId) results.push({ ...relation, from_id: fromId, to_id: toId });
+  });
+
+  return results;
+};
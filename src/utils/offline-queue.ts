@@ -0,0 +1,237 @@
+/**
+ * Local persistence of drafts and submissions which were not delivered to the host yet.
+ * Items are kept per task and replayed in the order they were created.
+ */
+
+export type OfflineItemStatus = 'pending' | 'conflict';
+
+export interface OfflinePayload {
+  // annotation fields required by the host to send it: id, pk, draftId, etc.
+  entity: Record<string, any>;
+  // serialized results
+  result: any[];
+  // extra arguments of the event, like `extraData` of `updateAnnotation` or `params` of `submitDraft`
+  args: any[];
+}
+
+export interface OfflineItem {
+  id: string;
+  seq: number;
+  taskId: string | number | null;
+  annotationId: string | number | null;
+  event: string;
+  payload: OfflinePayload;
+  status: OfflineItemStatus;
+  error?: string;
+}
+
+export interface OfflineStorage {
+  getAll(): Promise<OfflineItem[]>;
+  put(item: OfflineItem): Promise<void>;
+  delete(id: string): Promise<void>;
+}
+
+export interface ReplayResult {
+  sent: number;
+  conflicts: number;
+  // replay was interrupted because host is unreachable
+  interrupted: boolean;
+}
+
+const DB_VERSION = 1;
+const STORE_NAME = 'queue';
+const DRAFT_EVENT = 'submitDraft';
+
+const promisify = <T>(request: IDBRequest<T>) => new Promise<T>((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * IndexedDB backed storage; database is opened lazily on the first access
+ */
+export const createIndexedDBStorage = (dbName = 'lsf-offline'): OfflineStorage => {
+  let db: Promise<IDBDatabase> | null = null;
+
+  const open = () => {
+    if (!db) {
+      const request = indexedDB.open(dbName, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      db = promisify(request);
+    }
+    return db;
+  };
+
+  const transaction = async <T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T>) => {
+    const database = await open();
+
+    return promisify(fn(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+  };
+
+  return {
+    getAll: () => transaction('readonly', store => store.getAll()),
+    put: async item => {
+      await transaction('readwrite', store => store.put(item));
+    },
+    delete: async id => {
+      await transaction('readwrite', store => store.delete(id));
+    },
+  };
+};
+
+/**
+ * Storage for environments without IndexedDB; nothing survives page reload
+ */
+export const createMemoryStorage = (): OfflineStorage => {
+  const items = new Map<string, OfflineItem>();
+  const clone = (item: OfflineItem): OfflineItem => JSON.parse(JSON.stringify(item));
+
+  return {
+    getAll: async () => [...items.values()].map(clone),
+    put: async item => {
+      items.set(item.id, clone(item));
+    },
+    delete: async id => {
+      items.delete(id);
+    },
+  };
+};
+
+/**
+ * Host rejected the item because it's outdated; user should decide what to do with it
+ */
+export const isConflictError = (err: any) => err?.status === 409 || err?.conflict === true;
+
+// messages of TypeError thrown by fetch() in Chrome, Firefox and Safari when the request didn't reach the host
+const FETCH_FAILURE = /failed to fetch|networkerror|load failed|network request failed/i;
+
+/**
+ * Only lost connection is retried later: browser is offline, fetch() failed or host marked the error with `network: true`.
+ * Other errors (including bugs in host handlers) are not going to disappear, so they are reported as conflicts.
+ */
+export const isNetworkError = (err: any) => {
+  if (isConflictError(err)) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  if (err?.network === true) return true;
+  return err instanceof TypeError && FETCH_FAILURE.test(err.message);
+};
+
+let lastSeq = 0;
+
+// strictly increasing, so items created in the same millisecond keep their order
+const nextSeq = () => {
+  lastSeq = Math.max(Date.now(), lastSeq + 1);
+  return lastSeq;
+};
+
+export class OfflineQueue {
+  storage: OfflineStorage;
+
+  private replaying: Promise<ReplayResult> | null = null;
+
+  constructor(storage: OfflineStorage = createIndexedDBStorage()) {
+    this.storage = storage;
+  }
+
+  async items(taskId?: OfflineItem['taskId']) {
+    const items = await this.storage.getAll();
+
+    return items
+      .filter(item => taskId === undefined || item.taskId === taskId)
+      .sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Adds item to the queue. Only the last draft of every annotation is kept
+   * and submission of annotation makes its drafts obsolete.
+   */
+  async enqueue(item: Pick<OfflineItem, 'taskId' | 'annotationId' | 'event' | 'payload'>) {
+    const obsolete = (await this.items(item.taskId)).filter(queued => {
+      return queued.status === 'pending'
+        && queued.event === DRAFT_EVENT
+        && queued.annotationId === item.annotationId;
+    });
+    const seq = nextSeq();
+    const queued: OfflineItem = {
+      ...item,
+      id: `${item.taskId}:${item.annotationId}:${seq}`,
+      seq,
+      status: 'pending',
+    };
+
+    await Promise.all(obsolete.map(({ id }) => this.storage.delete(id)));
+    await this.storage.put(queued);
+
+    return queued;
+  }
+
+  async remove(id: string) {
+    await this.storage.delete(id);
+  }
+
+  /**
+   * Put item with conflict back to the queue to send it again
+   */
+  async retry(id: string) {
+    const item = (await this.items()).find(item => item.id === id);
+
+    if (!item) return;
+    // original position is kept, so it goes before items of the same annotation held because of it
+    await this.storage.put({ ...item, status: 'pending', error: undefined });
+  }
+
+  /**
+   * Last draft which was not delivered to the host yet
+   */
+  async draftFor(taskId: OfflineItem['taskId'], annotationId: OfflineItem['annotationId']) {
+    const drafts = (await this.items(taskId)).filter(item => {
+      return item.event === DRAFT_EVENT && item.annotationId === annotationId;
+    });
+
+    return drafts[drafts.length - 1] ?? null;
+  }
+
+  /**
+   * Sends pending items one by one in order. Items of annotation with conflict are held
+   * until the conflict is resolved; network error stops the whole replay.
+   * Concurrent calls share the same replay.
+   */
+  replay(send: (item: OfflineItem) => Promise<any>) {
+    if (!this.replaying) {
+      this.replaying = this.doReplay(send).finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  }
+
+  private async doReplay(send: (item: OfflineItem) => Promise<any>): Promise<ReplayResult> {
+    const result: ReplayResult = { sent: 0, conflicts: 0, interrupted: false };
+    const items = await this.items();
+    const held = new Set(items.filter(item => item.status === 'conflict').map(item => item.annotationId));
+
+    for (const item of items) {
+      if (item.status !== 'pending' || held.has(item.annotationId)) continue;
+
+      try {
+        await send(item);
+        await this.storage.delete(item.id);
+        result.sent++;
+      } catch (err: any) {
+        if (isNetworkError(err)) {
+          result.interrupted = true;
+          break;
+        }
+
+        await this.storage.put({ ...item, status: 'conflict', error: err?.message ?? String(err) });
+        held.add(item.annotationId);
+        result.conflicts++;
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * Operations on the whole polygon: simplification, smoothing, splitting, merging and holes.
+ * Shapes are in image pixels, so tolerances don't depend on the aspect ratio of the image.
+ */
+import { Point, pointInPolygon, rasterizePolygon, signedArea, simplifyPolygon, traceContours } from './mask-vector';
+
+export type Shape = { points: Point[], holes: Point[][] };
+
+// shapes are merged on a downscaled mask, contours of huge images don't need every pixel
+const MAX_MERGE_SIZE = 2048;
+
+type Crossing = { point: Point, edge: number, t: number, segment: number, u: number };
+
+/**
+ * Intersection of segments p1-p2 and q1-q2
+ * @returns positions on both segments (0..1) or null
+ */
+const intersect = ([x1, y1]: Point, [x2, y2]: Point, [x3, y3]: Point, [x4, y4]: Point) => {
+  const d = (x2 - x1) * (y4 - y3) - (y2 - y1) * (x4 - x3);
+
+  if (!d) return null;
+
+  const t = ((x3 - x1) * (y4 - y3) - (y3 - y1) * (x4 - x3)) / d;
+  const u = ((x3 - x1) * (y2 - y1) - (y3 - y1) * (x2 - x1)) / d;
+
+  // crossing exactly at a vertex belongs to the edge starting from it, so it's counted once
+  return t >= 0 && t < 1 && u >= 0 && u <= 1 ? { t, u } : null;
+};
+
+/**
+ * Crossings of the polygon boundary with the line, ordered along the line
+ */
+const crossingsOf = (ring: Point[], line: Point[]) => {
+  const crossings: Crossing[] = [];
+
+  ring.forEach((start, edge) => {
+    const end = ring[(edge + 1) % ring.length];
+
+    for (let segment = 0; segment < line.length - 1; segment++) {
+      const hit = intersect(start, end, line[segment], line[segment + 1]);
+
+      if (hit) {
+        const point: Point = [start[0] + hit.t * (end[0] - start[0]), start[1] + hit.t * (end[1] - start[1])];
+
+        crossings.push({ point, edge, t: hit.t, segment, u: hit.u });
+      }
+    }
+  });
+
+  return crossings.sort((a, b) => a.segment - b.segment || a.u - b.u);
+};
+
+const contains = (shape: Shape, point: Point) => {
+  return pointInPolygon(point, shape.points) && !shape.holes.some(hole => pointInPolygon(point, hole));
+};
+
+export const simplifyShape = ({ points, holes }: Shape, tolerance: number): Shape => ({
+  points: simplifyPolygon(points, tolerance),
+  holes: holes.map(hole => simplifyPolygon(hole, tolerance)),
+});
+
+/**
+ * Chaikin's corner cutting; every iteration doubles the number of vertices
+ */
+export const smoothPolygon = (points: Point[], iterations = 1): Point[] => {
+  if (iterations <= 0 || points.length < 3) return points;
+
+  const smoothed = points.flatMap(([x1, y1], i) => {
+    const [x2, y2] = points[(i + 1) % points.length];
+
+    return [
+      [0.75 * x1 + 0.25 * x2, 0.75 * y1 + 0.25 * y2],
+      [0.25 * x1 + 0.75 * x2, 0.25 * y1 + 0.75 * y2],
+    ] as Point[];
+  });
+
+  return smoothPolygon(smoothed, iterations - 1);
+};
+
+export const smoothShape = ({ points, holes }: Shape, iterations = 1): Shape => ({
+  points: smoothPolygon(points, iterations),
+  holes: holes.map(hole => smoothPolygon(hole, iterations)),
+});
+
+/**
+ * Splits the shape with the line crossing its outer contour exactly twice and not touching holes.
+ * Holes go to the part they are in.
+ * @param line polyline in pixels
+ * @returns two parts or null if the line doesn't cut the shape
+ */
+export const splitShape = ({ points, holes }: Shape, line: Point[]): Shape[] | null => {
+  const crossings = crossingsOf(points, line);
+
+  if (crossings.length !== 2 || holes.some(hole => crossingsOf(hole, line).length)) return null;
+
+  const [first, second] = crossings;
+  const count = points.length;
+  // polygon vertices going forward from one crossing to another
+  const between = (from: Crossing, to: Crossing) => {
+    const sameEdge = from.edge === to.edge;
+    const length = sameEdge ? (from.t < to.t ? 0 : count) : (to.edge - from.edge + count) % count;
+
+    return Array.from({ length }, (_, i) => points[(from.edge + 1 + i) % count]);
+  };
+  // vertices of the line inside the shape
+  const inner = line.slice(first.segment + 1, second.segment + 1);
+  const parts = [
+    [first.point, ...between(first, second), second.point, ...[...inner].reverse()],
+    [second.point, ...between(second, first), first.point, ...inner],
+  ].map(part => ({ points: part, holes: [] as Point[][] }));
+
+  holes.forEach(hole => {
+    const part = parts.find(part => pointInPolygon(hole[0], part.points));
+
+    part?.holes.push(hole);
+  });
+
+  return parts;
+};
+
+/**
+ * Union of overlapping shapes. Shapes are rasterized with the image resolution (downscaled for images larger than
+ * MAX_MERGE_SIZE) and the result is traced back, so it's as precise as brush conversion
+ * and it's simplified with the given tolerance.
+ * @returns merged shape or null if shapes don't overlap
+ */
+export const mergeShapes = (
+  shapes: Shape[],
+  width: number,
+  height: number,
+  { tolerance = 1, minArea = 4 }: { tolerance?: number, minArea?: number } = {},
+): Shape | null => {
+  const scale = Math.min(1, MAX_MERGE_SIZE / Math.max(width, height));
+  const maskWidth = Math.max(1, Math.round(width * scale));
+  const maskHeight = Math.max(1, Math.round(height * scale));
+  const mask = new Uint8Array(maskWidth * maskHeight);
+  const [scaleX, scaleY] = [maskWidth / width, maskHeight / height];
+  const toMask = (ring: Point[]) => ring.map(([x, y]) => [x * scaleX, y * scaleY] as Point);
+  const toImage = (ring: Point[]) => ring.map(([x, y]) => [x / scaleX, y / scaleY] as Point);
+
+  shapes.forEach(({ points, holes }) => {
+    rasterizePolygon([points, ...holes].map(toMask), maskWidth, maskHeight).forEach((value, i) => {
+      mask[i] |= value;
+    });
+  });
+
+  const contours = traceContours(mask, maskWidth, maskHeight)
+    .filter(contour => Math.abs(signedArea(contour)) >= minArea * scaleX * scaleY);
+  const outer = contours.filter(contour => signedArea(contour) > 0);
+
+  if (outer.length !== 1) return null;
+
+  const holes = contours.filter(contour => signedArea(contour) < 0);
+
+  return simplifyShape({ points: toImage(outer[0]), holes: holes.map(toImage) }, tolerance);
+};
+
+/**
+ * Cuts a hole in the shape; the hole should be inside the shape and should not touch its contours
+ * @returns shape with the hole or null if the hole doesn't fit
+ */
+export const addHole = (shape: Shape, hole: Point[]): Shape | null => {
+  const touches = [shape.points, ...shape.holes].some(ring => crossingsOf(ring, [...hole, hole[0]]).length);
+
+  if (touches || !hole.every(point => contains(shape, point))) return null;
+  // existing holes can't be inside the new one
+  if (shape.holes.some(existing => pointInPolygon(existing[0], hole))) return null;
+
+  return { points: shape.points, holes: [...shape.holes, hole] };
+};
@@ -13,8 +13,37 @@ type SequenceItem = {
   [k: string]: any,
 }
 
+/**
+ * How shape changes between two keyframes:
+ * - `hold` keeps the shape of the first keyframe until the next one
+ * - `ease-*` accelerate from the first keyframe and/or decelerate to the next one
+ * - `spline` moves along a smooth curve through neighbouring keyframes
+ */
+export type InterpolationMode = 'linear' | 'hold' | 'ease-in' | 'ease-out' | 'ease-in-out' | 'spline';
+
+export const INTERPOLATION_MODES: InterpolationMode[] = ['linear', 'hold', 'ease-in', 'ease-out', 'ease-in-out', 'spline'];
+
+/**
+ * progress between two keyframes (0..1) adjusted by the easing of interpolation mode
+ */
+export const easeProgress = (r: number, mode: InterpolationMode = 'linear') => {
+  switch (mode) {
+    case 'hold':
+      return 0;
+    case 'ease-in':
+      return r * r;
+    case 'ease-out':
+      return 1 - (1 - r) ** 2;
+    case 'ease-in-out':
+      return r < 0.5 ? 2 * r * r : 1 - 2 * (1 - r) ** 2;
+    default:
+      return r;
+  }
+};
+
 /** 
  * interpolate prop between two sequence items
+ * @param mode easing of interpolation; `spline` needs more keyframes, see `interpolateSplineProp`
  * @return {any} propValue
  * @example
  * interpolateProp({frame: 0, x: -10}, {frame: 100, x: 10}, 25, 'x'); // will return -5
@@ -26,9 +55,9 @@ type SequenceItem = {
  *   'rotation'
  * ); // will return -175
  */
-export const interpolateProp = (start: SequenceItem, end: SequenceItem, frame: number, prop: string): any => {
+export const interpolateProp = (start: SequenceItem, end: SequenceItem, frame: number, prop: string, mode?: InterpolationMode): any => {
   // @todo edge cases
-  const r = (frame - start.frame) / (end.frame - start.frame);
+  const r = easeProgress((frame - start.frame) / (end.frame - start.frame), mode);
 
   // Interpolation of angles is more tricky due to the cyclical nature of the angle value.
   if (prop === 'rotation') {
@@ -42,3 +71,127 @@ export const interpolateProp = (start: SequenceItem, end: SequenceItem, frame: n
   }
   return start[prop] + (end[prop] - start[prop]) * r;
 };
+
+/**
+ * interpolate prop between two middle sequence items along Catmull-Rom spline through all four of them;
+ * tangents take distances between keyframes into account, so unevenly placed keyframes don't overshoot
+ * @param keyframes previous keyframe (if any), two keyframes around the frame, next keyframe (if any)
+ * @example
+ * interpolateSplineProp(
+ *   [{frame: 0, x: 0}, {frame: 10, x: 10}, {frame: 20, x: 30}, undefined],
+ *   15,
+ *   'x',
+ * ); // will return 19.375, while linear interpolation gives 20
+ */
+export const interpolateSplineProp = (
+  [before, start, end, after]: [SequenceItem | undefined, SequenceItem, SequenceItem, SequenceItem | undefined],
+  frame: number,
+  prop: string,
+): number => {
+  const duration = end.frame - start.frame;
+  const r = (frame - start.frame) / duration;
+  // angles are unwrapped around the start one to move over the shortest distance
+  const delta = prop === 'rotation'
+    ? (a: number, b: number) => normalizeAngle(b - a)
+    : (a: number, b: number) => b - a;
+  const p1 = start[prop];
+  const p2 = p1 + delta(p1, end[prop]);
+  // per-frame velocities at both keyframes; one-sided at the ends of the sequence
+  const m1 = before
+    ? (p2 - (p1 - delta(before[prop], p1))) / (end.frame - before.frame)
+    : (p2 - p1) / duration;
+  const m2 = after
+    ? (p2 + delta(end[prop], after[prop]) - p1) / (after.frame - start.frame)
+    : (p2 - p1) / duration;
+  // Hermite basis functions
+  const h00 = 2 * r ** 3 - 3 * r ** 2 + 1;
+  const h10 = r ** 3 - 2 * r ** 2 + r;
+  const h01 = -2 * r ** 3 + 3 * r ** 2;
+  const h11 = r ** 3 - r ** 2;
+  const value = h00 * p1 + h10 * duration * m1 + h01 * p2 + h11 * duration * m2;
+
+  return prop === 'rotation' ? normalizeAngle(value) : value;
+};
+
+type Points = number[][];
+
+const squaredDistance = ([x1, y1]: number[], [x2, y2]: number[]) => (x1 - x2) ** 2 + (y1 - y2) ** 2;
+
+/**
+ * add points to closed polygon splitting its longest edges in halves, so the shape stays the same
+ */
+export const resamplePoints = (points: Points, count: number): Points => {
+  const result = points.map(point => [...point]);
+
+  while (result.length > 0 && result.length < count) {
+    let longest = 0;
+
+    result.forEach((point, index) => {
+      const next = result[(index + 1) % result.length];
+
+      if (squaredDistance(point, next) > squaredDistance(result[longest], result[(longest + 1) % result.length])) {
+        longest = index;
+      }
+    });
+
+    const [x1, y1] = result[longest];
+    const [x2, y2] = result[(longest + 1) % result.length];
+
+    result.splice(longest + 1, 0, [(x1 + x2) / 2, (y1 + y2) / 2]);
+  }
+
+  return result;
+};
+
+/**
+ * make polygons from two keyframes comparable point by point:
+ * the same number of points and the closest starting point of the second one
+ */
+export const matchPoints = (start: Points, end: Points): [Points, Points] => {
+  const count = Math.max(start.length, end.length);
+  const from = resamplePoints(start, count);
+  const to = resamplePoints(end, count);
+  let bestShift = 0;
+  let bestDistance = Infinity;
+
+  for (let shift = 0; shift < count; shift++) {
+    const distance = from.reduce((sum, point, index) => sum + squaredDistance(point, to[(index + shift) % count]), 0);
+
+    if (distance < bestDistance) {
+      bestShift = shift;
+      bestDistance = distance;
+    }
+  }
+
+  return [from, [...to.slice(bestShift), ...to.slice(0, bestShift)]];
+};
+
+// keyframes are immutable, so points are matched once per pair of keyframes, not on every frame
+const matchedCache = new WeakMap<Points, WeakMap<Points, [Points, Points]>>();
+
+const matchedPoints = (start: Points, end: Points) => {
+  const cache = matchedCache.get(start) ?? new WeakMap<Points, [Points, Points]>();
+  const matched = cache.get(end) ?? matchPoints(start, end);
+
+  cache.set(end, matched);
+  matchedCache.set(start, cache);
+
+  return matched;
+};
+
+/**
+ * interpolate polygon points between two sequence items, matching points of both shapes
+ * @param mode easing of interpolation
+ * @example
+ * interpolatePoints(
+ *   {frame: 0, points: [[0, 0], [10, 0], [10, 10]]},
+ *   {frame: 10, points: [[10, 10], [20, 10], [20, 20]]},
+ *   5,
+ * ); // will return [[5, 5], [15, 5], [15, 15]]
+ */
+export const interpolatePoints = (start: SequenceItem, end: SequenceItem, frame: number, mode?: InterpolationMode): Points => {
+  const r = easeProgress((frame - start.frame) / (end.frame - start.frame), mode);
+  const [from, to] = matchedPoints(start.points, end.points);
+
+  return from.map(([x, y], index) => [x + (to[index][0] - x) * r, y + (to[index][1] - y) * r]);
+};
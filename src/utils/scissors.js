@@ -1,15 +1,112 @@
-// namespaces
-const dwv = dwv || {};
-
-dwv.math = dwv.math || {};
+/**
+ * Intelligent scissors, ported from dwv (https://github.com/ivmartel/dwv).
+ *
+ * Ref: Eric N. Mortensen, William A. Barrett, Interactive Segmentation with
+ *   Intelligent Scissors, Graphical Models and Image Processing, Volume 60,
+ *   Issue 5, September 1998, Pages 349-384, ISSN 1077-3169,
+ *   DOI: 10.1006/gmip.1998.0480.
+ *
+ * {@link http://www.sciencedirect.com/science/article/B6WG4-45JB8WN-9/2/6fe59d8089fd1892c2bfb82283065579}
+ *
+ * Highly inspired from {@link http://code.google.com/p/livewire-javascript/}
+ */
 
 // Pre-created to reduce allocation in inner loops
 const __twothirdpi = 2 / (3 * Math.PI);
 
 /**
- *
+ * Point with integer pixel coords, linked into BucketQueue buckets
  */
-dwv.math.computeGreyscale = function(data, width, height) {
+export class FastPoint2D {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.next = null;
+  }
+
+  equals(p) {
+    return !!p && this.x === p.x && this.y === p.y;
+  }
+}
+
+/**
+ * Circular bucket queue: priority queue for integer costs in a limited range.
+ * Costs of queued items can't differ by more than the bucket count.
+ */
+export class BucketQueue {
+  constructor(bits, cost) {
+    this.bucketCount = 1 << bits;
+    this.mask = this.bucketCount - 1;
+    this.size = 0;
+    this.loc = 0;
+    this.cost = cost ?? (item => item);
+    this.buckets = new Array(this.bucketCount).fill(null);
+  }
+
+  push(item) {
+    const bucket = this.getBucket(item);
+
+    item.next = this.buckets[bucket];
+    this.buckets[bucket] = item;
+    this.size++;
+  }
+
+  pop() {
+    if (this.size === 0) {
+      throw new Error('Cannot pop because the queue is empty.');
+    }
+
+    // Find the first empty bucket
+    while (this.buckets[this.loc] === null) {
+      this.loc = (this.loc + 1) % this.bucketCount;
+    }
+
+    // All items in bucket have same cost, return the first one
+    const ret = this.buckets[this.loc];
+
+    this.buckets[this.loc] = ret.next;
+    ret.next = null;
+    this.size--;
+
+    return ret;
+  }
+
+  remove(item) {
+    if (!item) return false;
+
+    // To find node, go to bucket and search through unsorted list.
+    const bucket = this.getBucket(item);
+    let node = this.buckets[bucket];
+
+    if (node !== null && item.equals(node)) {
+      this.buckets[bucket] = node.next;
+      this.size--;
+      return true;
+    }
+
+    while (node !== null && node.next !== null) {
+      if (item.equals(node.next)) {
+        node.next = node.next.next;
+        this.size--;
+        return true;
+      }
+      node = node.next;
+    }
+
+    return false;
+  }
+
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  getBucket(item) {
+    // Bucket index is the masked cost
+    return this.cost(item) & this.mask;
+  }
+}
+
+export function computeGreyscale(data, width, height) {
   // Returns 2D augmented array containing greyscale data
   // Greyscale values found by averaging colour channels
   // Input should be in a flat RGBA array, with values between 0 and 255
@@ -27,20 +124,15 @@ dwv.math.computeGreyscale = function(data, width, height) {
   }
 
   // Augment with convenience functions
+  // Central differences, so both sides of a sharp edge are equally cheap to follow
   greyscale.dx = function(x, y) {
-    if (x + 1 === this[y].length) {
-      // If we're at the end, back up one
-      x--;
-    }
-    return this[y][x + 1] - this[y][x];
+    const row = this[y];
+
+    return (row[Math.min(x + 1, row.length - 1)] - row[Math.max(x - 1, 0)]) / 2;
   };
 
   greyscale.dy = function(x, y) {
-    if (y + 1 === this.length) {
-      // If we're at the end, back up one
-      y--;
-    }
-    return this[y][x] - this[y + 1][x];
+    return (this[Math.max(y - 1, 0)][x] - this[Math.min(y + 1, this.length - 1)][x]) / 2;
   };
 
   greyscale.gradMagnitude = function(x, y) {
@@ -64,93 +156,91 @@ dwv.math.computeGreyscale = function(data, width, height) {
   };
 
   return greyscale;
-};
+}
 
-/**
- *
- */
-dwv.math.computeGradient = function(greyscale) {
+export function computeGradient(greyscale) {
   // Returns a 2D array of gradient magnitude values for greyscale. The values
   // are scaled between 0 and 1, and then flipped, so that it works as a cost
   // function.
   const gradient = [];
+  const width = greyscale[0].length;
+  const height = greyscale.length;
 
   let max = 0; // Maximum gradient found, for scaling purposes
 
   let x = 0;
   let y = 0;
 
-  for (y = 0; y < greyscale.length - 1; y++) {
+  for (y = 0; y < height - 1; y++) {
     gradient[y] = [];
 
-    for (x = 0; x < greyscale[y].length - 1; x++) {
+    for (x = 0; x < width - 1; x++) {
       gradient[y][x] = greyscale.gradMagnitude(x, y);
       max = Math.max(gradient[y][x], max);
     }
 
-    gradient[y][greyscale[y].length - 1] = gradient[y][greyscale.length - 2];
+    gradient[y][width - 1] = gradient[y][width - 2];
   }
 
-  gradient[greyscale.length - 1] = [];
-  for (let i = 0; i < gradient[0].length; i++) {
-    gradient[greyscale.length - 1][i] = gradient[greyscale.length - 2][i];
+  gradient[height - 1] = [];
+  for (let i = 0; i < width; i++) {
+    gradient[height - 1][i] = gradient[height - 2][i];
   }
 
-  // Flip and scale.
-  for (y = 0; y < gradient.length; y++) {
-    for (x = 0; x < gradient[y].length; x++) {
-      gradient[y][x] = 1 - gradient[y][x] / max;
+  // Flip and scale; flat images have no edges at all
+  for (y = 0; y < height; y++) {
+    for (x = 0; x < width; x++) {
+      gradient[y][x] = max ? 1 - gradient[y][x] / max : 1;
     }
   }
 
   return gradient;
-};
+}
 
-/**
- *
- */
-dwv.math.computeLaplace = function(greyscale) {
+export function computeLaplace(greyscale) {
   // Returns a 2D array of Laplacian of Gaussian values
   const laplace = [];
+  const width = greyscale[0].length;
+  const height = greyscale.length;
 
   // Make the edges low cost here.
 
   laplace[0] = [];
   laplace[1] = [];
-  for (let i = 1; i < greyscale.length; i++) {
+  for (let i = 0; i < width; i++) {
     // Pad top, since we can't compute Laplacian
     laplace[0][i] = 1;
     laplace[1][i] = 1;
   }
 
-  for (let y = 2; y < greyscale.length - 2; y++) {
+  for (let y = 2; y < height - 2; y++) {
     laplace[y] = [];
     // Pad left, ditto
     laplace[y][0] = 1;
     laplace[y][1] = 1;
 
-    for (let x = 2; x < greyscale[y].length - 2; x++) {
+    for (let x = 2; x < width - 2; x++) {
       // Threshold needed to get rid of clutter.
       laplace[y][x] = greyscale.laplace(x, y) > 0.33 ? 0 : 1;
     }
 
     // Pad right, ditto
-    laplace[y][greyscale[y].length - 2] = 1;
-    laplace[y][greyscale[y].length - 1] = 1;
+    laplace[y][width - 2] = 1;
+    laplace[y][width - 1] = 1;
   }
 
-  laplace[greyscale.length - 2] = [];
-  laplace[greyscale.length - 1] = [];
-  for (let j = 1; j < greyscale.length; j++) {
+  laplace[height - 2] = [];
+  laplace[height - 1] = [];
+  for (let j = 0; j < width; j++) {
     // Pad bottom, ditto
-    laplace[greyscale.length - 2][j] = 1;
-    laplace[greyscale.length - 1][j] = 1;
+    laplace[height - 2][j] = 1;
+    laplace[height - 1][j] = 1;
   }
 
   return laplace;
-};
+}
 
-dwv.math.computeGradX = function(greyscale) {
+export function computeGradX(greyscale) {
   // Returns 2D array of x-gradient values for greyscale
   const gradX = [];
 
@@ -165,9 +255,9 @@ dwv.math.computeGradX = function(greyscale) {
   }
 
   return gradX;
-};
+}
 
-dwv.math.computeGradY = function(greyscale) {
+export function computeGradY(greyscale) {
   // Returns 2D array of y-gradient values for greyscale
   const gradY = [];
 
@@ -185,9 +275,9 @@ dwv.math.computeGradY = function(greyscale) {
   }
 
   return gradY;
-};
+}
 
-dwv.math.gradUnitVector = function(gradX, gradY, px, py, out) {
+export function gradUnitVector(gradX, gradY, px, py, out) {
   // Returns the gradient vector at (px,py), scaled to a magnitude of 1
   const ox = gradX[py][px];
   const oy = gradY[py][px];
@@ -198,15 +288,15 @@ dwv.math.gradUnitVector = function(gradX, gradY, px, py, out) {
 
   out.x = ox / gvm;
   out.y = oy / gvm;
-};
+}
 
-dwv.math.gradDirection = function(gradX, gradY, px, py, qx, qy) {
-  const __dgpuv = new dwv.math.FastPoint2D(-1, -1);
-  const __gdquv = new dwv.math.FastPoint2D(-1, -1);
+export function gradDirection(gradX, gradY, px, py, qx, qy) {
+  const __dgpuv = new FastPoint2D(-1, -1);
+  const __gdquv = new FastPoint2D(-1, -1);
   // Compute the gradiant direction, in radians, between to points
 
-  dwv.math.gradUnitVector(gradX, gradY, px, py, __dgpuv);
-  dwv.math.gradUnitVector(gradX, gradY, qx, qy, __gdquv);
+  gradUnitVector(gradX, gradY, px, py, __dgpuv);
+  gradUnitVector(gradX, gradY, qx, qy, __gdquv);
 
   let dp = __dgpuv.y * (qx - px) - __dgpuv.x * (qy - py);
   let dq = __gdquv.y * (qx - px) - __gdquv.x * (qy - py);
@@ -223,10 +313,10 @@ dwv.math.gradDirection = function(gradX, gradY, px, py, qx, qy) {
     dq *= Math.SQRT1_2;
   }
 
-  return __twothirdpi * (Math.acos(dp) + Math.acos(dq));
-};
+  return __twothirdpi * (Math.acos(Math.min(dp, 1)) + Math.acos(Math.max(Math.min(dq, 1), -1)));
+}
 
-dwv.math.computeSides = function(dist, gradX, gradY, greyscale) {
+export function computeSides(dist, gradX, gradY, greyscale) {
   // Returns 2 2D arrays, containing inside and outside greyscale values.
   // These greyscale values are the intensity just a little bit along the
   // gradient vector, in either direction, from the supplied point. These
@@ -237,14 +327,14 @@ dwv.math.computeSides = function(dist, gradX, gradY, greyscale) {
   sides.inside = [];
   sides.outside = [];
 
-  const guv = new dwv.math.FastPoint2D(-1, -1); // Current gradient unit vector
+  const guv = new FastPoint2D(-1, -1); // Current gradient unit vector
 
   for (let y = 0; y < gradX.length; y++) {
     sides.inside[y] = [];
     sides.outside[y] = [];
 
     for (let x = 0; x < gradX[y].length; x++) {
-      dwv.math.gradUnitVector(gradX, gradY, x, y, guv);
+      gradUnitVector(gradX, gradY, x, y, guv);
 
       //(x, y) rotated 90 = (y, -x)
 
@@ -264,9 +354,9 @@ dwv.math.computeSides = function(dist, gradX, gradY, greyscale) {
   }
 
   return sides;
-};
+}
 
-dwv.math.gaussianBlur = function(buffer, out) {
+export function gaussianBlur(buffer, out) {
   // Smooth values over to fill in gaps in the mapping
   out[0] = 0.4 * buffer[0] + 0.5 * buffer[1] + 0.1 * buffer[1];
   out[1] = 0.25 * buffer[0] + 0.4 * buffer[1] + 0.25 * buffer[2] + 0.1 * buffer[3];
@@ -280,325 +370,321 @@ dwv.math.gaussianBlur = function(buffer, out) {
 
   out[len - 2] = 0.25 * buffer[len - 1] + 0.4 * buffer[len - 2] + 0.25 * buffer[len - 3] + 0.1 * buffer[len - 4];
   out[len - 1] = 0.4 * buffer[len - 1] + 0.5 * buffer[len - 2] + 0.1 * buffer[len - 3];
-};
+}
 
 /**
- * Scissors
- *
- * Ref: Eric N. Mortensen, William A. Barrett, Interactive Segmentation with
- *   Intelligent Scissors, Graphical Models and Image Processing, Volume 60,
- *   Issue 5, September 1998, Pages 349-384, ISSN 1077-3169,
- *   DOI: 10.1006/gmip.1998.0480.
- *
- * {@link http://www.sciencedirect.com/science/article/B6WG4-45JB8WN-9/2/6fe59d8089fd1892c2bfb82283065579}
- *
- * Highly inspired from {@link http://code.google.com/p/livewire-javascript/}
- * @constructor
+ * Shortest paths over the image where edges are cheap to follow.
+ * Usage: `setDimensions()`, `setData()`, then `setPoint()` for the seed and `doWork()`
+ * until the target point is visited; `parents` lead from any visited point back to the seed.
  */
-dwv.math.Scissors = function() {
-  this.width = -1;
-  this.height = -1;
-
-  this.curPoint = null; // Corrent point we're searching on.
-  this.searchGranBits = 8; // Bits of resolution for BucketQueue.
-  this.searchGran = 1 << this.earchGranBits; //bits.
-  this.pointsPerPost = 500;
-
-  // Precomputed image data. All in ranges 0 >= x >= 1 and all inverted (1 - x).
-  this.greyscale = null; // Greyscale of image
-  this.laplace = null; // Laplace zero-crossings (either 0 or 1).
-  this.gradient = null; // Gradient magnitudes.
-  this.gradX = null; // X-differences.
-  this.gradY = null; // Y-differences.
-
-  this.parents = null; // Matrix mapping point => parent along shortest-path to root.
-
-  this.working = false; // Currently computing shortest paths?
-
-  // Begin Training:
-  this.trained = false;
-  this.trainingPoints = null;
-
-  this.edgeWidth = 2;
-  this.trainingLength = 32;
-
-  this.edgeGran = 256;
-  this.edgeTraining = null;
-
-  this.gradPointsNeeded = 32;
-  this.gradGran = 1024;
-  this.gradTraining = null;
-
-  this.insideGran = 256;
-  this.insideTraining = null;
-
-  this.outsideGran = 256;
-  this.outsideTraining = null;
-  // End Training
-}; // Scissors class
-
-// Begin training methods //
-dwv.math.Scissors.prototype.getTrainingIdx = function(granularity, value) {
-  return Math.round((granularity - 1) * value);
-};
-
-dwv.math.Scissors.prototype.getTrainedEdge = function(edge) {
-  return this.edgeTraining[this.getTrainingIdx(this.edgeGran, edge)];
-};
-
-dwv.math.Scissors.prototype.getTrainedGrad = function(grad) {
-  return this.gradTraining[this.getTrainingIdx(this.gradGran, grad)];
-};
-
-dwv.math.Scissors.prototype.getTrainedInside = function(inside) {
-  return this.insideTraining[this.getTrainingIdx(this.insideGran, inside)];
-};
-
-dwv.math.Scissors.prototype.getTrainedOutside = function(outside) {
-  return this.outsideTraining[this.getTrainingIdx(this.outsideGran, outside)];
-};
-// End training methods //
-
-dwv.math.Scissors.prototype.setWorking = function(working) {
-  // Sets working flag
-  this.working = working;
-};
-
-dwv.math.Scissors.prototype.setDimensions = function(width, height) {
-  this.width = width;
-  this.height = height;
-};
-
-dwv.math.Scissors.prototype.setData = function(data) {
-  if (this.width === -1 || this.height === -1) {
-    // The width and height should have already been set
-    throw new Error('Dimensions have not been set.');
-  }
-
-  this.greyscale = dwv.math.computeGreyscale(data, this.width, this.height);
-  this.laplace = dwv.math.computeLaplace(this.greyscale);
-  this.gradient = dwv.math.computeGradient(this.greyscale);
-  this.gradX = dwv.math.computeGradX(this.greyscale);
-  this.gradY = dwv.math.computeGradY(this.greyscale);
-
-  const sides = dwv.math.computeSides(this.edgeWidth, this.gradX, this.gradY, this.greyscale);
-
-  this.inside = sides.inside;
-  this.outside = sides.outside;
-  this.edgeTraining = [];
-  this.gradTraining = [];
-  this.insideTraining = [];
-  this.outsideTraining = [];
-};
-
-dwv.math.Scissors.prototype.findTrainingPoints = function(p) {
-  // Grab the last handful of points for training
-  const points = [];
-
-  if (this.parents !== null) {
-    for (let i = 0; i < this.trainingLength && p; i++) {
-      points.push(p);
-      p = this.parents[p.y][p.x];
-    }
-  }
+export class Scissors {
+  constructor() {
+    this.width = -1;
+    this.height = -1;
 
-  return points;
-};
+    this.curPoint = null; // Corrent point we're searching on.
+    this.searchGranBits = 8; // Bits of resolution for BucketQueue.
+    this.searchGran = 1 << this.searchGranBits; //bits.
+    this.pointsPerPost = 500;
 
-dwv.math.Scissors.prototype.resetTraining = function() {
-  this.trained = false; // Training is ignored with this flag set
-};
+    // Precomputed image data. All in ranges 0 >= x >= 1 and all inverted (1 - x).
+    this.greyscale = null; // Greyscale of image
+    this.laplace = null; // Laplace zero-crossings (either 0 or 1).
+    this.gradient = null; // Gradient magnitudes.
+    this.gradX = null; // X-differences.
+    this.gradY = null; // Y-differences.
 
-dwv.math.Scissors.prototype.doTraining = function(p) {
-  // Compute training weights and measures
-  this.trainingPoints = this.findTrainingPoints(p);
+    this.parents = null; // Matrix mapping point => parent along shortest-path to root.
 
-  if (this.trainingPoints.length < 8) {
-    return; // Not enough points, I think. It might crash if length = 0.
-  }
+    this.working = false; // Currently computing shortest paths?
 
-  const buffer = [];
+    // Begin Training:
+    this.trained = false;
+    this.trainingPoints = null;
 
-  this.calculateTraining(buffer, this.edgeGran, this.greyscale, this.edgeTraining);
-  this.calculateTraining(buffer, this.gradGran, this.gradient, this.gradTraining);
-  this.calculateTraining(buffer, this.insideGran, this.inside, this.insideTraining);
-  this.calculateTraining(buffer, this.outsideGran, this.outside, this.outsideTraining);
+    this.edgeWidth = 2;
+    this.trainingLength = 32;
 
-  if (this.trainingPoints.length < this.gradPointsNeeded) {
-    // If we have two few training points, the gradient weight map might not
-    // be smooth enough, so average with normal weights.
-    this.addInStaticGrad(this.trainingPoints.length, this.gradPointsNeeded);
-  }
+    this.edgeGran = 256;
+    this.edgeTraining = null;
 
-  this.trained = true;
-};
+    this.gradPointsNeeded = 32;
+    this.gradGran = 1024;
+    this.gradTraining = null;
 
-dwv.math.Scissors.prototype.calculateTraining = function(buffer, granularity, input, output) {
-  let i = 0;
-  // Build a map of raw-weights to trained-weights by favoring input values
+    this.insideGran = 256;
+    this.insideTraining = null;
 
-  buffer.length = granularity;
-  for (i = 0; i < granularity; i++) {
-    buffer[i] = 0;
+    this.outsideGran = 256;
+    this.outsideTraining = null;
+    // End Training
   }
 
-  let maxVal = 1;
+  // Begin training methods //
+  getTrainingIdx(granularity, value) {
+    return Math.round((granularity - 1) * value);
+  }
 
-  for (i = 0; i < this.trainingPoints.length; i++) {
-    const p = this.trainingPoints[i];
-    const idx = this.getTrainingIdx(granularity, input[p.y][p.x]);
+  getTrainedEdge(edge) {
+    return this.edgeTraining[this.getTrainingIdx(this.edgeGran, edge)];
+  }
 
-    buffer[idx] += 1;
+  getTrainedGrad(grad) {
+    return this.gradTraining[this.getTrainingIdx(this.gradGran, grad)];
+  }
 
-    maxVal = Math.max(maxVal, buffer[idx]);
+  getTrainedInside(inside) {
+    return this.insideTraining[this.getTrainingIdx(this.insideGran, inside)];
   }
 
-  // Invert and scale.
-  for (i = 0; i < granularity; i++) {
-    buffer[i] = 1 - buffer[i] / maxVal;
+  getTrainedOutside(outside) {
+    return this.outsideTraining[this.getTrainingIdx(this.outsideGran, outside)];
   }
+  // End training methods //
 
-  // Blur it, as suggested. Gets rid of static.
-  dwv.math.gaussianBlur(buffer, output);
-};
+  setWorking(working) {
+    // Sets working flag
+    this.working = working;
+  }
 
-dwv.math.Scissors.prototype.addInStaticGrad = function(have, need) {
-  // Average gradient raw-weights to trained-weights map with standard weight
-  // map so that we don't end up with something to spiky
-  for (let i = 0; i < this.gradGran; i++) {
-    this.gradTraining[i] = Math.min(this.gradTraining[i], 1 - (i * (need - have)) / (need * this.gradGran));
+  setDimensions(width, height) {
+    this.width = width;
+    this.height = height;
   }
-};
 
-dwv.math.Scissors.prototype.gradDirection = function(px, py, qx, qy) {
-  return dwv.math.gradDirection(this.gradX, this.gradY, px, py, qx, qy);
-};
+  setData(data) {
+    if (this.width === -1 || this.height === -1) {
+      // The width and height should have already been set
+      throw new Error('Dimensions have not been set.');
+    }
+
+    this.greyscale = computeGreyscale(data, this.width, this.height);
+    this.laplace = computeLaplace(this.greyscale);
+    this.gradient = computeGradient(this.greyscale);
+    this.gradX = computeGradX(this.greyscale);
+    this.gradY = computeGradY(this.greyscale);
 
-dwv.math.Scissors.prototype.dist = function(px, py, qx, qy) {
-  // The grand culmunation of most of the code: the weighted distance function
-  let grad = this.gradient[qy][qx];
+    const sides = computeSides(this.edgeWidth, this.gradX, this.gradY, this.greyscale);
 
-  if (px === qx || py === qy) {
-    // The distance is Euclidean-ish; non-diagonal edges should be shorter
-    grad *= Math.SQRT1_2;
+    this.inside = sides.inside;
+    this.outside = sides.outside;
+    this.edgeTraining = [];
+    this.gradTraining = [];
+    this.insideTraining = [];
+    this.outsideTraining = [];
   }
 
-  const lap = this.laplace[qy][qx];
-  const dir = this.gradDirection(px, py, qx, qy);
+  findTrainingPoints(p) {
+    // Grab the last handful of points for training
+    const points = [];
 
-  if (this.trained) {
-    // Apply training magic
-    const gradT = this.getTrainedGrad(grad);
-    const edgeT = this.getTrainedEdge(this.greyscale[py][px]);
-    const insideT = this.getTrainedInside(this.inside[py][px]);
-    const outsideT = this.getTrainedOutside(this.outside[py][px]);
+    if (this.parents !== null) {
+      for (let i = 0; i < this.trainingLength && p; i++) {
+        points.push(p);
+        p = this.parents[p.y][p.x];
+      }
+    }
 
-    return 0.3 * gradT + 0.3 * lap + 0.1 * (dir + edgeT + insideT + outsideT);
-  } else {
-    // Normal weights
-    return 0.43 * grad + 0.43 * lap + 0.11 * dir;
+    return points;
   }
-};
 
-dwv.math.Scissors.prototype.adj = function(p) {
-  const list = [];
+  resetTraining() {
+    this.trained = false; // Training is ignored with this flag set
+  }
 
-  const sx = Math.max(p.x - 1, 0);
-  const sy = Math.max(p.y - 1, 0);
-  const ex = Math.min(p.x + 1, this.greyscale[0].length - 1);
-  const ey = Math.min(p.y + 1, this.greyscale.length - 1);
+  doTraining(p) {
+    // Compute training weights and measures
+    this.trainingPoints = this.findTrainingPoints(p);
 
-  let idx = 0;
+    if (this.trainingPoints.length < 8) {
+      return; // Not enough points, I think. It might crash if length = 0.
+    }
 
-  for (let y = sy; y <= ey; y++) {
-    for (let x = sx; x <= ex; x++) {
-      if (x !== p.x || y !== p.y) {
-        list[idx++] = new dwv.math.FastPoint2D(x, y);
-      }
+    const buffer = [];
+
+    this.calculateTraining(buffer, this.edgeGran, this.greyscale, this.edgeTraining);
+    this.calculateTraining(buffer, this.gradGran, this.gradient, this.gradTraining);
+    this.calculateTraining(buffer, this.insideGran, this.inside, this.insideTraining);
+    this.calculateTraining(buffer, this.outsideGran, this.outside, this.outsideTraining);
+
+    if (this.trainingPoints.length < this.gradPointsNeeded) {
+      // If we have two few training points, the gradient weight map might not
+      // be smooth enough, so average with normal weights.
+      this.addInStaticGrad(this.trainingPoints.length, this.gradPointsNeeded);
     }
+
+    this.trained = true;
   }
 
-  return list;
-};
+  calculateTraining(buffer, granularity, input, output) {
+    let i = 0;
+    // Build a map of raw-weights to trained-weights by favoring input values
+
+    buffer.length = granularity;
+    for (i = 0; i < granularity; i++) {
+      buffer[i] = 0;
+    }
 
-dwv.math.Scissors.prototype.setPoint = function(sp) {
-  this.setWorking(true);
+    let maxVal = 1;
 
-  this.curPoint = sp;
+    for (i = 0; i < this.trainingPoints.length; i++) {
+      const p = this.trainingPoints[i];
+      const idx = this.getTrainingIdx(granularity, input[p.y][p.x]);
 
-  let x = 0;
-  let y = 0;
+      buffer[idx] += 1;
 
-  this.visited = [];
-  for (y = 0; y < this.height; y++) {
-    this.visited[y] = [];
-    for (x = 0; x < this.width; x++) {
-      this.visited[y][x] = false;
+      maxVal = Math.max(maxVal, buffer[idx]);
     }
-  }
 
-  this.parents = [];
-  for (y = 0; y < this.height; y++) {
-    this.parents[y] = [];
+    // Invert and scale.
+    for (i = 0; i < granularity; i++) {
+      buffer[i] = 1 - buffer[i] / maxVal;
+    }
+
+    // Blur it, as suggested. Gets rid of static.
+    gaussianBlur(buffer, output);
   }
 
-  this.cost = [];
-  for (y = 0; y < this.height; y++) {
-    this.cost[y] = [];
-    for (x = 0; x < this.width; x++) {
-      this.cost[y][x] = Number.MAX_VALUE;
+  addInStaticGrad(have, need) {
+    // Average gradient raw-weights to trained-weights map with standard weight
+    // map so that we don't end up with something to spiky
+    for (let i = 0; i < this.gradGran; i++) {
+      this.gradTraining[i] = Math.min(this.gradTraining[i], 1 - (i * (need - have)) / (need * this.gradGran));
     }
   }
 
-  this.pq = new dwv.math.BucketQueue(this.searchGranBits, function(p) {
-    return Math.round(this.searchGran * this.costArr[p.y][p.x]);
-  });
-  this.pq.searchGran = this.searchGran;
-  this.pq.costArr = this.cost;
+  gradDirection(px, py, qx, qy) {
+    return gradDirection(this.gradX, this.gradY, px, py, qx, qy);
+  }
+
+  dist(px, py, qx, qy) {
+    // The grand culmunation of most of the code: the weighted distance function
+    let grad = this.gradient[qy][qx];
+
+    if (px === qx || py === qy) {
+      // The distance is Euclidean-ish; non-diagonal edges should be shorter
+      grad *= Math.SQRT1_2;
+    }
+
+    const lap = this.laplace[qy][qx];
+    const dir = this.gradDirection(px, py, qx, qy);
 
-  this.pq.push(sp);
-  this.cost[sp.y][sp.x] = 0;
-};
+    if (this.trained) {
+      // Apply training magic
+      const gradT = this.getTrainedGrad(grad);
+      const edgeT = this.getTrainedEdge(this.greyscale[py][px]);
+      const insideT = this.getTrainedInside(this.inside[py][px]);
+      const outsideT = this.getTrainedOutside(this.outside[py][px]);
 
-dwv.math.Scissors.prototype.doWork = function() {
-  if (!this.working) {
-    return;
+      return 0.3 * gradT + 0.3 * lap + 0.1 * (dir + edgeT + insideT + outsideT);
+    } else {
+      // Normal weights
+      return 0.43 * grad + 0.43 * lap + 0.11 * dir;
+    }
   }
 
-  this.timeout = null;
+  adj(p) {
+    const list = [];
 
-  let pointCount = 0;
-  const newPoints = [];
+    const sx = Math.max(p.x - 1, 0);
+    const sy = Math.max(p.y - 1, 0);
+    const ex = Math.min(p.x + 1, this.width - 1);
+    const ey = Math.min(p.y + 1, this.height - 1);
 
-  while (!this.pq.isEmpty() && pointCount < this.pointsPerPost) {
-    const p = this.pq.pop();
+    let idx = 0;
 
-    newPoints.push(p);
-    newPoints.push(this.parents[p.y][p.x]);
+    for (let y = sy; y <= ey; y++) {
+      for (let x = sx; x <= ex; x++) {
+        if (x !== p.x || y !== p.y) {
+          list[idx++] = new FastPoint2D(x, y);
+        }
+      }
+    }
 
-    this.visited[p.y][p.x] = true;
+    return list;
+  }
 
-    const adjList = this.adj(p);
+  setPoint(sp) {
+    this.setWorking(true);
 
-    for (let i = 0; i < adjList.length; i++) {
-      const q = adjList[i];
+    this.curPoint = sp;
 
-      const pqCost = this.cost[p.y][p.x] + this.dist(p.x, p.y, q.x, q.y);
+    let x = 0;
+    let y = 0;
 
-      if (pqCost < this.cost[q.y][q.x]) {
-        if (this.cost[q.y][q.x] !== Number.MAX_VALUE) {
-          // Already in PQ, must remove it so we can re-add it.
-          this.pq.remove(q);
-        }
+    this.visited = [];
+    for (y = 0; y < this.height; y++) {
+      this.visited[y] = [];
+      for (x = 0; x < this.width; x++) {
+        this.visited[y][x] = false;
+      }
+    }
 
-        this.cost[q.y][q.x] = pqCost;
-        this.parents[q.y][q.x] = p;
-        this.pq.push(q);
+    this.parents = [];
+    for (y = 0; y < this.height; y++) {
+      this.parents[y] = [];
+    }
+
+    this.cost = [];
+    for (y = 0; y < this.height; y++) {
+      this.cost[y] = [];
+      for (x = 0; x < this.width; x++) {
+        this.cost[y][x] = Number.MAX_VALUE;
       }
     }
 
-    pointCount++;
+    // cost of a single step can slightly exceed 1, so there are twice more buckets than needed for it
+    this.pq = new BucketQueue(this.searchGranBits + 1, p => Math.round(this.searchGran * this.cost[p.y][p.x]));
+
+    this.pq.push(sp);
+    this.cost[sp.y][sp.x] = 0;
   }
 
-  return newPoints;
-};
+  doWork() {
+    if (!this.working) {
+      return [];
+    }
+
+    let pointCount = 0;
+    const newPoints = [];
+
+    while (!this.pq.isEmpty() && pointCount < this.pointsPerPost) {
+      const p = this.pq.pop();
+
+      // guard against points queued twice
+      if (this.visited[p.y][p.x]) continue;
+
+      newPoints.push(p);
+      newPoints.push(this.parents[p.y][p.x]);
+
+      this.visited[p.y][p.x] = true;
+
+      const adjList = this.adj(p);
+
+      for (let i = 0; i < adjList.length; i++) {
+        const q = adjList[i];
+
+        if (this.visited[q.y][q.x]) continue;
+
+        const pqCost = this.cost[p.y][p.x] + this.dist(p.x, p.y, q.x, q.y);
+
+        if (pqCost < this.cost[q.y][q.x]) {
+          if (this.cost[q.y][q.x] !== Number.MAX_VALUE) {
+            // Already in PQ, must remove it so we can re-add it.
+            this.pq.remove(q);
+          }
+
+          this.cost[q.y][q.x] = pqCost;
+          this.parents[q.y][q.x] = p;
+          this.pq.push(q);
+        }
+      }
+
+      pointCount++;
+    }
+
+    if (this.pq.isEmpty()) this.setWorking(false);
+
+    return newPoints;
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Geometry of serialized image regions shared by agreement metrics and annotation diff
+ */
+export type Point = [number, number];
+
+const IOU_RESOLUTION = 50;
+
+/**
+ * Outline of polygon or rectangle region as rings: outer contour and holes; null for other shapes
+ */
+export const polygonOf = (value: Record<string, any>): Point[][] | null => {
+  if (Array.isArray(value.points)) return [value.points, ...(value.holes ?? [])];
+
+  const { x, y, width, height, rotation = 0 } = value;
+
+  if ([x, y, width, height].some(n => typeof n !== 'number')) return null;
+
+  const angle = rotation * Math.PI / 180;
+  const corners: Point[] = [[0, 0], [width, 0], [width, height], [0, height]];
+
+  // rectangle is rotated around its top left corner
+  return [corners.map(([dx, dy]) => [
+    x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y + dx * Math.sin(angle) + dy * Math.cos(angle),
+  ])];
+};
+
+// even-odd rule, so points inside of holes are outside
+const isInside = ([px, py]: Point, rings: Point[][]) => {
+  let inside = false;
+
+  rings.forEach(polygon => {
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [xi, yi] = polygon[i];
+      const [xj, yj] = polygon[j];
+
+      if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) inside = !inside;
+    }
+  });
+  return inside;
+};
+
+/**
+ * Intersection over union of two polygons given as rings (outer contour and holes); areas are estimated on a regular grid
+ */
+export const polygonIoU = (a: Point[][], b: Point[][], resolution = IOU_RESOLUTION) => {
+  const xs = [...a[0], ...b[0]].map(([x]) => x);
+  const ys = [...a[0], ...b[0]].map(([, y]) => y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const step = Math.max(maxX - minX, maxY - minY) / resolution;
+  let intersection = 0;
+  let union = 0;
+
+  if (!step) return 0;
+
+  for (let x = minX + step / 2; x < maxX; x += step) {
+    for (let y = minY + step / 2; y < maxY; y += step) {
+      const inA = isInside([x, y], a);
+      const inB = isInside([x, y], b);
+
+      if (inA && inB) intersection++;
+      if (inA || inB) union++;
+    }
+  }
+
+  return union ? intersection / union : 0;
+};
@@ -0,0 +1,195 @@
+/**
+ * Snapping of drawn points to existing regions (their vertices and borders) and to strong edges of the image.
+ * Geometry is in canvas pixels, so distances are the same in both directions.
+ */
+
+export type Point = { x: number, y: number };
+
+export type Segment = [Point, Point];
+
+export interface SnapGeometry {
+  vertices: Point[];
+  edges: Segment[];
+}
+
+export type SnapTarget = 'vertex' | 'edge' | 'gradient';
+
+export interface SnapResult extends Point {
+  target: SnapTarget;
+}
+
+/**
+ * `snap` attribute of control tags is a comma separated list of modes, e.g. `snap="region,pixel"`
+ */
+export const parseSnapModes = (snap?: string | null) => {
+  return (snap ?? '').split(',').map(mode => mode.trim()).filter(mode => mode && mode !== 'none');
+};
+
+const distance = (a: Point, b: Point) => Math.hypot(a.x - b.x, a.y - b.y);
+
+export const closestPointOnSegment = (point: Point, [a, b]: Segment): Point => {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const length = dx * dx + dy * dy;
+  const t = length ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / length)) : 0;
+
+  return { x: a.x + t * dx, y: a.y + t * dy };
+};
+
+export const pathGeometry = (points: Point[], closed: boolean): SnapGeometry => {
+  const edges: Segment[] = points.slice(1).map((point, index) => [points[index], point]);
+
+  if (closed && points.length > 2) edges.push([points[points.length - 1], points[0]]);
+
+  return { vertices: points, edges };
+};
+
+const rotate = (point: Point, origin: Point, degrees: number): Point => {
+  const angle = degrees * Math.PI / 180;
+  const [dx, dy] = [point.x - origin.x, point.y - origin.y];
+
+  return {
+    x: origin.x + dx * Math.cos(angle) - dy * Math.sin(angle),
+    y: origin.y + dx * Math.sin(angle) + dy * Math.cos(angle),
+  };
+};
+
+/**
+ * Rectangle rotated around its top left corner
+ */
+export const rectGeometry = (x: number, y: number, width: number, height: number, rotation = 0) => {
+  const origin = { x, y };
+  const corners = [
+    origin,
+    { x: x + width, y },
+    { x: x + width, y: y + height },
+    { x, y: y + height },
+  ].map(corner => rotate(corner, origin, rotation));
+
+  return pathGeometry(corners, true);
+};
+
+/**
+ * Ellipse rotated around its center; the border is approximated by a polygon, ends of the axes are vertices
+ */
+export const ellipseGeometry = (x: number, y: number, radiusX: number, radiusY: number, rotation = 0, segments = 64) => {
+  const center = { x, y };
+  const border = Array.from({ length: segments }, (_, index) => {
+    const angle = index / segments * 2 * Math.PI;
+
+    return rotate({ x: x + radiusX * Math.cos(angle), y: y + radiusY * Math.sin(angle) }, center, rotation);
+  });
+  const vertices = [0, 1, 2, 3].map(quarter => border[quarter * segments / 4]);
+
+  return { vertices: [...vertices, center], edges: pathGeometry(border, true).edges };
+};
+
+/**
+ * Vertices are preferred to borders, so shared corners are exactly the same points
+ * @param radius max distance to snap from
+ */
+export const snapToGeometry = (point: Point, geometries: SnapGeometry[], radius: number): SnapResult | null => {
+  let closest: SnapResult | null = null;
+  let closestDistance = radius;
+
+  for (const { vertices } of geometries) {
+    for (const vertex of vertices) {
+      const current = distance(point, vertex);
+
+      if (current <= closestDistance) {
+        closest = { ...vertex, target: 'vertex' };
+        closestDistance = current;
+      }
+    }
+  }
+
+  if (closest) return closest;
+
+  for (const { edges } of geometries) {
+    for (const edge of edges) {
+      const candidate = closestPointOnSegment(point, edge);
+      const current = distance(point, candidate);
+
+      if (current <= closestDistance) {
+        closest = { ...candidate, target: 'edge' };
+        closestDistance = current;
+      }
+    }
+  }
+
+  return closest;
+};
+
+/**
+ * Gradient magnitude of the image, normalized to 0..1
+ */
+export interface EdgeMap {
+  width: number;
+  height: number;
+  strength: Float32Array;
+}
+
+// weaker gradients are noise or texture rather than borders of objects
+export const MIN_EDGE_STRENGTH = 0.25;
+
+/**
+ * Sobel operator over the luminance of the image
+ * @param image RGBA pixels
+ */
+export const edgeMapOf = ({ data, width, height }: { data: ArrayLike<number>, width: number, height: number }): EdgeMap => {
+  const luminance = new Float32Array(width * height);
+  const strength = new Float32Array(width * height);
+  let max = 0;
+
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2];
+  }
+
+  const at = (x: number, y: number) => {
+    return luminance[Math.min(Math.max(y, 0), height - 1) * width + Math.min(Math.max(x, 0), width - 1)];
+  };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) - at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      const magnitude = Math.hypot(gx, gy);
+
+      strength[y * width + x] = magnitude;
+      max = Math.max(max, magnitude);
+    }
+  }
+
+  for (let i = 0; max && i < strength.length; i++) strength[i] /= max;
+
+  return { width, height, strength };
+};
+
+/**
+ * The strongest edge around the point, the closest one of equally strong
+ * @param point in pixels of the edge map
+ * @param radius in pixels of the edge map
+ */
+export const snapToEdge = (point: Point, { width, height, strength }: EdgeMap, radius: number): Point | null => {
+  let best: Point | null = null;
+  let bestStrength = MIN_EDGE_STRENGTH;
+  let bestDistance = Infinity;
+
+  for (let y = Math.max(0, Math.floor(point.y - radius)); y <= Math.min(height - 1, point.y + radius); y++) {
+    for (let x = Math.max(0, Math.floor(point.x - radius)); x <= Math.min(width - 1, point.x + radius); x++) {
+      // pixel centers
+      const candidate = { x: x + 0.5, y: y + 0.5 };
+      const current = distance(point, candidate);
+      const value = strength[y * width + x];
+
+      if (current > radius) continue;
+      if (value > bestStrength || (value === bestStrength && best && current < bestDistance)) {
+        best = candidate;
+        bestStrength = value;
+        bestDistance = current;
+      }
+    }
+  }
+
+  return best;
+};
@@ -0,0 +1,265 @@
+/**
+ * Tile pyramids for images too large to be loaded at once: Deep Zoom (.dzi), IIIF Image API (info.json)
+ * and plain URL templates for simple tile servers.
+ * Levels are numbered by their downscale: level `n` is the image reduced 2^n times, level 0 is the original.
+ */
+
+export interface TileSource {
+  // size of the original image
+  width: number;
+  height: number;
+  tileWidth: number;
+  tileHeight: number;
+  // pixels every tile shares with its neighbours
+  overlap: number;
+  // available levels, from the original to the smallest one
+  levels: number[];
+  tileURL(level: number, column: number, row: number): string;
+}
+
+export interface Tile {
+  key: string;
+  url: string;
+  level: number;
+  // position and size in pixels of the original image, including overlap
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export type Rect = { x: number, y: number, width: number, height: number };
+
+/**
+ * Number of levels to reduce the image to a single pixel
+ */
+const levelsCount = (width: number, height: number) => Math.ceil(Math.log2(Math.max(width, height)));
+
+const range = (length: number) => Array.from({ length }, (_, i) => i);
+
+const baseURL = (url: string) => url.split(/[?#]/)[0];
+
+/**
+ * @param xml content of .dzi file
+ * @param url url of .dzi file, tiles are in `<name>_files` next to it
+ */
+export const parseDeepZoom = (xml: string, url: string): TileSource => {
+  const attr = (tag: string, name: string) => {
+    const element = xml.match(new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>`))?.[0] ?? '';
+
+    return element.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1];
+  };
+  const width = Number(attr('Size', 'Width'));
+  const height = Number(attr('Size', 'Height'));
+  const tileSize = Number(attr('Image', 'TileSize'));
+  const format = attr('Image', 'Format') ?? 'jpg';
+
+  if (!width || !height || !tileSize) throw new Error('Invalid Deep Zoom descriptor');
+
+  const max = levelsCount(width, height);
+  const query = url.match(/\?.*$/)?.[0] ?? '';
+  const files = `${baseURL(url).replace(/\.\w+$/, '')}_files`;
+
+  return {
+    width,
+    height,
+    tileWidth: tileSize,
+    tileHeight: tileSize,
+    overlap: Number(attr('Image', 'Overlap') ?? 0),
+    levels: range(max + 1),
+    // Deep Zoom numbers levels from the single pixel one
+    tileURL: (level, column, row) => `${files}/${max - level}/${column}_${row}.${format}${query}`,
+  };
+};
+
+/**
+ * IIIF Image API 2 and 3; tiles are requested as regions of the original image scaled by the level
+ */
+export const parseIIIF = (info: Record<string, any>): TileSource => {
+  const id = String(info.id ?? info['@id'] ?? '').replace(/\/$/, '');
+  const { width, height } = info;
+  const tiles = info.tiles?.[0] ?? {};
+  const tileWidth = tiles.width ?? 512;
+  const tileHeight = tiles.height ?? tileWidth;
+  const factors: number[] = tiles.scaleFactors ?? range(levelsCount(width, height) + 1).map(level => 2 ** level);
+  const version3 = String(info['@context'] ?? '').includes('/3/') || info.type === 'ImageService3';
+  const format = info.preferredFormats?.[0] ?? 'jpg';
+
+  if (!id || !width || !height) throw new Error('Invalid IIIF image info');
+
+  return {
+    width,
+    height,
+    tileWidth,
+    tileHeight,
+    overlap: 0,
+    levels: factors.map(factor => Math.round(Math.log2(factor))).sort((a, b) => a - b),
+    tileURL: (level, column, row) => {
+      const scale = 2 ** level;
+      const x = column * tileWidth * scale;
+      const y = row * tileHeight * scale;
+      const regionWidth = Math.min(tileWidth * scale, width - x);
+      const regionHeight = Math.min(tileHeight * scale, height - y);
+      const size = version3
+        ? `${Math.ceil(regionWidth / scale)},${Math.ceil(regionHeight / scale)}`
+        : `${Math.ceil(regionWidth / scale)},`;
+
+      return `${id}/${x},${y},${regionWidth},${regionHeight}/${size}/0/default.${format}`;
+    },
+  };
+};
+
+/**
+ * Tile server described right in the task:
+ * `{ "url": "http://localhost:8000/{level}/{x}_{y}.png", "width": 40000, "height": 40000, "tileSize": 256 }`.
+ * `{level}` is the downscale level (0 is the original size), `{z}` is Deep Zoom level (0 is a single pixel),
+ * `{x}` and `{y}` are the column and the row of the tile.
+ */
+export const parseTemplate = (descriptor: Record<string, any>): TileSource => {
+  const { url, width, height, tileSize = 256, overlap = 0 } = descriptor;
+
+  if (!url || !width || !height) throw new Error('Tile source should have url, width and height');
+
+  const max = levelsCount(width, height);
+  const levels = descriptor.levels ?? max + 1;
+
+  return {
+    width,
+    height,
+    tileWidth: tileSize,
+    tileHeight: tileSize,
+    overlap,
+    levels: range(Math.min(levels, max + 1)),
+    tileURL: (level, column, row) => url
+      .replace(/{level}/g, String(level))
+      .replace(/{z}/g, String(max - level))
+      .replace(/{x}/g, String(column))
+      .replace(/{y}/g, String(row)),
+  };
+};
+
+/**
+ * Recognizes the tile source by its descriptor
+ * @param content text of the descriptor: Deep Zoom XML, IIIF info.json or JSON with url template
+ * @param url where the descriptor was loaded from
+ */
+export const parseTileSource = (content: string, url = ''): TileSource => {
+  const text = content.trim();
+
+  if (text.startsWith('<')) return parseDeepZoom(text, url);
+
+  const json = JSON.parse(text);
+
+  return json.url ? parseTemplate(json) : parseIIIF(json);
+};
+
+/**
+ * Tile sources can be defined right in the task (inline JSON) or by url of the descriptor;
+ * IIIF images can be referenced by their base url
+ */
+export const descriptorURL = (src: string) => {
+  if (src.trim().startsWith('{')) return null;
+  if (/\.(dzi|xml|json)$/i.test(baseURL(src))) return src;
+
+  return `${src.replace(/\/$/, '')}/info.json`;
+};
+
+/**
+ * Whole image at the level fitting into a single tile; loaded once and stretched under other tiles,
+ * so there are no blank areas while tiles are loading
+ */
+export const overviewTiles = (source: TileSource) => {
+  const scale = Math.max(source.tileWidth, source.tileHeight) / Math.max(source.width, source.height);
+
+  return tilesOf(source, levelFor(source, scale), { x: 0, y: 0, width: source.width, height: source.height });
+};
+
+/**
+ * The most detailed level not exceeding the screen resolution
+ * @param scale screen pixels per pixel of the original image
+ */
+export const levelFor = (source: TileSource, scale: number) => {
+  const ideal = Math.max(0, Math.floor(Math.log2(1 / scale)));
+
+  return source.levels.filter(level => level <= ideal).pop() ?? source.levels[0];
+};
+
+const tilesOf = (source: TileSource, level: number, rect: Rect): Tile[] => {
+  const { tileWidth, tileHeight, overlap } = source;
+  const scale = 2 ** level;
+  const levelWidth = Math.ceil(source.width / scale);
+  const levelHeight = Math.ceil(source.height / scale);
+  const clamp = (value: number, max: number) => Math.max(0, Math.min(value, max));
+  const fromColumn = clamp(Math.floor(rect.x / scale / tileWidth), Math.ceil(levelWidth / tileWidth) - 1);
+  const toColumn = clamp(Math.ceil((rect.x + rect.width) / scale / tileWidth) - 1, Math.ceil(levelWidth / tileWidth) - 1);
+  const fromRow = clamp(Math.floor(rect.y / scale / tileHeight), Math.ceil(levelHeight / tileHeight) - 1);
+  const toRow = clamp(Math.ceil((rect.y + rect.height) / scale / tileHeight) - 1, Math.ceil(levelHeight / tileHeight) - 1);
+  const tiles: Tile[] = [];
+
+  for (let row = fromRow; row <= toRow; row++) {
+    for (let column = fromColumn; column <= toColumn; column++) {
+      // tile images include overlap with neighbours, but not outside of the image
+      const left = Math.max(column * tileWidth - overlap, 0);
+      const top = Math.max(row * tileHeight - overlap, 0);
+      const right = Math.min((column + 1) * tileWidth + overlap, levelWidth);
+      const bottom = Math.min((row + 1) * tileHeight + overlap, levelHeight);
+
+      tiles.push({
+        key: `${level}/${column}/${row}`,
+        url: source.tileURL(level, column, row),
+        level,
+        x: left * scale,
+        y: top * scale,
+        width: Math.min((right - left) * scale, source.width - left * scale),
+        height: Math.min((bottom - top) * scale, source.height - top * scale),
+      });
+    }
+  }
+
+  return tiles;
+};
+
+/**
+ * Tiles covering the visible part of the image
+ * @param rect visible part in pixels of the original image
+ * @param scale screen pixels per pixel of the original image
+ */
+export const visibleTiles = (source: TileSource, rect: Rect, scale: number) => {
+  if (rect.width <= 0 || rect.height <= 0) return [];
+
+  return tilesOf(source, levelFor(source, scale), rect);
+};
+
+/**
+ * Visible part of the transformed image inside the frame, in fractions of the image size.
+ * Transformation is the same as the one applied to the image element:
+ * offset, then rotation around the top left corner with the shift back into the frame.
+ */
+export const visibleArea = ({ frameWidth, frameHeight, offsetX, offsetY, rotation, width, height }: {
+  frameWidth: number,
+  frameHeight: number,
+  offsetX: number,
+  offsetY: number,
+  rotation: number,
+  width: number,
+  height: number,
+}): Rect => {
+  const angle = -rotation * Math.PI / 180;
+  const shift: Record<number, [number, number]> = { 90: [0, -height], 180: [-width, -height], 270: [-width, 0] };
+  const [shiftX, shiftY] = shift[rotation] ?? [0, 0];
+  const corners = [[0, 0], [frameWidth, 0], [0, frameHeight], [frameWidth, frameHeight]].map(([x, y]) => {
+    const dx = x - offsetX;
+    const dy = y - offsetY;
+
+    return [
+      dx * Math.cos(angle) - dy * Math.sin(angle) - shiftX,
+      dx * Math.sin(angle) + dy * Math.cos(angle) - shiftY,
+    ];
+  });
+  const xs = corners.map(([x]) => Math.min(Math.max(x / width, 0), 1));
+  const ys = corners.map(([, y]) => Math.min(Math.max(y / height, 0), 1));
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
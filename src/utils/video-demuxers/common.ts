@@ -0,0 +1,130 @@
+/**
+ * Encoded frame of the video stored somewhere in the file
+ */
+export interface EncodedSample {
+  // position of encoded data in the file
+  offset: number;
+  size: number;
+  // presentation time in seconds, the first frame is at 0
+  timestamp: number;
+  duration: number;
+  // frame can be decoded without previous ones
+  keyframe: boolean;
+}
+
+/**
+ * The first video track of the file with everything needed to decode its frames with WebCodecs
+ */
+export interface VideoTrack {
+  // codec string of WebCodecs, e.g. `avc1.64001f` or `vp09.00.10.08`
+  codec: string;
+  // codec configuration record (avcC, hvcC, av1C) required by some codecs
+  description?: Uint8Array;
+  width: number;
+  height: number;
+  // in seconds
+  duration: number;
+  // in decoding order, which differs from presentation order for B-frames
+  samples: EncodedSample[];
+}
+
+export interface VideoDemuxer {
+  id: string;
+  // whether the data looks like this format
+  detect(bytes: Uint8Array): boolean;
+  demux(buffer: ArrayBuffer): VideoTrack;
+}
+
+export const unsupported = (format: string, feature: string) => {
+  return new Error(`Unsupported ${format}: ${feature}`);
+};
+
+export const ascii = (bytes: Uint8Array, offset: number, length: number) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+const hex = (value: number) => value.toString(16).padStart(2, '0');
+
+const decimal = (value: number) => value.toString().padStart(2, '0');
+
+/**
+ * H.264 codec string from AVCDecoderConfigurationRecord: profile, constraints and level
+ */
+export const avcCodec = (avcC: Uint8Array, type = 'avc1') => {
+  return `${type}.${hex(avcC[1])}${hex(avcC[2])}${hex(avcC[3])}`;
+};
+
+/**
+ * H.265 codec string from HEVCDecoderConfigurationRecord, as described in ISO/IEC 14496-15 Annex E
+ */
+export const hevcCodec = (hvcC: Uint8Array, type = 'hvc1') => {
+  const space = ['', 'A', 'B', 'C'][hvcC[1] >> 6];
+  const tier = hvcC[1] & 0x20 ? 'H' : 'L';
+  const profile = hvcC[1] & 0x1f;
+  const compatibility = (hvcC[2] << 24 | hvcC[3] << 16 | hvcC[4] << 8 | hvcC[5]) >>> 0;
+  let reversed = 0;
+
+  for (let bit = 0; bit < 32; bit++) {
+    if (compatibility & (1 << bit)) reversed |= 1 << (31 - bit);
+  }
+
+  const constraints = Array.from(hvcC.subarray(6, 12));
+
+  while (constraints.length && !constraints[constraints.length - 1]) constraints.pop();
+
+  return [
+    type,
+    `${space}${profile}`,
+    (reversed >>> 0).toString(16),
+    `${tier}${hvcC[12]}`,
+    ...constraints.map(byte => byte.toString(16)),
+  ].join('.');
+};
+
+/**
+ * AV1 codec string from AV1CodecConfigurationRecord: profile, level with tier and bit depth
+ */
+export const av1Codec = (av1C: Uint8Array) => {
+  const profile = av1C[1] >> 5;
+  const level = av1C[1] & 0x1f;
+  const tier = av1C[2] & 0x80 ? 'H' : 'M';
+  const depth = av1C[2] & 0x40 ? (av1C[2] & 0x20 ? 12 : 10) : 8;
+
+  return `av01.${profile}.${decimal(level)}${tier}.${decimal(depth)}`;
+};
+
+/**
+ * VP9 codec string from the payload of VPCodecConfigurationBox (without version and flags)
+ */
+export const vp9Codec = (vpcC: Uint8Array) => {
+  return `vp09.${decimal(vpcC[0])}.${decimal(vpcC[1])}.${decimal(vpcC[2] >> 4)}`;
+};
+
+/**
+ * Presentation timestamps of all frames in their order; index of the timestamp is the frame number - 1
+ */
+export const frameTimestamps = (track: VideoTrack) => {
+  return track.samples.map(sample => sample.timestamp).sort((a, b) => a - b);
+};
+
+/**
+ * Number of the frame shown at the given time, starting from 1
+ * @param timestamps sorted presentation timestamps of frames
+ */
+export const frameAtTime = (timestamps: number[], time: number) => {
+  // half of a microsecond to compensate rounding of times
+  const target = time + 5e-7;
+  let [low, high] = [0, timestamps.length - 1];
+
+  if (!timestamps.length) return 1;
+  if (target < timestamps[0]) return 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+
+    if (timestamps[middle] <= target) low = middle;
+    else high = middle - 1;
+  }
+
+  return low + 1;
+};
@@ -0,0 +1,26 @@
+/**
+ * Demuxing of video files, so their frames can be decoded one by one with WebCodecs.
+ * Browsers seek <video> only approximately, with exact timestamps of frames every frame can be reached.
+ */
+import { VideoDemuxer, VideoTrack } from './common';
+import { Mp4Demuxer } from './mp4';
+import { WebmDemuxer } from './webm';
+
+export * from './common';
+
+const demuxers: VideoDemuxer[] = [Mp4Demuxer, WebmDemuxer];
+
+export const findDemuxer = (buffer: ArrayBuffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 16));
+
+  return demuxers.find(demuxer => demuxer.detect(bytes));
+};
+
+/**
+ * @returns the first video track or null if the format is not supported
+ */
+export const demuxVideo = (buffer: ArrayBuffer): VideoTrack | null => {
+  const demuxer = findDemuxer(buffer);
+
+  return demuxer ? demuxer.demux(buffer) : null;
+};
@@ -0,0 +1,245 @@
+/**
+ * MP4 and MOV (ISO base media file format); only the sample tables of the first video track are read,
+ * fragmented files are not supported
+ */
+import { ascii, av1Codec, avcCodec, EncodedSample, hevcCodec, unsupported, VideoDemuxer, vp9Codec } from './common';
+
+interface Box {
+  type: string;
+  // payload without the header
+  start: number;
+  end: number;
+}
+
+const CONTAINERS = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts'];
+
+// size of VisualSampleEntry fields before its child boxes
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+
+const readBoxes = (view: DataView, start: number, end: number) => {
+  const boxes: Box[] = [];
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+
+  for (let offset = start; offset + 8 <= end;) {
+    let size = view.getUint32(offset);
+    const type = ascii(bytes, offset + 4, 4);
+    let header = 8;
+
+    if (size === 1) {
+      size = Number(view.getBigUint64(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+
+    if (size < header) throw new Error(`Broken MP4: box ${type} has wrong size`);
+
+    boxes.push({ type, start: offset + header, end: Math.min(offset + size, end) });
+    offset += size;
+  }
+
+  return boxes;
+};
+
+const find = (boxes: Box[], type: string) => boxes.find(box => box.type === type);
+
+/**
+ * Unpacks nested boxes of a track into a flat list, so every box is found by its type
+ */
+const flatten = (view: DataView, box: Box): Box[] => {
+  const children = readBoxes(view, box.start, box.end);
+
+  return children.flatMap(child => CONTAINERS.includes(child.type) ? [child, ...flatten(view, child)] : [child]);
+};
+
+/**
+ * Reads a table of full box: version and flags, number of entries and entries of `fields` 32-bit numbers
+ */
+const readTable = (view: DataView, box: Box, fields: number) => {
+  const count = view.getUint32(box.start + 4);
+
+  return Array.from({ length: count }, (_, index) => {
+    return Array.from({ length: fields }, (_, field) => view.getUint32(box.start + 8 + (index * fields + field) * 4));
+  });
+};
+
+const readTrackInfo = (view: DataView, boxes: Box[]) => {
+  const bytes = new Uint8Array(view.buffer, view.byteOffset, view.byteLength);
+  const mdhd = find(boxes, 'mdhd');
+  const stsd = find(boxes, 'stsd');
+
+  if (!mdhd || !stsd) throw new Error('Broken MP4: no media header or sample description');
+
+  const version = view.getUint8(mdhd.start);
+  const timescale = view.getUint32(mdhd.start + (version === 1 ? 20 : 12));
+  const duration = version === 1
+    ? Number(view.getBigUint64(mdhd.start + 24))
+    : view.getUint32(mdhd.start + 16);
+
+  // the first sample entry after version, flags and entry count
+  const [entry] = readBoxes(view, stsd.start + 8, stsd.end);
+  const width = view.getUint16(entry.start + 24);
+  const height = view.getUint16(entry.start + 26);
+  const config = readBoxes(view, entry.start + VISUAL_SAMPLE_ENTRY_SIZE, entry.end);
+  const payload = (type: string) => {
+    const box = find(config, type);
+
+    return box ? bytes.slice(box.start, box.end) : null;
+  };
+  let codec: string;
+  let description: Uint8Array | undefined;
+
+  if (entry.type === 'avc1' || entry.type === 'avc3') {
+    description = payload('avcC') ?? undefined;
+    if (!description) throw new Error('Broken MP4: no avcC box');
+    codec = avcCodec(description, entry.type);
+  } else if (entry.type === 'hvc1' || entry.type === 'hev1') {
+    description = payload('hvcC') ?? undefined;
+    if (!description) throw new Error('Broken MP4: no hvcC box');
+    codec = hevcCodec(description, entry.type);
+  } else if (entry.type === 'av01') {
+    description = payload('av1C') ?? undefined;
+    if (!description) throw new Error('Broken MP4: no av1C box');
+    codec = av1Codec(description);
+  } else if (entry.type === 'vp09') {
+    const vpcC = payload('vpcC');
+
+    if (!vpcC) throw new Error('Broken MP4: no vpcC box');
+    // skip version and flags of the full box
+    codec = vp9Codec(vpcC.subarray(4));
+  } else {
+    throw unsupported('MP4', `codec ${entry.type}`);
+  }
+
+  return { timescale, duration: duration / timescale, width, height, codec, description };
+};
+
+/**
+ * Media time of the first frame from the edit list; it's shown at 0, usually it compensates B-frames delay
+ */
+const readEditOffset = (view: DataView, boxes: Box[]) => {
+  const elst = find(boxes, 'elst');
+
+  if (!elst) return 0;
+
+  const version = view.getUint8(elst.start);
+  const count = view.getUint32(elst.start + 4);
+  const entrySize = version === 1 ? 20 : 12;
+
+  for (let index = 0; index < count; index++) {
+    const offset = elst.start + 8 + index * entrySize;
+    const mediaTime = version === 1 ? Number(view.getBigInt64(offset + 8)) : view.getInt32(offset + 4);
+
+    // -1 is an empty edit, delay before the first frame
+    if (mediaTime !== -1) return mediaTime;
+  }
+
+  return 0;
+};
+
+const readSamples = (view: DataView, boxes: Box[], timescale: number) => {
+  const stts = find(boxes, 'stts');
+  const stsc = find(boxes, 'stsc');
+  const stsz = find(boxes, 'stsz');
+  const chunks = find(boxes, 'stco') ?? find(boxes, 'co64');
+
+  if (!stts || !stsc || !stsz || !chunks) {
+    throw find(boxes, 'stz2') ? unsupported('MP4', 'compact sample sizes') : new Error('Broken MP4: no sample tables');
+  }
+
+  const count = view.getUint32(stsz.start + 8);
+  const constantSize = view.getUint32(stsz.start + 4);
+  const sizes = Array.from({ length: count }, (_, index) => constantSize || view.getUint32(stsz.start + 12 + index * 4));
+
+  const chunkOffsets = chunks.type === 'co64'
+    ? Array.from({ length: view.getUint32(chunks.start + 4) }, (_, index) => Number(view.getBigUint64(chunks.start + 8 + index * 8)))
+    : readTable(view, chunks, 1).map(([offset]) => offset);
+
+  const stss = find(boxes, 'stss');
+  const keyframes = stss ? new Set(readTable(view, stss, 1).map(([sample]) => sample - 1)) : null;
+
+  const ctts = find(boxes, 'ctts');
+  const cttsSigned = ctts ? view.getUint8(ctts.start) === 1 : false;
+  const compositionOffsets = ctts ? readTable(view, ctts, 2).map(([count, offset]) => [count, cttsSigned ? offset | 0 : offset]) : [];
+
+  const editOffset = readEditOffset(view, boxes);
+  const samplesToChunks = readTable(view, stsc, 3);
+  const timeToSamples = readTable(view, stts, 2);
+  const samples: EncodedSample[] = [];
+
+  // decoding times
+  const decodingTimes: number[] = [];
+  const durations: number[] = [];
+  let time = 0;
+
+  timeToSamples.forEach(([count, delta]) => {
+    for (let i = 0; i < count; i++) {
+      decodingTimes.push(time);
+      durations.push(delta);
+      time += delta;
+    }
+  });
+
+  const presentationOffsets: number[] = [];
+
+  compositionOffsets.forEach(([count, offset]) => {
+    for (let i = 0; i < count; i++) presentationOffsets.push(offset);
+  });
+
+  // positions of samples: chunks follow each other, samples of a chunk are stored one after another
+  let index = 0;
+
+  samplesToChunks.forEach(([firstChunk, samplesPerChunk], entry) => {
+    const lastChunk = entry + 1 < samplesToChunks.length ? samplesToChunks[entry + 1][0] - 1 : chunkOffsets.length;
+
+    for (let chunk = firstChunk; chunk <= lastChunk && index < count; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+
+      for (let i = 0; i < samplesPerChunk && index < count; i++, index++) {
+        const presentationTime = (decodingTimes[index] ?? time) + (presentationOffsets[index] ?? 0) - editOffset;
+
+        samples.push({
+          offset,
+          size: sizes[index],
+          timestamp: Math.max(presentationTime, 0) / timescale,
+          duration: (durations[index] ?? 0) / timescale,
+          keyframe: keyframes ? keyframes.has(index) : true,
+        });
+        offset += sizes[index];
+      }
+    }
+  });
+
+  return samples;
+};
+
+export const Mp4Demuxer: VideoDemuxer = {
+  id: 'mp4',
+
+  detect(bytes) {
+    return ascii(bytes, 4, 4) === 'ftyp';
+  },
+
+  demux(buffer) {
+    const view = new DataView(buffer);
+    const moov = find(readBoxes(view, 0, buffer.byteLength), 'moov');
+
+    if (!moov) throw unsupported('MP4', 'file without moov box or fragmented file');
+
+    const tracks = readBoxes(view, moov.start, moov.end)
+      .filter(box => box.type === 'trak')
+      .map(trak => flatten(view, trak));
+    const video = tracks.find(boxes => {
+      const hdlr = find(boxes, 'hdlr');
+
+      // handler type goes after version, flags and pre_defined fields
+      return hdlr && ascii(new Uint8Array(buffer), hdlr.start + 8, 4) === 'vide';
+    });
+
+    if (!video) throw new Error('MP4 file has no video track');
+
+    const { timescale, ...info } = readTrackInfo(view, video);
+
+    return { ...info, samples: readSamples(view, video, timescale) };
+  },
+};
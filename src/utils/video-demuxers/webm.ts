@@ -0,0 +1,242 @@
+/**
+ * WebM and Matroska; frames of the first video track are read from SimpleBlocks and BlockGroups,
+ * laced blocks are not supported
+ */
+import { av1Codec, avcCodec, EncodedSample, unsupported, VideoDemuxer } from './common';
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  CodecPrivate: 0x63a2,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3,
+  BlockGroup: 0xa0,
+  Block: 0xa1,
+  ReferenceBlock: 0xfb,
+};
+
+// elements with children we need to look into
+const MASTERS = [ID.Segment, ID.Info, ID.Tracks, ID.TrackEntry, ID.Video, ID.Cluster, ID.BlockGroup];
+
+const VIDEO_TRACK = 1;
+
+// default TimecodeScale is 1ms in nanoseconds
+const DEFAULT_TIMECODE_SCALE = 1000000;
+
+interface Element {
+  id: number;
+  start: number;
+  end: number;
+}
+
+/**
+ * Reads variable size integer; ids keep their length marker, sizes don't
+ */
+const readVint = (bytes: Uint8Array, offset: number, keepMarker = false) => {
+  const first = bytes[offset];
+  let length = 1;
+
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8) throw new Error('Broken WebM: wrong variable size integer');
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === (0xff >> length);
+
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    if (bytes[offset + i] !== 0xff) unknown = false;
+  }
+
+  return { value, length, unknown: !keepMarker && unknown };
+};
+
+const readUint = (bytes: Uint8Array, { start, end }: Element) => {
+  let value = 0;
+
+  for (let i = start; i < end; i++) value = value * 256 + bytes[i];
+
+  return value;
+};
+
+const readFloat = (bytes: Uint8Array, { start, end }: Element) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+
+  return end - start === 4 ? view.getFloat32(0) : view.getFloat64(0);
+};
+
+const readString = (bytes: Uint8Array, { start, end }: Element) => {
+  return String.fromCharCode(...bytes.subarray(start, end)).replace(/\0+$/, '');
+};
+
+/**
+ * Walks through the elements calling `visit` for every one of them, children of master elements are walked too.
+ * Elements of unknown size (live streams) end where the next element of the same or upper level starts.
+ */
+const walk = (bytes: Uint8Array, start: number, end: number, visit: (element: Element) => void) => {
+  let offset = start;
+
+  while (offset < end) {
+    const id = readVint(bytes, offset, true);
+    const size = readVint(bytes, offset + id.length);
+    const dataStart = offset + id.length + size.length;
+    const isMaster = MASTERS.includes(id.value);
+
+    if (size.unknown && !isMaster) throw new Error('Broken WebM: unknown size of data element');
+
+    const element = { id: id.value, start: dataStart, end: size.unknown ? end : Math.min(dataStart + size.value, end) };
+
+    visit(element);
+
+    if (isMaster) {
+      // unknown sized master continues with its children in the same stream
+      if (size.unknown) {
+        offset = dataStart;
+        continue;
+      }
+      walk(bytes, element.start, element.end, visit);
+    }
+
+    offset = element.end;
+  }
+};
+
+const codecOf = (codecId: string, codecPrivate?: Uint8Array) => {
+  switch (codecId) {
+    case 'V_VP8':
+      return 'vp8';
+    case 'V_VP9':
+      // profile 0, level 1, 8 bits; actual parameters are in the bitstream
+      return 'vp09.00.10.08';
+    case 'V_AV1':
+      if (!codecPrivate) throw new Error('Broken WebM: no CodecPrivate for AV1');
+      return av1Codec(codecPrivate);
+    case 'V_MPEG4/ISO/AVC':
+      if (!codecPrivate) throw new Error('Broken WebM: no CodecPrivate for H.264');
+      return avcCodec(codecPrivate);
+    default:
+      throw unsupported('WebM', `codec ${codecId}`);
+  }
+};
+
+export const WebmDemuxer: VideoDemuxer = {
+  id: 'webm',
+
+  detect(bytes) {
+    return bytes.length >= 4 && new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0) === ID.EBML;
+  },
+
+  demux(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let timecodeScale = DEFAULT_TIMECODE_SCALE;
+    let duration = 0;
+    let track: Record<string, any> = {};
+    let videoTrack: Record<string, any> | null = null;
+    let clusterTime = 0;
+    // block of BlockGroup is a keyframe until ReferenceBlock is found
+    const blocks: { time: number, keyframe: boolean, offset: number, size: number, group: boolean }[] = [];
+
+    const readBlock = (element: Element, group: boolean) => {
+      const trackNumber = readVint(bytes, element.start);
+
+      if (!videoTrack || trackNumber.value !== videoTrack.number) return;
+
+      const header = element.start + trackNumber.length;
+      const relativeTime = new DataView(buffer, header, 2).getInt16(0);
+      const flags = bytes[header + 2];
+
+      if (flags & 0x06) throw unsupported('WebM', 'laced blocks');
+
+      blocks.push({
+        time: clusterTime + relativeTime,
+        keyframe: group || !!(flags & 0x80),
+        offset: header + 3,
+        size: element.end - header - 3,
+        group,
+      });
+    };
+
+    walk(bytes, 0, bytes.length, element => {
+      switch (element.id) {
+        case ID.TimecodeScale:
+          timecodeScale = readUint(bytes, element);
+          break;
+        case ID.Duration:
+          duration = readFloat(bytes, element);
+          break;
+        case ID.TrackEntry:
+          track = {};
+          break;
+        case ID.TrackNumber:
+          track.number = readUint(bytes, element);
+          break;
+        case ID.TrackType:
+          track.type = readUint(bytes, element);
+          if (track.type === VIDEO_TRACK && !videoTrack) videoTrack = track;
+          break;
+        case ID.CodecID:
+          track.codecId = readString(bytes, element);
+          break;
+        case ID.CodecPrivate:
+          track.codecPrivate = bytes.slice(element.start, element.end);
+          break;
+        case ID.PixelWidth:
+          track.width = readUint(bytes, element);
+          break;
+        case ID.PixelHeight:
+          track.height = readUint(bytes, element);
+          break;
+        case ID.Timecode:
+          clusterTime = readUint(bytes, element);
+          break;
+        case ID.SimpleBlock:
+          readBlock(element, false);
+          break;
+        case ID.Block:
+          readBlock(element, true);
+          break;
+        case ID.ReferenceBlock:
+          // the last block of the group depends on other frames
+          if (blocks.length && blocks[blocks.length - 1].group) blocks[blocks.length - 1].keyframe = false;
+          break;
+      }
+    });
+
+    if (!videoTrack) throw new Error('WebM file has no video track');
+
+    const { codecId, codecPrivate, width = 0, height = 0 } = videoTrack as Record<string, any>;
+    const seconds = timecodeScale / 1e9;
+    const firstTime = blocks.reduce((min, block) => Math.min(min, block.time), blocks[0]?.time ?? 0);
+    const samples: EncodedSample[] = blocks.map((block, index) => {
+      const next = blocks[index + 1];
+
+      return {
+        offset: block.offset,
+        size: block.size,
+        timestamp: (block.time - firstTime) * seconds,
+        duration: next ? Math.max(next.time - block.time, 0) * seconds : 0,
+        keyframe: block.keyframe,
+      };
+    });
+
+    return {
+      codec: codecOf(codecId, codecPrivate),
+      description: codecId === 'V_VP8' || codecId === 'V_VP9' ? undefined : codecPrivate,
+      width,
+      height,
+      duration: duration * seconds || samples.reduce((max, sample) => Math.max(max, sample.timestamp + sample.duration), 0),
+      samples,
+    };
+  },
+};
@@ -0,0 +1,20 @@
+declare module "papaparse" {
+  export interface ParseConfig {
+    header?: boolean;
+    skipEmptyLines?: boolean | "greedy";
+    delimiter?: string;
+    dynamicTyping?: boolean;
+  }
+
+  export interface ParseResult<T> {
+    data: T[];
+    errors: { type: string, code: string, message: string, row?: number }[];
+    meta: { delimiter: string, linebreak: string, aborted: boolean, truncated: boolean, fields?: string[] };
+  }
+
+  export function parse<T = unknown>(input: string, config?: ParseConfig): ParseResult<T>;
+
+  const Papa: { parse: typeof parse };
+
+  export default Papa;
+}